@@ -0,0 +1,26 @@
+module.exports = {
+  root: true,
+  env: {
+    es2022: true,
+    node: true
+  },
+  parserOptions: {
+    ecmaVersion: 2022
+  },
+  extends: ['eslint:recommended'],
+  ignorePatterns: ['node_modules/'],
+  rules: {
+    // Destructuring a field out to drop it is how records are trimmed
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }],
+    // Paged loops run until a short page - while (true) with a break
+    'no-constant-condition': ['error', { checkLoops: false }]
+  },
+  overrides: [
+    {
+      files: ['test/**/*.js'],
+      env: {
+        mocha: true
+      }
+    }
+  ]
+};
@@ -12,9 +12,8 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 
 // Import our centralized utilities
-const { safeDebugLog, safeDebugError, safeDebugWarn } = require('../shared/utils/errorHandler');
-const { getAuth, getDb } = require('../shared/config/firebaseConfig');
-const { getCurrentUser, hasAnyRole } = require('../shared/auth/authManager');
+const { safeDebugLog, safeDebugError } = require('../shared/utils/errorHandler');
+const { authMiddleware, getCallableUser } = require('./middleware/auth');
 
 // Import route handlers
 const inquiryRoutes = require('./routes/inquiries');
@@ -23,6 +22,11 @@ const projectRoutes = require('./routes/projects');
 const userRoutes = require('./routes/users');
 const emailRoutes = require('./routes/email');
 const uploadRoutes = require('./routes/uploads');
+const settingsRoutes = require('./routes/settings');
+const trackRoutes = require('./routes/track');
+const quoteAcceptanceRoutes = require('./routes/quoteAcceptance');
+const reportRoutes = require('./routes/reports');
+const privacyRoutes = require('./routes/privacy');
 
 // Set global options for all functions
 setGlobalOptions({
@@ -46,7 +50,7 @@ const corsOptions = {
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Upload-Token', 'Idempotency-Key']
 };
 
 // Create Express app for API routing
@@ -82,7 +86,7 @@ app.use((req, res, next) => {
   }
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Upload-Token, Idempotency-Key');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -107,58 +111,6 @@ app.use((req, res, next) => {
   next();
 });
 
-// Authentication middleware
-async function authMiddleware(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      // Public endpoints don't require auth
-      req.user = null;
-      return next();
-    }
-
-    const token = authHeader.split('Bearer ')[1];
-    const auth = getAuth();
-    
-    // Verify the token
-    const decodedToken = await auth.verifyIdToken(token);
-    
-    // Get full user info with role
-    req.user = await getCurrentUser();
-    
-    if (!req.user) {
-      return res.status(401).json({ 
-        error: 'User not found',
-        code: 'auth/user-not-found'
-      });
-    }
-
-    safeDebugLog('Authenticated request', {
-      uid: req.user.uid,
-      email: req.user.email,
-      role: req.user.role,
-      path: req.path
-    });
-
-    next();
-  } catch (error) {
-    safeDebugError('Authentication error', error);
-    
-    if (error.code === 'auth/id-token-expired') {
-      return res.status(401).json({
-        error: 'Token expired',
-        code: 'auth/id-token-expired'
-      });
-    }
-    
-    return res.status(401).json({
-      error: 'Invalid authentication token',
-      code: 'auth/invalid-token'
-    });
-  }
-}
-
 // Apply auth middleware to all routes
 app.use(authMiddleware);
 
@@ -179,6 +131,11 @@ app.use('/projects', projectRoutes);
 app.use('/users', userRoutes);
 app.use('/email', emailRoutes);
 app.use('/uploads', uploadRoutes);
+app.use('/settings', settingsRoutes);
+app.use('/track', trackRoutes);
+app.use('/quote-acceptance', quoteAcceptanceRoutes);
+app.use('/reports', reportRoutes);
+app.use('/privacy', privacyRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -231,9 +188,9 @@ exports.sendTemplatedEmailCallable = onCall({
       throw new Error('Authentication required for email operations');
     }
 
-    // Get current user with role checking
-    const user = await getCurrentUser();
-    if (!user || !hasAnyRole(['admin', 'manager'])) {
+    // Resolve the caller's role from their verified token
+    const user = await getCallableUser(request);
+    if (!user || !['admin', 'manager'].includes(user.role)) {
       throw new Error('Insufficient permissions for email operations');
     }
 
@@ -282,7 +239,7 @@ exports.setUserClaims = onCall({
     }
 
     // Only admins can set custom claims
-    const user = await getCurrentUser();
+    const user = await getCallableUser(request);
     if (!user || user.role !== 'admin') {
       throw new Error('Admin access required');
     }
@@ -309,25 +266,45 @@ exports.setUserClaims = onCall({
   }
 });
 
-// Scheduled function for cleanup tasks (example)
+// Scheduled function for the nightly data retention purge
 const { onSchedule } = require("firebase-functions/v2/scheduler");
 
 exports.scheduledCleanup = onSchedule({
   schedule: "0 2 * * *", // Daily at 2 AM
-  timeZone: "Europe/London"
+  timeZone: "Europe/London",
+  timeoutSeconds: 540
 }, async (event) => {
   try {
     safeDebugLog('Starting scheduled cleanup');
-    
-    // Add cleanup tasks here:
-    // - Remove old temporary files
-    // - Clean up expired sessions
-    // - Archive old logs
-    
-    safeDebugLog('Scheduled cleanup completed');
+
+    const retentionService = require('./services/retentionService');
+    const report = await retentionService.runRetention();
+
+    safeDebugLog('Scheduled cleanup completed', {
+      reportId: report.id,
+      status: report.status,
+      ...report.totals
+    });
   } catch (error) {
     safeDebugError('Scheduled cleanup failed', error);
   }
 });
 
+// Scheduled function for inquiry follow-up SLA escalation
+exports.scheduledSlaCheck = onSchedule({
+  schedule: "every 15 minutes",
+  timeZone: "Europe/London"
+}, async (event) => {
+  try {
+    safeDebugLog('Starting SLA check');
+
+    const slaService = require('./services/slaService');
+    const summary = await slaService.checkBreaches();
+
+    safeDebugLog('SLA check completed', summary);
+  } catch (error) {
+    safeDebugError('SLA check failed', error);
+  }
+});
+
 safeDebugLog('Firebase Functions initialized successfully');
\ No newline at end of file
@@ -5,6 +5,11 @@
 const { onRequest } = require("firebase-functions/v2/https");
 const { setGlobalOptions } = require("firebase-functions/v2");
 
+// Utility functions
+function safeDebugLog(message, data = {}) {
+  console.log(`[DEBUG] ${message}`, data);
+}
+
 // Set global options
 setGlobalOptions({
   region: 'europe-west2',
@@ -4,17 +4,16 @@
 
 const { onRequest } = require("firebase-functions/v2/https");
 const { setGlobalOptions } = require("firebase-functions/v2");
-const emailService = require('./services/emailService');
+const inquiryRoutes = require('./routes/inquiries');
+const uploadRoutes = require('./routes/uploads');
+const quoteAcceptanceRoutes = require('./routes/quoteAcceptance');
+const trackRoutes = require('./routes/track');
 
 // Utility functions
 function safeDebugLog(message, data = {}) {
   console.log(`[DEBUG] ${message}`, data);
 }
 
-function safeDebugError(message, error = {}) {
-  console.error(`[ERROR] ${message}`, error);
-}
-
 // Set global options
 setGlobalOptions({
   region: 'europe-west2',
@@ -43,7 +42,7 @@ function cors(req, res, next) {
   // Always set CORS headers - be more permissive
   res.set('Access-Control-Allow-Origin', '*');
   res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, X-Upload-Token, Idempotency-Key');
   res.set('Access-Control-Allow-Credentials', 'false');
   res.set('Access-Control-Max-Age', '86400'); // 24 hours
   
@@ -60,7 +59,7 @@ function cors(req, res, next) {
 exports.api = onRequest({
   cors: {
     origin: true, // Allow all origins for now
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-Upload-Token', 'Idempotency-Key'],
     credentials: false
   },
   invoker: 'public', // Allow unauthenticated access
@@ -76,28 +75,44 @@ exports.api = onRequest({
         return;
       }
 
-      // Form submission endpoint
-      if (req.method === 'POST' && req.path === '/inquiries') {
-        console.log('Form submission received:', req.body);
-        
-        const referenceId = 'FF-' + Date.now();
-        const formData = req.body;
-        
-        // Send email notification
-        try {
-          await emailService.sendNewInquiryNotification(formData, referenceId);
-          safeDebugLog('Email notification sent successfully', { reference: referenceId });
-        } catch (emailError) {
-          safeDebugError('Failed to send email notification', emailError);
-          // Don't fail the form submission if email fails
+      // Form token and form submission - share the full API's inquiry routes, so the
+      // validation, idempotency, upload token and response are the same on both
+      if ((req.method === 'GET' && req.path === '/inquiries/form-token') || (req.method === 'POST' && req.path === '/inquiries')) {
+        safeDebugLog('Inquiry request received', { method: req.method, path: req.path });
+
+        req.url = req.url.slice('/inquiries'.length);
+        if (!req.url.startsWith('/')) {
+          req.url = `/${req.url}`;
         }
-        
-        // Return success response
-        res.json({
-          success: true,
-          reference: referenceId,
-          message: 'Your quote request has been submitted successfully! We\'ll contact you within 24-48 hours.',
-          timestamp: new Date().toISOString()
+        inquiryRoutes(req, res, () => {
+          res.status(404).json({ error: 'Endpoint not found' });
+        });
+        return;
+      }
+
+      // Customer attachments for a just-submitted inquiry - shares the full API's upload route
+      if (req.method === 'POST' && /^\/uploads\/inquiries\/[^/]+$/.test(req.path)) {
+        req.url = req.url.slice('/uploads'.length);
+        uploadRoutes(req, res, () => {
+          res.status(404).json({ error: 'Endpoint not found' });
+        });
+        return;
+      }
+
+      // Customer quote acceptance - the token in the path is the only credential
+      if (/^\/quote-acceptance\/[^/]+(\/(pdf|accept|decline))?$/.test(req.path)) {
+        req.url = req.url.slice('/quote-acceptance'.length);
+        quoteAcceptanceRoutes(req, res, () => {
+          res.status(404).json({ error: 'Endpoint not found' });
+        });
+        return;
+      }
+
+      // Customer status tracking - shares the full API's rate-limited route
+      if (req.method === 'GET' && /^\/track\/[^/]+$/.test(req.path)) {
+        req.url = req.url.slice('/track'.length);
+        trackRoutes(req, res, () => {
+          res.status(404).json({ error: 'Endpoint not found' });
         });
         return;
       }
@@ -0,0 +1,130 @@
+/**
+ * Server-side Authentication Middleware
+ * Builds a request-scoped user from verified ID token claims and the users document
+ */
+
+const admin = require('firebase-admin');
+
+// Import utilities
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { USER_ROLES } = require('../../shared/auth/authManager');
+const permissionService = require('../services/permissionService');
+
+// Account states that may not use the API even with a valid token
+const BLOCKED_STATUSES = ['inactive', 'suspended'];
+
+/**
+ * Build the request user from a decoded ID token
+ * Role comes from custom claims first, then the users document
+ */
+async function buildRequestUser(decodedToken) {
+  const db = getDb();
+  const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+  const profile = userDoc.exists ? userDoc.data() : {};
+
+  if (BLOCKED_STATUSES.includes(profile.status)) {
+    return null;
+  }
+
+  const role = decodedToken.role || profile.role || USER_ROLES.CUSTOMER;
+
+  return {
+    uid: decodedToken.uid,
+    email: decodedToken.email || profile.email || null,
+    name: profile.name || decodedToken.name || null,
+    role,
+    department: decodedToken.department || profile.department || null,
+    permissions: await permissionService.getPermissionsForRole(role),
+    emailVerified: decodedToken.email_verified === true
+  };
+}
+
+/**
+ * Attach synchronous permission helpers bound to the request user
+ */
+function attachAuthHelpers(req) {
+  req.can = (permission) => {
+    return Boolean(req.user) && req.user.permissions.includes(permission);
+  };
+
+  req.hasRole = (roles) => {
+    const allowed = Array.isArray(roles) ? roles : [roles];
+    return Boolean(req.user) && allowed.includes(req.user.role);
+  };
+}
+
+/**
+ * Express middleware - verifies the bearer token and sets req.user
+ * Requests without a token continue as anonymous (req.user = null)
+ */
+async function authMiddleware(req, res, next) {
+  req.user = null;
+  attachAuthHelpers(req);
+
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      // Public endpoints don't require auth
+      return next();
+    }
+
+    const token = authHeader.split('Bearer ')[1];
+    const decodedToken = await admin.auth().verifyIdToken(token);
+
+    req.user = await buildRequestUser(decodedToken);
+
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'User not found or inactive',
+        code: 'auth/user-not-found'
+      });
+    }
+
+    safeDebugLog('Authenticated request', {
+      uid: req.user.uid,
+      email: req.user.email,
+      role: req.user.role,
+      path: req.path
+    });
+
+    next();
+  } catch (error) {
+    safeDebugError('Authentication error', error);
+
+    if (error.code === 'auth/id-token-expired') {
+      return res.status(401).json({
+        error: 'Token expired',
+        code: 'auth/id-token-expired'
+      });
+    }
+
+    return res.status(401).json({
+      error: 'Invalid authentication token',
+      code: 'auth/invalid-token'
+    });
+  }
+}
+
+/**
+ * Resolve the user for a callable function request
+ * Callable requests arrive with the token already verified
+ */
+async function getCallableUser(request) {
+  if (!request.auth) {
+    return null;
+  }
+
+  return buildRequestUser({
+    ...request.auth.token,
+    uid: request.auth.uid
+  });
+}
+
+module.exports = {
+  authMiddleware,
+  buildRequestUser,
+  attachAuthHelpers,
+  getCallableUser
+};
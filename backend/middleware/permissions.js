@@ -0,0 +1,74 @@
+/**
+ * Declarative Permission Middleware
+ * requirePermission('quotes.write') replaces per-handler role checks
+ */
+
+const { safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDocument } = require('../../shared/utils/BatchQueryService');
+
+/**
+ * Require a permission from the effective role map
+ *
+ * A full grant (e.g. "projects.write") always passes. An ownership-scoped
+ * grant (e.g. "projects.write:own") passes only when the route supplies an
+ * `owns` predicate and it returns true for this request.
+ */
+function requirePermission(permission, options = {}) {
+  const { owns = null, message = null } = options;
+
+  return async (req, res, next) => {
+    if (req.can(permission)) {
+      return next();
+    }
+
+    if (owns && req.can(`${permission}:own`)) {
+      try {
+        if (await owns(req)) {
+          return next();
+        }
+      } catch (error) {
+        safeDebugError('Ownership check failed', {
+          permission,
+          path: req.path,
+          error: error.message
+        });
+      }
+    }
+
+    return res.status(403).json({
+      error: 'Access denied',
+      message: message || `Permission required: ${permission}`
+    });
+  };
+}
+
+/**
+ * Ownership predicates for scoped grants
+ */
+const ownership = {
+  // Technicians may only touch projects assigned to them
+  assignedProject: async (req) => {
+    const project = await getDocument('projects', req.params.id, false);
+    return Boolean(project) && project.assignedTechnician === req.user.uid;
+  },
+
+  // Staff may only touch inquiries assigned to them
+  assignedInquiry: async (req) => {
+    const inquiry = await getDocument('inquiries', req.params.id, false);
+    return Boolean(inquiry) && inquiry.assignedTo === req.user.uid;
+  },
+
+  // Users may always act on their own profile
+  ownProfile: async (req) => {
+    const targetUid = req.params.uid || req.params.userId;
+    return Boolean(req.user) && req.user.uid === targetUid;
+  },
+
+  // List endpoints: scoped users may list, the handler narrows the results
+  anyScoped: async () => true
+};
+
+module.exports = {
+  requirePermission,
+  ownership
+};
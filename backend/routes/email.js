@@ -9,7 +9,7 @@ const router = express.Router();
 
 // Import utilities
 const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
-const { hasAnyRole } = require('../../shared/auth/authManager');
+const { requirePermission } = require('../middleware/permissions');
 const emailService = require('../services/emailService');
 
 // Validation rules for sending emails
@@ -34,16 +34,8 @@ const sendEmailValidation = [
 ];
 
 // Send templated email (staff only)
-router.post('/send', sendEmailValidation, async (req, res) => {
+router.post('/send', requirePermission('email.send'), sendEmailValidation, async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Manager access required for sending emails'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -86,7 +78,7 @@ router.post('/send', sendEmailValidation, async (req, res) => {
 });
 
 // Send bulk emails (admin only)
-router.post('/send-bulk', [
+router.post('/send-bulk', requirePermission('email.manage'), [
   body('recipients')
     .isArray({ min: 1, max: 100 })
     .withMessage('Recipients must be an array with 1-100 emails'),
@@ -110,14 +102,6 @@ router.post('/send-bulk', [
     .withMessage('Invalid priority level')
 ], async (req, res) => {
   try {
-    // Check permissions - only admin can send bulk emails
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin access required for bulk emails'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -197,21 +181,13 @@ router.post('/send-bulk', [
 });
 
 // Test email configuration (admin only)
-router.post('/test', [
+router.post('/test', requirePermission('email.manage'), [
   body('testEmail')
     .isEmail()
     .normalizeEmail()
     .withMessage('Valid test email is required')
 ], async (req, res) => {
   try {
-    // Check permissions - only admin can test email
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -260,16 +236,8 @@ router.post('/test', [
 });
 
 // Get email statistics (admin only)
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('email.manage'), async (req, res) => {
   try {
-    // Check permissions - only admin can view email stats
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin access required'
-      });
-    }
-
     // This would typically come from a logging service or database
     // For now, return mock statistics
     const stats = {
@@ -321,7 +289,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // Preview email template (staff only)
-router.post('/preview', [
+router.post('/preview', requirePermission('email.preview'), [
   body('templateType')
     .isIn(['inquiry-confirmation', 'quote-email', 'project-update', 'welcome-email', 'password-reset'])
     .withMessage('Valid template type is required'),
@@ -331,14 +299,6 @@ router.post('/preview', [
     .withMessage('Template data must be an object')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -4,151 +4,168 @@
  */
 
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const multer = require('multer');
+const { body, validationResult, param, query } = require('express-validator');
 const router = express.Router();
 
 // Import utilities
 const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
 const { getDb } = require('../../shared/config/firebaseConfig');
-const { hasAnyRole } = require('../../shared/auth/authManager');
-const { smartQuery, getDocument } = require('../../shared/utils/BatchQueryService');
+const { requirePermission, ownership } = require('../middleware/permissions');
+const { getPage, getDocument } = require('../../shared/utils/BatchQueryService');
+const { paginationValidation, buildPageParams } = require('../utils/pagination');
+const inquiryService = require('../services/inquiryService');
+const spamService = require('../services/spamService');
+const assignmentService = require('../services/assignmentService');
+const inquiryTransferService = require('../services/inquiryTransferService');
+const quoteService = require('../services/quoteService');
+const activityService = require('../services/activityService');
+const attachmentService = require('../services/attachmentService');
+const idempotencyService = require('../services/idempotencyService');
+const sequenceService = require('../services/sequenceService');
+const { inquiryStatusMachine } = require('../services/statusMachine');
+
+// Fields PUT /:id may write directly - status changes go through the state machine
+// assignedTo is handled separately, through the assignment service
+const INQUIRY_UPDATE_FIELDS = ['priority', 'notes', 'internalNotes'];
+
+// Fields staff may supply when converting an inquiry to a quote
+const CONVERT_OVERRIDE_FIELDS = [
+  'accessDifficulty', 'foamType', 'estimatedArea', 'propertyType',
+  'urgency', 'address', 'customerNotes', 'internalNotes'
+];
 
-// Validation rules for inquiry creation
-const createInquiryValidation = [
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Name must be between 2 and 100 characters'),
-  
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Valid email address is required'),
-  
-  body('phone')
+// Fields staff may sort the inquiry list by
+const INQUIRY_SORT_FIELDS = ['submittedAt', 'createdAt', 'updatedAt', 'priority', 'status', 'followUpDate', 'score'];
+
+// Filters shared by the inquiry list and export
+const inquiryFilterValidation = [
+  query('status')
     .optional()
-    .isMobilePhone('en-GB')
-    .withMessage('Valid UK phone number is required'),
-  
-  body('subject')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Subject must be between 5 and 200 characters'),
-  
-  body('message')
-    .trim()
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Message must be between 10 and 2000 characters'),
-  
-  body('propertyType')
+    .isIn(inquiryStatusMachine.statuses)
+    .withMessage('Invalid status'),
+
+  query('assignedTo')
     .optional()
-    .isIn(['residential', 'commercial', 'industrial', 'other'])
-    .withMessage('Invalid property type'),
-  
-  body('urgency')
+    .isString()
+    .notEmpty()
+    .withMessage('Assigned to must be a user ID'),
+
+  query('priority')
     .optional()
     .isIn(['low', 'medium', 'high', 'urgent'])
-    .withMessage('Invalid urgency level'),
-  
-  body('foamType')
-    .optional()
-    .isIn(['open-cell', 'closed-cell', 'unknown', 'mixed'])
-    .withMessage('Invalid foam type'),
-  
-  body('estimatedArea')
+    .withMessage('Invalid priority'),
+
+  query('from')
     .optional()
-    .isNumeric()
-    .withMessage('Estimated area must be a number'),
-  
-  body('preferredContact')
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
     .optional()
-    .isIn(['email', 'phone', 'either'])
-    .withMessage('Invalid preferred contact method'),
-  
-  body('consent')
-    .isBoolean()
-    .equals('true')
-    .withMessage('Consent is required to process the inquiry')
+    .isISO8601()
+    .withMessage('To must be a valid date')
 ];
 
+// CSV lead imports are small - one file, held in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type ${file.mimetype} not allowed for inquiry imports`), false);
+    }
+  }
+});
+
+// Issue a form token when the page renders (public endpoint)
+// The token proves a minimum fill time when the form is submitted
+router.get('/form-token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    formToken: spamService.issueFormToken()
+  });
+});
+
 // Create new inquiry (public endpoint)
-router.post('/', createInquiryValidation, async (req, res) => {
+// Accepts both the quote and contact form payloads - see schemas/inquirySchema.js
+// Retries carrying the same Idempotency-Key get the original response instead of a duplicate
+router.post('/', async (req, res) => {
   try {
-    // Check validation results
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: errors.array()
+    const idempotencyKey = req.get('Idempotency-Key');
+
+    const result = await idempotencyService.run('inquiries', idempotencyKey, async () => {
+      const inquiry = await inquiryService.submitInquiry(req.body, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        idempotencyKey
       });
-    }
 
-    const db = getDb();
-    const inquiryData = {
-      ...req.body,
-      status: 'new',
-      source: 'website',
-      submittedAt: new Date(),
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent'),
-      
-      // Generate reference number
-      referenceNumber: generateReferenceNumber(),
-      
-      // Initial assignment
-      assignedTo: null,
-      priority: mapUrgencyToPriority(req.body.urgency || 'medium'),
-      
-      // Tracking
-      responseRequired: true,
-      followUpDate: calculateFollowUpDate(req.body.urgency || 'medium'),
-      
-      // Metadata
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-
-    // Add to Firestore
-    const docRef = await db.collection('inquiries').add(inquiryData);
-    inquiryData.id = docRef.id;
-
-    safeDebugLog('New inquiry created', {
-      id: docRef.id,
-      referenceNumber: inquiryData.referenceNumber,
-      email: inquiryData.email,
-      urgency: inquiryData.urgency
-    });
-
-    // Send confirmation email (async)
-    try {
-      const emailService = require('../services/emailService');
-      await emailService.sendInquiryConfirmation(inquiryData);
-    } catch (emailError) {
-      safeDebugError('Failed to send confirmation email', emailError);
-      // Don't fail the request if email fails
-    }
-
-    // Notify staff (async)
-    try {
-      const notificationService = require('../services/notificationService');
-      await notificationService.notifyNewInquiry(inquiryData);
-    } catch (notifyError) {
-      safeDebugError('Failed to notify staff', notifyError);
-      // Don't fail the request if notification fails
+      // Follow-ups match on contact details anyone could type in, so the
+      // caller never learns the existing inquiry's id or reference
+      if (inquiry.isFollowUp) {
+        return {
+          status: 201,
+          resourceId: null,
+          body: {
+            success: true,
+            message: 'Thank you - your details have been received and we will be in touch shortly.'
+          }
+        };
+      }
+
+      return {
+        status: 201,
+        resourceId: inquiry.status === 'spam' ? null : inquiry.id,
+        body: {
+          success: true,
+          inquiry: {
+            id: inquiry.id,
+            referenceNumber: inquiry.referenceNumber,
+            // Quarantined submissions get the normal response
+            status: inquiry.status === 'spam' ? 'new' : inquiry.status,
+            submittedAt: inquiry.submittedAt
+          },
+          message: 'Inquiry submitted successfully. You will receive a confirmation email shortly.'
+        }
+      };
+    });
+
+    // Lets the customer attach photos or a survey report straight away
+    // Only new, non-spam inquiries carry a resourceId, and a replay never replaces the live token
+    const upload = result.resourceId ? await attachmentService.issueUploadToken(result.resourceId) : null;
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
     }
 
-    res.status(201).json({
-      success: true,
-      inquiry: {
-        id: inquiryData.id,
-        referenceNumber: inquiryData.referenceNumber,
-        status: inquiryData.status,
-        submittedAt: inquiryData.submittedAt
-      },
-      message: 'Inquiry submitted successfully. You will receive a confirmation email shortly.'
+    res.status(result.status).json({
+      ...result.body,
+      upload
     });
 
   } catch (error) {
+    if (error.code === 'validation-failed') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    if (error.code === 'invalid-idempotency-key' || error.code === 'idempotency-in-progress') {
+      if (error.status === 409) {
+        res.set('Retry-After', '2');
+      }
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     safeDebugError('Error creating inquiry', error);
     res.status(500).json({
       error: 'Failed to submit inquiry',
@@ -158,89 +175,181 @@ router.post('/', createInquiryValidation, async (req, res) => {
 });
 
 // Get all inquiries (staff only)
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('inquiries.read'), [
+  ...paginationValidation(INQUIRY_SORT_FIELDS),
+  ...inquiryFilterValidation
+], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    const {
-      status,
-      assignedTo,
-      priority,
-      limit = '50',
-      offset = '0',
-      sortBy = 'submittedAt',
-      sortOrder = 'desc'
-    } = req.query;
+    const { status, assignedTo, priority, from, to } = req.query;
+    const whereConditions = buildInquiryFilters(req.query);
 
-    // Build query parameters
-    const queryParams = {
-      orderBy: [[sortBy, sortOrder]],
-      limit: parseInt(limit)
-    };
+    const pageParams = buildPageParams(req.query, whereConditions, {
+      sortBy: 'submittedAt',
+      sortOrder: 'desc'
+    });
 
-    // Add filters
-    const whereConditions = [];
-    if (status) whereConditions.push(['status', '==', status]);
-    if (assignedTo) whereConditions.push(['assignedTo', '==', assignedTo]);
-    if (priority) whereConditions.push(['priority', '==', priority]);
+    const { items, nextCursor, total } = await getPage('inquiries', pageParams, false);
 
-    if (whereConditions.length > 0) {
-      queryParams.where = whereConditions;
+    safeDebugLog('Inquiries retrieved', {
+      count: items.length,
+      total,
+      requestedBy: req.user.email,
+      filters: { status, assignedTo, priority, from, to }
+    });
+
+    res.json({ items, nextCursor, total });
+
+  } catch (error) {
+    if (error.code === 'invalid-cursor') {
+      return res.status(400).json({
+        error: 'Invalid pagination cursor'
+      });
     }
 
-    // Use smart query with caching
-    const inquiries = await smartQuery('inquiries', queryParams);
+    safeDebugError('Error retrieving inquiries', error);
+    res.status(500).json({
+      error: 'Failed to retrieve inquiries'
+    });
+  }
+});
 
-    // Get total count for pagination
-    const totalQuery = whereConditions.length > 0 
-      ? { where: whereConditions }
-      : {};
-    const totalInquiries = await smartQuery('inquiries', totalQuery);
+// Export inquiries as CSV or XLSX (admin/manager)
+// Takes the same filters as the list endpoint and streams every match -
+// spam and merged inquiries only when filtered for by status
+router.get('/export', requirePermission('reports.read'), [
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx'),
+  ...inquiryFilterValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    safeDebugLog('Inquiries retrieved', {
-      count: inquiries.length,
-      total: totalInquiries.length,
+    const format = req.query.format || 'csv';
+    const rowCount = await inquiryTransferService.streamExport(res, {
+      format,
+      whereConditions: buildInquiryFilters(req.query),
+      includeHidden: Boolean(req.query.status)
+    });
+
+    safeDebugLog('Inquiries exported', {
+      format,
+      rowCount,
       requestedBy: req.user.email,
-      filters: { status, assignedTo, priority }
+      filters: req.query
+    });
+
+  } catch (error) {
+    safeDebugError('Error exporting inquiries', error);
+
+    // Once streaming has started the status line is already sent
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to export inquiries'
+    });
+  }
+});
+
+// Import leads from a CSV file (staff only)
+// Rows are validated and deduped individually - the response reports each one
+router.post('/import', requirePermission('inquiries.write'), importUpload.single('file'), [
+  body('source')
+    .optional()
+    .isIn(['import', 'phone', 'trade-show', 'referral'])
+    .withMessage('Invalid lead source')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded'
+      });
+    }
+
+    const report = await inquiryTransferService.importCsv(req.file.buffer.toString('utf8'), req.user, {
+      source: req.body.source
     });
 
     res.json({
-      inquiries,
-      pagination: {
-        total: totalInquiries.length,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: (parseInt(offset) + inquiries.length) < totalInquiries.length
-      }
+      success: true,
+      ...report
     });
 
   } catch (error) {
-    safeDebugError('Error retrieving inquiries', error);
+    if (error.code === 'validation-failed') {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error importing inquiries', error);
     res.status(500).json({
-      error: 'Failed to retrieve inquiries'
+      error: 'Failed to import inquiries'
     });
   }
 });
 
-// Get specific inquiry (staff only)
-router.get('/:id', [
-  param('id').isAlphanumeric().withMessage('Invalid inquiry ID')
+// Look up an inquiry by its reference number - current or pre-sequence format (staff only)
+router.get('/number/:number', requirePermission('inquiries.read'), [
+  param('number').trim().matches(/^[A-Za-z0-9-]{4,30}$/).withMessage('Invalid reference number')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
+    const inquiry = await sequenceService.findByNumber('inquiry', req.params.number);
+
+    if (!inquiry) {
+      return res.status(404).json({
+        error: 'Inquiry not found'
+      });
+    }
+
+    res.json({ inquiry });
+
+  } catch (error) {
+    safeDebugError('Error looking up reference number', error);
+    res.status(500).json({
+      error: 'Failed to retrieve inquiry'
+    });
+  }
+});
+
+// Get specific inquiry (staff only)
+router.get('/:id', requirePermission('inquiries.read'), [
+  param('id').isAlphanumeric().withMessage('Invalid inquiry ID')
+], async (req, res) => {
+  try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -274,18 +383,19 @@ router.get('/:id', [
 });
 
 // Update inquiry (staff only)
-router.put('/:id', [
+router.put('/:id', requirePermission('inquiries.write', { owns: ownership.assignedInquiry }), [
   param('id').isAlphanumeric().withMessage('Invalid inquiry ID'),
   
   body('status')
     .optional()
-    .isIn(['new', 'assigned', 'in-progress', 'quoted', 'scheduled', 'completed', 'cancelled'])
+    .isIn(inquiryStatusMachine.statuses)
     .withMessage('Invalid status'),
   
   body('assignedTo')
     .optional()
     .isString()
-    .withMessage('Assigned to must be a string'),
+    .notEmpty()
+    .withMessage('Assigned to must be a user ID'),
   
   body('priority')
     .optional()
@@ -300,17 +410,26 @@ router.put('/:id', [
   body('internalNotes')
     .optional()
     .isLength({ max: 2000 })
-    .withMessage('Internal notes must be less than 2000 characters')
+    .withMessage('Internal notes must be less than 2000 characters'),
+
+  // Required by specific status transitions
+  body('cancellationReason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Cancellation reason must be between 3 and 500 characters'),
+
+  body('quoteId')
+    .optional()
+    .isAlphanumeric()
+    .withMessage('Invalid quote ID'),
+
+  body('scheduledDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Scheduled date must be a valid date')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -330,32 +449,81 @@ router.put('/:id', [
       });
     }
 
-    // Prepare update data
-    const updateData = {
-      ...req.body,
-      updatedAt: new Date(),
-      updatedBy: req.user.uid
-    };
+    let inquiry = { id: req.params.id, ...existingInquiry.data() };
 
-    // Add status change tracking
-    if (req.body.status && req.body.status !== existingInquiry.data().status) {
-      updateData.statusHistory = [
-        ...(existingInquiry.data().statusHistory || []),
-        {
-          status: req.body.status,
-          changedAt: new Date(),
-          changedBy: req.user.uid,
-          changedByName: req.user.email
-        }
-      ];
+    // Merging also moves the timeline and files, so it has its own endpoint
+    if (req.body.status === 'merged' && inquiry.status !== 'merged') {
+      return res.status(409).json({
+        error: 'Use merge to fold a duplicate into another inquiry'
+      });
+    }
+
+    // Reassignment gets the same checks, history and notification as the assign endpoint
+    const reassigned = req.body.assignedTo !== undefined && req.body.assignedTo !== inquiry.assignedTo;
+    if (reassigned) {
+      if (!req.can('inquiries.write')) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Permission required: inquiries.write'
+        });
+      }
+
+      if (!(await assignmentService.isAssignable(req.body.assignedTo))) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: [{ path: 'assignedTo', msg: 'Assignee must be an active staff member' }]
+        });
+      }
+
+      await assignmentService.assignInquiry(req.params.id, req.body.assignedTo, {
+        method: 'manual',
+        assignedBy: req.user
+      });
+
+      // Assigning can move a new inquiry on, so later checks see the current state
+      inquiry = { id: req.params.id, ...(await inquiryRef.get()).data() };
+    }
+
+    // Prepare update data - anything outside the whitelist is ignored
+    const updateData = {};
+    INQUIRY_UPDATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+
+    updateData.updatedAt = new Date();
+    updateData.updatedBy = req.user.uid;
+
+    const statusChanged = Boolean(req.body.status) && req.body.status !== inquiry.status;
+
+    // Status changes must be an allowed transition with its required fields
+    if (statusChanged) {
+      Object.assign(updateData, await inquiryStatusMachine.prepareTransition(inquiry, req.body.status, req.body, req.user));
+
+      // First move past new/assigned is the response the follow-up SLA measures
+      if (!inquiry.firstRespondedAt && !['new', 'assigned', 'spam'].includes(req.body.status)) {
+        updateData.firstRespondedAt = new Date();
+      }
     }
 
     await inquiryRef.update(updateData);
 
+    if (statusChanged) {
+      await inquiryStatusMachine.runAfterEnter({ ...inquiry, ...updateData }, inquiry.status, req.body.status, req.user);
+    }
+
+    // The note fields are overwritten on each edit, so the timeline keeps every version
+    for (const field of ['notes', 'internalNotes']) {
+      if (req.body[field] && req.body[field] !== inquiry[field]) {
+        await activityService.recordEvent(req.params.id, 'note', req.body[field], { field }, req.user);
+      }
+    }
+
     safeDebugLog('Inquiry updated', {
       id: req.params.id,
       updatedBy: req.user.email,
-      changes: Object.keys(req.body)
+      changes: Object.keys(updateData)
     });
 
     res.json({
@@ -364,6 +532,20 @@ router.put('/:id', [
     });
 
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        error: error.message,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
+
+    if (error.code === 'validation-failed') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
     safeDebugError('Error updating inquiry', error);
     res.status(500).json({
       error: 'Failed to update inquiry'
@@ -371,19 +553,403 @@ router.put('/:id', [
   }
 });
 
-// Delete inquiry (admin only)
-router.delete('/:id', [
+// Get an inquiry's activity timeline, newest first (staff only)
+router.get('/:id/activities', requirePermission('inquiries.read'), [
+  param('id').isAlphanumeric().withMessage('Invalid inquiry ID'),
+  ...paginationValidation(['createdAt']),
+
+  query('type')
+    .optional()
+    .isIn([...activityService.LOGGED_TYPES, 'status_change', 'assignment', 'attachment'])
+    .withMessage('Invalid activity type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const inquiry = await getDocument('inquiries', req.params.id);
+
+    if (!inquiry) {
+      return res.status(404).json({
+        error: 'Inquiry not found'
+      });
+    }
+
+    const whereConditions = req.query.type ? [['type', '==', req.query.type]] : [];
+    const pageParams = buildPageParams(req.query, whereConditions, {
+      sortBy: 'createdAt',
+      sortOrder: 'desc'
+    });
+
+    // Not cached - new entries must show up as soon as they are logged
+    const { items, nextCursor, total } = await getPage(activityService.collectionPath(req.params.id), pageParams, false);
+
+    res.json({ items, nextCursor, total });
+
+  } catch (error) {
+    if (error.code === 'invalid-cursor') {
+      return res.status(400).json({
+        error: 'Invalid pagination cursor'
+      });
+    }
+
+    safeDebugError('Error retrieving inquiry activities', error);
+    res.status(500).json({
+      error: 'Failed to retrieve inquiry activities'
+    });
+  }
+});
+
+// List photos and documents the customer attached (staff only)
+// Download links are signed for a few minutes only
+router.get('/:id/attachments', requirePermission('inquiries.read'), [
   param('id').isAlphanumeric().withMessage('Invalid inquiry ID')
 ], async (req, res) => {
   try {
-    // Check permissions - only admin can delete
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin access required'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const inquiry = await getDocument('inquiries', req.params.id);
+
+    if (!inquiry) {
+      return res.status(404).json({
+        error: 'Inquiry not found'
+      });
+    }
+
+    const attachments = await attachmentService.listAttachments(req.params.id);
+
+    res.json({ attachments });
+
+  } catch (error) {
+    safeDebugError('Error retrieving inquiry attachments', error);
+    res.status(500).json({
+      error: 'Failed to retrieve inquiry attachments'
+    });
+  }
+});
+
+// Log a call, email or note on an inquiry (staff only)
+// @mentioned staff are notified
+router.post('/:id/activities', requirePermission('inquiries.write', { owns: ownership.assignedInquiry }), [
+  param('id').isAlphanumeric().withMessage('Invalid inquiry ID'),
+
+  body('type')
+    .isIn(activityService.LOGGED_TYPES)
+    .withMessage(`Activity type must be one of: ${activityService.LOGGED_TYPES.join(', ')}`),
+
+  body('body')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Activity text must be between 1 and 5000 characters'),
+
+  body('direction')
+    .optional()
+    .isIn(['inbound', 'outbound'])
+    .withMessage('Direction must be inbound or outbound'),
+
+  body('outcome')
+    .optional()
+    .isIn(['answered', 'no-answer', 'voicemail', 'callback-requested'])
+    .withMessage('Invalid call outcome')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const activity = await activityService.addActivity(req.params.id, {
+      type: req.body.type,
+      body: req.body.body,
+      direction: req.body.direction,
+      outcome: req.body.type === 'call' ? req.body.outcome : undefined
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      activity
+    });
+
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({
+        error: error.message
       });
     }
 
+    safeDebugError('Error adding inquiry activity', error);
+    res.status(500).json({
+      error: 'Failed to add inquiry activity'
+    });
+  }
+});
+
+// Assign an inquiry (staff only)
+// Without assignedTo this is the "Assign to Me" action from the new inquiry notification
+router.post('/:id/assign', requirePermission('inquiries.write'), [
+  param('id').isAlphanumeric().withMessage('Invalid inquiry ID'),
+
+  body('assignedTo')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Assigned to must be a user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const assigneeId = req.body.assignedTo || req.user.uid;
+
+    if (!(await assignmentService.isAssignable(assigneeId))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ path: 'assignedTo', msg: 'Assignee must be an active staff member' }]
+      });
+    }
+
+    const assignment = await assignmentService.assignInquiry(req.params.id, assigneeId, {
+      method: assigneeId === req.user.uid ? 'self' : 'manual',
+      assignedBy: req.user
+    });
+
+    res.json({
+      success: true,
+      assignment,
+      message: 'Inquiry assigned successfully'
+    });
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error assigning inquiry', error);
+    res.status(500).json({
+      error: 'Failed to assign inquiry'
+    });
+  }
+});
+
+// Create a draft quote pre-populated from the inquiry (staff only)
+// Fields the customer left out or got wrong can be supplied in the body
+router.post('/:id/convert-to-quote', requirePermission('quotes.write'), [
+  param('id').isAlphanumeric().withMessage('Invalid inquiry ID'),
+
+  body('accessDifficulty')
+    .optional()
+    .isIn(['easy', 'moderate', 'difficult', 'extreme'])
+    .withMessage('Invalid access difficulty level'),
+
+  body('foamType')
+    .optional()
+    .isIn(['open-cell', 'closed-cell', 'mixed'])
+    .withMessage('Invalid foam type'),
+
+  body('estimatedArea')
+    .optional()
+    .isFloat({ min: 1, max: 10000 })
+    .withMessage('Estimated area must be between 1 and 10000 square meters')
+    .toFloat(),
+
+  body('propertyType')
+    .optional()
+    .isIn(['residential', 'commercial', 'industrial'])
+    .withMessage('Invalid property type'),
+
+  body('urgency')
+    .optional()
+    .isIn(['standard', 'urgent', 'emergency'])
+    .withMessage('Invalid urgency level'),
+
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Property address must be between 10 and 500 characters'),
+
+  body('customerNotes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Customer notes must be at most 2000 characters'),
+
+  body('internalNotes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Internal notes must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const overrides = {};
+    CONVERT_OVERRIDE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        overrides[field] = req.body[field];
+      }
+    });
+
+    const quote = await quoteService.convertInquiry(req.params.id, overrides, req.user);
+
+    res.status(201).json({
+      success: true,
+      quote: {
+        id: quote.id,
+        quoteNumber: quote.quoteNumber,
+        status: quote.status,
+        totalAmount: quote.totalAmount,
+        createdAt: quote.createdAt,
+        expiresAt: quote.expiresAt
+      },
+      inquiry: {
+        id: req.params.id,
+        status: 'quoted'
+      },
+      message: 'Draft quote created from inquiry'
+    });
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({
+        error: error.message,
+        allowedTransitions: error.allowedTransitions,
+        quoteId: error.quoteId
+      });
+    }
+
+    if (error.code === 'validation-failed') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    safeDebugError('Error converting inquiry to quote', error);
+    res.status(500).json({
+      error: 'Failed to convert inquiry to quote'
+    });
+  }
+});
+
+// Merge duplicate inquiries into this one (staff only)
+router.post('/:id/merge', requirePermission('inquiries.write'), [
+  param('id').isAlphanumeric().withMessage('Invalid inquiry ID'),
+
+  body('duplicateIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Duplicate IDs must be a list of 1 to 20 inquiry IDs'),
+
+  body('duplicateIds.*')
+    .isAlphanumeric()
+    .withMessage('Invalid duplicate inquiry ID')
+    .custom((value, { req }) => value !== req.params.id)
+    .withMessage('An inquiry cannot be merged into itself')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const duplicateIds = [...new Set(req.body.duplicateIds)];
+    const inquiry = await inquiryService.mergeInquiries(req.params.id, duplicateIds, req.user);
+
+    res.json({
+      success: true,
+      inquiry,
+      message: `Merged ${duplicateIds.length} inquiries successfully`
+    });
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error merging inquiries', error);
+    res.status(500).json({
+      error: 'Failed to merge inquiries'
+    });
+  }
+});
+
+// Release a quarantined inquiry that was wrongly flagged as spam (staff only)
+router.post('/:id/release', requirePermission('inquiries.write'), [
+  param('id').isAlphanumeric().withMessage('Invalid inquiry ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const inquiry = await inquiryService.releaseFromSpam(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      inquiry: {
+        id: inquiry.id,
+        referenceNumber: inquiry.referenceNumber,
+        status: inquiry.status
+      },
+      message: 'Inquiry released and owners notified'
+    });
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error releasing inquiry', error);
+    res.status(500).json({
+      error: 'Failed to release inquiry'
+    });
+  }
+});
+
+// Delete inquiry (admin only)
+router.delete('/:id', requirePermission('inquiries.delete'), [
+  param('id').isAlphanumeric().withMessage('Invalid inquiry ID')
+], async (req, res) => {
+  try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -425,34 +991,14 @@ router.delete('/:id', [
 });
 
 // Helper functions
-function generateReferenceNumber() {
-  const prefix = 'FF';
-  const timestamp = Date.now().toString().slice(-8);
-  const random = Math.random().toString(36).substr(2, 4).toUpperCase();
-  return `${prefix}${timestamp}${random}`;
-}
-
-function mapUrgencyToPriority(urgency) {
-  const mapping = {
-    low: 'low',
-    medium: 'medium',
-    high: 'high',
-    urgent: 'urgent'
-  };
-  return mapping[urgency] || 'medium';
-}
-
-function calculateFollowUpDate(urgency) {
-  const now = new Date();
-  const hoursToAdd = {
-    urgent: 2,
-    high: 4,
-    medium: 24,
-    low: 48
-  };
-  
-  now.setHours(now.getHours() + (hoursToAdd[urgency] || 24));
-  return now;
+function buildInquiryFilters({ status, assignedTo, priority, from, to }) {
+  const whereConditions = [];
+  if (status) whereConditions.push(['status', '==', status]);
+  if (assignedTo) whereConditions.push(['assignedTo', '==', assignedTo]);
+  if (priority) whereConditions.push(['priority', '==', priority]);
+  if (from) whereConditions.push(['submittedAt', '>=', new Date(from)]);
+  if (to) whereConditions.push(['submittedAt', '<=', new Date(to)]);
+  return whereConditions;
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,184 @@
+/**
+ * Privacy API Routes
+ * GDPR subject access and right-to-erasure requests (admin only)
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import utilities
+const { safeDebugError } = require('../../shared/utils/errorHandler');
+const { requirePermission } = require('../middleware/permissions');
+const { getPage } = require('../../shared/utils/BatchQueryService');
+const { paginationValidation, buildPageParams } = require('../utils/pagination');
+const privacyService = require('../services/privacyService');
+
+// Fields admins may sort the request log by
+const PRIVACY_REQUEST_SORT_FIELDS = ['startedAt', 'type', 'status'];
+
+// Every request identifies the data subject by email, phone or both
+// Identifiers travel in the body so they stay out of URLs and access logs
+const subjectValidation = [
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Valid email address is required'),
+
+  body('phone')
+    .optional()
+    .isString()
+    .matches(/^[+\d\s()-]{10,20}$/)
+    .withMessage('Valid UK phone number is required'),
+
+  body()
+    .custom(value => Boolean(value && (value.email || value.phone)))
+    .withMessage('An email address or phone number is required'),
+
+  body('reference')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reference must be at most 200 characters')
+];
+
+// Find where a data subject's personal data is held
+router.post('/lookup', requirePermission('privacy.manage'), subjectValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await privacyService.lookup(pickSubject(req.body), req.user, req.body.reference);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    safeDebugError('Error looking up data subject', error);
+    res.status(500).json({
+      error: 'Failed to look up data subject'
+    });
+  }
+});
+
+// Download a subject access export as JSON, or ZIP with their files
+router.post('/export', requirePermission('privacy.manage'), [
+  ...subjectValidation,
+
+  body('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Format must be json or zip')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await privacyService.streamExport(res, pickSubject(req.body), {
+      format: req.body.format || 'json'
+    }, req.user, req.body.reference);
+
+  } catch (error) {
+    safeDebugError('Error exporting subject data', error);
+
+    // Once the file has started there is no way to send an error body
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to export subject data'
+    });
+  }
+});
+
+// Erase a data subject's personal data
+// Sales records inside the retention period keep only what the law requires
+router.post('/erasure', requirePermission('privacy.manage'), [
+  ...subjectValidation,
+
+  body('confirm')
+    .custom(value => value === true)
+    .withMessage('Erasure must be confirmed with confirm: true')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await privacyService.erase(pickSubject(req.body), req.user, req.body.reference);
+
+    res.json({
+      success: true,
+      ...result,
+      message: 'Personal data erased'
+    });
+
+  } catch (error) {
+    safeDebugError('Error erasing subject data', error);
+    res.status(500).json({
+      error: 'Failed to erase subject data'
+    });
+  }
+});
+
+// List logged privacy requests and their outcomes
+router.get('/requests', requirePermission('privacy.manage'), paginationValidation(PRIVACY_REQUEST_SORT_FIELDS), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const pageParams = buildPageParams(req.query, [], {
+      sortBy: 'startedAt',
+      sortOrder: 'desc'
+    });
+
+    const { items, nextCursor, total } = await getPage(privacyService.LOG_COLLECTION, pageParams, false);
+
+    res.json({ items, nextCursor, total });
+
+  } catch (error) {
+    if (error.code === 'invalid-cursor') {
+      return res.status(400).json({
+        error: 'Invalid pagination cursor'
+      });
+    }
+
+    safeDebugError('Error retrieving privacy requests', error);
+    res.status(500).json({
+      error: 'Failed to retrieve privacy requests'
+    });
+  }
+});
+
+// Helper functions
+function pickSubject(reqBody) {
+  return {
+    email: reqBody.email || null,
+    phone: reqBody.phone || null
+  };
+}
+
+module.exports = router;
@@ -10,8 +10,18 @@ const router = express.Router();
 // Import utilities
 const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
 const { getDb } = require('../../shared/config/firebaseConfig');
-const { hasAnyRole } = require('../../shared/auth/authManager');
-const { smartQuery, getDocument } = require('../../shared/utils/BatchQueryService');
+const { requirePermission, ownership } = require('../middleware/permissions');
+const { getPage, getDocument } = require('../../shared/utils/BatchQueryService');
+const { paginationValidation, buildPageParams } = require('../utils/pagination');
+const { projectStatusMachine } = require('../services/statusMachine');
+const sequenceService = require('../services/sequenceService');
+
+// Fields PUT /:id may write directly - status changes go through the state machine,
+// internalNotes and customerUpdate are appended to their logs
+const PROJECT_UPDATE_FIELDS = ['phase', 'progressPercentage', 'assignedTechnician'];
+
+// Fields staff may sort the project list by
+const PROJECT_SORT_FIELDS = ['scheduledDate', 'createdAt', 'updatedAt', 'estimatedCompletionDate', 'priority', 'status'];
 
 // Validation rules for project creation
 const createProjectValidation = [
@@ -59,16 +69,8 @@ const createProjectValidation = [
 ];
 
 // Create new project (staff only)
-router.post('/', createProjectValidation, async (req, res) => {
+router.post('/', requirePermission('projects.write'), createProjectValidation, async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Manager access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -87,11 +89,14 @@ router.post('/', createProjectValidation, async (req, res) => {
       });
     }
 
+    const projectNumber = await sequenceService.next('project');
+
     const projectData = {
       ...req.body,
       
       // Project metadata
-      projectNumber: generateProjectNumber(),
+      projectNumber: projectNumber.number,
+      numberKey: projectNumber.numberKey,
       status: 'scheduled',
       phase: 'planning',
       
@@ -111,6 +116,9 @@ router.post('/', createProjectValidation, async (req, res) => {
       // Financial
       totalValue: quote.totalAmount,
       invoiceStatus: 'pending',
+
+      // Marketing attribution carried from the lead, for revenue by campaign
+      attribution: quote.attribution || null,
       
       // Safety and compliance
       riskAssessmentRequired: true,
@@ -172,13 +180,13 @@ router.post('/', createProjectValidation, async (req, res) => {
 });
 
 // Get all projects (staff only)
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('projects.read', { owns: ownership.anyScoped }), paginationValidation(PROJECT_SORT_FIELDS), async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
@@ -186,19 +194,9 @@ router.get('/', async (req, res) => {
       status,
       assignedTechnician,
       priority,
-      phase,
-      limit = '50',
-      offset = '0',
-      sortBy = 'scheduledDate',
-      sortOrder = 'asc'
+      phase
     } = req.query;
 
-    // Build query parameters
-    const queryParams = {
-      orderBy: [[sortBy, sortOrder]],
-      limit: parseInt(limit)
-    };
-
     // Add filters
     const whereConditions = [];
     if (status) whereConditions.push(['status', '==', status]);
@@ -206,27 +204,34 @@ router.get('/', async (req, res) => {
     if (priority) whereConditions.push(['priority', '==', priority]);
     if (phase) whereConditions.push(['phase', '==', phase]);
 
-    // Technicians can only see their own projects
-    if (req.user.role === 'technician') {
+    // Users with an ownership-scoped grant only see their assigned projects
+    if (!req.can('projects.read')) {
       whereConditions.push(['assignedTechnician', '==', req.user.uid]);
     }
 
-    if (whereConditions.length > 0) {
-      queryParams.where = whereConditions;
-    }
+    const pageParams = buildPageParams(req.query, whereConditions, {
+      sortBy: 'scheduledDate',
+      sortOrder: 'asc'
+    });
 
-    // Use smart query with caching
-    const projects = await smartQuery('projects', queryParams);
+    const { items, nextCursor, total } = await getPage('projects', pageParams, false);
 
     safeDebugLog('Projects retrieved', {
-      count: projects.length,
+      count: items.length,
+      total,
       requestedBy: req.user.email,
       filters: { status, assignedTechnician, priority, phase }
     });
 
-    res.json({ projects });
+    res.json({ items, nextCursor, total });
 
   } catch (error) {
+    if (error.code === 'invalid-cursor') {
+      return res.status(400).json({
+        error: 'Invalid pagination cursor'
+      });
+    }
+
     safeDebugError('Error retrieving projects', error);
     res.status(500).json({
       error: 'Failed to retrieve projects'
@@ -234,19 +239,43 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get specific project (staff only)
-router.get('/:id', [
-  param('id').isAlphanumeric().withMessage('Invalid project ID')
+// Look up a project by its project number - current or pre-sequence format (staff only)
+router.get('/number/:number', requirePermission('projects.read', { owns: ownership.anyScoped }), [
+  param('number').trim().matches(/^[A-Za-z0-9-]{4,30}$/).withMessage('Invalid project number')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const project = await sequenceService.findByNumber('project', req.params.number);
+
+    // Scoped users only find projects assigned to them
+    if (!project || (!req.can('projects.read') && project.assignedTechnician !== req.user.uid)) {
+      return res.status(404).json({
+        error: 'Project not found'
       });
     }
 
+    res.json({ project });
+
+  } catch (error) {
+    safeDebugError('Error looking up project number', error);
+    res.status(500).json({
+      error: 'Failed to retrieve project'
+    });
+  }
+});
+
+// Get specific project (staff only)
+router.get('/:id', requirePermission('projects.read', { owns: ownership.assignedProject }), [
+  param('id').isAlphanumeric().withMessage('Invalid project ID')
+], async (req, res) => {
+  try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -263,14 +292,6 @@ router.get('/:id', [
       });
     }
 
-    // Technicians can only access their own projects
-    if (req.user.role === 'technician' && project.assignedTechnician !== req.user.uid) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only access your assigned projects'
-      });
-    }
-
     safeDebugLog('Project retrieved', {
       id: req.params.id,
       projectNumber: project.projectNumber,
@@ -288,12 +309,12 @@ router.get('/:id', [
 });
 
 // Update project (staff only)
-router.put('/:id', [
+router.put('/:id', requirePermission('projects.write', { owns: ownership.assignedProject }), [
   param('id').isAlphanumeric().withMessage('Invalid project ID'),
   
   body('status')
     .optional()
-    .isIn(['scheduled', 'in-progress', 'on-hold', 'completed', 'cancelled'])
+    .isIn(projectStatusMachine.statuses)
     .withMessage('Invalid status'),
   
   body('phase')
@@ -320,17 +341,22 @@ router.put('/:id', [
   body('customerUpdate')
     .optional()
     .isLength({ max: 1000 })
-    .withMessage('Customer update must be less than 1000 characters')
+    .withMessage('Customer update must be less than 1000 characters'),
+
+  // Required by specific status transitions
+  body('holdReason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Hold reason must be between 3 and 500 characters'),
+
+  body('cancellationReason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Cancellation reason must be between 3 and 500 characters')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -350,40 +376,24 @@ router.put('/:id', [
       });
     }
 
-    const projectData = existingProject.data();
+    const projectData = { id: req.params.id, ...existingProject.data() };
 
-    // Technicians can only update their own projects
-    if (req.user.role === 'technician' && projectData.assignedTechnician !== req.user.uid) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only update your assigned projects'
-      });
-    }
+    // Prepare update data - anything outside the whitelist is ignored
+    const updateData = {};
+    PROJECT_UPDATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
 
-    // Prepare update data
-    const updateData = {
-      ...req.body,
-      updatedAt: new Date(),
-      updatedBy: req.user.uid
-    };
+    updateData.updatedAt = new Date();
+    updateData.updatedBy = req.user.uid;
 
-    // Handle status changes
-    if (req.body.status && req.body.status !== projectData.status) {
-      updateData.statusHistory = [
-        ...(projectData.statusHistory || []),
-        {
-          status: req.body.status,
-          changedAt: new Date(),
-          changedBy: req.user.uid,
-          changedByName: req.user.email
-        }
-      ];
+    const statusChanged = Boolean(req.body.status) && req.body.status !== projectData.status;
 
-      // Handle completion
-      if (req.body.status === 'completed') {
-        updateData.completedAt = new Date();
-        updateData.progressPercentage = 100;
-      }
+    // Status changes must be an allowed transition with its required fields
+    if (statusChanged) {
+      Object.assign(updateData, await projectStatusMachine.prepareTransition(projectData, req.body.status, req.body, req.user));
     }
 
     // Handle customer updates
@@ -422,10 +432,14 @@ router.put('/:id', [
 
     await projectRef.update(updateData);
 
+    if (statusChanged) {
+      await projectStatusMachine.runAfterEnter({ ...projectData, ...updateData }, projectData.status, req.body.status, req.user);
+    }
+
     safeDebugLog('Project updated', {
       id: req.params.id,
       updatedBy: req.user.email,
-      changes: Object.keys(req.body)
+      changes: Object.keys(updateData)
     });
 
     res.json({
@@ -434,6 +448,20 @@ router.put('/:id', [
     });
 
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        error: error.message,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
+
+    if (error.code === 'validation-failed') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
     safeDebugError('Error updating project', error);
     res.status(500).json({
       error: 'Failed to update project'
@@ -442,7 +470,7 @@ router.put('/:id', [
 });
 
 // Complete milestone (staff only)
-router.post('/:id/milestones/:milestoneId/complete', [
+router.post('/:id/milestones/:milestoneId/complete', requirePermission('projects.write', { owns: ownership.assignedProject }), [
   param('id').isAlphanumeric().withMessage('Invalid project ID'),
   param('milestoneId').isString().withMessage('Invalid milestone ID'),
   
@@ -452,14 +480,6 @@ router.post('/:id/milestones/:milestoneId/complete', [
     .withMessage('Notes must be less than 500 characters')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -532,13 +552,6 @@ router.post('/:id/milestones/:milestoneId/complete', [
 });
 
 // Helper functions
-function generateProjectNumber() {
-  const prefix = 'P';
-  const year = new Date().getFullYear();
-  const timestamp = Date.now().toString().slice(-6);
-  return `${prefix}${year}${timestamp}`;
-}
-
 function calculateCompletionDate(scheduledDate, estimatedDuration) {
   const completionDate = new Date(scheduledDate);
   completionDate.setHours(completionDate.getHours() + estimatedDuration);
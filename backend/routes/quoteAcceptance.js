@@ -0,0 +1,223 @@
+/**
+ * Quote Acceptance API Routes
+ * Public view, accept and decline of a sent quote through its tokenised link
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import utilities
+const { safeDebugError } = require('../../shared/utils/errorHandler');
+const quoteAcceptanceService = require('../services/quoteAcceptanceService');
+
+// Token lookups are public, so guessing gets a tight limit
+const acceptanceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 requests per 15 minutes
+  message: {
+    error: 'Too many requests from this IP, please try again later',
+    retryAfter: 900 // 15 minutes in seconds
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const tokenValidation = param('token')
+  .matches(quoteAcceptanceService.TOKEN_PATTERN)
+  .withMessage('Invalid quote link');
+
+const pdfHashValidation = body('pdfHash')
+  .isHexadecimal()
+  .isLength({ min: 64, max: 64 })
+  .withMessage('The quote document hash is required');
+
+router.use(acceptanceLimiter);
+
+// View a sent quote (public endpoint - needs the token from the quote email)
+router.get('/:token', [tokenValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await quoteAcceptanceService.findByToken(req.params.token);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ quote: quoteAcceptanceService.getPublicView(quote) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error retrieving quote for acceptance', error);
+    res.status(500).json({
+      error: 'Failed to retrieve quote'
+    });
+  }
+});
+
+// Download the quote PDF the link was issued with
+router.get('/:token/pdf', [tokenValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await quoteAcceptanceService.findByToken(req.params.token);
+    const pdfBuffer = await quoteAcceptanceService.getPdf(quote);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="quote-${quote.quoteNumber}.pdf"`,
+      'Content-Length': pdfBuffer.length,
+      'Cache-Control': 'no-store'
+    });
+
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error retrieving quote PDF for acceptance', error);
+    res.status(500).json({
+      error: 'Failed to retrieve quote PDF'
+    });
+  }
+});
+
+// Accept a quote with a typed name and drawn signature
+router.post('/:token/accept', [
+  tokenValidation,
+
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Please type your full name'),
+
+  body('signature')
+    .isString()
+    .withMessage('Please sign in the box'),
+
+  body('agreeToTerms')
+    .equals('true')
+    .withMessage('Please confirm you agree to the terms'),
+
+  pdfHashValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await quoteAcceptanceService.accept(req.params.token, {
+      name: req.body.name,
+      signature: req.body.signature,
+      pdfHash: req.body.pdfHash
+    }, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent') || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Thank you - your quote has been accepted. We\'ll be in touch to arrange your deposit and start date.',
+      quote: quoteAcceptanceService.getPublicView(quote)
+    });
+
+  } catch (error) {
+    if (error.code === 'validation-failed') {
+      return res.status(400).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error accepting quote', error);
+    res.status(500).json({
+      error: 'Failed to accept quote'
+    });
+  }
+});
+
+// Decline a quote with a reason
+router.post('/:token/decline', [
+  tokenValidation,
+
+  body('reason')
+    .trim()
+    .isLength({ min: 2, max: 1000 })
+    .withMessage('Please tell us why you are declining'),
+
+  pdfHashValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await quoteAcceptanceService.decline(req.params.token, {
+      reason: req.body.reason,
+      pdfHash: req.body.pdfHash
+    }, {
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Thank you for letting us know.',
+      quote: quoteAcceptanceService.getPublicView(quote)
+    });
+
+  } catch (error) {
+    if (error.code === 'validation-failed') {
+      return res.status(400).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error declining quote', error);
+    res.status(500).json({
+      error: 'Failed to decline quote'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,16 +4,105 @@
  */
 
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const { body, validationResult, param, query } = require('express-validator');
 const router = express.Router();
 
 // Import utilities
 const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
 const { getDb } = require('../../shared/config/firebaseConfig');
-const { hasAnyRole } = require('../../shared/auth/authManager');
-const { smartQuery, getDocument } = require('../../shared/utils/BatchQueryService');
+const { requirePermission } = require('../middleware/permissions');
+const { getPage, getDocument } = require('../../shared/utils/BatchQueryService');
+const { paginationValidation, buildPageParams } = require('../utils/pagination');
+const { quoteStatusMachine } = require('../services/statusMachine');
+const quoteService = require('../services/quoteService');
+const sequenceService = require('../services/sequenceService');
+const pricingService = require('../services/pricingService');
+const quoteApprovalService = require('../services/quoteApprovalService');
+
+// Fields PUT /:id may write directly - status changes go through the state machine
+const QUOTE_UPDATE_FIELDS = ['customerNotes', 'internalNotes'];
+
+// Fields POST /:id/revise may change - new work is repriced
+const QUOTE_REVISION_FIELDS = ['reason', 'customerNotes', 'internalNotes', 'removalDetails', 'zones', 'extras', 'urgency'];
+
+// Statuses only the approval endpoints may move a quote into or out of
+const APPROVAL_STATUSES = ['pending-approval', 'approved'];
+
+// Fields staff may sort the quote list by
+const QUOTE_SORT_FIELDS = ['createdAt', 'updatedAt', 'expiresAt', 'totalAmount', 'status'];
+
+// Validation rules for zoned work and extras - shared by quote creation and price preview
+const quoteWorkValidation = [
+  body('zones')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Zones must be a list of 1 to 10 zones'),
+
+  body('zones.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each zone needs a name, e.g. "Loft rafters"'),
+
+  body('zones.*.foamType')
+    .isIn(['open-cell', 'closed-cell', 'mixed'])
+    .withMessage('Each zone needs a foam type'),
+
+  body('zones.*.estimatedArea')
+    .isFloat({ min: 1, max: 10000 })
+    .withMessage('Zone area must be between 1 and 10000 square meters')
+    .toFloat(),
+
+  body('zones.*.accessDifficulty')
+    .isIn(['easy', 'moderate', 'difficult', 'extreme'])
+    .withMessage('Each zone needs an access difficulty level'),
+
+  body('zones.*.unitPrice')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Zone unit price must be between £0 and £1000 per square meter')
+    .toFloat(),
+
+  body('extras')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Extras must be a list of at most 10 items'),
+
+  body('extras.*.description')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Each extra needs a description, e.g. "Timber treatment"'),
 
-// Validation rules for quote creation
+  body('extras.*.quantity')
+    .optional()
+    .isFloat({ min: 0.01, max: 10000 })
+    .withMessage('Extra quantity must be between 0.01 and 10000')
+    .toFloat(),
+
+  body('extras.*.unit')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Extra unit must be at most 20 characters'),
+
+  body('extras.*.unitPrice')
+    .isFloat({ min: 0, max: 100000 })
+    .withMessage('Extra unit price must be between £0 and £100000')
+    .toFloat(),
+
+  body('urgency')
+    .optional()
+    .isIn(['standard', 'urgent', 'emergency'])
+    .withMessage('Invalid urgency level')
+];
+
+// The version a screen was showing - a stale screen gets 409 rather than acting on a revised quote
+const quoteVersionValidation = body('version')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage('Version must be a quote version number')
+  .toInt();
+
+// Validation rules for quote creation - zones, or a single removalDetails block
 const createQuoteValidation = [
   body('inquiryId')
     .optional()
@@ -53,39 +142,42 @@ const createQuoteValidation = [
     .withMessage('Valid property type is required'),
   
   body('removalDetails')
+    .if(body('zones').not().exists())
     .isObject()
-    .withMessage('Removal details are required'),
+    .withMessage('Removal details or zones are required'),
+
+  // Zones would silently win, so a body with both is refused rather than half-used
+  body('zones')
+    .custom((zones, { req }) => zones === undefined || req.body.removalDetails === undefined)
+    .withMessage('Send zones or removalDetails, not both'),
   
   body('removalDetails.foamType')
+    .if(body('zones').not().exists())
     .isIn(['open-cell', 'closed-cell', 'mixed'])
     .withMessage('Foam type is required'),
   
   body('removalDetails.estimatedArea')
+    .if(body('zones').not().exists())
     .isNumeric()
     .isFloat({ min: 1, max: 10000 })
     .withMessage('Estimated area must be between 1 and 10000 square meters'),
   
   body('removalDetails.accessDifficulty')
+    .if(body('zones').not().exists())
     .isIn(['easy', 'moderate', 'difficult', 'extreme'])
     .withMessage('Access difficulty level is required'),
   
   body('removalDetails.urgency')
     .optional()
     .isIn(['standard', 'urgent', 'emergency'])
-    .withMessage('Invalid urgency level')
+    .withMessage('Invalid urgency level'),
+
+  ...quoteWorkValidation
 ];
 
 // Create new quote (staff only)
-router.post('/', createQuoteValidation, async (req, res) => {
+router.post('/', requirePermission('quotes.write'), createQuoteValidation, async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -94,56 +186,7 @@ router.post('/', createQuoteValidation, async (req, res) => {
       });
     }
 
-    const db = getDb();
-    
-    // Generate quote calculations
-    const calculations = await calculateQuoteAmounts(req.body.removalDetails);
-    
-    const quoteData = {
-      ...req.body,
-      ...calculations,
-      
-      // Quote metadata
-      quoteNumber: generateQuoteNumber(),
-      status: 'draft',
-      version: 1,
-      
-      // Dates
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      expiresAt: calculateExpiryDate(),
-      
-      // Staff info
-      createdBy: req.user.uid,
-      createdByName: req.user.email,
-      
-      // Approval workflow
-      requiresApproval: calculations.totalAmount > 5000,
-      approvedBy: null,
-      approvedAt: null,
-      
-      // Terms and conditions
-      terms: getDefaultTerms(),
-      
-      // Payment terms
-      paymentTerms: {
-        depositPercentage: 25,
-        balanceOnCompletion: true,
-        acceptedMethods: ['bank-transfer', 'card', 'cheque']
-      }
-    };
-
-    // Add to Firestore
-    const docRef = await db.collection('quotes').add(quoteData);
-    quoteData.id = docRef.id;
-
-    safeDebugLog('Quote created', {
-      id: docRef.id,
-      quoteNumber: quoteData.quoteNumber,
-      totalAmount: quoteData.totalAmount,
-      createdBy: req.user.email,
-      customerEmail: quoteData.customerInfo.email
-    });
+    const quoteData = await quoteService.createQuote(req.body, req.user);
 
     res.status(201).json({
       success: true,
@@ -166,52 +209,46 @@ router.post('/', createQuoteValidation, async (req, res) => {
 });
 
 // Get all quotes (staff only)
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('quotes.read'), paginationValidation(QUOTE_SORT_FIELDS), async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
-    const {
-      status,
-      createdBy,
-      limit = '50',
-      offset = '0',
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build query parameters
-    const queryParams = {
-      orderBy: [[sortBy, sortOrder]],
-      limit: parseInt(limit)
-    };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, createdBy } = req.query;
 
     // Add filters
     const whereConditions = [];
     if (status) whereConditions.push(['status', '==', status]);
     if (createdBy) whereConditions.push(['createdBy', '==', createdBy]);
 
-    if (whereConditions.length > 0) {
-      queryParams.where = whereConditions;
-    }
+    const pageParams = buildPageParams(req.query, whereConditions, {
+      sortBy: 'createdAt',
+      sortOrder: 'desc'
+    });
 
-    // Use smart query with caching
-    const quotes = await smartQuery('quotes', queryParams);
+    const { items, nextCursor, total } = await getPage('quotes', pageParams, false);
 
     safeDebugLog('Quotes retrieved', {
-      count: quotes.length,
+      count: items.length,
+      total,
       requestedBy: req.user.email,
       filters: { status, createdBy }
     });
 
-    res.json({ quotes });
+    res.json({ items, nextCursor, total });
 
   } catch (error) {
+    if (error.code === 'invalid-cursor') {
+      return res.status(400).json({
+        error: 'Invalid pagination cursor'
+      });
+    }
+
     safeDebugError('Error retrieving quotes', error);
     res.status(500).json({
       error: 'Failed to retrieve quotes'
@@ -219,19 +256,188 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get specific quote (staff only)
-router.get('/:id', [
-  param('id').isAlphanumeric().withMessage('Invalid quote ID')
+// Price work - a removalDetails block or zones - or reprice past quotes with a draft or published rate card - nothing is saved (staff only)
+router.post('/price-preview', requirePermission('quotes.read'), [
+  body('rateCard')
+    .optional()
+    .isObject()
+    .withMessage('Rate card must be an object'),
+
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a rate card version number')
+    .toInt(),
+
+  body('quoteIds')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Quote IDs must be a list of 1 to 50 IDs'),
+
+  body('quoteIds.*')
+    .isAlphanumeric()
+    .withMessage('Invalid quote ID'),
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  body('removalDetails')
+    .optional()
+    .isObject()
+    .withMessage('Removal details must be an object'),
+
+  body('removalDetails.foamType')
+    .if(body('removalDetails').exists())
+    .isIn(['open-cell', 'closed-cell', 'mixed'])
+    .withMessage('Foam type is required'),
+
+  body('removalDetails.estimatedArea')
+    .if(body('removalDetails').exists())
+    .isFloat({ min: 1, max: 10000 })
+    .withMessage('Estimated area must be between 1 and 10000 square meters')
+    .toFloat(),
+
+  body('removalDetails.accessDifficulty')
+    .if(body('removalDetails').exists())
+    .isIn(['easy', 'moderate', 'difficult', 'extreme'])
+    .withMessage('Access difficulty level is required'),
+
+  body('removalDetails.urgency')
+    .optional()
+    .isIn(['standard', 'urgent', 'emergency'])
+    .withMessage('Invalid urgency level'),
+
+  body('postcode')
+    .optional()
+    .isString()
+    .isLength({ max: 10 })
+    .withMessage('Invalid postcode'),
+
+  ...quoteWorkValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { rateCard: draft, version, quoteIds, limit, removalDetails, zones, extras, urgency, postcode } = req.body;
+    let rateCard;
+
+    if (draft) {
+      const problems = pricingService.validateRateCard(draft);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: problems
+        });
+      }
+      rateCard = { ...pricingService.DEFAULT_RATE_CARD, ...draft, version: null };
+    } else if (version !== undefined) {
+      rateCard = await pricingService.getRateCardVersion(version);
+      if (!rateCard) {
+        return res.status(404).json({
+          error: 'Rate card version not found'
+        });
+      }
+    } else {
+      rateCard = await pricingService.getRateCard();
+    }
+
+    const rateCardSummary = {
+      version: rateCard.version,
+      label: rateCard.label || null
+    };
+
+    if (removalDetails || zones) {
+      const work = zones
+        ? { zones, extras, urgency }
+        : { zones: [removalDetails], extras, urgency: urgency || removalDetails.urgency };
+
+      return res.json({
+        rateCard: rateCardSummary,
+        preview: pricingService.priceWithRateCard(work, rateCard, { postcode: postcode || null })
+      });
+    }
+
+    const results = await quoteService.previewRepricing(rateCard, { quoteIds, limit });
+
+    res.json({
+      rateCard: rateCardSummary,
+      results
+    });
+
+  } catch (error) {
+    safeDebugError('Error previewing quote pricing', error);
+    res.status(500).json({
+      error: 'Failed to preview pricing'
+    });
+  }
+});
+
+// Look up a quote by its quote number - current or pre-sequence format (staff only)
+router.get('/number/:number', requirePermission('quotes.read'), [
+  param('number').trim().matches(/^[A-Za-z0-9-]{4,30}$/).withMessage('Invalid quote number')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await sequenceService.findByNumber('quote', req.params.number);
+
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Quote not found'
       });
     }
 
+    res.json({ quote });
+
+  } catch (error) {
+    safeDebugError('Error looking up quote number', error);
+    res.status(500).json({
+      error: 'Failed to retrieve quote'
+    });
+  }
+});
+
+// Quotes waiting for approval, longest waiting first (approvers only)
+router.get('/approvals/pending', requirePermission('quotes.approve'), async (req, res) => {
+  try {
+    const [quotes, rules] = await Promise.all([
+      quoteApprovalService.getPendingQueue(req.user),
+      quoteApprovalService.getRules()
+    ]);
+
+    res.json({
+      threshold: rules.threshold,
+      quotes
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving approval queue', error);
+    res.status(500).json({
+      error: 'Failed to retrieve approval queue'
+    });
+  }
+});
+
+// Get specific quote (staff only)
+router.get('/:id', requirePermission('quotes.read'), [
+  param('id').isAlphanumeric().withMessage('Invalid quote ID')
+], async (req, res) => {
+  try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -265,13 +471,19 @@ router.get('/:id', [
 });
 
 // Update quote (staff only)
-router.put('/:id', [
+router.put('/:id', requirePermission('quotes.write'), [
   param('id').isAlphanumeric().withMessage('Invalid quote ID'),
   
   body('status')
     .optional()
     .isIn(['draft', 'pending-approval', 'approved', 'sent', 'accepted', 'rejected', 'expired'])
     .withMessage('Invalid status'),
+
+  body('rejectionReason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Rejection reason must be between 3 and 500 characters'),
   
   body('customerNotes')
     .optional()
@@ -281,17 +493,15 @@ router.put('/:id', [
   body('internalNotes')
     .optional()
     .isLength({ max: 2000 })
-    .withMessage('Internal notes must be less than 2000 characters')
+    .withMessage('Internal notes must be less than 2000 characters'),
+
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a quote version number')
+    .toInt()
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -311,38 +521,65 @@ router.put('/:id', [
       });
     }
 
-    // Prepare update data
-    const updateData = {
-      ...req.body,
-      updatedAt: new Date(),
-      updatedBy: req.user.uid
-    };
+    const quote = { id: req.params.id, ...existingQuote.data() };
+
+    // A screen showing an older version must not send or accept the revised quote
+    if (req.body.version !== undefined && req.body.version !== (quote.version || 1)) {
+      return res.status(409).json({
+        error: 'Quote has been revised since that version',
+        currentVersion: quote.version || 1
+      });
+    }
 
-    // Handle status changes
-    if (req.body.status && req.body.status !== existingQuote.data().status) {
-      updateData.statusHistory = [
-        ...(existingQuote.data().statusHistory || []),
-        {
-          status: req.body.status,
-          changedAt: new Date(),
-          changedBy: req.user.uid,
-          changedByName: req.user.email
-        }
-      ];
-
-      // Handle approval status
-      if (req.body.status === 'approved') {
-        updateData.approvedBy = req.user.uid;
-        updateData.approvedAt = new Date();
+    // Prepare update data - anything outside the whitelist is ignored
+    const updateData = {};
+    QUOTE_UPDATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
       }
+    });
+
+    updateData.updatedAt = new Date();
+    updateData.updatedBy = req.user.uid;
+
+    const statusChanged = Boolean(req.body.status) && req.body.status !== quote.status;
+
+    // Approval has its own endpoints, which check the approver and keep the approval log
+    if (statusChanged && (APPROVAL_STATUSES.includes(req.body.status) || quote.status === 'pending-approval')) {
+      return res.status(409).json({
+        error: 'Use submit-for-approval, approve or reject to change a quote\'s approval status'
+      });
+    }
+
+    // Sending emails the customer their acceptance link, so it has its own endpoint
+    if (statusChanged && req.body.status === 'sent') {
+      return res.status(409).json({
+        error: 'Use send to send a quote to the customer'
+      });
+    }
+
+    // Only the customer accepts, through their signed acceptance link
+    if (statusChanged && req.body.status === 'accepted') {
+      return res.status(409).json({
+        error: 'Quotes are accepted by the customer through their acceptance link'
+      });
+    }
+
+    // Status changes must be an allowed transition with its required fields
+    if (statusChanged) {
+      Object.assign(updateData, await quoteStatusMachine.prepareTransition(quote, req.body.status, req.body, req.user));
     }
 
     await quoteRef.update(updateData);
 
+    if (statusChanged) {
+      await quoteStatusMachine.runAfterEnter({ ...quote, ...updateData }, quote.status, req.body.status, req.user);
+    }
+
     safeDebugLog('Quote updated', {
       id: req.params.id,
       updatedBy: req.user.email,
-      changes: Object.keys(req.body)
+      changes: Object.keys(updateData)
     });
 
     res.json({
@@ -351,6 +588,20 @@ router.put('/:id', [
     });
 
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        error: error.message,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
+
+    if (error.code === 'validation-failed') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
     safeDebugError('Error updating quote', error);
     res.status(500).json({
       error: 'Failed to update quote'
@@ -359,18 +610,10 @@ router.put('/:id', [
 });
 
 // Generate PDF for quote (staff only)
-router.post('/:id/generate-pdf', [
+router.post('/:id/generate-pdf', requirePermission('quotes.read'), [
   param('id').isAlphanumeric().withMessage('Invalid quote ID')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -413,8 +656,371 @@ router.post('/:id/generate-pdf', [
   }
 });
 
+// Revise a quote - the current version is kept and the quote returns to draft as the next version (staff only)
+router.post('/:id/revise', requirePermission('quotes.write'), [
+  param('id').isAlphanumeric().withMessage('Invalid quote ID'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Revision reason must be between 3 and 500 characters'),
+
+  body('customerNotes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Customer notes must be less than 1000 characters'),
+
+  body('internalNotes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Internal notes must be less than 2000 characters'),
+
+  body('removalDetails')
+    .optional()
+    .isObject()
+    .withMessage('Removal details must be an object'),
+
+  body('removalDetails.foamType')
+    .if(body('removalDetails').exists())
+    .isIn(['open-cell', 'closed-cell', 'mixed'])
+    .withMessage('Foam type is required'),
+
+  body('removalDetails.estimatedArea')
+    .if(body('removalDetails').exists())
+    .isFloat({ min: 1, max: 10000 })
+    .withMessage('Estimated area must be between 1 and 10000 square meters')
+    .toFloat(),
+
+  body('removalDetails.accessDifficulty')
+    .if(body('removalDetails').exists())
+    .isIn(['easy', 'moderate', 'difficult', 'extreme'])
+    .withMessage('Access difficulty level is required'),
+
+  body('removalDetails.urgency')
+    .optional()
+    .isIn(['standard', 'urgent', 'emergency'])
+    .withMessage('Invalid urgency level'),
+
+  ...quoteWorkValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (req.body.zones && req.body.removalDetails) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ path: 'zones', msg: 'Send zones or removalDetails, not both' }]
+      });
+    }
+
+    const changes = {};
+    QUOTE_REVISION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+
+    const quote = await quoteService.reviseQuote(req.params.id, changes, req.user);
+
+    res.json({
+      success: true,
+      quote: {
+        id: quote.id,
+        quoteNumber: quote.quoteNumber,
+        version: quote.version,
+        status: quote.status,
+        totalAmount: quote.totalAmount,
+        expiresAt: quote.expiresAt
+      },
+      message: `Quote revised to version ${quote.version}`
+    });
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error revising quote', error);
+    res.status(500).json({
+      error: 'Failed to revise quote'
+    });
+  }
+});
+
+// List a quote's earlier versions (staff only)
+router.get('/:id/revisions', requirePermission('quotes.read'), [
+  param('id').isAlphanumeric().withMessage('Invalid quote ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await getDocument('quotes', req.params.id, false);
+
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Quote not found'
+      });
+    }
+
+    const revisions = await quoteService.listRevisions(req.params.id);
+
+    res.json({
+      currentVersion: quote.version || 1,
+      revisions
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving quote revisions', error);
+    res.status(500).json({
+      error: 'Failed to retrieve quote revisions'
+    });
+  }
+});
+
+// Get a quote as it was at a version (staff only)
+router.get('/:id/revisions/:version', requirePermission('quotes.read'), [
+  param('id').isAlphanumeric().withMessage('Invalid quote ID'),
+  param('version').isInt({ min: 1 }).withMessage('Invalid version').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await quoteService.getQuoteVersion(req.params.id, req.params.version);
+
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Quote version not found'
+      });
+    }
+
+    res.json({ quote });
+
+  } catch (error) {
+    safeDebugError('Error retrieving quote version', error);
+    res.status(500).json({
+      error: 'Failed to retrieve quote version'
+    });
+  }
+});
+
+// Price and line changes from a version to a later one - the current version by default (staff only)
+router.get('/:id/revisions/:version/diff', requirePermission('quotes.read'), [
+  param('id').isAlphanumeric().withMessage('Invalid quote ID'),
+  param('version').isInt({ min: 1 }).withMessage('Invalid version').toInt(),
+  query('to').optional().isInt({ min: 1 }).withMessage('Invalid version to compare with').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const diff = await quoteService.diffVersions(req.params.id, req.params.version, req.query.to ?? null);
+
+    if (!diff) {
+      return res.status(404).json({
+        error: 'Quote version not found'
+      });
+    }
+
+    res.json({ diff });
+
+  } catch (error) {
+    safeDebugError('Error comparing quote versions', error);
+    res.status(500).json({
+      error: 'Failed to compare quote versions'
+    });
+  }
+});
+
+// Submit a draft quote for approval - approvers are notified (staff only)
+router.post('/:id/submit-for-approval', requirePermission('quotes.write'), [
+  param('id').isAlphanumeric().withMessage('Invalid quote ID'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be less than 1000 characters'),
+
+  quoteVersionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await quoteApprovalService.submit(req.params.id, {
+      note: req.body.note || null,
+      version: req.body.version
+    }, req.user);
+
+    res.json({
+      success: true,
+      quote: approvalSummary(quote),
+      message: 'Quote submitted for approval'
+    });
+
+  } catch (error) {
+    if (sendApprovalError(res, error)) return;
+
+    safeDebugError('Error submitting quote for approval', error);
+    res.status(500).json({
+      error: 'Failed to submit quote for approval'
+    });
+  }
+});
+
+// Approve a quote - over the threshold only an approver who did not create, revise or submit it may (staff only)
+router.post('/:id/approve', requirePermission('quotes.approve'), [
+  param('id').isAlphanumeric().withMessage('Invalid quote ID'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be less than 1000 characters'),
+
+  quoteVersionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await quoteApprovalService.approve(req.params.id, {
+      note: req.body.note || null,
+      version: req.body.version
+    }, req.user);
+
+    res.json({
+      success: true,
+      quote: approvalSummary(quote),
+      message: 'Quote approved'
+    });
+
+  } catch (error) {
+    if (sendApprovalError(res, error)) return;
+
+    safeDebugError('Error approving quote', error);
+    res.status(500).json({
+      error: 'Failed to approve quote'
+    });
+  }
+});
+
+// Send a quote pending approval back to draft with a reason (approvers only)
+router.post('/:id/reject', requirePermission('quotes.approve'), [
+  param('id').isAlphanumeric().withMessage('Invalid quote ID'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 1000 })
+    .withMessage('Rejection reason must be between 3 and 1000 characters'),
+
+  quoteVersionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await quoteApprovalService.reject(req.params.id, {
+      reason: req.body.reason,
+      version: req.body.version
+    }, req.user);
+
+    res.json({
+      success: true,
+      quote: approvalSummary(quote),
+      message: 'Quote sent back to draft'
+    });
+
+  } catch (error) {
+    if (sendApprovalError(res, error)) return;
+
+    safeDebugError('Error rejecting quote approval', error);
+    res.status(500).json({
+      error: 'Failed to reject quote'
+    });
+  }
+});
+
+// A quote's approval log - submissions, approvals and rejections, oldest first (staff only)
+router.get('/:id/approvals', requirePermission('quotes.read'), [
+  param('id').isAlphanumeric().withMessage('Invalid quote ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const quote = await getDocument('quotes', req.params.id, false);
+
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Quote not found'
+      });
+    }
+
+    const approvals = await quoteApprovalService.listApprovals(req.params.id);
+
+    res.json({
+      status: quote.status,
+      requiresApproval: await quoteApprovalService.requiresApproval(quote.totalAmount),
+      approvals
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving quote approvals', error);
+    res.status(500).json({
+      error: 'Failed to retrieve quote approvals'
+    });
+  }
+});
+
 // Send quote to customer (staff only)
-router.post('/:id/send', [
+router.post('/:id/send', requirePermission('quotes.write'), [
   param('id').isAlphanumeric().withMessage('Invalid quote ID'),
   
   body('emailMessage')
@@ -425,17 +1031,15 @@ router.post('/:id/send', [
   body('includePDF')
     .optional()
     .isBoolean()
-    .withMessage('Include PDF must be a boolean')
+    .withMessage('Include PDF must be a boolean'),
+
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a quote version number')
+    .toInt()
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Manager access required to send quotes'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -444,7 +1048,8 @@ router.post('/:id/send', [
       });
     }
 
-    const quote = await getDocument('quotes', req.params.id);
+    // Read fresh - a cached copy could be a version that has since been revised
+    const quote = await getDocument('quotes', req.params.id, false);
 
     if (!quote) {
       return res.status(404).json({
@@ -452,29 +1057,34 @@ router.post('/:id/send', [
       });
     }
 
+    if (req.body.version !== undefined && req.body.version !== (quote.version || 1)) {
+      return res.status(409).json({
+        error: 'Quote has been revised since that version',
+        currentVersion: quote.version || 1
+      });
+    }
+
     if (quote.status !== 'approved') {
       return res.status(400).json({
         error: 'Quote must be approved before sending'
       });
     }
 
+    // The customer accepts through a tokenised link to the PDF of this version
+    const quoteAcceptanceService = require('../services/quoteAcceptanceService');
+    const acceptanceLink = await quoteAcceptanceService.prepareLink(quote);
+
     // Send quote email
     const emailService = require('../services/emailService');
     const result = await emailService.sendQuoteEmail(quote, {
       customMessage: req.body.emailMessage,
       includePDF: req.body.includePDF !== false,
-      sentBy: req.user.email
+      sentBy: req.user.email,
+      acceptanceUrl: acceptanceLink.url
     });
 
-    // Update quote status
-    const db = getDb();
-    await db.collection('quotes').doc(req.params.id).update({
-      status: 'sent',
-      sentAt: new Date(),
-      sentBy: req.user.uid,
-      emailsSent: (quote.emailsSent || 0) + 1,
-      updatedAt: new Date()
-    });
+    // The link goes live with the status change
+    await quoteService.markSent(req.params.id, quote.version || 1, acceptanceLink.acceptanceAccess, req.user);
 
     safeDebugLog('Quote sent to customer', {
       id: req.params.id,
@@ -487,10 +1097,19 @@ router.post('/:id/send', [
     res.json({
       success: true,
       message: 'Quote sent successfully',
-      messageId: result.messageId
+      messageId: result.messageId,
+      acceptanceLinkExpiresAt: acceptanceLink.expiresAt
     });
 
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        error: error.message,
+        currentVersion: error.currentVersion,
+        allowedTransitions: error.allowedTransitions
+      });
+    }
+
     safeDebugError('Error sending quote', error);
     res.status(500).json({
       error: 'Failed to send quote'
@@ -499,101 +1118,37 @@ router.post('/:id/send', [
 });
 
 // Helper functions
-function generateQuoteNumber() {
-  const prefix = 'Q';
-  const year = new Date().getFullYear();
-  const timestamp = Date.now().toString().slice(-6);
-  return `${prefix}${year}${timestamp}`;
-}
-
-function calculateExpiryDate() {
-  const expiryDate = new Date();
-  expiryDate.setDate(expiryDate.getDate() + 30); // 30 days validity
-  return expiryDate;
-}
-
-async function calculateQuoteAmounts(removalDetails) {
-  const {
-    foamType,
-    estimatedArea,
-    accessDifficulty,
-    urgency = 'standard'
-  } = removalDetails;
-
-  // Base rates per square meter
-  const baseRates = {
-    'open-cell': 25,
-    'closed-cell': 35,
-    'mixed': 30
-  };
-
-  // Difficulty multipliers
-  const difficultyMultipliers = {
-    'easy': 1.0,
-    'moderate': 1.2,
-    'difficult': 1.5,
-    'extreme': 2.0
-  };
-
-  // Urgency multipliers
-  const urgencyMultipliers = {
-    'standard': 1.0,
-    'urgent': 1.3,
-    'emergency': 1.6
-  };
-
-  const baseRate = baseRates[foamType] || 30;
-  const difficultyMultiplier = difficultyMultipliers[accessDifficulty] || 1.2;
-  const urgencyMultiplier = urgencyMultipliers[urgency] || 1.0;
-
-  const subtotal = estimatedArea * baseRate * difficultyMultiplier * urgencyMultiplier;
-  
-  // Additional costs
-  const disposalFee = estimatedArea * 2; // £2 per sq meter disposal
-  const travelCosts = calculateTravelCosts(estimatedArea);
-  
-  const netAmount = subtotal + disposalFee + travelCosts;
-  const vatAmount = netAmount * 0.20; // 20% VAT
-  const totalAmount = netAmount + vatAmount;
-
+function approvalSummary(quote) {
   return {
-    calculations: {
-      baseRate,
-      estimatedArea,
-      difficultyMultiplier,
-      urgencyMultiplier,
-      subtotal,
-      disposalFee,
-      travelCosts,
-      netAmount,
-      vatAmount,
-      totalAmount
-    },
-    subtotal,
-    netAmount,
-    vatAmount,
-    totalAmount: Math.round(totalAmount * 100) / 100 // Round to 2 decimal places
+    id: quote.id,
+    quoteNumber: quote.quoteNumber,
+    version: quote.version || 1,
+    status: quote.status,
+    totalAmount: quote.totalAmount,
+    requiresApproval: quote.requiresApproval
   };
 }
 
-function calculateTravelCosts(area) {
-  // Basic travel cost calculation
-  if (area < 50) return 50;
-  if (area < 100) return 75;
-  if (area < 200) return 100;
-  return 150;
-}
+// Responds for the approval service's known errors - returns false for anything else
+function sendApprovalError(res, error) {
+  if (error.code === 'validation-failed') {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: error.details
+    });
+    return true;
+  }
+
+  if ([403, 404, 409].includes(error.status)) {
+    res.status(error.status).json({
+      error: error.message,
+      ...(error.currentVersion ? { currentVersion: error.currentVersion } : {}),
+      ...(error.allowedTransitions ? { allowedTransitions: error.allowedTransitions } : {})
+    });
+    return true;
+  }
 
-function getDefaultTerms() {
-  return [
-    'Quote valid for 30 days from date of issue',
-    'Payment terms: 25% deposit required, balance on completion',
-    'All prices include VAT at current rate',
-    'Site survey may be required for large or complex projects',
-    'Additional costs may apply for unexpected complications',
-    'Disposal fees included in quoted price',
-    'Public liability insurance included'
-  ];
+  return false;
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Reports API Routes
+ * Operational reporting for managers
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import utilities
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { requirePermission } = require('../middleware/permissions');
+const { getPage } = require('../../shared/utils/BatchQueryService');
+const { paginationValidation, buildPageParams } = require('../utils/pagination');
+const slaService = require('../services/slaService');
+const retentionService = require('../services/retentionService');
+
+// Default reporting window when no dates are given
+const DEFAULT_REPORT_DAYS = 30;
+
+// Inquiry follow-up SLA compliance (admin/manager)
+router.get('/sla', requirePermission('reports.read'), [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({
+        error: 'From date must be before to date'
+      });
+    }
+
+    const report = await slaService.getComplianceReport({ from, to });
+
+    safeDebugLog('SLA report generated', {
+      requestedBy: req.user.email,
+      from: report.period.from,
+      to: report.period.to,
+      total: report.overall.total
+    });
+
+    res.json({ report });
+
+  } catch (error) {
+    safeDebugError('Error generating SLA report', error);
+    res.status(500).json({
+      error: 'Failed to generate SLA report'
+    });
+  }
+});
+
+// Data retention purge reports, newest first (admin/manager)
+router.get('/retention', requirePermission('reports.read'), paginationValidation(['startedAt']), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const pageParams = buildPageParams(req.query, [], {
+      sortBy: 'startedAt',
+      sortOrder: 'desc'
+    });
+
+    const { items, nextCursor, total } = await getPage(retentionService.REPORT_COLLECTION, pageParams, false);
+
+    res.json({ items, nextCursor, total });
+
+  } catch (error) {
+    if (error.code === 'invalid-cursor') {
+      return res.status(400).json({
+        error: 'Invalid pagination cursor'
+      });
+    }
+
+    safeDebugError('Error retrieving retention reports', error);
+    res.status(500).json({
+      error: 'Failed to retrieve retention reports'
+    });
+  }
+});
+
+module.exports = router;
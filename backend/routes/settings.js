@@ -0,0 +1,499 @@
+/**
+ * Settings API Routes
+ * Admin-editable configuration stored in the settings collection
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import utilities
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { requirePermission } = require('../middleware/permissions');
+const { ROLE_PERMISSIONS } = require('../../shared/auth/authManager');
+const permissionService = require('../services/permissionService');
+const leadScoringService = require('../services/leadScoringService');
+const assignmentService = require('../services/assignmentService');
+const retentionService = require('../services/retentionService');
+const sequenceService = require('../services/sequenceService');
+const pricingService = require('../services/pricingService');
+const quoteApprovalService = require('../services/quoteApprovalService');
+const slaService = require('../services/slaService');
+
+// Get effective role permissions (admin/manager)
+router.get('/permissions', requirePermission('settings.read'), async (req, res) => {
+  try {
+    const roles = await permissionService.getRolePermissions();
+
+    res.json({
+      roles,
+      defaults: ROLE_PERMISSIONS
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving permissions', error);
+    res.status(500).json({
+      error: 'Failed to retrieve permissions'
+    });
+  }
+});
+
+// Replace role permission overrides (admin only)
+router.put('/permissions', requirePermission('settings.write'), [
+  body('roles')
+    .isObject()
+    .withMessage('Roles must be an object of role name to permission list')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const problems = permissionService.validateRoles(req.body.roles);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    // Guard against an admin removing their own ability to fix the map
+    const ownRole = req.body.roles[req.user.role];
+    if (ownRole && !ownRole.includes('settings.write')) {
+      return res.status(400).json({
+        error: 'You cannot remove settings.write from your own role'
+      });
+    }
+
+    const roles = await permissionService.updateRoles(req.body.roles, req.user);
+
+    safeDebugLog('Permission settings saved', {
+      updatedBy: req.user.email,
+      roles: Object.keys(req.body.roles)
+    });
+
+    res.json({
+      success: true,
+      roles
+    });
+
+  } catch (error) {
+    safeDebugError('Error updating permissions', error);
+    res.status(500).json({
+      error: 'Failed to update permissions'
+    });
+  }
+});
+
+// Get effective lead scoring weights (admin/manager)
+router.get('/lead-scoring', requirePermission('settings.read'), async (req, res) => {
+  try {
+    const weights = await leadScoringService.getWeights();
+
+    res.json({
+      weights,
+      defaults: leadScoringService.DEFAULT_WEIGHTS
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving lead scoring weights', error);
+    res.status(500).json({
+      error: 'Failed to retrieve lead scoring weights'
+    });
+  }
+});
+
+// Replace lead scoring weight overrides (admin only)
+// Only new inquiries are scored with the updated weights
+router.put('/lead-scoring', requirePermission('settings.write'), [
+  body('weights')
+    .isObject()
+    .withMessage('Weights must be an object of factor name to settings')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const problems = leadScoringService.validateWeights(req.body.weights);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const weights = await leadScoringService.updateWeights(req.body.weights, req.user);
+
+    safeDebugLog('Lead scoring settings saved', {
+      updatedBy: req.user.email,
+      factors: Object.keys(req.body.weights)
+    });
+
+    res.json({
+      success: true,
+      weights
+    });
+
+  } catch (error) {
+    safeDebugError('Error updating lead scoring weights', error);
+    res.status(500).json({
+      error: 'Failed to update lead scoring weights'
+    });
+  }
+});
+
+// Score inquiries saved before lead scoring (admin only)
+// Without a score they drop out of the inquiry list when it is sorted by score
+router.post('/lead-scoring/backfill', requirePermission('settings.write'), async (req, res) => {
+  try {
+    const result = await leadScoringService.backfillScores(req.user);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    safeDebugError('Error backfilling lead scores', error);
+    res.status(500).json({
+      error: 'Failed to backfill lead scores'
+    });
+  }
+});
+
+// Flag inquiries saved before SLA escalation tracking (admin only)
+// Without the flag overdue inquiries are never escalated
+router.post('/sla/backfill', requirePermission('settings.write'), async (req, res) => {
+  try {
+    const result = await slaService.backfillEscalationFlags(req.user);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    safeDebugError('Error backfilling SLA escalation flags', error);
+    res.status(500).json({
+      error: 'Failed to backfill SLA escalation flags'
+    });
+  }
+});
+
+// Get inquiry auto-assignment rules (admin/manager)
+router.get('/assignment', requirePermission('settings.read'), async (req, res) => {
+  try {
+    const rules = await assignmentService.getRules();
+
+    res.json({
+      rules,
+      defaults: assignmentService.DEFAULT_RULES
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving assignment rules', error);
+    res.status(500).json({
+      error: 'Failed to retrieve assignment rules'
+    });
+  }
+});
+
+// Replace inquiry auto-assignment rules (admin only)
+router.put('/assignment', requirePermission('settings.write'), [
+  body('rules')
+    .isObject()
+    .withMessage('Rules must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const problems = assignmentService.validateRules(req.body.rules);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const rules = await assignmentService.updateRules(req.body.rules, req.user);
+
+    res.json({
+      success: true,
+      rules
+    });
+
+  } catch (error) {
+    safeDebugError('Error updating assignment rules', error);
+    res.status(500).json({
+      error: 'Failed to update assignment rules'
+    });
+  }
+});
+
+// Get data retention rules (admin/manager)
+router.get('/retention', requirePermission('settings.read'), async (req, res) => {
+  try {
+    const rules = await retentionService.getRules();
+
+    res.json({
+      rules,
+      defaults: retentionService.DEFAULT_RULES,
+      targets: Object.fromEntries(Object.entries(retentionService.TARGETS).map(([name, target]) => [name, {
+        ageFields: target.ageFields,
+        matchFields: target.matchFields,
+        redactableFields: target.redactableFields
+      }]))
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving retention rules', error);
+    res.status(500).json({
+      error: 'Failed to retrieve retention rules'
+    });
+  }
+});
+
+// Replace data retention rules (admin only)
+router.put('/retention', requirePermission('settings.write'), [
+  body('rules')
+    .isArray()
+    .withMessage('Rules must be a list')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const problems = retentionService.validateRules(req.body.rules);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const rules = await retentionService.updateRules(req.body.rules, req.user);
+
+    res.json({
+      success: true,
+      rules
+    });
+
+  } catch (error) {
+    safeDebugError('Error updating retention rules', error);
+    res.status(500).json({
+      error: 'Failed to update retention rules'
+    });
+  }
+});
+
+// Dry run the retention rules - reports what the nightly purge would do (admin only)
+router.post('/retention/preview', requirePermission('settings.write'), async (req, res) => {
+  try {
+    const report = await retentionService.runRetention({ dryRun: true, triggeredBy: req.user });
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    safeDebugError('Error previewing retention rules', error);
+    res.status(500).json({
+      error: 'Failed to preview retention rules'
+    });
+  }
+});
+
+// Get reference number formats (admin/manager)
+router.get('/numbering', requirePermission('settings.read'), async (req, res) => {
+  try {
+    const formats = await sequenceService.getFormats();
+
+    res.json({
+      formats,
+      defaults: sequenceService.DEFAULT_FORMATS
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving number formats', error);
+    res.status(500).json({
+      error: 'Failed to retrieve number formats'
+    });
+  }
+});
+
+// Replace reference number formats (admin only)
+router.put('/numbering', requirePermission('settings.write'), [
+  body('formats')
+    .isObject()
+    .withMessage('Formats must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const problems = sequenceService.validateFormats(req.body.formats);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const formats = await sequenceService.updateFormats(req.body.formats, req.user);
+
+    res.json({
+      success: true,
+      formats
+    });
+
+  } catch (error) {
+    safeDebugError('Error updating number formats', error);
+    res.status(500).json({
+      error: 'Failed to update number formats'
+    });
+  }
+});
+
+// Get quote approval rules (admin/manager)
+router.get('/approvals', requirePermission('settings.read'), async (req, res) => {
+  try {
+    const rules = await quoteApprovalService.getRules();
+
+    res.json({
+      rules,
+      defaults: quoteApprovalService.DEFAULT_RULES
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving approval rules', error);
+    res.status(500).json({
+      error: 'Failed to retrieve approval rules'
+    });
+  }
+});
+
+// Replace quote approval rules - the threshold above which quotes need an approver (admin only)
+router.put('/approvals', requirePermission('settings.write'), [
+  body('rules')
+    .isObject()
+    .withMessage('Rules must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const problems = quoteApprovalService.validateRules(req.body.rules);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const rules = await quoteApprovalService.updateRules(req.body.rules, req.user);
+
+    res.json({
+      success: true,
+      rules
+    });
+
+  } catch (error) {
+    safeDebugError('Error updating approval rules', error);
+    res.status(500).json({
+      error: 'Failed to update approval rules'
+    });
+  }
+});
+
+// Get quote rate cards - every published version and the one in force (admin/manager)
+router.get('/pricing', requirePermission('settings.read'), async (req, res) => {
+  try {
+    const [rateCards, current] = await Promise.all([
+      pricingService.getRateCards(),
+      pricingService.getRateCard()
+    ]);
+
+    res.json({
+      rateCards,
+      currentVersion: current.version,
+      defaults: pricingService.DEFAULT_RATE_CARD
+    });
+
+  } catch (error) {
+    safeDebugError('Error retrieving rate cards', error);
+    res.status(500).json({
+      error: 'Failed to retrieve rate cards'
+    });
+  }
+});
+
+// Publish a new rate card version - published versions are never edited (admin only)
+router.post('/pricing/rate-cards', requirePermission('settings.write'), [
+  body('rateCard')
+    .isObject()
+    .withMessage('Rate card must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const problems = pricingService.validateRateCard(req.body.rateCard);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    const rateCard = await pricingService.publishRateCard(req.body.rateCard, req.user);
+
+    res.status(201).json({
+      success: true,
+      rateCard
+    });
+
+  } catch (error) {
+    safeDebugError('Error publishing rate card', error);
+    res.status(500).json({
+      error: 'Failed to publish rate card'
+    });
+  }
+});
+
+module.exports = router;
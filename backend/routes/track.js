@@ -0,0 +1,86 @@
+/**
+ * Inquiry Tracking API Routes
+ * Public self-service status lookup by reference number
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { query, param, oneOf, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import utilities
+const { safeDebugError } = require('../../shared/utils/errorHandler');
+const trackingService = require('../services/trackingService');
+
+// References are sequential, so lookups get a tight limit against guessing
+const trackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 lookups per 15 minutes
+  message: {
+    error: 'Too many requests from this IP, please try again later',
+    retryAfter: 900 // 15 minutes in seconds
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(trackLimiter);
+
+// Track an inquiry (public endpoint - needs the submitter's email or postcode)
+router.get('/:referenceNumber', [
+  param('referenceNumber')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9-]{6,30}$/)
+    .withMessage('Invalid reference number'),
+
+  query('email')
+    .optional()
+    .isEmail()
+    .withMessage('Valid email address is required'),
+
+  query('postcode')
+    .optional()
+    .isPostalCode('GB')
+    .withMessage('Valid UK postcode is required'),
+
+  oneOf([
+    query('email').notEmpty(),
+    query('postcode').notEmpty()
+  ], { message: 'Email or postcode is required' })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const inquiry = await trackingService.findInquiry(req.params.referenceNumber, {
+      email: req.query.email,
+      postcode: req.query.postcode
+    });
+
+    // Same response for unknown references and wrong details
+    if (!inquiry) {
+      return res.status(404).json({
+        error: 'No inquiry found for those details'
+      });
+    }
+
+    const tracking = await trackingService.getTrackingView(inquiry);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ tracking });
+
+  } catch (error) {
+    safeDebugError('Error tracking inquiry', error);
+    res.status(500).json({
+      error: 'Failed to retrieve inquiry status'
+    });
+  }
+});
+
+module.exports = router;
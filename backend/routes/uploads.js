@@ -5,7 +5,8 @@
 
 const express = require('express');
 const multer = require('multer');
-const { body, validationResult, param } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { validationResult, param } = require('express-validator');
 const router = express.Router();
 const admin = require('firebase-admin');
 const sharp = require('sharp');
@@ -14,7 +15,13 @@ const path = require('path');
 // Import utilities
 const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
 const { getDb } = require('../../shared/config/firebaseConfig');
-const { hasAnyRole } = require('../../shared/auth/authManager');
+const { requirePermission, ownership } = require('../middleware/permissions');
+const { getPage } = require('../../shared/utils/BatchQueryService');
+const { paginationValidation, buildPageParams } = require('../utils/pagination');
+const attachmentService = require('../services/attachmentService');
+
+// Fields staff may sort the upload list by
+const UPLOAD_SORT_FIELDS = ['uploadedAt', 'size', 'category'];
 
 // File upload configuration
 const upload = multer({
@@ -38,6 +45,34 @@ const upload = multer({
   }
 });
 
+// Customer attachments on the public forms - images and PDFs only
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentService.MAX_FILE_SIZE,
+    files: attachmentService.MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (attachmentService.ALLOWED_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type ${file.mimetype} not allowed - attach photos or PDFs`), false);
+    }
+  }
+});
+
+// Public attachment uploads are cheap to abuse, so they get their own tighter limit
+const attachmentLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 upload requests per hour
+  message: {
+    error: 'Too many uploads from this IP, please try again later',
+    retryAfter: 3600 // 1 hour in seconds
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Get storage bucket
 function getStorageBucket() {
   return admin.storage().bucket();
@@ -80,16 +115,8 @@ function getAllowedFileTypes(category) {
 }
 
 // Upload files (staff only)
-router.post('/:category', upload.array('files', 10), async (req, res) => {
+router.post('/:category', requirePermission('uploads.write'), upload.array('files', 10), async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         error: 'No files provided'
@@ -226,57 +253,144 @@ router.post('/:category', upload.array('files', 10), async (req, res) => {
   }
 });
 
-// Get uploaded files (staff only)
-router.get('/', async (req, res) => {
+// Attach photos or a survey report to a just-submitted inquiry (public endpoint)
+// The X-Upload-Token header carries the token returned when the inquiry was submitted
+router.post('/inquiries/:inquiryId', attachmentLimiter, [
+  param('inquiryId').isAlphanumeric().withMessage('Invalid inquiry ID')
+], async (req, res, next) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    const {
-      category,
-      uploadedBy,
-      limit = '50',
-      offset = '0',
-      sortBy = 'uploadedAt',
-      sortOrder = 'desc'
-    } = req.query;
+    // Check the token before buffering any file data
+    await attachmentService.authorizeUpload(req.params.inquiryId, req.get('X-Upload-Token'));
+    next();
 
-    const db = getDb();
-    let query = db.collection('uploads');
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
 
-    // Add filters
-    if (category) {
-      query = query.where('category', '==', category);
+    safeDebugError('Error authorising inquiry upload', error);
+    res.status(500).json({
+      error: 'Failed to upload files'
+    });
+  }
+}, (req, res, next) => {
+  attachmentUpload.array('files', attachmentService.MAX_FILES)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `Files must be smaller than ${attachmentService.MAX_FILE_SIZE / (1024 * 1024)}MB`
+          : error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files provided'
+      });
     }
-    if (uploadedBy) {
-      query = query.where('uploadedBy', '==', uploadedBy);
+
+    // Re-check with the file count now it is known
+    const inquiry = await attachmentService.authorizeUpload(
+      req.params.inquiryId, req.get('X-Upload-Token'), req.files.length
+    );
+
+    const files = [];
+    for (const file of req.files) {
+      const prepared = await prepareAttachment(file);
+
+      if (!prepared) {
+        return res.status(400).json({
+          error: `${file.originalname} could not be read - attach photos or PDFs`
+        });
+      }
+
+      files.push(prepared);
     }
 
-    // Add ordering and pagination
-    query = query.orderBy(sortBy, sortOrder)
-                 .limit(parseInt(limit))
-                 .offset(parseInt(offset));
+    const saved = await attachmentService.saveAttachments(inquiry, files, {
+      ipAddress: req.ip
+    });
 
-    const snapshot = await query.get();
-    const files = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    res.status(201).json({
+      success: true,
+      files: saved.map(file => ({
+        id: file.id,
+        originalName: file.originalName,
+        size: file.size,
+        mimetype: file.mimetype
+      })),
+      message: `${saved.length} file${saved.length === 1 ? '' : 's'} attached to your inquiry`
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    safeDebugError('Error uploading inquiry attachments', error);
+    res.status(500).json({
+      error: 'Failed to upload files'
+    });
+  }
+});
+
+// Get uploaded files (staff only)
+router.get('/', requirePermission('uploads.read'), paginationValidation(UPLOAD_SORT_FIELDS), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { category, uploadedBy } = req.query;
+
+    // Add filters
+    const whereConditions = [];
+    if (category) whereConditions.push(['category', '==', category]);
+    if (uploadedBy) whereConditions.push(['uploadedBy', '==', uploadedBy]);
+
+    const pageParams = buildPageParams(req.query, whereConditions, {
+      sortBy: 'uploadedAt',
+      sortOrder: 'desc'
+    });
+
+    // Upload listings change often, so skip the query cache
+    const { items, nextCursor, total } = await getPage('uploads', pageParams, false);
 
     safeDebugLog('Files retrieved', {
-      count: files.length,
+      count: items.length,
+      total,
       requestedBy: req.user.email,
       filters: { category, uploadedBy }
     });
 
-    res.json({ files });
+    res.json({ items, nextCursor, total });
 
   } catch (error) {
+    if (error.code === 'invalid-cursor') {
+      return res.status(400).json({
+        error: 'Invalid pagination cursor'
+      });
+    }
+
     safeDebugError('Error retrieving files', error);
     res.status(500).json({
       error: 'Failed to retrieve files'
@@ -285,18 +399,10 @@ router.get('/', async (req, res) => {
 });
 
 // Get specific file metadata (staff only)
-router.get('/:fileId', [
+router.get('/:fileId', requirePermission('uploads.read'), [
   param('fileId').isAlphanumeric().withMessage('Invalid file ID')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager', 'technician'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Staff access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -336,18 +442,10 @@ router.get('/:fileId', [
 });
 
 // Delete file (staff only)
-router.delete('/:fileId', [
+router.delete('/:fileId', requirePermission('uploads.delete'), [
   param('fileId').isAlphanumeric().withMessage('Invalid file ID')
 ], async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Manager access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -401,19 +499,11 @@ router.delete('/:fileId', [
 });
 
 // Upload profile image (own profile or admin)
-router.post('/profile/:userId', upload.single('profileImage'), async (req, res) => {
+router.post('/profile/:userId', requirePermission('users.write', {
+  owns: ownership.ownProfile,
+  message: 'You can only upload your own profile image'
+}), upload.single('profileImage'), async (req, res) => {
   try {
-    // Check permissions
-    const isOwnProfile = req.user && req.user.uid === req.params.userId;
-    const isAdmin = req.user && req.user.role === 'admin';
-    
-    if (!isOwnProfile && !isAdmin) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only upload your own profile image or need admin access'
-      });
-    }
-
     if (!req.file) {
       return res.status(400).json({
         error: 'No image file provided'
@@ -497,9 +587,6 @@ async function processImage(buffer, category) {
   try {
     let sharpInstance = sharp(buffer);
     
-    // Get image metadata
-    const metadata = await sharpInstance.metadata();
-    
     // Resize based on category
     switch (category) {
       case 'gallery':
@@ -514,6 +601,12 @@ async function processImage(buffer, category) {
           withoutEnlargement: true 
         });
         break;
+      case 'inquiries':
+        sharpInstance = sharpInstance.resize(1600, 1600, { 
+          fit: 'inside',
+          withoutEnlargement: true 
+        });
+        break;
       case 'profiles':
         sharpInstance = sharpInstance.resize(300, 300, { 
           fit: 'cover',
@@ -543,4 +636,22 @@ async function processImage(buffer, category) {
   }
 }
 
+// Re-encode customer images (dropping location metadata) and check PDFs really are PDFs
+// Returns null for anything that is not what it claims to be
+async function prepareAttachment(file) {
+  if (file.mimetype === 'application/pdf') {
+    return file.buffer.subarray(0, 5).toString('latin1') === '%PDF-'
+      ? { buffer: file.buffer, mimetype: file.mimetype, originalName: file.originalname }
+      : null;
+  }
+
+  // processImage hands back the original buffer when sharp cannot read it
+  const processedBuffer = await processImage(file.buffer, 'inquiries');
+  if (processedBuffer === file.buffer) {
+    return null;
+  }
+
+  return { buffer: processedBuffer, mimetype: 'image/jpeg', originalName: file.originalname };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -11,8 +11,21 @@ const admin = require('firebase-admin');
 // Import utilities
 const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
 const { getDb } = require('../../shared/config/firebaseConfig');
-const { hasAnyRole, USER_ROLES } = require('../../shared/auth/authManager');
-const { smartQuery, getDocument } = require('../../shared/utils/BatchQueryService');
+const { requirePermission, ownership } = require('../middleware/permissions');
+const permissionService = require('../services/permissionService');
+const { getPage, getDocument } = require('../../shared/utils/BatchQueryService');
+const { paginationValidation, buildPageParams } = require('../utils/pagination');
+
+// Fields admins may sort the user list by
+const USER_SORT_FIELDS = ['createdAt', 'lastLogin', 'name', 'email', 'role'];
+
+// Roles come from the effective permission map, so admin-added roles validate too
+async function isKnownRole(role) {
+  if (!(await permissionService.isKnownRole(role))) {
+    throw new Error('Unknown role');
+  }
+  return true;
+}
 
 // Validation rules for user creation
 const createUserValidation = [
@@ -27,7 +40,7 @@ const createUserValidation = [
     .withMessage('Name must be between 2 and 100 characters'),
   
   body('role')
-    .isIn(Object.values(USER_ROLES))
+    .custom(isKnownRole)
     .withMessage('Valid role is required'),
   
   body('phone')
@@ -48,31 +61,17 @@ const createUserValidation = [
 ];
 
 // Get all users (admin/manager only)
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('users.read'), paginationValidation(USER_SORT_FIELDS), async (req, res) => {
   try {
-    // Check permissions
-    if (!req.user || !hasAnyRole(['admin', 'manager'])) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin or manager access required'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    const {
-      role,
-      department,
-      status,
-      limit = '50',
-      offset = '0',
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build query parameters
-    const queryParams = {
-      orderBy: [[sortBy, sortOrder]],
-      limit: parseInt(limit)
-    };
+    const { role, department, status } = req.query;
 
     // Add filters
     const whereConditions = [];
@@ -80,15 +79,15 @@ router.get('/', async (req, res) => {
     if (department) whereConditions.push(['department', '==', department]);
     if (status) whereConditions.push(['status', '==', status]);
 
-    if (whereConditions.length > 0) {
-      queryParams.where = whereConditions;
-    }
+    const pageParams = buildPageParams(req.query, whereConditions, {
+      sortBy: 'createdAt',
+      sortOrder: 'desc'
+    });
 
-    // Use smart query with caching
-    const users = await smartQuery('users', queryParams);
+    const { items, nextCursor, total } = await getPage('users', pageParams, false);
 
     // Remove sensitive information
-    const safeUsers = users.map(user => ({
+    const safeUsers = items.map(user => ({
       uid: user.uid,
       email: user.email,
       name: user.name,
@@ -102,13 +101,20 @@ router.get('/', async (req, res) => {
 
     safeDebugLog('Users retrieved', {
       count: safeUsers.length,
+      total,
       requestedBy: req.user.email,
       filters: { role, department, status }
     });
 
-    res.json({ users: safeUsers });
+    res.json({ items: safeUsers, nextCursor, total });
 
   } catch (error) {
+    if (error.code === 'invalid-cursor') {
+      return res.status(400).json({
+        error: 'Invalid pagination cursor'
+      });
+    }
+
     safeDebugError('Error retrieving users', error);
     res.status(500).json({
       error: 'Failed to retrieve users'
@@ -117,20 +123,12 @@ router.get('/', async (req, res) => {
 });
 
 // Get specific user (admin/manager only, or own profile)
-router.get('/:uid', [
+router.get('/:uid', requirePermission('users.read', { owns: ownership.ownProfile }), [
   param('uid').isString().withMessage('Invalid user ID')
 ], async (req, res) => {
   try {
-    // Check permissions
-    const isOwnProfile = req.user && req.user.uid === req.params.uid;
-    const hasAdminAccess = req.user && hasAnyRole(['admin', 'manager']);
-    
-    if (!isOwnProfile && !hasAdminAccess) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only access your own profile or need admin access'
-      });
-    }
+    const isOwnProfile = req.user.uid === req.params.uid;
+    const hasAdminAccess = req.can('users.read');
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -185,16 +183,8 @@ router.get('/:uid', [
 });
 
 // Create new user (admin only)
-router.post('/', createUserValidation, async (req, res) => {
+router.post('/', requirePermission('users.manage'), createUserValidation, async (req, res) => {
   try {
-    // Check permissions - only admin can create users
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -291,7 +281,7 @@ router.post('/', createUserValidation, async (req, res) => {
 });
 
 // Update user (admin only, or own profile for limited fields)
-router.put('/:uid', [
+router.put('/:uid', requirePermission('users.write', { owns: ownership.ownProfile }), [
   param('uid').isString().withMessage('Invalid user ID'),
   
   body('name')
@@ -307,7 +297,7 @@ router.put('/:uid', [
   
   body('role')
     .optional()
-    .isIn(Object.values(USER_ROLES))
+    .custom(isKnownRole)
     .withMessage('Valid role is required'),
   
   body('department')
@@ -318,18 +308,27 @@ router.put('/:uid', [
   body('status')
     .optional()
     .isIn(['active', 'inactive', 'suspended'])
-    .withMessage('Invalid status')
+    .withMessage('Invalid status'),
+
+  // Inquiry auto-assignment skips unavailable staff and those at their cap
+  body('available')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Available must be true or false'),
+
+  body('unavailableUntil')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Unavailable until must be a valid date'),
+
+  body('maxOpenInquiries')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Max open inquiries must be between 1 and 500')
 ], async (req, res) => {
   try {
-    const isOwnProfile = req.user && req.user.uid === req.params.uid;
-    const isAdmin = req.user && req.user.role === 'admin';
-    
-    if (!isOwnProfile && !isAdmin) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only update your own profile or need admin access'
-      });
-    }
+    const isOwnProfile = req.user.uid === req.params.uid;
+    const isAdmin = req.can('users.manage');
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -352,8 +351,8 @@ router.put('/:uid', [
 
     // Prepare update data
     const allowedFields = isAdmin 
-      ? ['name', 'phone', 'role', 'department', 'status']
-      : ['name', 'phone']; // Non-admins can only update limited fields
+      ? ['name', 'phone', 'role', 'department', 'status', 'available', 'unavailableUntil', 'maxOpenInquiries']
+      : ['name', 'phone', 'available', 'unavailableUntil']; // Non-admins can only update limited fields
 
     const updateData = {};
     allowedFields.forEach(field => {
@@ -362,6 +361,10 @@ router.put('/:uid', [
       }
     });
 
+    if (updateData.unavailableUntil) {
+      updateData.unavailableUntil = new Date(updateData.unavailableUntil);
+    }
+
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         error: 'No valid fields to update'
@@ -410,7 +413,7 @@ router.put('/:uid', [
 });
 
 // Deactivate user (admin only)
-router.post('/:uid/deactivate', [
+router.post('/:uid/deactivate', requirePermission('users.manage'), [
   param('uid').isString().withMessage('Invalid user ID'),
   
   body('reason')
@@ -419,14 +422,6 @@ router.post('/:uid/deactivate', [
     .withMessage('Reason must be less than 500 characters')
 ], async (req, res) => {
   try {
-    // Check permissions - only admin can deactivate users
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -489,18 +484,10 @@ router.post('/:uid/deactivate', [
 });
 
 // Reactivate user (admin only)
-router.post('/:uid/reactivate', [
+router.post('/:uid/reactivate', requirePermission('users.manage'), [
   param('uid').isString().withMessage('Invalid user ID')
 ], async (req, res) => {
   try {
-    // Check permissions - only admin can reactivate users
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -554,18 +541,10 @@ router.post('/:uid/reactivate', [
 });
 
 // Reset user password (admin only)
-router.post('/:uid/reset-password', [
+router.post('/:uid/reset-password', requirePermission('users.manage'), [
   param('uid').isString().withMessage('Invalid user ID')
 ], async (req, res) => {
   try {
-    // Check permissions - only admin can reset passwords
-    if (!req.user || req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin access required'
-      });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -0,0 +1,197 @@
+/**
+ * Canonical Inquiry Schema
+ * Accepts both the home-page quoteForm and the contactForm payloads
+ * (see handleQuoteSubmission / handleContactSubmission in frontend/assets/js/main.js)
+ * and normalises them into one stored shape.
+ */
+
+const Joi = require('joi');
+
+// Customer-facing urgency choices ("situations") and the priority level they imply
+const SITUATION_URGENCY = {
+  planning: 'low',
+  mortgage: 'high',
+  'mortgage-pending': 'high',
+  sale: 'urgent',
+  insurance: 'high',
+  emergency: 'urgent'
+};
+
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+const PROPERTY_TYPES = [
+  'detached', 'semi-detached', 'terraced', 'bungalow', 'flat',
+  'residential', 'commercial', 'industrial', 'other'
+];
+
+const FOAM_TYPES = ['open-cell', 'closed-cell', 'mixed', 'unknown'];
+const FOAM_LOCATIONS = ['roof', 'walls', 'floor', 'unsure'];
+const FOAM_AGES = ['recent', '1-3years', '3-5years', '5-10years', 'over10', 'unknown'];
+
+const ISSUES = [
+  'mortgage-rejection', 'insurance-issue', 'sale-issue',
+  'valuation-issue', 'survey-issue', 'planning'
+];
+
+// UK postcode, e.g. "SW1A 1AA" - matched loosely then normalised
+const POSTCODE_PATTERN = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+
+// Empty strings from unselected <select> elements mean "not provided"
+const optionalString = () => Joi.string().trim().empty('').allow(null);
+
+// Checkbox groups arrive as a single value when only one box is ticked
+const checkboxGroup = (values) => Joi.array()
+  .items(Joi.string().valid(...values))
+  .single()
+  .default([]);
+
+// One marketing touch captured by the site (see captureAttribution in main.js)
+// Over-long values are cut down rather than rejecting the lead
+const attributionTouch = Joi.object({
+  utmSource: optionalString().max(100).truncate(),
+  utmMedium: optionalString().max(100).truncate(),
+  utmCampaign: optionalString().max(200).truncate(),
+  utmTerm: optionalString().max(200).truncate(),
+  utmContent: optionalString().max(200).truncate(),
+  gclid: optionalString().max(200).truncate(),
+  referrer: optionalString().max(500).truncate(),
+  landingPage: optionalString().max(500).truncate(),
+  capturedAt: Joi.date().iso().empty('').allow(null).failover(null)
+});
+
+const inquirySchema = Joi.object({
+  // Contact details
+  firstName: optionalString().max(50),
+  lastName: optionalString().max(50),
+  name: optionalString().min(2).max(100),
+  email: Joi.string().trim().lowercase().email().max(254).required(),
+  phone: optionalString().pattern(/^[+\d\s()-]{10,20}$/).message('Valid UK phone number is required'),
+  preferredContact: Joi.string().valid('email', 'phone', 'either').default('email'),
+
+  // Property
+  address: optionalString().max(500),
+  postcode: optionalString().pattern(POSTCODE_PATTERN).message('Valid UK postcode is required'),
+  propertyType: optionalString().valid(...PROPERTY_TYPES),
+
+  // Foam
+  foamType: optionalString().valid(...FOAM_TYPES),
+  estimatedArea: Joi.number().min(1).max(10000).empty('').allow(null),
+  foamLocation: checkboxGroup(FOAM_LOCATIONS),
+  foamAge: optionalString().valid(...FOAM_AGES),
+  issues: checkboxGroup(ISSUES),
+
+  // Request
+  urgency: optionalString().valid(...URGENCY_LEVELS, ...Object.keys(SITUATION_URGENCY)),
+  subject: optionalString().max(200),
+  message: optionalString().max(2000),
+
+  // Marketing attribution - first and last touch before the submission
+  attribution: Joi.object({
+    firstTouch: attributionTouch.allow(null),
+    lastTouch: attributionTouch.allow(null)
+  }).allow(null),
+
+  consent: Joi.boolean().truthy('on', 'yes').valid(true).required()
+    .messages({ 'any.only': 'Consent is required to process the inquiry' })
+})
+  // Bracketed names are what a non-JS form post sends for checkbox groups
+  .rename('foamLocation[]', 'foamLocation', { ignoreUndefined: true })
+  .rename('issues[]', 'issues', { ignoreUndefined: true })
+  .or('name', 'firstName')
+  .messages({ 'object.missing': 'Name is required' });
+
+// Leads staff import from calls and shows - the customer never ticked the website box,
+// so consent is optional and recorded against the import instead, and a phone-only lead
+// from a call is as good as one with an email address
+const staffImportSchema = inquirySchema.keys({
+  email: Joi.string().trim().lowercase().email().max(254).empty('').allow(null),
+  consent: Joi.boolean().truthy('on', 'yes', 'y').falsy('no', 'n').default(false)
+})
+  .custom((value, helpers) => (value.email || value.phone ? value : helpers.message('Email or phone is required')));
+
+/**
+ * Validate a raw submission and return the canonical inquiry fields
+ * Pass staffImport for imported leads, which don't need the consent box
+ * Returns { value, errors } - errors is null when valid
+ */
+function validateInquiry(payload, { staffImport = false } = {}) {
+  const schema = staffImport ? staffImportSchema : inquirySchema;
+  const { value, error } = schema.validate(payload || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    return {
+      value: null,
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    };
+  }
+
+  return { value: normalizeInquiry(value), errors: null };
+}
+
+/**
+ * Derive canonical fields from a validated payload
+ */
+function normalizeInquiry(data) {
+  const name = data.name || `${data.firstName || ''} ${data.lastName || ''}`.trim();
+  const isContactForm = data.issues.length > 0 || data.foamLocation.length > 0 || Boolean(data.foamAge);
+
+  // Keep the customer's own choice and map it to a priority level
+  const situation = SITUATION_URGENCY[data.urgency] ? data.urgency : null;
+  const urgency = situation ? SITUATION_URGENCY[situation] : (data.urgency || 'medium');
+
+  return {
+    ...data,
+    name,
+    firstName: data.firstName || name.split(' ')[0],
+    lastName: data.lastName || name.split(' ').slice(1).join(' ') || null,
+    postcode: normalizePostcode(data.postcode || data.address),
+    urgency,
+    situation,
+    subject: data.subject || (isContactForm ? 'Contact Form Submission' : 'Quote Request'),
+    formType: isContactForm ? 'contact' : 'quote'
+  };
+}
+
+/**
+ * Extract and format a UK postcode ("sw1a1aa" -> "SW1A 1AA")
+ */
+function normalizePostcode(text) {
+  if (!text) {
+    return null;
+  }
+
+  const match = String(text).match(POSTCODE_PATTERN);
+  return match ? `${match[1]} ${match[2]}`.toUpperCase() : null;
+}
+
+/**
+ * Reduce a UK phone number to national digits for matching
+ * "+44 (0)7700 900123" and "07700900123" compare equal
+ */
+function normalizePhone(phone) {
+  if (!phone) {
+    return null;
+  }
+
+  const digits = String(phone).replace(/\(0\)/, '').replace(/\D/g, '');
+  const national = digits.startsWith('44') ? `0${digits.slice(2)}` : digits;
+  return national.length >= 10 ? national : null;
+}
+
+module.exports = {
+  validateInquiry,
+  normalizePostcode,
+  normalizePhone,
+  SITUATION_URGENCY,
+  URGENCY_LEVELS,
+  PROPERTY_TYPES,
+  FOAM_TYPES,
+  ISSUES
+};
@@ -0,0 +1,200 @@
+/**
+ * Inquiry Activity Service
+ * Timeline of calls, emails, notes, status and assignment changes kept under inquiries/{id}/activities
+ */
+
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+
+// "@jane" matches the part of a staff email before the @, "@jane@example.com" the whole address
+const MENTION_PATTERN = /(^|[^\w.])@([a-z0-9._%+-]+(?:@[a-z0-9.-]+\.[a-z]{2,})?)/gi;
+
+class ActivityService {
+  constructor() {
+    // Configuration
+    this.MAX_MENTIONS = 10;
+
+    // Activities staff log by hand - status_change and assignment are recorded by the system
+    this.LOGGED_TYPES = ['call', 'email', 'note'];
+  }
+
+  /**
+   * Activities collection for one inquiry
+   */
+  collectionPath(inquiryId) {
+    return `inquiries/${inquiryId}/activities`;
+  }
+
+  /**
+   * Log a call, email or note against an inquiry and notify anyone @mentioned
+   */
+  async addActivity(inquiryId, { type, body, direction = null, outcome = null }, author) {
+    const db = getDb();
+    const inquiryDoc = await db.collection('inquiries').doc(inquiryId).get();
+
+    if (!inquiryDoc.exists) {
+      const error = new Error('Inquiry not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const inquiry = { id: inquiryId, ...inquiryDoc.data() };
+    const mentionedUsers = await this.resolveMentions(body, author.uid);
+
+    const activityData = {
+      type,
+      body,
+      direction,
+      outcome,
+      mentions: mentionedUsers.map(user => user.uid),
+      authorId: author.uid,
+      authorName: author.email,
+      createdAt: new Date()
+    };
+
+    const docRef = await db.collection(this.collectionPath(inquiryId)).add(activityData);
+    activityData.id = docRef.id;
+
+    await db.collection('inquiries').doc(inquiryId).update({
+      lastActivityAt: activityData.createdAt
+    });
+
+    safeDebugLog('Inquiry activity added', {
+      inquiryId,
+      activityId: docRef.id,
+      type,
+      mentions: activityData.mentions.length,
+      author: author.email
+    });
+
+    await this.notifyMentions(inquiry, activityData, mentionedUsers);
+
+    return activityData;
+  }
+
+  /**
+   * Record a system event on the timeline
+   * Failures are logged - the change it describes has already been saved
+   */
+  async recordEvent(inquiryId, type, body, data, changedBy) {
+    try {
+      await getDb().collection(this.collectionPath(inquiryId)).add({
+        type,
+        body,
+        data,
+        mentions: [],
+        authorId: changedBy ? changedBy.uid : 'system',
+        authorName: changedBy ? changedBy.email : 'System',
+        createdAt: new Date()
+      });
+    } catch (error) {
+      safeDebugError(`Error recording inquiry ${type} activity`, error);
+    }
+  }
+
+  /**
+   * Record a status change on the timeline
+   */
+  async recordStatusChange(inquiryId, fromStatus, toStatus, changedBy) {
+    await this.recordEvent(
+      inquiryId,
+      'status_change',
+      `Status changed from ${fromStatus} to ${toStatus}`,
+      { from: fromStatus, to: toStatus },
+      changedBy
+    );
+  }
+
+  /**
+   * Record an assignment change on the timeline
+   */
+  async recordAssignment(inquiryId, { assignedTo, previousAssignee, method }, changedBy) {
+    await this.recordEvent(
+      inquiryId,
+      'assignment',
+      assignedTo ? `Assigned to ${assignedTo} (${method})` : 'Unassigned',
+      { assignedTo, previousAssignee, method },
+      changedBy
+    );
+  }
+
+  /**
+   * Find the active staff members @mentioned in some text
+   */
+  async resolveMentions(text, authorId) {
+    const handles = extractMentions(text);
+
+    if (handles.length === 0) {
+      return [];
+    }
+
+    const staffSnapshot = await getDb()
+      .collection('users')
+      .where('status', '==', 'active')
+      .get();
+
+    return staffSnapshot.docs
+      .map(doc => ({ uid: doc.id, ...doc.data() }))
+      .filter(user => user.uid !== authorId && user.email)
+      .filter(user => {
+        const email = user.email.toLowerCase();
+        return handles.includes(email) || handles.includes(email.split('@')[0]);
+      })
+      .slice(0, this.MAX_MENTIONS);
+  }
+
+  /**
+   * Tell mentioned staff they were called into an inquiry
+   * One failed notification must not stop the others
+   */
+  async notifyMentions(inquiry, activityData, mentionedUsers) {
+    const notificationService = require('./notificationService');
+
+    for (const user of mentionedUsers) {
+      try {
+        await notificationService.sendNotification(user.uid, {
+          type: 'inquiry_mention',
+          title: 'You Were Mentioned on an Inquiry',
+          message: `${activityData.authorName} on ${inquiry.referenceNumber}: ${truncate(activityData.body, 140)}`,
+          priority: inquiry.priority || 'medium',
+          data: {
+            inquiryId: inquiry.id,
+            referenceNumber: inquiry.referenceNumber,
+            activityId: activityData.id,
+            activityType: activityData.type,
+            mentionedBy: activityData.authorId
+          },
+          actions: [
+            {
+              type: 'view',
+              label: 'View Inquiry',
+              url: `/admin/inquiries/${inquiry.id}`
+            }
+          ]
+        });
+      } catch (error) {
+        safeDebugError('Error notifying mentioned user', error);
+      }
+    }
+  }
+}
+
+// Helper functions
+function extractMentions(text) {
+  const handles = new Set();
+
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    handles.add(match[2].toLowerCase().replace(/[.]+$/, ''));
+  }
+
+  return [...handles];
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Create singleton instance
+const activityService = new ActivityService();
+
+module.exports = activityService;
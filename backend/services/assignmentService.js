@@ -0,0 +1,374 @@
+/**
+ * Inquiry Assignment Service
+ * Auto-assigns new inquiries by territory and round-robin within workload caps
+ */
+
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const SettingsBackedService = require('./settingsBackedService');
+const activityService = require('./activityService');
+const { toMillis } = require('../utils/dates');
+
+// Built-in rules - settings/assignment overrides these
+const DEFAULT_ASSIGNMENT_RULES = {
+  enabled: true,
+  eligibleRoles: ['manager', 'technician'],
+  maxOpenInquiries: 15,
+  // e.g. [{ name: 'Yorkshire', postcodeAreas: ['LS', 'BD'], staffIds: ['uid1'] }]
+  territories: []
+};
+
+// Inquiry statuses that count towards a staff member's workload
+const OPEN_STATUSES = ['assigned', 'in-progress', 'quoted', 'scheduled'];
+
+// Inquiries that can no longer be handed to anyone
+const CLOSED_STATUSES = ['cancelled', 'completed', 'spam', 'merged'];
+
+class AssignmentService extends SettingsBackedService {
+  constructor() {
+    super({ settingsDoc: 'assignment', field: 'rules', label: 'assignment' });
+
+    // Configuration
+    this.DEFAULT_RULES = DEFAULT_ASSIGNMENT_RULES;
+  }
+
+  /**
+   * Get effective assignment rules
+   */
+  async getRules() {
+    return this.loadSettings();
+  }
+
+  /**
+   * Rules saved in settings replace the defaults key by key
+   */
+  applySettings(rules) {
+    return {
+      ...DEFAULT_ASSIGNMENT_RULES,
+      ...rules
+    };
+  }
+
+  /**
+   * Validate assignment rule overrides - returns a list of problems
+   */
+  validateRules(rules) {
+    const problems = [];
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['Rules must be an object'];
+    }
+
+    Object.entries(rules).forEach(([key, value]) => {
+      switch (key) {
+        case 'enabled':
+          if (typeof value !== 'boolean') {
+            problems.push('enabled must be true or false');
+          }
+          break;
+
+        case 'eligibleRoles':
+          if (!Array.isArray(value) || value.length === 0 || !value.every(role => typeof role === 'string')) {
+            problems.push('eligibleRoles must be a non-empty list of role names');
+          }
+          break;
+
+        case 'maxOpenInquiries':
+          if (!Number.isInteger(value) || value < 1 || value > 500) {
+            problems.push('maxOpenInquiries must be a whole number between 1 and 500');
+          }
+          break;
+
+        case 'territories':
+          if (!Array.isArray(value)) {
+            problems.push('territories must be a list');
+            break;
+          }
+
+          value.forEach((territory, index) => {
+            if (!territory || typeof territory !== 'object') {
+              problems.push(`territories[${index}] must be an object`);
+              return;
+            }
+            if (!Array.isArray(territory.postcodeAreas) || !territory.postcodeAreas.every(area => /^[A-Z]{1,2}$/.test(area))) {
+              problems.push(`territories[${index}].postcodeAreas must be a list of postcode areas like "LS"`);
+            }
+            if (!Array.isArray(territory.staffIds) || !territory.staffIds.every(id => typeof id === 'string')) {
+              problems.push(`territories[${index}].staffIds must be a list of user IDs`);
+            }
+          });
+          break;
+
+        default:
+          problems.push(`Unknown assignment rule: ${key}`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Save assignment rules to settings (admin only - checked by the route)
+   */
+  async updateRules(rules, updatedBy) {
+    await this.saveSettings(rules, updatedBy);
+
+    safeDebugLog('Assignment rules updated', {
+      rules: Object.keys(rules),
+      updatedBy: updatedBy.email
+    });
+
+    return this.getRules();
+  }
+
+  /**
+   * Assign a newly created inquiry automatically
+   * Returns the assignment, or null when disabled, already assigned or nobody has capacity
+   */
+  async autoAssign(inquiry) {
+    const rules = await this.getRules();
+
+    if (!rules.enabled) {
+      return null;
+    }
+
+    return this.commitAssignment(inquiry.id, async (transaction, current) => {
+      // Someone picked it up by hand in the meantime
+      if (current.assignedTo) {
+        return null;
+      }
+
+      const staff = await this.getAvailableStaff(rules, transaction);
+      if (staff.length === 0) {
+        safeDebugLog('No staff available for auto-assignment', {
+          inquiryId: inquiry.id
+        });
+        return null;
+      }
+
+      // Territory staff get first refusal, otherwise fall back to the whole pool
+      const territory = findTerritory(rules.territories, current.postcode);
+      const territoryStaff = territory
+        ? staff.filter(member => territory.staffIds.includes(member.uid))
+        : [];
+
+      const candidates = territoryStaff.length > 0 ? territoryStaff : staff;
+
+      return {
+        assigneeId: pickNextInRotation(candidates).uid,
+        method: territoryStaff.length > 0 ? 'territory' : 'round-robin',
+        territory: territoryStaff.length > 0 ? territory.name || null : null
+      };
+    });
+  }
+
+  /**
+   * Assign an inquiry and record the change in its history
+   * assignedBy is the acting user, or omitted for automatic assignment
+   */
+  async assignInquiry(inquiryId, assigneeId, { method = 'manual', territory = null, assignedBy = null } = {}) {
+    return this.commitAssignment(inquiryId, async (transaction, inquiry) => {
+      if (inquiry.assignedTo === assigneeId) {
+        const error = new Error('Inquiry is already assigned to this user');
+        error.status = 409;
+        throw error;
+      }
+
+      return { assigneeId, method, territory };
+    }, assignedBy);
+  }
+
+  /**
+   * Read the inquiry, choose the assignee and write the assignment in one transaction
+   * choose(transaction, inquiry) returns { assigneeId, method, territory }, or null to leave it,
+   * so two assignments racing for one inquiry or one rotation slot cannot both win
+   */
+  async commitAssignment(inquiryId, choose, assignedBy = null) {
+    const db = getDb();
+    const inquiryRef = db.collection('inquiries').doc(inquiryId);
+    const changedBy = assignedBy ? assignedBy.uid : 'system';
+    const changedByName = assignedBy ? assignedBy.email : 'Auto-assignment';
+
+    const outcome = await db.runTransaction(async (transaction) => {
+      const inquiryDoc = await transaction.get(inquiryRef);
+
+      if (!inquiryDoc.exists) {
+        const error = new Error('Inquiry not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const inquiry = inquiryDoc.data();
+
+      if (CLOSED_STATUSES.includes(inquiry.status)) {
+        const error = new Error(`A ${inquiry.status} inquiry cannot be assigned`);
+        error.status = 409;
+        throw error;
+      }
+
+      const choice = await choose(transaction, inquiry);
+      if (!choice) {
+        return null;
+      }
+
+      const { assigneeId, method, territory } = choice;
+      const now = new Date();
+
+      const updateData = {
+        assignedTo: assigneeId,
+        assignedAt: now,
+        assignmentHistory: [
+          ...(inquiry.assignmentHistory || []),
+          {
+            assignedTo: assigneeId,
+            previousAssignee: inquiry.assignedTo || null,
+            method,
+            territory,
+            changedAt: now,
+            changedBy,
+            changedByName
+          }
+        ],
+        updatedAt: now
+      };
+
+      // Only a fresh inquiry moves status - work already under way keeps its state
+      if (inquiry.status === 'new') {
+        updateData.status = 'assigned';
+        updateData.statusHistory = [
+          ...(inquiry.statusHistory || []),
+          {
+            status: 'assigned',
+            previousStatus: inquiry.status,
+            changedAt: now,
+            changedBy,
+            changedByName
+          }
+        ];
+      }
+
+      transaction.update(inquiryRef, updateData);
+
+      // Rotation pointer for round-robin
+      transaction.update(db.collection('users').doc(assigneeId), {
+        lastInquiryAssignedAt: now
+      });
+
+      return { inquiry, updateData, choice };
+    });
+
+    if (!outcome) {
+      return null;
+    }
+
+    const { inquiry, updateData, choice: { assigneeId, method, territory } } = outcome;
+
+    await activityService.recordAssignment(inquiryId, {
+      assignedTo: assigneeId,
+      previousAssignee: inquiry.assignedTo || null,
+      method
+    }, assignedBy);
+
+    if (updateData.status) {
+      await activityService.recordStatusChange(inquiryId, inquiry.status, updateData.status, assignedBy);
+    }
+
+    safeDebugLog('Inquiry assigned', {
+      inquiryId,
+      assignedTo: assigneeId,
+      method,
+      assignedBy: changedByName
+    });
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.notifyInquiryAssignment({ id: inquiryId, ...inquiry, ...updateData }, assigneeId);
+    } catch (notifyError) {
+      safeDebugError('Failed to notify assignee', notifyError);
+    }
+
+    return {
+      inquiryId,
+      assignedTo: assigneeId,
+      status: updateData.status || inquiry.status,
+      method,
+      territory
+    };
+  }
+
+  /**
+   * Check that a user can take inquiries (used for manual assignment)
+   * They must be active and in one of the eligible roles
+   */
+  async isAssignable(uid) {
+    const rules = await this.getRules();
+    const db = getDb();
+    const userDoc = await db.collection('users').doc(uid).get();
+
+    if (!userDoc.exists) {
+      return false;
+    }
+
+    const user = userDoc.data();
+    return user.status === 'active' && rules.eligibleRoles.includes(user.role);
+  }
+
+  /**
+   * Active, available staff in eligible roles who are under their workload cap
+   * Read through the assignment transaction, so the rotation and workloads are current
+   */
+  async getAvailableStaff(rules, transaction) {
+    const db = getDb();
+    const now = Date.now();
+
+    const snapshot = await transaction.get(db.collection('users')
+      .where('role', 'in', rules.eligibleRoles)
+      .where('status', '==', 'active'));
+
+    const staff = snapshot.docs
+      .map(doc => ({ uid: doc.id, ...doc.data() }))
+      .filter(member => member.available !== false)
+      .filter(member => !member.unavailableUntil || toMillis(member.unavailableUntil) <= now);
+
+    const workloads = await Promise.all(staff.map(member => this.countOpenInquiries(member.uid, transaction)));
+
+    return staff.filter((member, index) => {
+      const cap = member.maxOpenInquiries || rules.maxOpenInquiries;
+      return workloads[index] < cap;
+    });
+  }
+
+  async countOpenInquiries(uid, transaction) {
+    const db = getDb();
+    const snapshot = await transaction.get(db.collection('inquiries')
+      .where('assignedTo', '==', uid)
+      .where('status', 'in', OPEN_STATUSES)
+      .count());
+
+    return snapshot.data().count;
+  }
+}
+
+// Helper functions
+function findTerritory(territories, postcode) {
+  if (!postcode || !Array.isArray(territories)) {
+    return null;
+  }
+
+  const area = postcode.toUpperCase().match(/^[A-Z]{1,2}/);
+  return area
+    ? territories.find(territory => (territory.postcodeAreas || []).includes(area[0])) || null
+    : null;
+}
+
+// Whoever has waited longest since their last assignment goes next
+function pickNextInRotation(candidates) {
+  return candidates
+    .slice()
+    .sort((a, b) => toMillis(a.lastInquiryAssignedAt) - toMillis(b.lastInquiryAssignedAt))[0];
+}
+
+// Create singleton instance
+const assignmentService = new AssignmentService();
+
+module.exports = assignmentService;
@@ -0,0 +1,231 @@
+/**
+ * Inquiry Attachment Service
+ * Short-lived upload tokens and storage for photos and reports customers attach to an inquiry
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const path = require('path');
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const activityService = require('./activityService');
+const { toMillis } = require('../utils/dates');
+
+// Inquiries that no longer take customer files
+const CLOSED_STATUSES = ['completed', 'cancelled', 'merged'];
+
+// Stored file extension by content type
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'application/pdf': '.pdf'
+};
+
+class AttachmentService {
+  constructor() {
+    // Configuration
+    this.TOKEN_MAX_AGE = 60 * 60 * 1000; // 1 hour
+    this.MAX_FILES = 5; // Per inquiry, across all uploads
+    this.MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+    this.ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf'];
+    this.URL_EXPIRY = 15 * 60 * 1000; // Staff download links - 15 minutes
+  }
+
+  /**
+   * Issue an upload token for a newly submitted inquiry
+   * Only a hash is stored, so the token itself is only ever seen by the submitter
+   * A live token is never replaced, and quarantined or closed inquiries never get one
+   * Returns null if no token was issued - the inquiry itself is unaffected
+   */
+  async issueUploadToken(inquiryId) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.TOKEN_MAX_AGE);
+
+    try {
+      const db = getDb();
+      const inquiryRef = db.collection('inquiries').doc(inquiryId);
+
+      const issued = await db.runTransaction(async (transaction) => {
+        const inquiryDoc = await transaction.get(inquiryRef);
+        const inquiry = inquiryDoc.exists ? inquiryDoc.data() : null;
+
+        if (!inquiry || inquiry.status === 'spam' || CLOSED_STATUSES.includes(inquiry.status)) {
+          return false;
+        }
+
+        const access = inquiry.uploadAccess;
+        if (access && toMillis(access.expiresAt) > Date.now()) {
+          return false;
+        }
+
+        transaction.update(inquiryRef, {
+          uploadAccess: {
+            tokenHash: hashToken(token),
+            expiresAt
+          }
+        });
+        return true;
+      });
+
+      if (!issued) {
+        return null;
+      }
+    } catch (error) {
+      safeDebugError('Failed to issue upload token', error);
+      return null;
+    }
+
+    return {
+      token,
+      expiresAt,
+      maxFiles: this.MAX_FILES,
+      path: `/uploads/inquiries/${inquiryId}`
+    };
+  }
+
+  /**
+   * Check an upload token and that the inquiry has room for more files
+   * Throws with status 403 for a bad token, 400 when the file limit would be exceeded
+   */
+  async authorizeUpload(inquiryId, token, fileCount = 0) {
+    const inquiryDoc = await getDb().collection('inquiries').doc(inquiryId).get();
+    const inquiry = inquiryDoc.exists ? inquiryDoc.data() : null;
+    const access = inquiry && inquiry.uploadAccess;
+
+    // Missing inquiries get the same answer as bad tokens
+    if (!access || !token || typeof token !== 'string' ||
+        !crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(access.tokenHash)) ||
+        toMillis(access.expiresAt) < Date.now() ||
+        CLOSED_STATUSES.includes(inquiry.status)) {
+      const error = new Error('Upload link is invalid or has expired');
+      error.status = 403;
+      throw error;
+    }
+
+    const attached = inquiry.attachmentCount || 0;
+    if (attached + fileCount > this.MAX_FILES) {
+      const error = new Error(`Only ${this.MAX_FILES} files can be attached to an inquiry`);
+      error.status = 400;
+      error.remaining = Math.max(0, this.MAX_FILES - attached);
+      throw error;
+    }
+
+    return { id: inquiryId, ...inquiry };
+  }
+
+  /**
+   * Store customer files under inquiries/{id}/ and list them against the inquiry
+   * files are { buffer, mimetype, originalName } after any image processing
+   */
+  async saveAttachments(inquiry, files, context = {}) {
+    const db = getDb();
+    const bucket = admin.storage().bucket();
+    const saved = [];
+
+    for (const file of files) {
+      const random = crypto.randomBytes(6).toString('hex');
+      const filename = `${Date.now()}_${random}${FILE_EXTENSIONS[file.mimetype] || ''}`;
+      const filePath = `inquiries/${inquiry.id}/${filename}`;
+
+      await bucket.file(filePath).save(file.buffer, {
+        metadata: {
+          contentType: file.mimetype,
+          metadata: {
+            originalName: file.originalName,
+            inquiryId: inquiry.id,
+            uploadedAt: new Date().toISOString(),
+            category: 'inquiries'
+          }
+        }
+      });
+
+      const fileMetadata = {
+        filename,
+        originalName: path.basename(file.originalName || filename).slice(0, 200),
+        mimetype: file.mimetype,
+        size: file.buffer.length,
+        category: 'inquiries',
+        filePath,
+        inquiryId: inquiry.id,
+        uploadedBy: null,
+        uploadedByName: 'Customer',
+        uploadedAt: new Date(),
+        ipAddress: context.ipAddress || null,
+        isPublic: false
+      };
+
+      const docRef = await db.collection('uploads').add(fileMetadata);
+      saved.push({ id: docRef.id, ...fileMetadata });
+    }
+
+    await db.collection('inquiries').doc(inquiry.id).update({
+      attachmentCount: (inquiry.attachmentCount || 0) + saved.length,
+      lastActivityAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    await activityService.recordEvent(
+      inquiry.id,
+      'attachment',
+      `Customer attached ${saved.length} file${saved.length === 1 ? '' : 's'}`,
+      { uploadIds: saved.map(file => file.id) },
+      null
+    );
+
+    safeDebugLog('Inquiry attachments uploaded', {
+      inquiryId: inquiry.id,
+      referenceNumber: inquiry.referenceNumber,
+      count: saved.length
+    });
+
+    return saved;
+  }
+
+  /**
+   * Files attached to an inquiry, oldest first, with short-lived download links
+   */
+  async listAttachments(inquiryId) {
+    const snapshot = await getDb().collection('uploads')
+      .where('inquiryId', '==', inquiryId)
+      .orderBy('uploadedAt', 'asc')
+      .get();
+
+    const bucket = admin.storage().bucket();
+
+    return Promise.all(snapshot.docs.map(async (doc) => {
+      const file = doc.data();
+      let downloadURL = null;
+
+      try {
+        [downloadURL] = await bucket.file(file.filePath).getSignedUrl({
+          action: 'read',
+          expires: Date.now() + this.URL_EXPIRY
+        });
+      } catch (error) {
+        safeDebugError('Error signing attachment URL', error);
+      }
+
+      return {
+        id: doc.id,
+        originalName: file.originalName,
+        mimetype: file.mimetype,
+        size: file.size,
+        uploadedAt: file.uploadedAt,
+        uploadedByName: file.uploadedByName,
+        downloadURL
+      };
+    }));
+  }
+}
+
+// Helper functions
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create singleton instance
+const attachmentService = new AttachmentService();
+
+module.exports = attachmentService;
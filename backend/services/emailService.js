@@ -141,6 +141,7 @@ class EmailService {
       
       const templateFiles = [
         'inquiry-confirmation.hbs',
+        'inquiry-scheduled.hbs',
         'quote-email.hbs',
         'project-update.hbs',
         'welcome-email.hbs',
@@ -207,6 +208,8 @@ class EmailService {
             {{#if urgency}}<p><strong>Priority:</strong> {{urgency}}</p>{{/if}}
         </div>
         
+        {{#if trackingUrl}}<p>You can follow progress at any time on our <a href="{{trackingUrl}}" style="color: #2c5aa0;">inquiry tracker</a> using your reference number and email address.</p>{{/if}}
+        
         <h3>What happens next?</h3>
         <ul>
             <li>One of our experts will review your inquiry</li>
@@ -229,6 +232,43 @@ class EmailService {
         </p>
     </div>
 </body>
+</html>`,
+
+      'inquiry-scheduled.hbs': `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Your Work is Booked - Foam Fighters</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2c5aa0;">Foam Fighters</h1>
+            <p style="color: #666;">Professional Spray Foam Removal Services</p>
+        </div>
+        
+        <h2>Your work is booked, {{customerName}}</h2>
+        
+        <p>We're pleased to confirm a date for your spray foam removal.</p>
+        
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Reference Number:</strong> {{referenceNumber}}</p>
+            <p><strong>Scheduled Date:</strong> {{scheduledDate}}</p>
+        </div>
+        
+        {{#if trackingUrl}}<p>You can follow progress at any time on our <a href="{{trackingUrl}}" style="color: #2c5aa0;">inquiry tracker</a>.</p>{{/if}}
+        
+        <p>If this date no longer suits you, please call us on <strong>0333 577 0132</strong> as soon as possible.</p>
+        
+        <p>Best regards,<br>The Foam Fighters Team</p>
+        
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="font-size: 12px; color: #666;">
+            Foam Fighters Ltd | Company Registration: 16612986
+        </p>
+    </div>
+</body>
 </html>`,
 
       'quote-email.hbs': `
@@ -423,7 +463,6 @@ class EmailService {
 </html>`
     };
 
-    const templateName = templateFile.replace('.hbs', '');
     if (templates[templateFile]) {
       await fs.writeFile(templatePath, templates[templateFile].trim());
     }
@@ -505,6 +544,7 @@ class EmailService {
   getEmailSubject(templateType, data) {
     const subjects = {
       'inquiry-confirmation': `Inquiry Confirmation - ${data.referenceNumber || 'Foam Fighters'}`,
+      'inquiry-scheduled': `Your Work is Booked - ${data.referenceNumber || 'Foam Fighters'}`,
       'quote-email': `Your Spray Foam Removal Quote - ${data.quoteNumber || ''}`,
       'project-update': `Project Update: ${data.projectTitle || 'Your Foam Removal Project'}`,
       'welcome-email': 'Welcome to Foam Fighters',
@@ -526,7 +566,25 @@ class EmailService {
       subject: inquiryData.subject,
       submittedAt: inquiryData.submittedAt.toLocaleDateString('en-GB'),
       urgency: inquiryData.urgency,
-      responseTime
+      responseTime,
+      trackingUrl: `https://foamfighters.co.uk/track.html?ref=${encodeURIComponent(inquiryData.referenceNumber)}`
+    });
+  }
+
+  /**
+   * Tell the customer their work has been scheduled
+   */
+  async sendInquiryScheduled(inquiryData) {
+    return this.sendTemplatedEmail('inquiry-scheduled', inquiryData.email, {
+      customerName: inquiryData.name,
+      referenceNumber: inquiryData.referenceNumber,
+      scheduledDate: inquiryData.scheduledDate.toLocaleDateString('en-GB', {
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+      }),
+      trackingUrl: `https://foamfighters.co.uk/track.html?ref=${encodeURIComponent(inquiryData.referenceNumber)}`
     });
   }
 
@@ -557,7 +615,7 @@ class EmailService {
       propertyType: formData.propertyType || 'Not specified',
       estimatedArea: formData.estimatedArea || 'Not specified',
       address: formData.address || formData.postcode || '',
-      urgency: formData.urgency || 'normal',
+      urgency: formData.situation ? `${formData.urgency} (${formData.situation})` : (formData.urgency || 'normal'),
       additionalInfo: formData.additionalInfo || formData.message || '',
       submittedAt: new Date().toLocaleString('en-GB'),
       
@@ -609,7 +667,8 @@ class EmailService {
       propertyAddress: quoteData.propertyDetails.address,
       customMessage: options.customMessage,
       sentByName: options.sentBy || 'Foam Fighters Team',
-      quoteAcceptanceUrl: `https://foamfighters.co.uk/accept-quote/${quoteData.id}`
+      // Tokenised link from quoteAcceptanceService.issueLink - never the bare quote ID
+      quoteAcceptanceUrl: options.acceptanceUrl
     };
 
     return this.sendTemplatedEmail('quote-email', quoteData.customerInfo.email, templateData);
@@ -0,0 +1,128 @@
+/**
+ * Idempotency Service
+ * Replays the original response when a client retries a request with the same Idempotency-Key
+ */
+
+const crypto = require('crypto');
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { toMillis } = require('../utils/dates');
+
+class IdempotencyService {
+  constructor() {
+    // Configuration
+    this.COLLECTION = 'idempotencyKeys';
+    this.KEY_TTL = 24 * 60 * 60 * 1000; // 24 hours
+    this.PENDING_TIMEOUT = 2 * 60 * 1000; // A request that crashed frees its key after 2 minutes
+    this.KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+  }
+
+  /**
+   * Run a request once per key
+   * task resolves to { status, body, resourceId } - only successful results are kept,
+   * so a key that failed validation can be retried with corrected data
+   * Returns the task result, or the stored one with replayed: true
+   * Throws with status 400 for a malformed key, 409 while the first request is still running
+   */
+  async run(scope, key, task) {
+    if (!key) {
+      return task();
+    }
+
+    if (typeof key !== 'string' || !this.KEY_PATTERN.test(key)) {
+      const error = new Error('Idempotency-Key must be 16-128 letters, digits, dashes or underscores');
+      error.status = 400;
+      error.code = 'invalid-idempotency-key';
+      throw error;
+    }
+
+    const db = getDb();
+    const keyRef = db.collection(this.COLLECTION).doc(hashKey(scope, key));
+
+    let stored;
+    try {
+      stored = await db.runTransaction(async (transaction) => {
+        const keyDoc = await transaction.get(keyRef);
+        const now = Date.now();
+        const record = keyDoc.exists ? keyDoc.data() : null;
+
+        if (record && record.status === 'completed' && toMillis(record.expiresAt) > now) {
+          return record;
+        }
+
+        if (record && record.status === 'pending' && now - toMillis(record.createdAt) < this.PENDING_TIMEOUT) {
+          const error = new Error('This request is still being processed');
+          error.status = 409;
+          error.code = 'idempotency-in-progress';
+          throw error;
+        }
+
+        transaction.set(keyRef, {
+          scope,
+          status: 'pending',
+          createdAt: new Date(now),
+          // Firestore TTL on expiresAt clears old keys
+          expiresAt: new Date(now + this.KEY_TTL)
+        });
+
+        return null;
+      });
+    } catch (error) {
+      if (error.code === 'idempotency-in-progress') {
+        throw error;
+      }
+
+      // Losing duplicate protection is better than losing the request
+      safeDebugError('Idempotency key lookup failed', error);
+      return task();
+    }
+
+    if (stored) {
+      safeDebugLog('Idempotent request replayed', {
+        scope,
+        resourceId: stored.resourceId
+      });
+
+      return {
+        status: stored.responseStatus,
+        body: stored.responseBody,
+        resourceId: stored.resourceId,
+        replayed: true
+      };
+    }
+
+    let result;
+    try {
+      result = await task();
+    } catch (error) {
+      await keyRef.delete().catch(deleteError => safeDebugError('Failed to release idempotency key', deleteError));
+      throw error;
+    }
+
+    try {
+      await keyRef.update({
+        status: 'completed',
+        responseStatus: result.status,
+        // Stored as sent, so dates replay as the same strings
+        responseBody: JSON.parse(JSON.stringify(result.body)),
+        resourceId: result.resourceId || null,
+        completedAt: new Date()
+      });
+    } catch (error) {
+      safeDebugError('Failed to store idempotent response', error);
+    }
+
+    return result;
+  }
+}
+
+// Helper functions
+// Keys are client-chosen, so they are hashed into a safe document ID
+function hashKey(scope, key) {
+  return crypto.createHash('sha256').update(`${scope}:${key}`).digest('hex');
+}
+
+// Create singleton instance
+const idempotencyService = new IdempotencyService();
+
+module.exports = idempotencyService;
@@ -0,0 +1,675 @@
+/**
+ * Inquiry Intake Service
+ * Single submission handler shared by the full API and the minimal backend
+ */
+
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { validateInquiry, normalizePhone } = require('../schemas/inquirySchema');
+const emailService = require('./emailService');
+const leadScoringService = require('./leadScoringService');
+const spamService = require('./spamService');
+const assignmentService = require('./assignmentService');
+const activityService = require('./activityService');
+const sequenceService = require('./sequenceService');
+const { inquiryStatusMachine } = require('./statusMachine');
+const { toMillis, toDate } = require('../utils/dates');
+
+// Resubmissions inside this window are follow-ups, not new leads
+const DUPLICATE_WINDOW_DAYS = 30;
+
+// Inquiries that no longer accept follow-up submissions
+const CLOSED_STATUSES = ['completed', 'cancelled', 'merged', 'spam'];
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2, urgent: 3 };
+
+class InquiryService {
+  /**
+   * Validate, persist and announce a new inquiry
+   * Throws an error with status 400 and details when the payload is invalid
+   */
+  async submitInquiry(payload, context = {}) {
+    const { value, errors } = validateInquiry(payload);
+
+    if (errors) {
+      const error = new Error('Validation failed');
+      error.status = 400;
+      error.code = 'validation-failed';
+      error.details = errors;
+      throw error;
+    }
+
+    const now = new Date();
+    const matchKeys = buildMatchKeys(value);
+
+    // Suspect submissions are stored for review but never reach the owners
+    const spamCheck = await spamService.assessSubmission(payload, value, context);
+
+    // Link resubmissions to the open inquiry instead of creating a new lead
+    const duplicate = spamCheck.isSpam ? null : await this.findDuplicate(matchKeys);
+    if (duplicate) {
+      return this.recordFollowUp(duplicate, value, context);
+    }
+
+    const source = deriveSource(value, context);
+    const lead = await leadScoringService.scoreInquiry({ ...value, source });
+    const priority = derivePriority(lead.priority, value.urgency);
+    const reference = await allocateReference();
+
+    const inquiryData = {
+      ...buildInquiryRecord(value, { matchKeys, lead, priority, reference, source, context, now }),
+      status: spamCheck.isSpam ? 'spam' : 'new',
+      responseRequired: !spamCheck.isSpam,
+      spamCheck: {
+        score: spamCheck.score,
+        signals: spamCheck.signals,
+        checkedAt: now
+      }
+    };
+
+    // A Firestore outage must not lose the lead - owners still get the email
+    try {
+      const db = getDb();
+      const docRef = await db.collection('inquiries').add(inquiryData);
+      inquiryData.id = docRef.id;
+    } catch (dbError) {
+      inquiryData.id = null;
+      safeDebugError('Failed to persist inquiry', dbError);
+    }
+
+    safeDebugLog('New inquiry created', {
+      id: inquiryData.id,
+      referenceNumber: inquiryData.referenceNumber,
+      formType: inquiryData.formType,
+      urgency: inquiryData.urgency,
+      score: inquiryData.score,
+      status: inquiryData.status
+    });
+
+    if (!spamCheck.isSpam) {
+      await this.autoAssign(inquiryData);
+      await this.announceInquiry(inquiryData);
+    }
+
+    return inquiryData;
+  }
+
+  /**
+   * Create an inquiry from an imported lead (phone calls, trade shows)
+   * Staff-entered, so there is no spam check and no customer email
+   * Returns a per-row result instead of throwing
+   */
+  async importInquiry(payload, context = {}) {
+    const { value, errors } = validateInquiry(payload, { staffImport: true });
+
+    if (errors) {
+      return { status: 'invalid', errors };
+    }
+
+    const matchKeys = buildMatchKeys(value);
+    const duplicate = await this.findDuplicate(matchKeys);
+
+    if (duplicate) {
+      return {
+        status: 'duplicate',
+        duplicateOf: {
+          id: duplicate.id,
+          referenceNumber: duplicate.referenceNumber
+        }
+      };
+    }
+
+    const now = new Date();
+    const source = deriveSource(value, context);
+    const lead = await leadScoringService.scoreInquiry({ ...value, source });
+    const priority = derivePriority(lead.priority, value.urgency);
+    const reference = await allocateReference();
+
+    const inquiryData = {
+      ...buildInquiryRecord(value, { matchKeys, lead, priority, reference, source, context, now }),
+      status: 'new',
+      responseRequired: true,
+      spamCheck: null,
+      consentSource: 'staff-import',
+      importedAt: now,
+      importedBy: context.importedBy.uid,
+      importBatchId: context.importBatchId
+    };
+
+    const db = getDb();
+    const docRef = await db.collection('inquiries').add(inquiryData);
+    inquiryData.id = docRef.id;
+
+    await this.autoAssign(inquiryData);
+
+    return {
+      status: 'created',
+      id: inquiryData.id,
+      referenceNumber: inquiryData.referenceNumber,
+      assignedTo: inquiryData.assignedTo
+    };
+  }
+
+  /**
+   * Release a quarantined inquiry after staff review
+   * Sends the owner, customer and staff notifications that were held back
+   */
+  async releaseFromSpam(inquiryId, releasedBy) {
+    const db = getDb();
+    const inquiryRef = db.collection('inquiries').doc(inquiryId);
+    const inquiryDoc = await inquiryRef.get();
+
+    if (!inquiryDoc.exists) {
+      const error = new Error('Inquiry not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const inquiry = inquiryDoc.data();
+
+    if (inquiry.status !== 'spam') {
+      const error = new Error('Inquiry is not marked as spam');
+      error.status = 409;
+      throw error;
+    }
+
+    const now = new Date();
+    const updateData = {
+      status: 'new',
+      responseRequired: true,
+      followUpDate: calculateFollowUpDate(inquiry.priority),
+      statusHistory: [
+        ...(inquiry.statusHistory || []),
+        {
+          status: 'new',
+          previousStatus: 'spam',
+          changedAt: now,
+          changedBy: releasedBy.uid,
+          changedByName: releasedBy.email
+        }
+      ],
+      updatedAt: now,
+      updatedBy: releasedBy.uid
+    };
+
+    await inquiryRef.update(updateData);
+
+    await activityService.recordStatusChange(inquiryId, 'spam', 'new', releasedBy);
+
+    safeDebugLog('Inquiry released from spam', {
+      id: inquiryId,
+      referenceNumber: inquiry.referenceNumber,
+      releasedBy: releasedBy.email
+    });
+
+    const inquiryData = {
+      ...inquiry,
+      ...updateData,
+      id: inquiryId,
+      submittedAt: toDate(inquiry.submittedAt)
+    };
+
+    if (!inquiry.assignedTo) {
+      await this.autoAssign(inquiryData);
+    }
+    await this.announceInquiry(inquiryData);
+
+    return inquiryData;
+  }
+
+  /**
+   * Find a recent open inquiry from the same contact
+   * Matches on email, phone, or postcode plus surname - lookups that fail are skipped
+   */
+  async findDuplicate(matchKeys) {
+    const cutoff = new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const lookups = Object.entries(matchKeys).filter(([, key]) => key);
+
+    try {
+      const db = getDb();
+      const snapshots = await Promise.all(lookups.map(([field, key]) =>
+        db.collection('inquiries')
+          .where(`matchKeys.${field}`, '==', key)
+          .where('submittedAt', '>=', cutoff)
+          .orderBy('submittedAt', 'desc')
+          .limit(5)
+          .get()
+      ));
+
+      const candidates = snapshots
+        .flatMap(snapshot => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+        .filter(inquiry => !CLOSED_STATUSES.includes(inquiry.status))
+        .sort((a, b) => toMillis(b.submittedAt) - toMillis(a.submittedAt));
+
+      return candidates[0] || null;
+    } catch (error) {
+      safeDebugError('Duplicate lookup failed', error);
+      return null;
+    }
+  }
+
+  /**
+   * Attach a resubmission to an existing inquiry as a follow-up
+   * Rescores with the combined answers and escalates if the lead got hotter
+   * Anyone can submit matching details, so no owner or customer email is re-sent -
+   * only the assignee (or the managers, if nobody is assigned) hears about it, inside the dashboard
+   */
+  async recordFollowUp(existing, value, context = {}) {
+    const now = new Date();
+    const submission = {
+      ...value,
+      submittedAt: now,
+      source: deriveSource(value, context),
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent || null
+    };
+
+    const updateData = {
+      followUpSubmissions: [...(existing.followUpSubmissions || []), submission],
+      submissionCount: (existing.submissionCount || 1) + 1,
+      lastSubmittedAt: now,
+      responseRequired: true,
+      updatedAt: now
+    };
+
+    // The lead keeps its first touch - only the latest touch moves on
+    if (value.attribution && value.attribution.lastTouch) {
+      updateData.attribution = {
+        firstTouch: (existing.attribution && existing.attribution.firstTouch) || value.attribution.firstTouch || null,
+        lastTouch: value.attribution.lastTouch
+      };
+    }
+
+    const combined = {
+      ...existing,
+      ...value,
+      issues: [...new Set([...(existing.issues || []), ...value.issues])],
+      urgency: higherPriority(existing.urgency, value.urgency)
+    };
+    const lead = await leadScoringService.scoreInquiry(combined);
+
+    if (lead.score > (existing.score || 0)) {
+      updateData.issues = combined.issues;
+      updateData.urgency = combined.urgency;
+      updateData.score = lead.score;
+      updateData.scoreBreakdown = lead.breakdown;
+      updateData.scoredAt = now;
+    }
+
+    const priority = derivePriority(lead.priority, combined.urgency);
+    if (PRIORITY_RANK[priority] > PRIORITY_RANK[existing.priority]) {
+      updateData.priority = priority;
+      updateData.followUpDate = calculateFollowUpDate(priority);
+    }
+
+    try {
+      const db = getDb();
+      await db.collection('inquiries').doc(existing.id).update(updateData);
+    } catch (dbError) {
+      safeDebugError('Failed to record follow-up submission', dbError);
+    }
+
+    safeDebugLog('Follow-up submission linked', {
+      id: existing.id,
+      referenceNumber: existing.referenceNumber,
+      submissionCount: updateData.submissionCount
+    });
+
+    const inquiryData = {
+      ...existing,
+      ...updateData,
+      ...value,
+      id: existing.id,
+      referenceNumber: existing.referenceNumber,
+      status: existing.status,
+      submittedAt: existing.submittedAt,
+      isFollowUp: true
+    };
+
+    // Unassigned inquiries fall back to the managers so the follow-up is not missed
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.notifyInquiryFollowUp(inquiryData, existing.assignedTo || null);
+    } catch (notifyError) {
+      safeDebugError('Failed to notify staff of follow-up', notifyError);
+    }
+
+    return inquiryData;
+  }
+
+  /**
+   * Fold duplicate inquiries into a primary inquiry
+   * Duplicates are kept as 'merged' records so their references still resolve, and their
+   * timelines and attachments move to the primary
+   * Everything is read and written in one transaction, so a merge is never half done
+   */
+  async mergeInquiries(primaryId, duplicateIds, mergedBy) {
+    const db = getDb();
+    const primaryRef = db.collection('inquiries').doc(primaryId);
+    const duplicateRefs = duplicateIds.map(id => db.collection('inquiries').doc(id));
+
+    const { primary, primaryUpdate, duplicates } = await db.runTransaction(async (transaction) => {
+      const primaryDoc = await transaction.get(primaryRef);
+
+      if (!primaryDoc.exists) {
+        const error = new Error('Inquiry not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const primary = primaryDoc.data();
+
+      // Closed, merged and spam inquiries take no follow-ups, so nothing is merged into them either
+      if (CLOSED_STATUSES.includes(primary.status)) {
+        const error = new Error(`Cannot merge into an inquiry that is ${primary.status}`);
+        error.status = 409;
+        throw error;
+      }
+
+      const duplicateDocs = await Promise.all(duplicateRefs.map(ref => transaction.get(ref)));
+
+      const missing = duplicateIds.filter((id, index) => !duplicateDocs[index].exists);
+      if (missing.length > 0) {
+        const error = new Error(`Inquiries not found: ${missing.join(', ')}`);
+        error.status = 404;
+        throw error;
+      }
+
+      const duplicates = duplicateDocs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      const alreadyMerged = duplicates.filter(duplicate => duplicate.status === 'merged');
+      if (alreadyMerged.length > 0) {
+        const error = new Error(`Inquiries already merged: ${alreadyMerged.map(d => d.id).join(', ')}`);
+        error.status = 409;
+        throw error;
+      }
+
+      // Transactions read everything before they write
+      const activitySnapshots = await Promise.all(duplicates.map(duplicate =>
+        transaction.get(db.collection(activityService.collectionPath(duplicate.id)))
+      ));
+      const uploadSnapshots = await Promise.all(duplicates.map(duplicate =>
+        transaction.get(db.collection('uploads').where('inquiryId', '==', duplicate.id))
+      ));
+
+      const duplicateUpdates = await Promise.all(duplicates.map(duplicate =>
+        inquiryStatusMachine.prepareTransition(duplicate, 'merged', { mergedInto: primaryId }, mergedBy)
+      ));
+
+      const now = new Date();
+      const mergedStatusHistory = [...(primary.statusHistory || [])];
+      const mergedFollowUps = [...(primary.followUpSubmissions || [])];
+      const mergedNotes = [primary.notes];
+      const mergedInternalNotes = [primary.internalNotes];
+      let priority = primary.priority || 'medium';
+      let scored = primary;
+      let attachmentCount = primary.attachmentCount || 0;
+
+      duplicates.forEach((duplicate, index) => {
+        (duplicate.statusHistory || []).forEach(entry => {
+          mergedStatusHistory.push({ ...entry, mergedFrom: duplicate.referenceNumber });
+        });
+
+        // The duplicate's original submission becomes a follow-up on the primary
+        mergedFollowUps.push({
+          ...pickSubmissionFields(duplicate),
+          mergedFrom: duplicate.referenceNumber
+        });
+        mergedFollowUps.push(...(duplicate.followUpSubmissions || []));
+
+        if (duplicate.notes) {
+          mergedNotes.push(`[Merged from ${duplicate.referenceNumber}] ${duplicate.notes}`);
+        }
+        if (duplicate.internalNotes) {
+          mergedInternalNotes.push(`[Merged from ${duplicate.referenceNumber}] ${duplicate.internalNotes}`);
+        }
+
+        if (PRIORITY_RANK[duplicate.priority] > PRIORITY_RANK[priority]) {
+          priority = duplicate.priority;
+        }
+
+        // Keep the strongest lead score and its breakdown
+        if ((duplicate.score || 0) > (scored.score || 0)) {
+          scored = duplicate;
+        }
+
+        // Copies keep their own dates, so the primary's timeline stays in order
+        activitySnapshots[index].docs.forEach(activityDoc => {
+          transaction.set(db.collection(activityService.collectionPath(primaryId)).doc(), {
+            ...activityDoc.data(),
+            mergedFrom: duplicate.referenceNumber,
+            mergedActivityId: activityDoc.id
+          });
+        });
+
+        // The files stay where they are in Storage - only the inquiry they list under changes
+        uploadSnapshots[index].docs.forEach(uploadDoc => {
+          transaction.update(uploadDoc.ref, {
+            inquiryId: primaryId,
+            mergedFrom: duplicate.referenceNumber
+          });
+        });
+        attachmentCount += uploadSnapshots[index].size;
+
+        transaction.update(duplicateRefs[index], {
+          ...duplicateUpdates[index],
+          updatedAt: now
+        });
+      });
+
+      mergedStatusHistory.sort((a, b) => toMillis(a.changedAt) - toMillis(b.changedAt));
+      mergedFollowUps.sort((a, b) => toMillis(a.submittedAt) - toMillis(b.submittedAt));
+
+      const primaryUpdate = {
+        statusHistory: mergedStatusHistory,
+        followUpSubmissions: mergedFollowUps,
+        submissionCount: 1 + mergedFollowUps.length,
+        notes: mergedNotes.filter(Boolean).join('\n\n') || null,
+        internalNotes: mergedInternalNotes.filter(Boolean).join('\n\n') || null,
+        priority,
+        score: scored.score || null,
+        scoreBreakdown: scored.scoreBreakdown || null,
+        attachmentCount,
+        mergedReferences: [
+          ...(primary.mergedReferences || []),
+          ...duplicates.map(duplicate => duplicate.referenceNumber)
+        ],
+        updatedAt: now,
+        updatedBy: mergedBy.uid
+      };
+
+      transaction.update(primaryRef, primaryUpdate);
+
+      return { primary, primaryUpdate, duplicates };
+    });
+
+    for (const duplicate of duplicates) {
+      await inquiryStatusMachine.runAfterEnter(duplicate, duplicate.status, 'merged', mergedBy);
+    }
+
+    await activityService.recordEvent(
+      primaryId,
+      'merge',
+      `Merged ${duplicates.map(duplicate => duplicate.referenceNumber).join(', ')} into this inquiry`,
+      { mergedReferences: duplicates.map(duplicate => duplicate.referenceNumber) },
+      mergedBy
+    );
+
+    safeDebugLog('Inquiries merged', {
+      primaryId,
+      duplicateIds,
+      mergedBy: mergedBy.email
+    });
+
+    return { id: primaryId, ...primary, ...primaryUpdate };
+  }
+
+  /**
+   * Run the assignment engine and reflect the result on inquiryData
+   * Failures leave the inquiry unassigned for a manager to pick up
+   */
+  async autoAssign(inquiryData) {
+    if (!inquiryData.id) {
+      return;
+    }
+
+    try {
+      const assignment = await assignmentService.autoAssign(inquiryData);
+      if (assignment) {
+        inquiryData.assignedTo = assignment.assignedTo;
+        inquiryData.status = assignment.status;
+      }
+    } catch (assignError) {
+      safeDebugError('Failed to auto-assign inquiry', assignError);
+    }
+  }
+
+  /**
+   * Email the owners, confirm to the customer and notify staff
+   * Failures are logged and never fail the submission
+   */
+  async announceInquiry(inquiryData) {
+    try {
+      await emailService.sendNewInquiryNotification(inquiryData, inquiryData.referenceNumber);
+    } catch (emailError) {
+      safeDebugError('Failed to send owner notification email', emailError);
+    }
+
+    try {
+      await emailService.sendInquiryConfirmation(inquiryData);
+    } catch (emailError) {
+      safeDebugError('Failed to send confirmation email', emailError);
+    }
+
+    // Staff notifications live in Firestore, so skip them if the write failed
+    if (!inquiryData.id) {
+      return;
+    }
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.notifyNewInquiry(inquiryData);
+    } catch (notifyError) {
+      safeDebugError('Failed to notify staff', notifyError);
+    }
+  }
+}
+
+// Helper functions
+// Fields every new inquiry starts with, however it arrived
+function buildInquiryRecord(value, { matchKeys, lead, priority, reference, source, context, now }) {
+  return {
+    ...value,
+    matchKeys,
+    source,
+    submittedAt: now,
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+    idempotencyKey: context.idempotencyKey || null,
+
+    // Sequential reference number
+    referenceNumber: reference.number,
+    numberKey: reference.numberKey,
+
+    // Initial assignment
+    assignedTo: null,
+    priority,
+
+    // Lead scoring
+    score: lead.score,
+    scoreBreakdown: lead.breakdown,
+    scoredAt: now,
+
+    // Tracking
+    followUpDate: calculateFollowUpDate(priority),
+    slaEscalationComplete: false,
+
+    // Metadata
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Where the lead came from - an explicit source (imports) wins, then the last
+// marketing touch, where a Google Ads click id means Google whatever the UTM tags say
+function deriveSource(value, context) {
+  if (context.source) {
+    return context.source;
+  }
+
+  const touch = (value.attribution && value.attribution.lastTouch) || {};
+  if (touch.gclid) {
+    return 'google';
+  }
+  if (touch.utmSource) {
+    return touch.utmSource.trim().toLowerCase();
+  }
+
+  return 'website';
+}
+
+function buildMatchKeys(value) {
+  return {
+    email: value.email ? value.email.trim().toLowerCase() : null,
+    phone: normalizePhone(value.phone),
+    postcodeSurname: value.postcode && value.lastName
+      ? `${value.postcode.replace(/\s/g, '')}:${value.lastName.trim().toLowerCase()}`
+      : null
+  };
+}
+
+function pickSubmissionFields(inquiry) {
+  const {
+    id, status, statusHistory, followUpSubmissions, submissionCount, notes, internalNotes,
+    assignedTo, mergedReferences, matchKeys, createdAt, updatedAt, updatedBy, ...submission
+  } = inquiry;
+  return submission;
+}
+
+// A counter outage must not lose the lead - fall back to a timestamp reference
+async function allocateReference() {
+  try {
+    return await sequenceService.next('inquiry');
+  } catch (error) {
+    safeDebugError('Failed to allocate inquiry reference', error);
+    return { number: generateReferenceNumber(), numberKey: null };
+  }
+}
+
+function generateReferenceNumber() {
+  const prefix = 'FF';
+  const timestamp = Date.now().toString().slice(-8);
+  const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+  return `${prefix}${timestamp}${random}`;
+}
+
+// Priority follows the lead score, but an urgent customer is never left below high
+function derivePriority(scorePriority, urgency) {
+  const urgencyFloor = {
+    urgent: 'high',
+    high: 'medium'
+  };
+  return higherPriority(scorePriority, urgencyFloor[urgency]);
+}
+
+function higherPriority(a, b) {
+  return (PRIORITY_RANK[b] || 0) > (PRIORITY_RANK[a] || 0) ? b : (a || b);
+}
+
+function calculateFollowUpDate(urgency) {
+  const now = new Date();
+  const hoursToAdd = {
+    urgent: 2,
+    high: 4,
+    medium: 24,
+    low: 48
+  };
+
+  now.setHours(now.getHours() + (hoursToAdd[urgency] || 24));
+  return now;
+}
+
+// Create singleton instance
+const inquiryService = new InquiryService();
+
+module.exports = inquiryService;
@@ -0,0 +1,281 @@
+/**
+ * Inquiry Import/Export Service
+ * Streams filtered inquiries as CSV or XLSX and imports offline leads from CSV
+ */
+
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { parseCsv, toCsvRow } = require('../utils/csv');
+const inquiryService = require('./inquiryService');
+const { toDate } = require('../utils/dates');
+
+// Export columns, in order - value() reads from the stored inquiry
+const EXPORT_COLUMNS = [
+  { header: 'Reference', key: 'referenceNumber', width: 18 },
+  { header: 'Submitted', key: 'submittedAt', width: 22, value: inquiry => toDate(inquiry.submittedAt) },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Priority', key: 'priority', width: 10 },
+  { header: 'Score', key: 'score', width: 8 },
+  { header: 'Urgency', key: 'urgency', width: 10 },
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Postcode', key: 'postcode', width: 10 },
+  { header: 'Address', key: 'address', width: 40 },
+  { header: 'Property Type', key: 'propertyType', width: 14 },
+  { header: 'Foam Type', key: 'foamType', width: 12 },
+  { header: 'Estimated Area (m2)', key: 'estimatedArea', width: 12 },
+  { header: 'Issues', key: 'issues', width: 30, value: inquiry => (inquiry.issues || []).join('; ') },
+  { header: 'Subject', key: 'subject', width: 30 },
+  { header: 'Message', key: 'message', width: 60 },
+  { header: 'Source', key: 'source', width: 12 },
+  { header: 'First Touch Source', key: 'firstTouchSource', width: 16, value: inquiry => touchValue(inquiry, 'firstTouch', 'utmSource') },
+  { header: 'First Touch Medium', key: 'firstTouchMedium', width: 14, value: inquiry => touchValue(inquiry, 'firstTouch', 'utmMedium') },
+  { header: 'First Touch Campaign', key: 'firstTouchCampaign', width: 24, value: inquiry => touchValue(inquiry, 'firstTouch', 'utmCampaign') },
+  { header: 'Last Touch Source', key: 'lastTouchSource', width: 16, value: inquiry => touchValue(inquiry, 'lastTouch', 'utmSource') },
+  { header: 'Last Touch Medium', key: 'lastTouchMedium', width: 14, value: inquiry => touchValue(inquiry, 'lastTouch', 'utmMedium') },
+  { header: 'Last Touch Campaign', key: 'lastTouchCampaign', width: 24, value: inquiry => touchValue(inquiry, 'lastTouch', 'utmCampaign') },
+  { header: 'GCLID', key: 'gclid', width: 30, value: inquiry => touchValue(inquiry, 'lastTouch', 'gclid') || touchValue(inquiry, 'firstTouch', 'gclid') },
+  { header: 'Referrer', key: 'referrer', width: 30, value: inquiry => touchValue(inquiry, 'firstTouch', 'referrer') },
+  { header: 'Landing Page', key: 'landingPage', width: 30, value: inquiry => touchValue(inquiry, 'firstTouch', 'landingPage') },
+  { header: 'Assigned To', key: 'assignedTo', width: 28 },
+  { header: 'Follow-up Due', key: 'followUpDate', width: 22, value: inquiry => toDate(inquiry.followUpDate) },
+  { header: 'First Responded', key: 'firstRespondedAt', width: 22, value: inquiry => toDate(inquiry.firstRespondedAt) }
+];
+
+// Import header aliases (lowercased, letters and digits only) -> inquiry schema field
+const IMPORT_HEADER_FIELDS = {
+  name: 'name',
+  fullname: 'name',
+  firstname: 'firstName',
+  lastname: 'lastName',
+  surname: 'lastName',
+  email: 'email',
+  emailaddress: 'email',
+  phone: 'phone',
+  phonenumber: 'phone',
+  telephone: 'phone',
+  mobile: 'phone',
+  preferredcontact: 'preferredContact',
+  address: 'address',
+  postcode: 'postcode',
+  propertytype: 'propertyType',
+  foamtype: 'foamType',
+  estimatedarea: 'estimatedArea',
+  estimatedaream2: 'estimatedArea',
+  foamlocation: 'foamLocation',
+  foamage: 'foamAge',
+  issues: 'issues',
+  urgency: 'urgency',
+  subject: 'subject',
+  message: 'message',
+  notes: 'message',
+  consent: 'consent'
+};
+
+// Multi-value cells are separated with semicolons, e.g. "mortgage-rejection; survey-issue"
+const LIST_FIELDS = ['issues', 'foamLocation'];
+
+// Left out of exports unless a status filter asks for them
+const HIDDEN_EXPORT_STATUSES = ['spam', 'merged'];
+
+class InquiryTransferService {
+  constructor() {
+    // Configuration
+    this.EXPORT_PAGE_SIZE = 500;
+    this.MAX_IMPORT_ROWS = 1000;
+  }
+
+  /**
+   * Stream matching inquiries to an HTTP response
+   * Pages through Firestore so large exports never sit in memory
+   * Spam and merged duplicates are skipped unless includeHidden is set
+   */
+  async streamExport(res, { format, whereConditions, includeHidden = false }) {
+    const filename = `inquiries-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const writer = format === 'xlsx' ? createXlsxWriter(res) : createCsvWriter(res);
+    let rowCount = 0;
+
+    for await (const inquiry of this.iterateInquiries(whereConditions)) {
+      if (!includeHidden && HIDDEN_EXPORT_STATUSES.includes(inquiry.status)) {
+        continue;
+      }
+
+      await writer.writeRow(EXPORT_COLUMNS.map(column =>
+        column.value ? column.value(inquiry) : inquiry[column.key] ?? null
+      ));
+      rowCount++;
+    }
+
+    await writer.end();
+
+    return rowCount;
+  }
+
+  /**
+   * Yield inquiries matching the filters, newest first, one page at a time
+   */
+  async *iterateInquiries(whereConditions) {
+    const db = getDb();
+    let lastDoc = null;
+
+    while (true) {
+      let query = db.collection('inquiries');
+      whereConditions.forEach(([field, operator, value]) => {
+        query = query.where(field, operator, value);
+      });
+      query = query.orderBy('submittedAt', 'desc').limit(this.EXPORT_PAGE_SIZE);
+
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+
+      for (const doc of snapshot.docs) {
+        yield { id: doc.id, ...doc.data() };
+      }
+
+      if (snapshot.size < this.EXPORT_PAGE_SIZE) {
+        return;
+      }
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+
+  /**
+   * Import leads from CSV text - each row is validated, deduped and created independently
+   * Returns a summary plus one result per data row
+   */
+  async importCsv(text, importedBy, { source = 'import' } = {}) {
+    const [headerRow, ...dataRows] = parseCsv(text);
+
+    if (!headerRow) {
+      throw validationError('The file is empty');
+    }
+
+    const fields = headerRow.map(header => IMPORT_HEADER_FIELDS[header.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+
+    if (!fields.includes('email') && !fields.includes('phone')) {
+      throw validationError('The file needs an email or phone column');
+    }
+
+    if (dataRows.length > this.MAX_IMPORT_ROWS) {
+      throw validationError(`Imports are limited to ${this.MAX_IMPORT_ROWS} rows per file`);
+    }
+
+    const context = {
+      source,
+      importedBy,
+      importBatchId: crypto.randomBytes(8).toString('hex')
+    };
+
+    const summary = { total: dataRows.length, created: 0, duplicate: 0, invalid: 0, failed: 0 };
+    const results = [];
+
+    // One at a time so a repeated lead later in the file dedupes against the earlier row
+    for (const [index, cells] of dataRows.entries()) {
+      let result;
+
+      try {
+        result = await inquiryService.importInquiry(buildPayload(fields, cells), context);
+      } catch (error) {
+        safeDebugError('Error importing inquiry row', error);
+        result = { status: 'failed', errors: [{ field: null, message: 'Could not save this row' }] };
+      }
+
+      summary[result.status]++;
+      results.push({
+        row: index + 2, // Spreadsheet row number, counting the header
+        ...result
+      });
+    }
+
+    safeDebugLog('Inquiries imported', {
+      importBatchId: context.importBatchId,
+      importedBy: importedBy.email,
+      source,
+      ...summary
+    });
+
+    return {
+      importBatchId: context.importBatchId,
+      summary,
+      results
+    };
+  }
+}
+
+// Helper functions
+function buildPayload(fields, cells) {
+  const payload = {};
+
+  fields.forEach((field, index) => {
+    const cell = (cells[index] || '').trim();
+
+    if (!field || cell === '' || payload[field] !== undefined) {
+      return;
+    }
+
+    payload[field] = LIST_FIELDS.includes(field)
+      ? cell.split(';').map(item => item.trim()).filter(Boolean)
+      : cell;
+  });
+
+  return payload;
+}
+
+function createCsvWriter(res) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+  // Byte order mark so Excel opens the file as UTF-8
+  res.write('\uFEFF' + toCsvRow(EXPORT_COLUMNS.map(column => column.header)));
+
+  return {
+    writeRow: (values) => {
+      if (!res.write(toCsvRow(values))) {
+        return new Promise(resolve => res.once('drain', resolve));
+      }
+    },
+    end: async () => res.end()
+  };
+}
+
+function createXlsxWriter(res) {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const worksheet = workbook.addWorksheet('Inquiries');
+  worksheet.columns = EXPORT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+
+  return {
+    writeRow: async (values) => worksheet.addRow(values).commit(),
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'validation-failed';
+  return error;
+}
+
+function touchValue(inquiry, touch, field) {
+  const attribution = inquiry.attribution || {};
+  return attribution[touch] ? attribution[touch][field] || null : null;
+}
+
+// Create singleton instance
+const inquiryTransferService = new InquiryTransferService();
+
+module.exports = inquiryTransferService;
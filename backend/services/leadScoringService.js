@@ -0,0 +1,370 @@
+/**
+ * Lead Scoring Service
+ * Scores inquiries 0-100 from weights that admins can tune in settings
+ */
+
+const { safeDebugLog } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const SettingsBackedService = require('./settingsBackedService');
+
+// Built-in weights - settings/leadScoring overrides these per factor
+const DEFAULT_SCORING_WEIGHTS = {
+  // Blocked transactions are the most valuable leads
+  issues: {
+    'mortgage-rejection': 30,
+    'sale-issue': 30,
+    'valuation-issue': 20,
+    'insurance-issue': 18,
+    'survey-issue': 15,
+    planning: 5
+  },
+  issuesCap: 35,
+
+  urgency: {
+    urgent: 20,
+    high: 15,
+    medium: 8,
+    low: 3
+  },
+
+  // Estimated area in square metres - highest matching band wins
+  estimatedArea: {
+    0: 3,
+    50: 6,
+    100: 10,
+    200: 15
+  },
+
+  propertyType: {
+    detached: 10,
+    'semi-detached': 8,
+    bungalow: 8,
+    terraced: 6,
+    flat: 4,
+    residential: 6,
+    commercial: 10,
+    industrial: 10,
+    other: 3
+  },
+
+  foamAge: {
+    recent: 4,
+    '1-3years': 6,
+    '3-5years': 8,
+    '5-10years': 10,
+    over10: 10,
+    unknown: 5
+  },
+
+  // Postcode areas (letters before the district number) we actively cover
+  serviceArea: {
+    inArea: 10,
+    outOfArea: 2,
+    unknown: 4,
+    postcodeAreas: [
+      'M', 'BL', 'OL', 'SK', 'WA', 'WN',
+      'B', 'CV', 'DY', 'WS', 'WV',
+      'BD', 'HD', 'HX', 'LS', 'WF',
+      'E', 'EC', 'N', 'NW', 'SE', 'SW', 'W', 'WC',
+      'CH', 'L', 'PR',
+      'CF', 'NP', 'SA'
+    ]
+  },
+
+  // Attribution source - "default" covers anything not listed
+  source: {
+    referral: 10,
+    google: 8,
+    bing: 8,
+    facebook: 5,
+    website: 5,
+    default: 3
+  },
+
+  // Score thresholds for the derived inquiry priority
+  priorityThresholds: {
+    urgent: 75,
+    high: 55,
+    medium: 30
+  }
+};
+
+// Factors that contribute points (the rest of the weights are tuning knobs)
+const SCORED_FACTORS = ['issues', 'urgency', 'estimatedArea', 'propertyType', 'foamAge', 'serviceArea', 'source'];
+
+class LeadScoringService extends SettingsBackedService {
+  constructor() {
+    super({ settingsDoc: 'leadScoring', field: 'weights', label: 'lead scoring' });
+
+    // Configuration
+    this.DEFAULT_WEIGHTS = DEFAULT_SCORING_WEIGHTS;
+    this.BACKFILL_PAGE_SIZE = 200;
+  }
+
+  /**
+   * Get effective weights - defaults with settings overrides merged per factor
+   */
+  async getWeights() {
+    return this.loadSettings();
+  }
+
+  /**
+   * Merge settings overrides into the defaults per factor
+   */
+  applySettings(weights) {
+    return mergeWeights(DEFAULT_SCORING_WEIGHTS, weights || {});
+  }
+
+  /**
+   * Score an inquiry with the current weights
+   * Returns { score, priority, breakdown }
+   */
+  async scoreInquiry(inquiry) {
+    const weights = await this.getWeights();
+    return calculateLeadScore(inquiry, weights);
+  }
+
+  /**
+   * Validate weight overrides before saving them
+   * Returns a list of problems (empty when valid)
+   */
+  validateWeights(weights) {
+    const problems = [];
+
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      return ['Weights must be an object of factor name to settings'];
+    }
+
+    Object.entries(weights).forEach(([factor, value]) => {
+      const defaults = DEFAULT_SCORING_WEIGHTS[factor];
+
+      if (defaults === undefined) {
+        problems.push(`Unknown scoring factor: ${factor}`);
+        return;
+      }
+
+      if (typeof defaults === 'number') {
+        if (!isValidPoints(value)) {
+          problems.push(`${factor} must be a number between 0 and 100`);
+        }
+        return;
+      }
+
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${factor} must be an object`);
+        return;
+      }
+
+      Object.entries(value).forEach(([key, points]) => {
+        if (factor === 'serviceArea' && key === 'postcodeAreas') {
+          if (!Array.isArray(points) || !points.every(area => /^[A-Z]{1,2}$/.test(area))) {
+            problems.push('serviceArea.postcodeAreas must be a list of postcode areas like "LS"');
+          }
+          return;
+        }
+
+        if (!isValidPoints(points)) {
+          problems.push(`${factor}.${key} must be a number between 0 and 100`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  /**
+   * Save weight overrides to settings (admin only - checked by the route)
+   */
+  async updateWeights(weights, updatedBy) {
+    await this.saveSettings(weights, updatedBy);
+
+    safeDebugLog('Lead scoring weights updated', {
+      factors: Object.keys(weights),
+      updatedBy: updatedBy.email
+    });
+
+    return this.getWeights();
+  }
+
+  /**
+   * Score inquiries saved before lead scoring existed (admin only - checked by the route)
+   * Sorting by score leaves out documents without one, so every inquiry needs a score
+   * Priorities are left alone - staff may have set them since
+   */
+  async backfillScores(updatedBy) {
+    const db = getDb();
+    const weights = await this.getWeights();
+    const query = db.collection('inquiries').limit(this.BACKFILL_PAGE_SIZE);
+    const now = new Date();
+    let lastDoc = null;
+    let checked = 0;
+    let scored = 0;
+
+    while (true) {
+      const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+      const batch = db.batch();
+      let writes = 0;
+
+      snapshot.docs.forEach(doc => {
+        const inquiry = doc.data();
+        checked++;
+
+        if (typeof inquiry.score === 'number') {
+          return;
+        }
+
+        const lead = calculateLeadScore(inquiry, weights);
+        batch.update(doc.ref, {
+          score: lead.score,
+          scoreBreakdown: lead.breakdown,
+          scoredAt: now
+        });
+        writes++;
+      });
+
+      if (writes > 0) {
+        await batch.commit();
+        scored += writes;
+      }
+
+      if (snapshot.size < this.BACKFILL_PAGE_SIZE) {
+        break;
+      }
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    safeDebugLog('Lead scores backfilled', {
+      checked,
+      scored,
+      updatedBy: updatedBy.email
+    });
+
+    return { checked, scored };
+  }
+}
+
+/**
+ * Score an inquiry against a set of weights
+ * Raw points are scaled against the maximum the weights allow, so the score stays 0-100
+ */
+function calculateLeadScore(inquiry, weights) {
+  const issues = Array.isArray(inquiry.issues) ? inquiry.issues : [];
+  const issuePoints = issues.reduce((total, issue) => total + (weights.issues[issue] || 0), 0);
+
+  const source = getAttributionSource(inquiry);
+  const serviceArea = getServiceAreaFit(inquiry.postcode, weights.serviceArea.postcodeAreas);
+
+  const breakdown = {
+    issues: {
+      value: issues,
+      points: Math.min(issuePoints, weights.issuesCap)
+    },
+    urgency: {
+      value: inquiry.urgency || null,
+      points: weights.urgency[inquiry.urgency] || 0
+    },
+    estimatedArea: {
+      value: inquiry.estimatedArea || null,
+      points: inquiry.estimatedArea ? getBandPoints(weights.estimatedArea, inquiry.estimatedArea) : 0
+    },
+    propertyType: {
+      value: inquiry.propertyType || null,
+      points: weights.propertyType[inquiry.propertyType] || 0
+    },
+    foamAge: {
+      value: inquiry.foamAge || null,
+      points: weights.foamAge[inquiry.foamAge] || 0
+    },
+    serviceArea: {
+      value: serviceArea,
+      points: weights.serviceArea[serviceArea] || 0
+    },
+    source: {
+      value: source,
+      points: weights.source[source] !== undefined ? weights.source[source] : weights.source.default
+    }
+  };
+
+  const rawPoints = SCORED_FACTORS.reduce((total, factor) => total + breakdown[factor].points, 0);
+  const maxPoints = getMaxPoints(weights);
+  const score = maxPoints > 0 ? Math.min(100, Math.round((rawPoints / maxPoints) * 100)) : 0;
+
+  return {
+    score,
+    priority: getPriorityForScore(score, weights.priorityThresholds),
+    breakdown
+  };
+}
+
+/**
+ * Highest number of raw points the weights can award
+ */
+function getMaxPoints(weights) {
+  const maxOf = (values) => Math.max(0, ...values.filter(value => typeof value === 'number'));
+
+  const issueTotal = Object.values(weights.issues).reduce((total, points) => total + points, 0);
+  const { postcodeAreas, ...areaPoints } = weights.serviceArea;
+
+  return Math.min(issueTotal, weights.issuesCap)
+    + maxOf(Object.values(weights.urgency))
+    + maxOf(Object.values(weights.estimatedArea))
+    + maxOf(Object.values(weights.propertyType))
+    + maxOf(Object.values(weights.foamAge))
+    + maxOf(Object.values(areaPoints))
+    + maxOf(Object.values(weights.source));
+}
+
+function getPriorityForScore(score, thresholds) {
+  if (score >= thresholds.urgent) return 'urgent';
+  if (score >= thresholds.high) return 'high';
+  if (score >= thresholds.medium) return 'medium';
+  return 'low';
+}
+
+// Bands are keyed by their lower bound, e.g. { 0: 3, 50: 6, 100: 10 }
+function getBandPoints(bands, value) {
+  return Object.keys(bands)
+    .map(Number)
+    .filter(lowerBound => value >= lowerBound)
+    .reduce((points, lowerBound) => bands[lowerBound], 0);
+}
+
+function getServiceAreaFit(postcode, postcodeAreas) {
+  if (!postcode) {
+    return 'unknown';
+  }
+
+  const area = postcode.toUpperCase().match(/^[A-Z]{1,2}/);
+  return area && postcodeAreas.includes(area[0]) ? 'inArea' : 'outOfArea';
+}
+
+// Intake stores the source it derived from the attribution touches
+function getAttributionSource(inquiry) {
+  return String(inquiry.source || 'default').toLowerCase();
+}
+
+function mergeWeights(defaults, overrides) {
+  const merged = {};
+
+  Object.keys(defaults).forEach(factor => {
+    const override = overrides[factor];
+
+    if (typeof defaults[factor] === 'number' || Array.isArray(override)) {
+      merged[factor] = override !== undefined ? override : defaults[factor];
+    } else {
+      merged[factor] = { ...defaults[factor], ...(override || {}) };
+    }
+  });
+
+  return merged;
+}
+
+function isValidPoints(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+// Create singleton instance
+const leadScoringService = new LeadScoringService();
+
+module.exports = leadScoringService;
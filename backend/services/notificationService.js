@@ -6,6 +6,7 @@
 const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
 const { getDb } = require('../../shared/config/firebaseConfig');
 const emailService = require('./emailService');
+const { toDate } = require('../utils/dates');
 
 class NotificationService {
   constructor() {
@@ -101,7 +102,9 @@ class NotificationService {
           {
             type: 'assign',
             label: 'Assign to Me',
-            action: 'assign_inquiry'
+            action: 'assign_inquiry',
+            method: 'POST',
+            endpoint: `/inquiries/${inquiryData.id}/assign`
           }
         ]
       };
@@ -145,19 +148,200 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify staff member of inquiry assignment
+   */
+  async notifyInquiryAssignment(inquiryData, assigneeId) {
+    try {
+      const notification = {
+        type: 'inquiry_assigned',
+        title: 'Inquiry Assigned to You',
+        message: `${inquiryData.referenceNumber} from ${inquiryData.name} - ${inquiryData.subject}`,
+        priority: inquiryData.priority || 'medium',
+        data: {
+          inquiryId: inquiryData.id,
+          referenceNumber: inquiryData.referenceNumber,
+          customerName: inquiryData.name,
+          subject: inquiryData.subject,
+          urgency: inquiryData.urgency,
+          followUpDate: inquiryData.followUpDate
+        },
+        actions: [
+          {
+            type: 'view',
+            label: 'View Inquiry',
+            url: `/admin/inquiries/${inquiryData.id}`
+          }
+        ]
+      };
+
+      await this.sendNotification(assigneeId, notification);
+
+      safeDebugLog('Staff notified of inquiry assignment', {
+        inquiryId: inquiryData.id,
+        referenceNumber: inquiryData.referenceNumber,
+        assigneeId
+      });
+
+    } catch (error) {
+      safeDebugError('Error notifying staff of inquiry assignment', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the assignee that the customer submitted the form again
+   * Nobody is assigned yet, so managers hear about it instead
+   */
+  async notifyInquiryFollowUp(inquiryData, assigneeId = null) {
+    try {
+      let userIds = [];
+
+      if (assigneeId) {
+        userIds = [assigneeId];
+      } else {
+        const managerQuery = await this.db
+          .collection('users')
+          .where('role', 'in', ['admin', 'manager'])
+          .where('status', '==', 'active')
+          .get();
+
+        userIds = managerQuery.docs.map(doc => doc.data().uid);
+      }
+
+      const notification = {
+        type: 'inquiry_follow_up',
+        title: 'Customer Submitted Again',
+        message: `${inquiryData.referenceNumber} from ${inquiryData.name} - submission ${inquiryData.submissionCount}`,
+        priority: inquiryData.priority || 'medium',
+        data: {
+          inquiryId: inquiryData.id,
+          referenceNumber: inquiryData.referenceNumber,
+          customerName: inquiryData.name,
+          submissionCount: inquiryData.submissionCount,
+          urgency: inquiryData.urgency
+        },
+        actions: [
+          {
+            type: 'view',
+            label: 'View Inquiry',
+            url: `/admin/inquiries/${inquiryData.id}`
+          }
+        ]
+      };
+
+      await this.sendBulkNotification(userIds, notification);
+
+      safeDebugLog('Staff notified of follow-up submission', {
+        inquiryId: inquiryData.id,
+        referenceNumber: inquiryData.referenceNumber,
+        assigneeId,
+        notifiedStaff: userIds.length
+      });
+
+    } catch (error) {
+      safeDebugError('Error notifying staff of follow-up submission', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify of a missed inquiry follow-up deadline
+   * Goes to the assignee first; escalated breaches (or unassigned inquiries) go to managers
+   */
+  async notifyInquirySlaBreach(inquiryData, { escalate = false } = {}) {
+    try {
+      let userIds = [];
+
+      if (!escalate && inquiryData.assignedTo) {
+        userIds = [inquiryData.assignedTo];
+      } else {
+        const managerQuery = await this.db
+          .collection('users')
+          .where('role', 'in', ['admin', 'manager'])
+          .where('status', '==', 'active')
+          .get();
+
+        userIds = managerQuery.docs.map(doc => doc.data().uid);
+      }
+
+      const notification = {
+        type: escalate ? 'inquiry_sla_escalation' : 'inquiry_sla_breach',
+        title: escalate ? 'Inquiry Follow-up Overdue - Escalated' : 'Inquiry Follow-up Overdue',
+        message: `${inquiryData.referenceNumber} from ${inquiryData.name} was due a response by ${formatDateTime(inquiryData.followUpDate)}`,
+        priority: 'high',
+        data: {
+          inquiryId: inquiryData.id,
+          referenceNumber: inquiryData.referenceNumber,
+          customerName: inquiryData.name,
+          urgency: inquiryData.urgency,
+          assignedTo: inquiryData.assignedTo || null,
+          followUpDate: inquiryData.followUpDate
+        },
+        actions: [
+          {
+            type: 'view',
+            label: 'View Inquiry',
+            url: `/admin/inquiries/${inquiryData.id}`
+          }
+        ]
+      };
+
+      await this.sendBulkNotification(userIds, notification);
+
+      safeDebugLog('Staff notified of SLA breach', {
+        inquiryId: inquiryData.id,
+        referenceNumber: inquiryData.referenceNumber,
+        escalate,
+        notifiedStaff: userIds.length
+      });
+
+      return userIds;
+
+    } catch (error) {
+      safeDebugError('Error notifying staff of SLA breach', error);
+      throw error;
+    }
+  }
+
   /**
    * Notify customer of quote ready
    */
   async notifyQuoteReady(quoteData) {
     try {
+      // This would typically be sent to a customer user account
+      // For now, we'll just log it as the customer notification system
+      // would be part of a customer portal
+      
+      safeDebugLog('Customer quote notification prepared', {
+        quoteId: quoteData.id,
+        quoteNumber: quoteData.quoteNumber,
+        customerEmail: quoteData.customerInfo.email
+      });
+
+    } catch (error) {
+      safeDebugError('Error preparing quote notification', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the quote's creator that the customer accepted or declined it
+   */
+  async notifyQuoteResponse(quoteData, status) {
+    try {
+      const accepted = status === 'accepted';
       const notification = {
-        type: 'quote_ready',
-        title: 'Your Quote is Ready',
-        message: `Your spray foam removal quote (${quoteData.quoteNumber}) is ready for review`,
-        priority: 'medium',
+        type: accepted ? 'quote_accepted' : 'quote_declined',
+        title: accepted ? 'Quote Accepted' : 'Quote Declined',
+        message: accepted
+          ? `${quoteData.customerInfo.name} accepted quote ${quoteData.quoteNumber}`
+          : `${quoteData.customerInfo.name} declined quote ${quoteData.quoteNumber}: ${quoteData.rejectionReason}`,
+        priority: accepted ? 'high' : 'medium',
         data: {
           quoteId: quoteData.id,
           quoteNumber: quoteData.quoteNumber,
+          version: quoteData.version || 1,
           totalAmount: quoteData.totalAmount,
           customerName: quoteData.customerInfo.name
         },
@@ -165,28 +349,116 @@ class NotificationService {
           {
             type: 'view',
             label: 'View Quote',
-            url: `/quote/${quoteData.id}`
+            url: `/admin/quotes/${quoteData.id}`
+          }
+        ]
+      };
+
+      await this.sendNotification(quoteData.createdBy, notification);
+
+      safeDebugLog('Quote creator notified of customer response', {
+        quoteId: quoteData.id,
+        quoteNumber: quoteData.quoteNumber,
+        status,
+        createdBy: quoteData.createdBy
+      });
+
+    } catch (error) {
+      safeDebugError('Error notifying quote creator of response', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify approvers that a quote is waiting for their approval
+   */
+  async notifyQuoteApprovalRequested(quoteData, approverIds) {
+    try {
+      if (approverIds.length === 0) {
+        safeDebugLog('No approvers to notify of quote', {
+          quoteId: quoteData.id,
+          quoteNumber: quoteData.quoteNumber
+        });
+        return [];
+      }
+
+      const notification = {
+        type: 'quote_approval_requested',
+        title: 'Quote Awaiting Approval',
+        message: `${quoteData.submittedForApprovalByName} submitted quote ${quoteData.quoteNumber} (£${quoteData.totalAmount.toFixed(2)}) for approval`,
+        priority: 'high',
+        data: {
+          quoteId: quoteData.id,
+          quoteNumber: quoteData.quoteNumber,
+          version: quoteData.version || 1,
+          totalAmount: quoteData.totalAmount,
+          customerName: quoteData.customerInfo.name,
+          submittedBy: quoteData.submittedForApprovalBy
+        },
+        actions: [
+          {
+            type: 'view',
+            label: 'Review Quote',
+            url: `/admin/quotes/${quoteData.id}`
           },
           {
-            type: 'accept',
-            label: 'Accept Quote',
-            action: 'accept_quote'
+            type: 'approve',
+            label: 'Approve',
+            action: 'approve_quote',
+            method: 'POST',
+            endpoint: `/quotes/${quoteData.id}/approve`
           }
         ]
       };
 
-      // This would typically be sent to a customer user account
-      // For now, we'll just log it as the customer notification system
-      // would be part of a customer portal
-      
-      safeDebugLog('Customer quote notification prepared', {
+      await this.sendBulkNotification(approverIds, notification);
+
+      safeDebugLog('Approvers notified of quote', {
         quoteId: quoteData.id,
         quoteNumber: quoteData.quoteNumber,
-        customerEmail: quoteData.customerInfo.email
+        notifiedApprovers: approverIds.length
       });
 
+      return approverIds;
+
     } catch (error) {
-      safeDebugError('Error preparing quote notification', error);
+      safeDebugError('Error notifying approvers of quote', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify whoever submitted a quote that it was approved or sent back
+   */
+  async notifyQuoteApprovalDecision(quoteData, decision, recipientId, decidedBy) {
+    try {
+      const approved = decision === 'approved';
+      const notification = {
+        type: approved ? 'quote_approved' : 'quote_approval_rejected',
+        title: approved ? 'Quote Approved' : 'Quote Sent Back',
+        message: approved
+          ? `${decidedBy.email} approved quote ${quoteData.quoteNumber} - it can now be sent`
+          : `${decidedBy.email} sent quote ${quoteData.quoteNumber} back: ${quoteData.approvalRejectionReason}`,
+        priority: 'medium',
+        data: {
+          quoteId: quoteData.id,
+          quoteNumber: quoteData.quoteNumber,
+          version: quoteData.version || 1,
+          decidedBy: decidedBy.uid
+        },
+        actions: [
+          {
+            type: 'view',
+            label: 'View Quote',
+            url: `/admin/quotes/${quoteData.id}`
+          }
+        ]
+      };
+
+      await this.sendNotification(recipientId, notification);
+
+    } catch (error) {
+      safeDebugError('Error notifying quote approval decision', error);
       throw error;
     }
   }
@@ -437,39 +709,27 @@ class NotificationService {
   }
 
   /**
-   * Clean up old notifications
+   * Clean up old read notifications
+   * Runs through the retention engine: one collection group query and batched deletes
    */
   async cleanupOldNotifications(daysOld = 30) {
     try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-
-      // This would typically be run as a scheduled function
-      // Get all users and clean their old notifications
-      const usersSnapshot = await this.db.collection('users').get();
-      let cleanedCount = 0;
-
-      for (const userDoc of usersSnapshot.docs) {
-        const oldNotificationsQuery = await this.db
-          .collection('notifications')
-          .doc(userDoc.id)
-          .collection('items')
-          .where('createdAt', '<', cutoffDate)
-          .where('read', '==', true) // Only delete read notifications
-          .get();
-
-        for (const notificationDoc of oldNotificationsQuery.docs) {
-          await notificationDoc.ref.delete();
-          cleanedCount++;
-        }
-      }
+      const retentionService = require('./retentionService');
+      const result = await retentionService.applyRule({
+        id: 'notification-cleanup',
+        target: 'notifications',
+        action: 'delete',
+        match: { read: true },
+        ageField: 'createdAt',
+        olderThanDays: daysOld
+      });
 
       safeDebugLog('Old notifications cleaned up', {
-        cleanedCount,
+        cleanedCount: result.deleted,
         daysOld
       });
 
-      return cleanedCount;
+      return result.deleted;
 
     } catch (error) {
       safeDebugError('Error cleaning up old notifications', error);
@@ -485,6 +745,10 @@ class NotificationService {
   }
 }
 
+function formatDateTime(value) {
+  return toDate(value).toLocaleString('en-GB', { timeZone: 'Europe/London' });
+}
+
 // Create singleton instance
 const notificationService = new NotificationService();
 
@@ -4,8 +4,6 @@
  */
 
 const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
-const fs = require('fs').promises;
-const path = require('path');
 
 // Import utilities
 const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
@@ -28,8 +26,8 @@ class PDFService {
   async generateQuotePDF(quoteData) {
     try {
       const pdfDoc = await PDFDocument.create();
-      const page = pdfDoc.addPage([595, 842]); // A4 size
-      const { width, height } = page.getSize();
+      let page = pdfDoc.addPage([595, 842]); // A4 size
+      const { height } = page.getSize();
 
       // Load fonts
       const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
@@ -38,8 +36,6 @@ class PDFService {
       // Colors
       const darkBlue = rgb(0.17, 0.35, 0.63); // #2c5aa0
       const gray = rgb(0.4, 0.4, 0.4);
-      const black = rgb(0, 0, 0);
-      const lightGray = rgb(0.95, 0.95, 0.95);
 
       let currentY = height - 50;
 
@@ -104,23 +100,25 @@ class PDFService {
 
       currentY -= 100;
 
-      // Services table
-      currentY = this.drawServicesTable(page, currentY, quoteData, regularFont, boldFont);
+      // Services table - long multi-zone quotes carry on over further pages
+      ({ page, currentY } = this.drawServicesTable(pdfDoc, page, currentY, quoteData, regularFont, boldFont));
 
       currentY -= 40;
 
       // Pricing breakdown
+      ({ page, currentY } = this.ensureSpace(pdfDoc, page, currentY, 85));
       currentY = this.drawPricingBreakdown(page, currentY, quoteData.calculations, regularFont, boldFont);
 
       currentY -= 40;
 
       // Terms and conditions
       if (quoteData.terms && quoteData.terms.length > 0) {
+        ({ page, currentY } = this.ensureSpace(pdfDoc, page, currentY, this.measureTerms(quoteData.terms, regularFont)));
         currentY = this.drawTermsAndConditions(page, currentY, quoteData.terms, regularFont, boldFont);
       }
 
-      // Footer
-      this.drawFooter(page, regularFont, gray);
+      // Footer on every page
+      pdfDoc.getPages().forEach(pdfPage => this.drawFooter(pdfPage, regularFont, gray));
 
       // Generate PDF bytes
       const pdfBytes = await pdfDoc.save();
@@ -192,10 +190,23 @@ class PDFService {
   }
 
   /**
-   * Draw services table
+   * Start a new page when the next block would run into the footer
+   * needed includes the spacing each block leaves below itself
    */
-  drawServicesTable(page, startY, quoteData, regularFont, boldFont) {
-    const lightGray = rgb(0.95, 0.95, 0.95);
+  ensureSpace(pdfDoc, page, currentY, needed) {
+    if (currentY - needed >= 40) {
+      return { page, currentY };
+    }
+
+    const nextPage = pdfDoc.addPage([595, 842]);
+    return { page: nextPage, currentY: nextPage.getSize().height - 50 };
+  }
+
+  /**
+   * Draw services table - one row per quote line, or the fixed three rows of older quotes
+   * Returns the page the table ended on and the position below it
+   */
+  drawServicesTable(pdfDoc, page, startY, quoteData, regularFont, boldFont) {
     const black = rgb(0, 0, 0);
     const darkBlue = rgb(0.17, 0.35, 0.63);
 
@@ -212,61 +223,57 @@ class PDFService {
 
     currentY -= 30;
 
-    // Service items
-    const services = [
-      {
-        description: `${quoteData.removalDetails.foamType} spray foam removal`,
-        area: `${quoteData.removalDetails.estimatedArea} m²`,
-        rate: `£${quoteData.calculations.baseRate}/m²`,
-        amount: `£${quoteData.calculations.subtotal.toFixed(2)}`
-      },
-      {
-        description: 'Waste disposal and site cleanup',
-        area: `${quoteData.removalDetails.estimatedArea} m²`,
-        rate: '£2.00/m²',
-        amount: `£${quoteData.calculations.disposalFee.toFixed(2)}`
-      },
-      {
-        description: 'Travel and logistics',
-        area: '1',
-        rate: 'Fixed',
-        amount: `£${quoteData.calculations.travelCosts.toFixed(2)}`
-      }
-    ];
-
-    // Table headers
-    const tableY = currentY;
-    page.drawRectangle({
-      x: 50,
-      y: tableY - 20,
-      width: 495,
-      height: 20,
-      color: lightGray
-    });
-
-    const headers = [
-      { text: 'Description', x: 60 },
-      { text: 'Qty/Area', x: 280 },
-      { text: 'Rate', x: 360 },
-      { text: 'Amount', x: 450 }
-    ];
-
-    headers.forEach(header => {
-      page.drawText(header.text, {
-        x: header.x,
-        y: tableY - 15,
-        size: 10,
-        font: boldFont,
-        color: black
-      });
-    });
+    const services = quoteData.lineItems
+      ? quoteData.lineItems.map(line => ({
+        description: line.description,
+        area: line.unit ? `${line.quantity} ${line.unit}` : String(line.quantity),
+        rate: formatLineRate(line),
+        amount: `£${line.amount.toFixed(2)}`
+      }))
+      : [
+        {
+          description: `${quoteData.removalDetails.foamType} spray foam removal`,
+          area: `${quoteData.removalDetails.estimatedArea} m²`,
+          rate: `£${quoteData.calculations.baseRate}/m²`,
+          amount: `£${quoteData.calculations.subtotal.toFixed(2)}`
+        },
+        {
+          description: 'Waste disposal and site cleanup',
+          area: `${quoteData.removalDetails.estimatedArea} m²`,
+          rate: `£${(quoteData.calculations.disposalRate ?? 2).toFixed(2)}/m²`,
+          amount: `£${quoteData.calculations.disposalFee.toFixed(2)}`
+        },
+        {
+          description: 'Travel and logistics',
+          area: '1',
+          rate: 'Fixed',
+          amount: `£${quoteData.calculations.travelCosts.toFixed(2)}`
+        },
+        // Small jobs are topped up to the rate card's minimum charge
+        ...(quoteData.calculations.minimumChargeAdjustment > 0 ? [{
+          description: 'Minimum charge adjustment',
+          area: '1',
+          rate: 'Fixed',
+          amount: `£${quoteData.calculations.minimumChargeAdjustment.toFixed(2)}`
+        }] : [])
+      ];
 
-    currentY = tableY - 20;
+    this.drawTableHeader(page, currentY, boldFont);
+    currentY -= 20;
 
     // Service rows
     services.forEach((service, index) => {
-      const rowY = currentY - (index + 1) * 25;
-      
+      // Keep each row's shading clear of the footer
+      if (currentY - 45 < 65) {
+        page = pdfDoc.addPage([595, 842]);
+        currentY = page.getSize().height - 50;
+        this.drawTableHeader(page, currentY, boldFont);
+        currentY -= 20;
+      }
+
+      const rowY = currentY - 25;
+      currentY = rowY;
+
       // Alternating row colors
       if (index % 2 === 1) {
         page.drawRectangle({
@@ -278,7 +285,8 @@ class PDFService {
         });
       }
 
-      page.drawText(service.description, {
+      // Zone names are free text, so long ones are cut to the column
+      page.drawText(this.fitText(service.description, 210, regularFont, 9), {
         x: 60,
         y: rowY - 15,
         size: 9,
@@ -311,7 +319,40 @@ class PDFService {
       });
     });
 
-    return currentY - (services.length * 25) - 10;
+    return { page, currentY: currentY - 10 };
+  }
+
+  /**
+   * Draw the services table column headings
+   */
+  drawTableHeader(page, tableY, boldFont) {
+    const lightGray = rgb(0.95, 0.95, 0.95);
+    const black = rgb(0, 0, 0);
+
+    page.drawRectangle({
+      x: 50,
+      y: tableY - 20,
+      width: 495,
+      height: 20,
+      color: lightGray
+    });
+
+    const headers = [
+      { text: 'Description', x: 60 },
+      { text: 'Qty/Area', x: 280 },
+      { text: 'Rate', x: 360 },
+      { text: 'Amount', x: 450 }
+    ];
+
+    headers.forEach(header => {
+      page.drawText(header.text, {
+        x: header.x,
+        y: tableY - 15,
+        size: 10,
+        font: boldFont,
+        color: black
+      });
+    });
   }
 
   /**
@@ -326,7 +367,7 @@ class PDFService {
     // Pricing breakdown
     const pricing = [
       { label: 'Subtotal:', amount: `£${calculations.netAmount.toFixed(2)}`, bold: false },
-      { label: 'VAT (20%):', amount: `£${calculations.vatAmount.toFixed(2)}`, bold: false },
+      { label: `VAT (${Math.round((calculations.vatRate ?? 0.20) * 100)}%):`, amount: `£${calculations.vatAmount.toFixed(2)}`, bold: false },
       { label: 'TOTAL:', amount: `£${calculations.totalAmount.toFixed(2)}`, bold: true }
     ];
 
@@ -405,6 +446,13 @@ class PDFService {
     return currentY;
   }
 
+  /**
+   * Height the terms block will take
+   */
+  measureTerms(terms, regularFont) {
+    return terms.reduce((total, term) => total + (this.wrapText(term, 480, regularFont, 9).length * 12) + 5, 20);
+  }
+
   /**
    * Draw footer
    */
@@ -428,6 +476,21 @@ class PDFService {
     });
   }
 
+  /**
+   * Cut text to fit within specified width on one line
+   */
+  fitText(text, maxWidth, font, fontSize) {
+    if (font.widthOfTextAtSize(text, fontSize) <= maxWidth) {
+      return text;
+    }
+
+    let fitted = text;
+    while (fitted.length > 1 && font.widthOfTextAtSize(`${fitted}...`, fontSize) > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}...`;
+  }
+
   /**
    * Wrap text to fit within specified width
    */
@@ -515,7 +578,13 @@ class PDFService {
   }
 }
 
+// Helper functions
+function formatLineRate(line) {
+  if (line.unit) return `£${line.unitPrice.toFixed(2)}/${line.unit}`;
+  return line.quantity === 1 ? 'Fixed' : `£${line.unitPrice.toFixed(2)} each`;
+}
+
 // Create singleton instance
 const pdfService = new PDFService();
 
-module.exports = pdfService;
\ No newline at end of file
+module.exports = pdfService;
@@ -0,0 +1,101 @@
+/**
+ * Permission Service
+ * Resolves role permissions from ROLE_PERMISSIONS plus admin overrides in settings
+ */
+
+const { safeDebugLog } = require('../../shared/utils/errorHandler');
+const { ROLE_PERMISSIONS } = require('../../shared/auth/authManager');
+const SettingsBackedService = require('./settingsBackedService');
+
+// Permissions look like "quotes.write", or "projects.write:own" for ownership-scoped grants
+const PERMISSION_PATTERN = /^[a-z]+\.[a-z]+(:own)?$/;
+
+class PermissionService extends SettingsBackedService {
+  constructor() {
+    super({ settingsDoc: 'permissions', field: 'roles', label: 'permission' });
+  }
+
+  /**
+   * Get the effective role -> permissions map
+   * A failed settings read falls back to the built-in map rather than locking everyone out
+   */
+  async getRolePermissions() {
+    return this.loadSettings();
+  }
+
+  /**
+   * Roles defined in settings replace the defaults for that role
+   */
+  applySettings(roles) {
+    return {
+      ...ROLE_PERMISSIONS,
+      ...roles
+    };
+  }
+
+  /**
+   * Get permissions granted to a single role
+   */
+  async getPermissionsForRole(role) {
+    const rolePermissions = await this.getRolePermissions();
+    return rolePermissions[role] || [];
+  }
+
+  /**
+   * Check whether a role exists in the effective map
+   */
+  async isKnownRole(role) {
+    const rolePermissions = await this.getRolePermissions();
+    return Object.prototype.hasOwnProperty.call(rolePermissions, role);
+  }
+
+  /**
+   * Validate a role -> permissions map before saving it
+   * Returns a list of problems (empty when valid)
+   */
+  validateRoles(roles) {
+    const problems = [];
+
+    if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+      return ['Roles must be an object of role name to permission list'];
+    }
+
+    Object.entries(roles).forEach(([role, permissions]) => {
+      if (!/^[a-z][a-z-]{1,30}$/.test(role)) {
+        problems.push(`Invalid role name: ${role}`);
+      }
+
+      if (!Array.isArray(permissions)) {
+        problems.push(`Permissions for ${role} must be an array`);
+        return;
+      }
+
+      permissions.forEach(permission => {
+        if (typeof permission !== 'string' || !PERMISSION_PATTERN.test(permission)) {
+          problems.push(`Invalid permission for ${role}: ${permission}`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  /**
+   * Save role overrides to settings (admin only - checked by the route)
+   */
+  async updateRoles(roles, updatedBy) {
+    await this.saveSettings(roles, updatedBy);
+
+    safeDebugLog('Role permissions updated', {
+      roles: Object.keys(roles),
+      updatedBy: updatedBy.email
+    });
+
+    return this.getRolePermissions();
+  }
+}
+
+// Create singleton instance
+const permissionService = new PermissionService();
+
+module.exports = permissionService;
@@ -0,0 +1,451 @@
+/**
+ * Pricing Service
+ * Prices quotes from versioned rate cards kept in settings/pricing
+ */
+
+const { safeDebugLog } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const SettingsBackedService = require('./settingsBackedService');
+const { toDate } = require('../utils/dates');
+
+// Built-in rate card - version 0 prices every quote made before rate cards existed
+const DEFAULT_RATE_CARD = {
+  version: 0,
+  label: 'Standard rates',
+  effectiveFrom: new Date(0),
+  // Per square metre by foam type
+  baseRates: {
+    'open-cell': 25,
+    'closed-cell': 35,
+    'mixed': 30
+  },
+  difficultyMultipliers: {
+    'easy': 1.0,
+    'moderate': 1.2,
+    'difficult': 1.5,
+    'extreme': 2.0
+  },
+  urgencyMultipliers: {
+    'standard': 1.0,
+    'urgent': 1.3,
+    'emergency': 1.6
+  },
+  // Multiplies the removal subtotal - the largest minArea not above the job's area applies
+  // e.g. [{ minArea: 200, multiplier: 0.9 }]
+  areaTiers: [],
+  // Multiplies the removal subtotal by postcode area
+  // e.g. [{ name: 'London', postcodeAreas: ['E', 'N', 'SW'], multiplier: 1.15 }]
+  regionalUplifts: [],
+  disposalRate: 2,
+  // Flat travel charge - the first band the area is under applies, the last has no limit
+  travelBands: [
+    { maxArea: 50, cost: 50 },
+    { maxArea: 100, cost: 75 },
+    { maxArea: 200, cost: 100 },
+    { maxArea: null, cost: 150 }
+  ],
+  // Net amount a job is never priced below
+  minimumCharge: 0,
+  vatRate: 0.20
+};
+
+// Keys a rate card is published with - version and audit fields are added on publish
+const RATE_CARD_FIELDS = [
+  'label', 'effectiveFrom', 'baseRates', 'difficultyMultipliers', 'urgencyMultipliers', 'areaTiers',
+  'regionalUplifts', 'disposalRate', 'travelBands', 'minimumCharge', 'vatRate'
+];
+
+class PricingService extends SettingsBackedService {
+  constructor() {
+    super({ settingsDoc: 'pricing', field: 'rateCards', label: 'pricing' });
+
+    // Configuration
+    this.DEFAULT_RATE_CARD = DEFAULT_RATE_CARD;
+  }
+
+  /**
+   * All rate cards, oldest version first - always includes the built-in version 0
+   */
+  async getRateCards() {
+    return this.loadSettings();
+  }
+
+  /**
+   * Published cards come back with their dates as Timestamps
+   */
+  applySettings(rateCards) {
+    const published = (rateCards || []).map(card => ({
+      ...card,
+      effectiveFrom: toDate(card.effectiveFrom),
+      publishedAt: toDate(card.publishedAt)
+    }));
+
+    return [DEFAULT_RATE_CARD, ...published].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * The rate card in force at a date - the latest effectiveFrom wins, then the latest version
+   */
+  async getRateCard(date = new Date()) {
+    const cards = await this.getRateCards();
+
+    return cards
+      .filter(card => card.effectiveFrom.getTime() <= date.getTime())
+      .reduce((current, card) => (
+        card.effectiveFrom.getTime() >= current.effectiveFrom.getTime() ? card : current
+      ), DEFAULT_RATE_CARD);
+  }
+
+  /**
+   * A specific rate card version, or null if it was never published
+   */
+  async getRateCardVersion(version) {
+    const cards = await this.getRateCards();
+    return cards.find(card => card.version === version) || null;
+  }
+
+  /**
+   * Validate a rate card before publishing or previewing - returns a list of problems
+   */
+  validateRateCard(card) {
+    if (!card || typeof card !== 'object' || Array.isArray(card)) {
+      return ['Rate card must be an object'];
+    }
+
+    const problems = [];
+
+    Object.keys(card).forEach(key => {
+      if (!RATE_CARD_FIELDS.includes(key)) {
+        problems.push(`Unknown rate card field: ${key}`);
+      }
+    });
+
+    if (card.label !== undefined && (typeof card.label !== 'string' || card.label.length > 100)) {
+      problems.push('label must be text of at most 100 characters');
+    }
+    if (card.effectiveFrom !== undefined && Number.isNaN(new Date(card.effectiveFrom).getTime())) {
+      problems.push('effectiveFrom must be a date');
+    }
+
+    // Every foam type, difficulty and urgency the quote forms offer needs a price
+    [
+      ['baseRates', 0, 1000],
+      ['difficultyMultipliers', 0.1, 10],
+      ['urgencyMultipliers', 0.1, 10]
+    ].forEach(([field, min, max]) => {
+      const value = card[field];
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${field} must be an object`);
+        return;
+      }
+      Object.keys(DEFAULT_RATE_CARD[field]).forEach(key => {
+        if (!isNumberBetween(value[key], min, max)) {
+          problems.push(`${field}.${key} must be a number between ${min} and ${max}`);
+        }
+      });
+    });
+
+    if (card.areaTiers !== undefined) {
+      if (!Array.isArray(card.areaTiers)) {
+        problems.push('areaTiers must be a list');
+      } else {
+        card.areaTiers.forEach((tier, index) => {
+          if (!tier || !isNumberBetween(tier.minArea, 0, 10000) || !isNumberBetween(tier.multiplier, 0.1, 10)) {
+            problems.push(`areaTiers[${index}] needs minArea (0-10000) and multiplier (0.1-10)`);
+          }
+        });
+      }
+    }
+
+    if (card.regionalUplifts !== undefined) {
+      if (!Array.isArray(card.regionalUplifts)) {
+        problems.push('regionalUplifts must be a list');
+      } else {
+        card.regionalUplifts.forEach((region, index) => {
+          if (!region || typeof region !== 'object') {
+            problems.push(`regionalUplifts[${index}] must be an object`);
+            return;
+          }
+          if (typeof region.name !== 'string' || region.name.length === 0) {
+            problems.push(`regionalUplifts[${index}].name is required`);
+          }
+          if (!Array.isArray(region.postcodeAreas) || !region.postcodeAreas.every(area => /^[A-Z]{1,2}$/.test(area))) {
+            problems.push(`regionalUplifts[${index}].postcodeAreas must be a list of postcode areas like "SW"`);
+          }
+          if (!isNumberBetween(region.multiplier, 0.1, 10)) {
+            problems.push(`regionalUplifts[${index}].multiplier must be a number between 0.1 and 10`);
+          }
+        });
+      }
+    }
+
+    if (!isNumberBetween(card.disposalRate, 0, 1000)) {
+      problems.push('disposalRate must be a number between 0 and 1000');
+    }
+
+    if (!Array.isArray(card.travelBands) || card.travelBands.length === 0) {
+      problems.push('travelBands must be a non-empty list');
+    } else {
+      card.travelBands.forEach((band, index) => {
+        const last = index === card.travelBands.length - 1;
+        if (!band || !isNumberBetween(band.cost, 0, 10000)) {
+          problems.push(`travelBands[${index}].cost must be a number between 0 and 10000`);
+        }
+        if (band && (last ? band.maxArea !== null : !isNumberBetween(band.maxArea, 1, 10000))) {
+          problems.push(last
+            ? `travelBands[${index}] is the last band, so its maxArea must be null`
+            : `travelBands[${index}].maxArea must be a number between 1 and 10000`);
+        }
+        if (band && index > 0 && !last && card.travelBands[index - 1] &&
+            band.maxArea <= card.travelBands[index - 1].maxArea) {
+          problems.push('travelBands must be in increasing maxArea order');
+        }
+      });
+    }
+
+    if (card.minimumCharge !== undefined && !isNumberBetween(card.minimumCharge, 0, 100000)) {
+      problems.push('minimumCharge must be a number between 0 and 100000');
+    }
+    if (!isNumberBetween(card.vatRate, 0, 1)) {
+      problems.push('vatRate must be a fraction between 0 and 1, e.g. 0.2');
+    }
+
+    return problems;
+  }
+
+  /**
+   * Publish a new rate card version (admin only - checked by the route)
+   * Published cards are never edited, so every quote can be repriced with the card it used
+   */
+  async publishRateCard(card, publishedBy) {
+    const db = getDb();
+    const settingsRef = db.collection('settings').doc(this.SETTINGS_DOC);
+
+    const published = await db.runTransaction(async (transaction) => {
+      const settingsDoc = await transaction.get(settingsRef);
+      const rateCards = settingsDoc.exists ? settingsDoc.data().rateCards || [] : [];
+      const version = rateCards.reduce((max, existing) => Math.max(max, existing.version), 0) + 1;
+
+      const rateCard = {
+        ...buildRateCard(card),
+        version,
+        publishedAt: new Date(),
+        publishedBy: publishedBy.uid,
+        publishedByName: publishedBy.email
+      };
+
+      transaction.set(settingsRef, {
+        rateCards: [...rateCards, rateCard],
+        updatedAt: new Date(),
+        updatedBy: publishedBy.uid,
+        updatedByName: publishedBy.email
+      });
+
+      return rateCard;
+    });
+
+    this.invalidate();
+
+    safeDebugLog('Rate card published', {
+      version: published.version,
+      effectiveFrom: published.effectiveFrom,
+      publishedBy: publishedBy.email
+    });
+
+    return published;
+  }
+
+  /**
+   * Price a job with a rate card
+   * work is { zones, extras, urgency } - a single removalDetails block prices as one zone
+   * Every line is rounded to the penny and the totals are the sum of the lines - except with
+   * version 0, which rounds only the total as quotes were priced before rate cards
+   * Returns the quote amount fields - lineItems, calculations, subtotal, netAmount,
+   * vatAmount, totalAmount - plus rateCardVersion
+   */
+  priceWithRateCard(work, rateCard, { postcode = null } = {}) {
+    const zones = work.zones || [{ ...work, name: null }];
+    const extras = work.extras || [];
+    const urgency = work.urgency || 'standard';
+
+    const estimatedArea = zones.reduce((sum, zone) => sum + zone.estimatedArea, 0);
+    const urgencyMultiplier = rateCard.urgencyMultipliers[urgency] ?? rateCard.urgencyMultipliers.standard;
+    // Tiers go by the size of the whole job, not each zone
+    const tierMultiplier = findAreaTier(rateCard.areaTiers, estimatedArea);
+    const region = findRegion(rateCard.regionalUplifts, postcode);
+    const regionalMultiplier = region ? region.multiplier : 1;
+    const round = roundingFor(rateCard);
+
+    const zoneLines = zones.map(zone => {
+      // Unknown values price as the middle option, as they always have
+      const baseRate = rateCard.baseRates[zone.foamType] ?? rateCard.baseRates.mixed;
+      const difficultyMultiplier = rateCard.difficultyMultipliers[zone.accessDifficulty] ?? rateCard.difficultyMultipliers.moderate;
+      // Staff may agree a unit price for a zone instead of the rate card's
+      const unitPrice = zone.unitPrice ?? round(baseRate * difficultyMultiplier * urgencyMultiplier * tierMultiplier * regionalMultiplier);
+
+      return {
+        type: 'zone',
+        description: `${zone.name ? `${zone.name} - ` : ''}${zone.foamType} spray foam removal`,
+        zone: zone.name || null,
+        foamType: zone.foamType,
+        accessDifficulty: zone.accessDifficulty || null,
+        baseRate,
+        difficultyMultiplier,
+        quantity: zone.estimatedArea,
+        unit: 'm²',
+        unitPrice,
+        amount: round(zone.estimatedArea * unitPrice)
+      };
+    });
+
+    const lineItems = [
+      ...zoneLines,
+      {
+        type: 'disposal',
+        description: 'Waste disposal and site cleanup',
+        quantity: estimatedArea,
+        unit: 'm²',
+        unitPrice: rateCard.disposalRate,
+        amount: round(estimatedArea * rateCard.disposalRate)
+      },
+      {
+        type: 'travel',
+        description: 'Travel and logistics',
+        quantity: 1,
+        unit: null,
+        unitPrice: findTravelCost(rateCard.travelBands, estimatedArea),
+        amount: findTravelCost(rateCard.travelBands, estimatedArea)
+      },
+      ...extras.map(extra => ({
+        type: 'extra',
+        description: extra.description,
+        quantity: extra.quantity ?? 1,
+        unit: extra.unit || null,
+        unitPrice: extra.unitPrice,
+        amount: round((extra.quantity ?? 1) * extra.unitPrice)
+      }))
+    ];
+
+    const sumOf = type => round(lineItems
+      .filter(line => line.type === type)
+      .reduce((sum, line) => sum + line.amount, 0));
+
+    const chargedAmount = round(lineItems.reduce((sum, line) => sum + line.amount, 0));
+    const minimumChargeAdjustment = round(Math.max(0, (rateCard.minimumCharge || 0) - chargedAmount));
+
+    if (minimumChargeAdjustment > 0) {
+      lineItems.push({
+        type: 'minimum-charge',
+        description: 'Minimum charge adjustment',
+        quantity: 1,
+        unit: null,
+        unitPrice: minimumChargeAdjustment,
+        amount: minimumChargeAdjustment
+      });
+    }
+
+    const subtotal = sumOf('zone');
+    const netAmount = round(chargedAmount + minimumChargeAdjustment);
+    const vatAmount = round(netAmount * rateCard.vatRate);
+    const totalAmount = roundPence(netAmount + vatAmount);
+    // A single zone keeps the flat rate fields older quotes and reports read
+    const singleZone = zoneLines.length === 1 ? zoneLines[0] : null;
+
+    return {
+      lineItems,
+      calculations: {
+        rateCardVersion: rateCard.version,
+        baseRate: singleZone ? singleZone.baseRate : null,
+        estimatedArea,
+        difficultyMultiplier: singleZone ? singleZone.difficultyMultiplier : null,
+        urgencyMultiplier,
+        tierMultiplier,
+        region: region ? region.name : null,
+        regionalMultiplier,
+        subtotal,
+        disposalRate: rateCard.disposalRate,
+        disposalFee: sumOf('disposal'),
+        travelCosts: sumOf('travel'),
+        extrasTotal: sumOf('extra'),
+        minimumChargeAdjustment,
+        netAmount,
+        vatRate: rateCard.vatRate,
+        vatAmount,
+        totalAmount
+      },
+      rateCardVersion: rateCard.version,
+      subtotal,
+      netAmount,
+      vatAmount,
+      totalAmount
+    };
+  }
+
+  /**
+   * Price a job with the rate card in force at a date
+   */
+  async priceQuote(work, { postcode = null, date = new Date() } = {}) {
+    const rateCard = await this.getRateCard(date);
+    return this.priceWithRateCard(work, rateCard, { postcode });
+  }
+}
+
+// Helper functions
+// A validated card as it is stored and priced - optional fields filled from the defaults
+function buildRateCard(card) {
+  return {
+    label: card.label || 'Rate card',
+    effectiveFrom: card.effectiveFrom ? new Date(card.effectiveFrom) : new Date(),
+    baseRates: { ...card.baseRates },
+    difficultyMultipliers: { ...card.difficultyMultipliers },
+    urgencyMultipliers: { ...card.urgencyMultipliers },
+    areaTiers: card.areaTiers || [],
+    regionalUplifts: card.regionalUplifts || [],
+    disposalRate: card.disposalRate,
+    travelBands: card.travelBands,
+    minimumCharge: card.minimumCharge || 0,
+    vatRate: card.vatRate
+  };
+}
+
+function findAreaTier(tiers, area) {
+  const tier = (tiers || [])
+    .filter(candidate => area >= candidate.minArea)
+    .sort((a, b) => b.minArea - a.minArea)[0];
+
+  return tier ? tier.multiplier : 1;
+}
+
+function findRegion(regions, postcode) {
+  if (!postcode || !Array.isArray(regions)) {
+    return null;
+  }
+
+  const area = postcode.toUpperCase().match(/^[A-Z]{1,2}/);
+  return area
+    ? regions.find(region => (region.postcodeAreas || []).includes(area[0])) || null
+    : null;
+}
+
+function findTravelCost(bands, area) {
+  const band = bands.find(candidate => candidate.maxArea === null || area < candidate.maxArea);
+  return band ? band.cost : bands[bands.length - 1].cost;
+}
+
+function roundPence(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Version 0 keeps the unrounded maths older quotes were priced with, so repricing reproduces them
+function roundingFor(rateCard) {
+  return rateCard.version === 0 ? amount => amount : roundPence;
+}
+
+function isNumberBetween(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Create singleton instance
+const pricingService = new PricingService();
+
+module.exports = pricingService;
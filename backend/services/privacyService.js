@@ -0,0 +1,466 @@
+/**
+ * Privacy Service
+ * Finds, exports and erases a data subject's personal data for GDPR access and erasure requests
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const archiver = require('archiver');
+const validator = require('validator');
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { normalizePhone } = require('../schemas/inquirySchema');
+const { toMillis } = require('../utils/dates');
+
+// Inquiry fields that identify or describe the customer - nulled on erasure
+const INQUIRY_PERSONAL_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'preferredContact', 'address', 'postcode',
+  'subject', 'message', 'notes', 'internalNotes', 'ipAddress', 'userAgent',
+  'matchKeys', 'followUpSubmissions', 'spamCheck', 'cancellationReason', 'attribution', 'uploadAccess'
+];
+
+// Quotes in these states are part of a sale and fall under the record-keeping rules
+const FINANCIAL_QUOTE_STATUSES = ['accepted', 'project-created'];
+
+// Placeholder left where a name used to be, so lists and reports still render
+const ERASED_NAME = 'Erased';
+
+class PrivacyService {
+  constructor() {
+    // Configuration
+    this.LOG_COLLECTION = 'privacyRequests';
+    this.FINANCIAL_RETENTION_YEARS = 6; // HMRC record-keeping period for sales records
+  }
+
+  /**
+   * Find every record and Storage file holding the subject's personal data
+   */
+  async findSubjectData({ email, phone }) {
+    const db = getDb();
+    const normalizedEmail = email ? email.trim().toLowerCase() : null;
+    const normalizedPhone = normalizePhone(phone);
+    // Staff-entered quote emails go through normalizeEmail, which also drops gmail dots and +tags
+    const canonicalEmail = email ? validator.normalizeEmail(email.trim()) || null : null;
+
+    const inquiries = await findDocuments(db.collection('inquiries'), [
+      ['matchKeys.email', normalizedEmail],
+      ['email', normalizedEmail],
+      ['matchKeys.phone', normalizedPhone],
+      ['phone', phone]
+    ]);
+
+    const quotes = await findDocuments(db.collection('quotes'), [
+      ['customerInfo.email', normalizedEmail],
+      ['customerInfo.email', canonicalEmail],
+      ['customerInfo.phone', phone],
+      ...chunk(inquiries.map(inquiry => inquiry.id)).map(ids => ['inquiryId', ids, 'in'])
+    ]);
+
+    const projects = await findDocuments(db.collection('projects'), [
+      ['customerInfo.email', normalizedEmail],
+      ['customerInfo.email', canonicalEmail],
+      ['customerInfo.phone', phone],
+      ...chunk(quotes.map(quote => quote.id)).map(ids => ['quoteId', ids, 'in'])
+    ]);
+
+    // Error reports are written by the browser and may carry the signed-in email
+    const errorLogs = await findDocuments(db.collection('error_logs'), [
+      ['userEmail', normalizedEmail],
+      ['email', normalizedEmail]
+    ]);
+
+    for (const inquiry of inquiries) {
+      const snapshot = await db.collection(`inquiries/${inquiry.id}/activities`).get();
+      inquiry.activities = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    // Every earlier version of a quote is a full copy of the customer's details
+    for (const quote of quotes) {
+      const snapshot = await db.collection(`quotes/${quote.id}/revisions`).get();
+      quote.revisions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    // Staff notifications about the subject's records name the customer
+    const notifications = await findDocuments(db.collectionGroup('items'), [
+      ...chunk(inquiries.map(inquiry => inquiry.id)).map(ids => ['data.inquiryId', ids, 'in']),
+      ...chunk(quotes.map(quote => quote.id)).map(ids => ['data.quoteId', ids, 'in']),
+      ...chunk(projects.map(project => project.id)).map(ids => ['data.projectId', ids, 'in'])
+    ], doc => ({ id: doc.id, userId: doc.ref.parent.parent.id, ...doc.data() }));
+
+    const uploads = await findDocuments(db.collection('uploads'), [
+      ...chunk(inquiries.map(inquiry => inquiry.id)).map(ids => ['inquiryId', ids, 'in']),
+      ...chunk(projects.map(project => project.id)).map(ids => ['projectId', ids, 'in'])
+    ]);
+
+    const files = await this.findFiles([
+      ...inquiries.map(inquiry => `inquiries/${inquiry.id}/`),
+      ...quotes.map(quote => `quotes/${quote.id}/`),
+      ...projects.map(project => `projects/${project.id}/`)
+    ], uploads);
+
+    return { inquiries, quotes, projects, notifications, uploads, errorLogs, files };
+  }
+
+  /**
+   * List Storage files under the subject's record folders plus any linked uploads
+   */
+  async findFiles(prefixes, uploads) {
+    const bucket = admin.storage().bucket();
+    const files = new Map();
+
+    for (const prefix of prefixes) {
+      const [prefixFiles] = await bucket.getFiles({ prefix });
+      prefixFiles.forEach(file => files.set(file.name, file));
+    }
+
+    uploads
+      .filter(upload => upload.filePath && !files.has(upload.filePath))
+      .forEach(upload => files.set(upload.filePath, bucket.file(upload.filePath)));
+
+    return [...files.values()];
+  }
+
+  /**
+   * Count what was found - safe to show and to log
+   */
+  summarise(found) {
+    return {
+      inquiries: found.inquiries.length,
+      activities: found.inquiries.reduce((total, inquiry) => total + inquiry.activities.length, 0),
+      quotes: found.quotes.length,
+      quoteRevisions: found.quotes.reduce((total, quote) => total + quote.revisions.length, 0),
+      projects: found.projects.length,
+      notifications: found.notifications.length,
+      uploads: found.uploads.length,
+      errorLogs: found.errorLogs.length,
+      files: found.files.length
+    };
+  }
+
+  /**
+   * Report where the subject's data is held without changing anything
+   */
+  async lookup(subject, requestedBy, reference) {
+    return this.runLogged('lookup', subject, requestedBy, reference, async () => {
+      const found = await this.findSubjectData(subject);
+
+      return {
+        summary: this.summarise(found),
+        records: {
+          inquiries: found.inquiries.map(inquiry => ({ id: inquiry.id, referenceNumber: inquiry.referenceNumber, status: inquiry.status })),
+          quotes: found.quotes.map(quote => ({ id: quote.id, quoteNumber: quote.quoteNumber, status: quote.status })),
+          projects: found.projects.map(project => ({ id: project.id, projectNumber: project.projectNumber, status: project.status })),
+          files: found.files.map(file => file.name)
+        }
+      };
+    });
+  }
+
+  /**
+   * Stream a subject access export as JSON, or as a ZIP with the Storage files included
+   */
+  async streamExport(res, subject, { format }, requestedBy, reference) {
+    return this.runLogged('export', subject, requestedBy, reference, async () => {
+      const found = await this.findSubjectData(subject);
+      const summary = this.summarise(found);
+
+      const data = toPlain({
+        generatedAt: new Date(),
+        subject,
+        inquiries: found.inquiries,
+        quotes: found.quotes,
+        projects: found.projects,
+        notifications: found.notifications,
+        uploads: found.uploads,
+        errorLogs: found.errorLogs,
+        files: found.files.map(file => file.name)
+      });
+
+      const filename = `subject-access-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Cache-Control', 'no-store');
+
+      if (format !== 'zip') {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(data, null, 2));
+        return { summary };
+      }
+
+      res.setHeader('Content-Type', 'application/zip');
+
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const finished = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        res.on('finish', resolve);
+      });
+
+      archive.pipe(res);
+      archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+      found.files.forEach(file => {
+        archive.append(file.createReadStream(), { name: `files/${file.name}` });
+      });
+
+      await archive.finalize();
+      await finished;
+
+      return { summary };
+    });
+  }
+
+  /**
+   * Erase the subject's personal data
+   * Sales records still inside the retention period keep the name and address the
+   * invoice needs; everything else is anonymised or deleted
+   */
+  async erase(subject, requestedBy, reference) {
+    return this.runLogged('erasure', subject, requestedBy, reference, async (requestId) => {
+      const db = getDb();
+      const found = await this.findSubjectData(subject);
+      const now = new Date();
+      const retentionCutoff = new Date(now);
+      retentionCutoff.setFullYear(retentionCutoff.getFullYear() - this.FINANCIAL_RETENTION_YEARS);
+
+      const erasureFields = { erasedAt: now, erasureRequestId: requestId, updatedAt: now };
+      const outcome = {
+        inquiriesAnonymised: 0,
+        activitiesDeleted: 0,
+        quotesAnonymised: 0,
+        quotesRetained: 0,
+        revisionsAnonymised: 0,
+        projectsAnonymised: 0,
+        projectsRetained: 0,
+        notificationsDeleted: 0,
+        errorLogsDeleted: 0,
+        filesDeleted: 0,
+        filesRetained: 0
+      };
+      const retainedQuoteIds = new Set();
+      const retainedProjectIds = new Set();
+
+      for (const inquiry of found.inquiries) {
+        const update = { name: ERASED_NAME, ...erasureFields };
+        INQUIRY_PERSONAL_FIELDS.forEach(field => {
+          update[field] = null;
+        });
+        await db.collection('inquiries').doc(inquiry.id).update(update);
+        outcome.inquiriesAnonymised++;
+
+        for (const activity of inquiry.activities) {
+          await db.collection(`inquiries/${inquiry.id}/activities`).doc(activity.id).delete();
+          outcome.activitiesDeleted++;
+        }
+      }
+
+      for (const quote of found.quotes) {
+        const retained = FINANCIAL_QUOTE_STATUSES.includes(quote.status) &&
+          toMillis(quote.acceptedAt || quote.updatedAt || quote.createdAt) > retentionCutoff.getTime();
+
+        await db.collection('quotes').doc(quote.id).update({
+          ...quoteErasure(quote, retained),
+          ...erasureFields
+        });
+        if (retained) {
+          retainedQuoteIds.add(quote.id);
+        }
+        outcome[retained ? 'quotesRetained' : 'quotesAnonymised']++;
+
+        // Earlier versions keep no more than the quote itself does
+        for (const revision of quote.revisions) {
+          await db.collection(`quotes/${quote.id}/revisions`).doc(revision.id).update({
+            ...quoteErasure(revision, retained),
+            ...erasureFields
+          });
+          outcome.revisionsAnonymised++;
+        }
+      }
+
+      for (const project of found.projects) {
+        const retained = toMillis(project.completedAt || project.createdAt) > retentionCutoff.getTime();
+        const customerInfo = project.customerInfo || {};
+
+        await db.collection('projects').doc(project.id).update({
+          customerInfo: retained
+            ? { name: customerInfo.name || null, address: customerInfo.address || null }
+            : { name: ERASED_NAME },
+          customerUpdates: [],
+          internalNotes: [],
+          personalDataRetained: retained,
+          ...erasureFields
+        });
+
+        if (retained) {
+          retainedProjectIds.add(project.id);
+        }
+        outcome[retained ? 'projectsRetained' : 'projectsAnonymised']++;
+      }
+
+      for (const notification of found.notifications) {
+        await db.collection('notifications').doc(notification.userId)
+          .collection('items').doc(notification.id).delete();
+        outcome.notificationsDeleted++;
+      }
+
+      for (const errorLog of found.errorLogs) {
+        await db.collection('error_logs').doc(errorLog.id).delete();
+        outcome.errorLogsDeleted++;
+      }
+
+      // Photos go; documents such as invoices stay with a retained project, and
+      // the signed PDF and signature stay with a retained quote as proof of the sale
+      for (const file of found.files) {
+        const [metadata] = await file.getMetadata();
+        const projectId = (file.name.match(/^projects\/([^/]+)\//) || [])[1];
+        const quoteId = (file.name.match(/^quotes\/([^/]+)\//) || [])[1];
+
+        if (retainedQuoteIds.has(quoteId) ||
+            (retainedProjectIds.has(projectId) && !String(metadata.contentType).startsWith('image/'))) {
+          outcome.filesRetained++;
+          continue;
+        }
+
+        await file.delete({ ignoreNotFound: true });
+        outcome.filesDeleted++;
+
+        const upload = found.uploads.find(item => item.filePath === file.name);
+        if (upload) {
+          await db.collection('uploads').doc(upload.id).delete();
+        }
+      }
+
+      return { summary: this.summarise(found), outcome };
+    });
+  }
+
+  /**
+   * Run a privacy request and record it with its outcome
+   * The log holds a hash of the identifiers, never the identifiers themselves
+   */
+  async runLogged(type, subject, requestedBy, reference, task) {
+    const db = getDb();
+    const logRef = db.collection(this.LOG_COLLECTION).doc();
+    const startedAt = new Date();
+
+    const logEntry = {
+      type,
+      reference: reference || null,
+      subjectHash: hashSubject(subject),
+      identifiers: Object.keys(subject).filter(key => subject[key]),
+      requestedBy: requestedBy.uid,
+      requestedByName: requestedBy.email,
+      startedAt,
+      status: 'in-progress'
+    };
+
+    await logRef.set(logEntry);
+
+    try {
+      const result = await task(logRef.id);
+
+      await logRef.update({
+        status: 'completed',
+        completedAt: new Date(),
+        summary: result.summary,
+        outcome: result.outcome || null
+      });
+
+      safeDebugLog('Privacy request completed', {
+        requestId: logRef.id,
+        type,
+        requestedBy: requestedBy.email,
+        ...result.summary
+      });
+
+      return { requestId: logRef.id, ...result };
+    } catch (error) {
+      safeDebugError(`Privacy ${type} request failed`, error);
+
+      try {
+        await logRef.update({
+          status: 'failed',
+          completedAt: new Date(),
+          error: error.message
+        });
+      } catch (logError) {
+        safeDebugError('Error recording failed privacy request', logError);
+      }
+
+      throw error;
+    }
+  }
+}
+
+// Helper functions
+async function findDocuments(collectionRef, lookups, toRecord = doc => ({ id: doc.id, ...doc.data() })) {
+  const documents = new Map();
+
+  for (const [field, value, operator = '=='] of lookups) {
+    if (!value) continue;
+
+    const snapshot = await collectionRef.where(field, operator, value).get();
+    snapshot.docs.forEach(doc => documents.set(doc.id, toRecord(doc)));
+  }
+
+  return [...documents.values()];
+}
+
+// Firestore "in" filters take at most 10 values
+function chunk(values, size = 10) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Quote fields to write on erasure - a retained sales record keeps the name, address
+// and the customer's signed acceptance
+function quoteErasure(quote, retained) {
+  const customerInfo = quote.customerInfo || {};
+  const propertyDetails = quote.propertyDetails || {};
+
+  const update = {
+    customerInfo: {
+      name: retained ? customerInfo.name || null : ERASED_NAME,
+      email: null,
+      phone: null
+    },
+    'propertyDetails.address': retained ? propertyDetails.address || null : null,
+    'propertyDetails.postcode': retained ? propertyDetails.postcode || null : null,
+    customerNotes: null,
+    internalNotes: null,
+    personalDataRetained: retained
+  };
+
+  if (!retained) {
+    Object.assign(update, {
+      acceptance: null,
+      acceptanceAccess: null,
+      declineIpAddress: null,
+      rejectionReason: null
+    });
+  }
+
+  return update;
+}
+
+function hashSubject({ email, phone }) {
+  const identity = [email ? email.trim().toLowerCase() : '', normalizePhone(phone) || ''].join('|');
+  return crypto.createHash('sha256').update(identity).digest('hex');
+}
+
+// Firestore Timestamps become ISO dates so the export reads cleanly
+function toPlain(value) {
+  if (value === null || value === undefined) return value ?? null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+}
+
+// Create singleton instance
+const privacyService = new PrivacyService();
+
+module.exports = privacyService;
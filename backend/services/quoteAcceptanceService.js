@@ -0,0 +1,377 @@
+/**
+ * Quote Acceptance Service
+ * Tokenised links that let a customer view, accept (typed name and drawn signature) or decline a sent quote
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { quoteStatusMachine } = require('./statusMachine');
+const quoteService = require('./quoteService');
+const { toMillis, toDate } = require('../utils/dates');
+
+// Statuses the customer's page can show - anything else is not theirs to see
+const VISIBLE_STATUSES = ['sent', 'accepted', 'rejected', 'expired'];
+
+const SIGNATURE_PREFIX = 'data:image/png;base64,';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+class QuoteAcceptanceService {
+  constructor() {
+    // Configuration
+    this.LINK_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // Never longer than the quote is valid
+    this.MAX_SIGNATURE_SIZE = 200 * 1024; // 200KB decoded PNG
+    this.TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+    this.BASE_URL = 'https://foamfighters.co.uk/accept-quote.html';
+  }
+
+  /**
+   * Issue the acceptance link for the version being sent
+   * The PDF the customer is shown is stored once, so the hash recorded on acceptance is of
+   * exactly the document they saw - regenerating it would change its dates
+   * Only a hash of the token is stored, and a new link replaces the previous one
+   */
+  async issueLink(quote) {
+    const link = await this.prepareLink(quote);
+
+    await getDb().collection('quotes').doc(quote.id).update({
+      acceptanceAccess: link.acceptanceAccess
+    });
+
+    return link;
+  }
+
+  /**
+   * Store the PDF and build the link without saving it on the quote
+   * The link only works once acceptanceAccess is saved - sending saves it with the status change
+   */
+  async prepareLink(quote) {
+    const pdfService = require('./pdfService');
+    const version = quote.version || 1;
+    const pdfBuffer = await pdfService.generateQuotePDF(quote);
+    const pdfHash = hashBuffer(pdfBuffer);
+    const pdfPath = `quotes/${quote.id}/${quote.quoteNumber}-v${version}.pdf`;
+
+    await admin.storage().bucket().file(pdfPath).save(pdfBuffer, {
+      metadata: {
+        contentType: 'application/pdf',
+        metadata: {
+          quoteId: quote.id,
+          version: String(version),
+          sha256: pdfHash
+        }
+      }
+    });
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = new Date(Math.min(toMillis(quote.expiresAt) || Infinity, Date.now() + this.LINK_MAX_AGE));
+
+    return {
+      token,
+      expiresAt,
+      pdfHash,
+      // In the fragment, so the token is not sent to the site or its logs
+      url: `${this.BASE_URL}#t=${token}`,
+      acceptanceAccess: {
+        tokenHash: hashToken(token),
+        expiresAt,
+        version,
+        pdfPath,
+        pdfHash,
+        issuedAt: new Date()
+      }
+    };
+  }
+
+  /**
+   * Find the quote an acceptance token belongs to
+   * Throws with status 403 for unknown, expired or superseded links - all get the same answer
+   */
+  async findByToken(token) {
+    const invalid = () => {
+      const error = new Error('This quote link is invalid or has expired');
+      error.status = 403;
+      return error;
+    };
+
+    if (!token || typeof token !== 'string' || !this.TOKEN_PATTERN.test(token)) {
+      throw invalid();
+    }
+
+    const tokenHash = hashToken(token);
+    const snapshot = await getDb().collection('quotes')
+      .where('acceptanceAccess.tokenHash', '==', tokenHash)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      throw invalid();
+    }
+
+    const quote = { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+    const access = quote.acceptanceAccess;
+
+    if (!crypto.timingSafeEqual(Buffer.from(tokenHash), Buffer.from(access.tokenHash)) ||
+        toMillis(access.expiresAt) < Date.now() ||
+        access.version !== (quote.version || 1) ||
+        !VISIBLE_STATUSES.includes(quote.status)) {
+      throw invalid();
+    }
+
+    return quote;
+  }
+
+  /**
+   * What the customer's page shows - no staff notes, pricing internals or history
+   */
+  getPublicView(quote) {
+    const depositPercentage = (quote.paymentTerms && quote.paymentTerms.depositPercentage) ?? 25;
+    const expired = quote.status === 'expired' ||
+      (quote.status === 'sent' && toMillis(quote.expiresAt) < Date.now());
+
+    return {
+      quoteNumber: quote.quoteNumber,
+      version: quote.version || 1,
+      status: expired ? 'expired' : quote.status,
+      canRespond: quote.status === 'sent' && !expired,
+      customerName: quote.customerInfo.name,
+      propertyAddress: quote.propertyDetails.address,
+      issuedAt: toDate(quote.sentAt || quote.createdAt),
+      expiresAt: toDate(quote.expiresAt),
+      lineItems: quoteService.getLines(quote).map(line => ({
+        description: line.description,
+        quantity: line.quantity,
+        unit: line.unit,
+        unitPrice: line.unitPrice,
+        amount: line.amount
+      })),
+      netAmount: quote.calculations.netAmount,
+      vatRate: quote.calculations.vatRate ?? 0.2,
+      vatAmount: quote.calculations.vatAmount,
+      totalAmount: quote.totalAmount,
+      deposit: {
+        percentage: depositPercentage,
+        amount: roundPence(quote.totalAmount * depositPercentage / 100)
+      },
+      acceptedMethods: (quote.paymentTerms && quote.paymentTerms.acceptedMethods) || [],
+      terms: quoteService.getTerms(quote),
+      customerNotes: quote.customerNotes || null,
+      pdfHash: quote.acceptanceAccess.pdfHash,
+      acceptance: quote.acceptance
+        ? { signedName: quote.acceptance.signedName, acceptedAt: toDate(quote.acceptance.acceptedAt) }
+        : null,
+      declinedAt: quote.status === 'rejected' ? toDate(quote.rejectedAt) : null
+    };
+  }
+
+  /**
+   * The stored PDF the link was issued with
+   */
+  async getPdf(quote) {
+    const [buffer] = await admin.storage().bucket().file(quote.acceptanceAccess.pdfPath).download();
+    return buffer;
+  }
+
+  /**
+   * Accept a quote - name is what the customer typed, signature the PNG data URL they drew
+   * pdfHash must be the hash the page was given, so a page left open across a new link
+   * cannot accept a document the customer has not seen
+   * context is { ipAddress, userAgent }
+   */
+  async accept(token, { name, signature, pdfHash }, context = {}) {
+    const quote = await this.findByToken(token);
+    assertCanRespond(quote, pdfHash);
+
+    const signatureBuffer = decodeSignature(signature, this.MAX_SIGNATURE_SIZE);
+    const version = quote.version || 1;
+    const signaturePath = `quotes/${quote.id}/signature-v${version}.png`;
+
+    // Saved before the status change - a signature without an acceptance is harmless, the reverse is not
+    await admin.storage().bucket().file(signaturePath).save(signatureBuffer, {
+      metadata: {
+        contentType: 'image/png',
+        metadata: {
+          quoteId: quote.id,
+          version: String(version)
+        }
+      }
+    });
+
+    const now = new Date();
+    const acceptance = {
+      signedName: name,
+      signaturePath,
+      signatureHash: hashBuffer(signatureBuffer),
+      pdfPath: quote.acceptanceAccess.pdfPath,
+      pdfHash: quote.acceptanceAccess.pdfHash,
+      version,
+      acceptedAt: now,
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent || null
+    };
+
+    const { updated, fromStatus } = await respond(quote.id, token, pdfHash, 'accepted', {}, {
+      acceptance,
+      acceptedAt: now
+    });
+
+    await afterResponse(updated, fromStatus, 'accepted', `Customer accepted quote ${updated.quoteNumber} as ${name}`);
+
+    safeDebugLog('Quote accepted by customer', {
+      id: quote.id,
+      quoteNumber: quote.quoteNumber,
+      version,
+      totalAmount: quote.totalAmount
+    });
+
+    return updated;
+  }
+
+  /**
+   * Decline a quote with the customer's reason
+   */
+  async decline(token, { reason, pdfHash }, context = {}) {
+    const quote = await this.findByToken(token);
+    assertCanRespond(quote, pdfHash);
+
+    const now = new Date();
+    const { updated, fromStatus } = await respond(quote.id, token, pdfHash, 'rejected', { rejectionReason: reason }, {
+      declinedByCustomer: true,
+      declinedAt: now,
+      declineIpAddress: context.ipAddress || null
+    });
+
+    await afterResponse(updated, fromStatus, 'rejected', `Customer declined quote ${updated.quoteNumber}: ${reason}`);
+
+    safeDebugLog('Quote declined by customer', {
+      id: quote.id,
+      quoteNumber: quote.quoteNumber,
+      version: quote.version || 1
+    });
+
+    return updated;
+  }
+}
+
+// Helper functions
+// Re-checks the link inside the transaction, so a revision or a second response in between wins
+async function respond(quoteId, token, pdfHash, toStatus, input, fields) {
+  const db = getDb();
+  const quoteRef = db.collection('quotes').doc(quoteId);
+
+  return db.runTransaction(async (transaction) => {
+    const quoteDoc = await transaction.get(quoteRef);
+    const quote = { id: quoteId, ...quoteDoc.data() };
+
+    if (!quote.acceptanceAccess || quote.acceptanceAccess.tokenHash !== hashToken(token) ||
+        quote.acceptanceAccess.version !== (quote.version || 1)) {
+      const error = new Error('This quote link is invalid or has expired');
+      error.status = 403;
+      throw error;
+    }
+    assertCanRespond(quote, pdfHash);
+
+    const transition = await quoteStatusMachine.prepareTransition(quote, toStatus, input, customerActor(quote));
+    const update = {
+      ...transition,
+      ...fields,
+      updatedAt: new Date()
+    };
+
+    transaction.update(quoteRef, update);
+
+    return { updated: { ...quote, ...update }, fromStatus: quote.status };
+  });
+}
+
+function assertCanRespond(quote, pdfHash) {
+  if (quote.status !== 'sent') {
+    const error = new Error(quote.status === 'accepted'
+      ? 'This quote has already been accepted'
+      : `This quote can no longer be accepted - it is ${quote.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  if (toMillis(quote.expiresAt) < Date.now()) {
+    const error = new Error('This quote has expired - please contact us for an updated quote');
+    error.status = 409;
+    throw error;
+  }
+
+  if (pdfHash !== quote.acceptanceAccess.pdfHash) {
+    const error = new Error('This quote has changed since the page was opened - please reload it');
+    error.status = 409;
+    throw error;
+  }
+}
+
+async function afterResponse(quote, fromStatus, toStatus, activityBody) {
+  const actor = customerActor(quote);
+  await quoteStatusMachine.runAfterEnter(quote, fromStatus, toStatus, actor);
+
+  if (quote.inquiryId) {
+    const activityService = require('./activityService');
+    await activityService.recordEvent(quote.inquiryId, 'quote_response', activityBody, {
+      quoteId: quote.id,
+      quoteNumber: quote.quoteNumber,
+      version: quote.version || 1,
+      status: toStatus
+    }, actor);
+  }
+
+  try {
+    const notificationService = require('./notificationService');
+    await notificationService.notifyQuoteResponse(quote, toStatus);
+  } catch (error) {
+    safeDebugError('Failed to notify staff of quote response', error);
+  }
+}
+
+// Customers have no user account - history records them by email
+function customerActor(quote) {
+  return { uid: null, email: quote.customerInfo.email };
+}
+
+function decodeSignature(signature, maxSize) {
+  const invalid = (msg) => {
+    const error = new Error('Validation failed');
+    error.status = 400;
+    error.code = 'validation-failed';
+    error.details = [{ path: 'signature', msg }];
+    return error;
+  };
+
+  if (typeof signature !== 'string' || !signature.startsWith(SIGNATURE_PREFIX)) {
+    throw invalid('Signature must be a PNG image');
+  }
+
+  const buffer = Buffer.from(signature.slice(SIGNATURE_PREFIX.length), 'base64');
+
+  if (buffer.length > maxSize) {
+    throw invalid(`Signature must be smaller than ${maxSize / 1024}KB`);
+  }
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    throw invalid('Signature must be a PNG image');
+  }
+
+  return buffer;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function roundPence(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Create singleton instance
+const quoteAcceptanceService = new QuoteAcceptanceService();
+
+module.exports = quoteAcceptanceService;
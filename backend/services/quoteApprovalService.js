@@ -0,0 +1,370 @@
+/**
+ * Quote Approval Service
+ * Submit, approve and reject for quotes over the approval threshold, with a log under quotes/{id}/approvals
+ */
+
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const SettingsBackedService = require('./settingsBackedService');
+const { quoteStatusMachine } = require('./statusMachine');
+const permissionService = require('./permissionService');
+
+// Built-in rules - settings/approvals overrides these
+const DEFAULT_APPROVAL_RULES = {
+  threshold: 5000 // Quotes with a total above this need an approver other than their author
+};
+
+const APPROVE_PERMISSION = 'quotes.approve';
+
+class QuoteApprovalService extends SettingsBackedService {
+  constructor() {
+    super({ settingsDoc: 'approvals', field: 'rules', label: 'approval' });
+
+    // Configuration
+    this.DEFAULT_RULES = DEFAULT_APPROVAL_RULES;
+    this.APPROVE_PERMISSION = APPROVE_PERMISSION;
+  }
+
+  /**
+   * Get effective approval rules
+   */
+  async getRules() {
+    return this.loadSettings();
+  }
+
+  /**
+   * Rules saved in settings replace the defaults key by key
+   */
+  applySettings(rules) {
+    return {
+      ...DEFAULT_APPROVAL_RULES,
+      ...rules
+    };
+  }
+
+  /**
+   * Validate approval rule overrides - returns a list of problems
+   */
+  validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['Rules must be an object'];
+    }
+
+    const problems = [];
+
+    Object.entries(rules).forEach(([key, value]) => {
+      switch (key) {
+        case 'threshold':
+          if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1000000) {
+            problems.push('threshold must be an amount between £0 and £1000000');
+          }
+          break;
+
+        default:
+          problems.push(`Unknown approval rule: ${key}`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Save approval rules to settings (admin only - checked by the route)
+   * Quotes already created are checked against the new threshold when they are approved
+   */
+  async updateRules(rules, updatedBy) {
+    await this.saveSettings(rules, updatedBy);
+
+    safeDebugLog('Approval rules updated', {
+      rules,
+      updatedBy: updatedBy.email
+    });
+
+    return this.getRules();
+  }
+
+  /**
+   * Whether a quote total needs independent approval under the current threshold
+   */
+  async requiresApproval(totalAmount) {
+    const rules = await this.getRules();
+    return totalAmount > rules.threshold;
+  }
+
+  /**
+   * Submit a draft quote for approval and notify the approvers
+   * Any quote may be submitted - those under the threshold can also be approved directly
+   */
+  async submit(quoteId, { note = null, version } = {}, submittedBy) {
+    const rules = await this.getRules();
+
+    const { quote, entry } = await this.decide(quoteId, version, async (current) => {
+      const transition = await quoteStatusMachine.prepareTransition(current, 'pending-approval', {}, submittedBy);
+
+      return {
+        update: {
+          ...transition,
+          requiresApproval: current.totalAmount > rules.threshold,
+          submittedForApprovalAt: new Date(),
+          submittedForApprovalBy: submittedBy.uid,
+          submittedForApprovalByName: submittedBy.email,
+          approvalNote: note
+        },
+        entry: { action: 'submitted', note }
+      };
+    }, submittedBy);
+
+    try {
+      const approvers = await this.getApprovers();
+      const notify = approvers.filter(uid => !authoredBy(quote, uid));
+
+      const notificationService = require('./notificationService');
+      await notificationService.notifyQuoteApprovalRequested(quote, notify);
+    } catch (error) {
+      safeDebugError('Failed to notify approvers of quote', error);
+    }
+
+    safeDebugLog('Quote submitted for approval', {
+      id: quoteId,
+      quoteNumber: quote.quoteNumber,
+      version: entry.version,
+      totalAmount: quote.totalAmount,
+      submittedBy: submittedBy.email
+    });
+
+    return quote;
+  }
+
+  /**
+   * Approve a quote - the route only lets quotes.approve holders this far
+   * Over the threshold it must have been submitted, and the approver must not have
+   * created, revised or submitted the version being approved
+   */
+  async approve(quoteId, { note = null, version } = {}, approver) {
+    const rules = await this.getRules();
+
+    const { quote, entry } = await this.decide(quoteId, version, async (current) => {
+      const requiresApproval = current.totalAmount > rules.threshold;
+
+      if (requiresApproval) {
+        if (current.status !== 'pending-approval') {
+          throw approvalError(`Quotes over £${rules.threshold} must be submitted for approval first`, 409);
+        }
+        if (authoredBy(current, approver.uid)) {
+          throw approvalError('You cannot approve a quote you created, revised or submitted');
+        }
+      }
+
+      const transition = await quoteStatusMachine.prepareTransition(current, 'approved', {}, approver);
+
+      return {
+        update: {
+          ...transition,
+          requiresApproval,
+          approvedByName: approver.email,
+          approvedVersion: current.version || 1,
+          approvalNote: note
+        },
+        entry: { action: 'approved', note, threshold: rules.threshold, requiresApproval }
+      };
+    }, approver);
+
+    await this.notifyDecision(quote, 'approved', approver);
+
+    safeDebugLog('Quote approved', {
+      id: quoteId,
+      quoteNumber: quote.quoteNumber,
+      version: entry.version,
+      totalAmount: quote.totalAmount,
+      approvedBy: approver.email
+    });
+
+    return quote;
+  }
+
+  /**
+   * Send a submitted quote back to draft with the approver's reason
+   * The route only lets quotes.approve holders this far
+   */
+  async reject(quoteId, { reason, version } = {}, approver) {
+    const { quote, entry } = await this.decide(quoteId, version, async (current) => {
+      if (current.status !== 'pending-approval') {
+        throw approvalError(`Only quotes pending approval can be rejected - this one is ${current.status}`, 409);
+      }
+
+      const transition = await quoteStatusMachine.prepareTransition(current, 'draft', {}, approver);
+
+      return {
+        update: {
+          ...transition,
+          approvalRejectionReason: reason,
+          approvalRejectedAt: new Date(),
+          approvalRejectedBy: approver.uid,
+          approvalRejectedByName: approver.email
+        },
+        entry: { action: 'rejected', note: reason }
+      };
+    }, approver);
+
+    await this.notifyDecision(quote, 'rejected', approver);
+
+    safeDebugLog('Quote approval rejected', {
+      id: quoteId,
+      quoteNumber: quote.quoteNumber,
+      version: entry.version,
+      rejectedBy: approver.email
+    });
+
+    return quote;
+  }
+
+  /**
+   * Apply one approval step in a transaction and log it
+   * step receives the current quote and returns { update, entry }
+   * Throws 404 for missing quotes, 409 when a version was given and the quote has moved on
+   */
+  async decide(quoteId, version, step, actor) {
+    const db = getDb();
+    const quoteRef = db.collection('quotes').doc(quoteId);
+
+    return db.runTransaction(async (transaction) => {
+      const quoteDoc = await transaction.get(quoteRef);
+
+      if (!quoteDoc.exists) {
+        const error = new Error('Quote not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const current = { id: quoteId, ...quoteDoc.data() };
+      const currentVersion = current.version || 1;
+
+      // An approver must be deciding on the version they looked at
+      if (version !== undefined && version !== currentVersion) {
+        const error = new Error('Quote has been revised since that version');
+        error.status = 409;
+        error.currentVersion = currentVersion;
+        throw error;
+      }
+
+      const { update, entry } = await step(current);
+      const now = new Date();
+
+      update.updatedAt = now;
+      update.updatedBy = actor.uid;
+
+      const logEntry = {
+        ...entry,
+        version: currentVersion,
+        totalAmount: current.totalAmount,
+        fromStatus: current.status,
+        toStatus: update.status,
+        by: actor.uid,
+        byName: actor.email,
+        at: now
+      };
+
+      transaction.update(quoteRef, update);
+      transaction.set(quoteRef.collection('approvals').doc(), logEntry);
+
+      return { quote: { ...current, ...update }, entry: logEntry };
+    });
+  }
+
+  /**
+   * Approval log for a quote, oldest first
+   */
+  async listApprovals(quoteId) {
+    const snapshot = await getDb().collection('quotes').doc(quoteId)
+      .collection('approvals')
+      .orderBy('at', 'asc')
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Quotes waiting for approval, longest waiting first
+   * canApprove marks the ones this user may decide on - not their own
+   */
+  async getPendingQueue(user) {
+    const rules = await this.getRules();
+    const snapshot = await getDb().collection('quotes')
+      .where('status', '==', 'pending-approval')
+      .orderBy('submittedForApprovalAt', 'asc')
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const quote = { id: doc.id, ...doc.data() };
+
+      return {
+        id: quote.id,
+        quoteNumber: quote.quoteNumber,
+        version: quote.version || 1,
+        customerName: quote.customerInfo.name,
+        totalAmount: quote.totalAmount,
+        requiresApproval: quote.totalAmount > rules.threshold,
+        createdByName: quote.createdByName,
+        submittedForApprovalAt: quote.submittedForApprovalAt,
+        submittedForApprovalByName: quote.submittedForApprovalByName,
+        approvalNote: quote.approvalNote || null,
+        canApprove: !authoredBy(quote, user.uid)
+      };
+    });
+  }
+
+  /**
+   * Active users whose role holds quotes.approve
+   */
+  async getApprovers() {
+    const rolePermissions = await permissionService.getRolePermissions();
+    const roles = Object.keys(rolePermissions)
+      .filter(role => rolePermissions[role].includes(APPROVE_PERMISSION));
+
+    if (roles.length === 0) {
+      return [];
+    }
+
+    const snapshot = await getDb().collection('users')
+      .where('role', 'in', roles)
+      .where('status', '==', 'active')
+      .get();
+
+    return snapshot.docs.map(doc => doc.id);
+  }
+
+  /**
+   * Tell whoever submitted the quote (or created it) how the approval went
+   */
+  async notifyDecision(quote, decision, decidedBy) {
+    const recipient = quote.submittedForApprovalBy || quote.createdBy;
+
+    if (!recipient || recipient === decidedBy.uid) {
+      return;
+    }
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.notifyQuoteApprovalDecision(quote, decision, recipient, decidedBy);
+    } catch (error) {
+      safeDebugError('Failed to notify quote author of approval decision', error);
+    }
+  }
+}
+
+// Helper functions
+// The people who shaped the current version - none of them may approve it
+function authoredBy(quote, uid) {
+  return [quote.createdBy, quote.revisedBy, quote.submittedForApprovalBy].includes(uid);
+}
+
+function approvalError(message, status = 403) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Create singleton instance
+const quoteApprovalService = new QuoteApprovalService();
+
+module.exports = quoteApprovalService;
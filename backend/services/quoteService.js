@@ -0,0 +1,723 @@
+/**
+ * Quote Service
+ * Builds priced draft quotes and converts inquiries into them
+ */
+
+const { safeDebugLog } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { inquiryStatusMachine, quoteStatusMachine } = require('./statusMachine');
+const sequenceService = require('./sequenceService');
+const pricingService = require('./pricingService');
+const quoteApprovalService = require('./quoteApprovalService');
+const { normalizePostcode } = require('../schemas/inquirySchema');
+
+// Inquiry property types are finer-grained than the quote's pricing categories
+const QUOTE_PROPERTY_TYPES = {
+  detached: 'residential',
+  'semi-detached': 'residential',
+  terraced: 'residential',
+  bungalow: 'residential',
+  flat: 'residential',
+  residential: 'residential',
+  commercial: 'commercial',
+  industrial: 'industrial'
+};
+
+const QUOTE_FOAM_TYPES = ['open-cell', 'closed-cell', 'mixed'];
+
+// Easiest first - a multi-zone quote's summary shows its hardest zone
+const ACCESS_DIFFICULTIES = ['easy', 'moderate', 'difficult', 'extreme'];
+
+// Accepted quotes are final, so only these can be revised
+const REVISABLE_STATUSES = ['draft', 'pending-approval', 'approved', 'sent', 'rejected', 'expired'];
+
+// What a version diff compares besides the totals and lines
+const QUOTE_DIFF_FIELDS = ['customerInfo', 'propertyDetails', 'customerNotes', 'terms', 'paymentTerms', 'rateCardVersion'];
+const LINE_DIFF_FIELDS = ['quantity', 'unit', 'unitPrice', 'amount'];
+
+// What a new quote takes from the request - the rest is priced, numbered or set by the workflow
+const QUOTE_INPUT_FIELDS = {
+  customerInfo: ['name', 'email', 'phone'],
+  propertyDetails: ['address', 'postcode', 'propertyType', 'buildingType'],
+  removalDetails: ['foamType', 'estimatedArea', 'accessDifficulty', 'urgency', 'foamLocation', 'foamAge']
+};
+
+class QuoteService {
+  /**
+   * Build a priced draft quote from customer, property and removal details
+   * The work is either zones (each with its own foam type, area and access) or a single
+   * removalDetails block, plus optional extras
+   * Pass the transaction the quote is written in so its number is allocated there too
+   */
+  async buildDraftQuote(input, createdBy, { transaction = null } = {}) {
+    const calculations = await priceWork(input);
+    const quoteNumber = await sequenceService.next('quote', { transaction });
+
+    return {
+      ...input,
+      ...calculations,
+
+      // Quote metadata
+      quoteNumber: quoteNumber.number,
+      numberKey: quoteNumber.numberKey,
+      status: 'draft',
+      version: 1,
+
+      // Dates
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      expiresAt: calculateExpiryDate(),
+
+      // Staff info
+      createdBy: createdBy.uid,
+      createdByName: createdBy.email,
+
+      // Approval workflow
+      requiresApproval: await quoteApprovalService.requiresApproval(calculations.totalAmount),
+      approvedBy: null,
+      approvedAt: null,
+
+      // Terms and conditions
+      terms: getDefaultTerms(),
+
+      // Payment terms
+      paymentTerms: {
+        depositPercentage: 25,
+        balanceOnCompletion: true,
+        acceptedMethods: ['bank-transfer', 'card', 'cheque']
+      }
+    };
+  }
+
+  /**
+   * Revise a quote - the current version is kept in quotes/{id}/revisions/{version}
+   * and the quote moves to the next version as a draft, so only the latest version
+   * can be approved, sent or accepted
+   * changes may replace the work (zones or removalDetails, extras, urgency), which
+   * reprices it with the current rate card, and the customer or internal notes
+   */
+  async reviseQuote(quoteId, changes, revisedBy) {
+    const db = getDb();
+    const quoteRef = db.collection('quotes').doc(quoteId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const quoteDoc = await transaction.get(quoteRef);
+
+      if (!quoteDoc.exists) {
+        const error = new Error('Quote not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const quote = { id: quoteId, ...quoteDoc.data() };
+      const version = quote.version || 1;
+
+      if (!REVISABLE_STATUSES.includes(quote.status)) {
+        const error = new Error(`A quote that is ${quote.status} can no longer be revised`);
+        error.status = 409;
+        throw error;
+      }
+
+      const workChanged = ['zones', 'removalDetails', 'extras', 'urgency'].some(field => changes[field] !== undefined);
+      const repriced = workChanged ? await priceWork(reviseWork(quote, changes)) : {};
+      const now = new Date();
+
+      const { id, ...snapshot } = quote;
+      // create, not set - a version that has been snapshotted is never rewritten
+      transaction.create(quoteRef.collection('revisions').doc(String(version)), {
+        ...snapshot,
+        version,
+        supersededAt: now,
+        supersededBy: revisedBy.uid,
+        supersededByName: revisedBy.email
+      });
+
+      // Revising restarts the approval and sending cycle outside the usual transitions
+      const update = {
+        ...repriced,
+        ...(changes.customerNotes !== undefined ? { customerNotes: changes.customerNotes } : {}),
+        ...(changes.internalNotes !== undefined ? { internalNotes: changes.internalNotes } : {}),
+        version: version + 1,
+        status: 'draft',
+        statusHistory: [
+          ...(quote.statusHistory || []),
+          {
+            status: 'draft',
+            previousStatus: quote.status,
+            changedAt: now,
+            changedBy: revisedBy.uid,
+            changedByName: revisedBy.email,
+            reason: `Revised to version ${version + 1}`
+          }
+        ],
+        requiresApproval: await quoteApprovalService.requiresApproval(repriced.totalAmount ?? quote.totalAmount),
+        approvedBy: null,
+        approvedByName: null,
+        approvedAt: null,
+        approvedVersion: null,
+        approvalNote: null,
+        submittedForApprovalAt: null,
+        submittedForApprovalBy: null,
+        submittedForApprovalByName: null,
+        sentAt: null,
+        sentBy: null,
+        rejectionReason: null,
+        rejectedAt: null,
+        expiredAt: null,
+        expiresAt: calculateExpiryDate(),
+        // The customer's link was for the old version
+        acceptanceAccess: null,
+        revisedAt: now,
+        revisedBy: revisedBy.uid,
+        revisedByName: revisedBy.email,
+        revisionReason: changes.reason || null,
+        updatedAt: now,
+        updatedBy: revisedBy.uid
+      };
+
+      transaction.update(quoteRef, update);
+
+      return { ...quote, ...update };
+    });
+
+    safeDebugLog('Quote revised', {
+      id: quoteId,
+      quoteNumber: result.quoteNumber,
+      version: result.version,
+      totalAmount: result.totalAmount,
+      revisedBy: revisedBy.email
+    });
+
+    return result;
+  }
+
+  /**
+   * Mark the version that was emailed as sent, saving its acceptance link with it
+   * Read again in a transaction - a revision made while the email was going out leaves
+   * the quote as it is, so the link sent for the old version never goes live
+   */
+  async markSent(quoteId, version, acceptanceAccess, sentBy) {
+    const db = getDb();
+    const quoteRef = db.collection('quotes').doc(quoteId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const quoteDoc = await transaction.get(quoteRef);
+
+      if (!quoteDoc.exists) {
+        const error = new Error('Quote not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const quote = { id: quoteId, ...quoteDoc.data() };
+      const currentVersion = quote.version || 1;
+
+      if (version !== currentVersion) {
+        const error = new Error('Quote has been revised since that version');
+        error.status = 409;
+        error.currentVersion = currentVersion;
+        throw error;
+      }
+
+      const update = {
+        ...await quoteStatusMachine.prepareTransition(quote, 'sent', {}, sentBy),
+        sentVersion: version,
+        emailsSent: (quote.emailsSent || 0) + 1,
+        acceptanceAccess,
+        updatedAt: new Date(),
+        updatedBy: sentBy.uid
+      };
+
+      transaction.update(quoteRef, update);
+
+      return { ...quote, ...update };
+    });
+
+    safeDebugLog('Quote marked sent', {
+      id: quoteId,
+      quoteNumber: result.quoteNumber,
+      version,
+      sentBy: sentBy.email
+    });
+
+    return result;
+  }
+
+  /**
+   * Revision history, oldest first - the current version is the quote itself
+   */
+  async listRevisions(quoteId) {
+    const db = getDb();
+    const snapshot = await db.collection('quotes').doc(quoteId)
+      .collection('revisions')
+      .orderBy('version', 'asc')
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const revision = doc.data();
+      return {
+        version: revision.version,
+        status: revision.status,
+        totalAmount: revision.totalAmount,
+        revisionReason: revision.revisionReason || null,
+        supersededAt: revision.supersededAt,
+        supersededByName: revision.supersededByName
+      };
+    });
+  }
+
+  /**
+   * A quote as it was at a version - the quote itself for the current version or null
+   * Returns null for versions that don't exist
+   */
+  async getQuoteVersion(quoteId, version = null) {
+    const db = getDb();
+    const quoteRef = db.collection('quotes').doc(quoteId);
+    const quoteDoc = await quoteRef.get();
+
+    if (!quoteDoc.exists) {
+      return null;
+    }
+
+    const quote = { id: quoteId, ...quoteDoc.data() };
+    const current = quote.version || 1;
+
+    if (version === null || version === current) {
+      return quote;
+    }
+    if (version > current) {
+      return null;
+    }
+
+    const revisionDoc = await quoteRef.collection('revisions').doc(String(version)).get();
+    return revisionDoc.exists ? { id: quoteId, ...revisionDoc.data() } : null;
+  }
+
+  /**
+   * Price and line changes between two versions of a quote
+   * toVersion defaults to the current version
+   * Returns null if either version doesn't exist
+   */
+  async diffVersions(quoteId, fromVersion, toVersion = null) {
+    const from = await this.getQuoteVersion(quoteId, fromVersion);
+    if (!from) {
+      return null;
+    }
+
+    const to = await this.getQuoteVersion(quoteId, toVersion);
+    if (!to) {
+      return null;
+    }
+
+    const fromLines = keyLines(quoteLines(from));
+    const toLines = keyLines(quoteLines(to));
+
+    const lines = {
+      added: [...toLines.entries()].filter(([key]) => !fromLines.has(key)).map(([, line]) => line),
+      removed: [...fromLines.entries()].filter(([key]) => !toLines.has(key)).map(([, line]) => line),
+      changed: [...toLines.entries()]
+        .filter(([key, line]) => fromLines.has(key) && LINE_DIFF_FIELDS.some(field => fromLines.get(key)[field] !== line[field]))
+        .map(([key, line]) => ({
+          description: line.description,
+          from: pick(fromLines.get(key), LINE_DIFF_FIELDS),
+          to: pick(line, LINE_DIFF_FIELDS),
+          change: roundPence(line.amount - fromLines.get(key).amount)
+        }))
+    };
+
+    return {
+      quoteId,
+      quoteNumber: to.quoteNumber,
+      from: from.version || 1,
+      to: to.version || 1,
+      totals: Object.fromEntries(['netAmount', 'vatAmount', 'totalAmount'].map(field => [field, {
+        from: from[field],
+        to: to[field],
+        change: roundPence((to[field] || 0) - (from[field] || 0))
+      }])),
+      lines,
+      fields: QUOTE_DIFF_FIELDS
+        .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+        .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }))
+    };
+  }
+
+  /**
+   * Priced lines of a quote, including quotes from before line items
+   */
+  getLines(quote) {
+    return quoteLines(quote);
+  }
+
+  /**
+   * Terms a quote was issued with, or the current defaults
+   */
+  getTerms(quote) {
+    return quote.terms && quote.terms.length > 0 ? quote.terms : getDefaultTerms();
+  }
+
+  /**
+   * Create a draft quote
+   * input is the request body - only the whitelisted fields reach the quote
+   */
+  async createQuote(input, createdBy) {
+    const db = getDb();
+    const attribution = await this.getInquiryAttribution(input.inquiryId);
+    const quoteData = await this.buildDraftQuote({ ...pickQuoteInput(input), attribution }, createdBy);
+
+    const docRef = await db.collection('quotes').add(quoteData);
+    quoteData.id = docRef.id;
+
+    safeDebugLog('Quote created', {
+      id: docRef.id,
+      quoteNumber: quoteData.quoteNumber,
+      totalAmount: quoteData.totalAmount,
+      createdBy: createdBy.email,
+      customerEmail: quoteData.customerInfo.email
+    });
+
+    return quoteData;
+  }
+
+  /**
+   * Marketing attribution of the inquiry a quote came from
+   * Attribution always comes from the lead, never from the request body
+   */
+  async getInquiryAttribution(inquiryId) {
+    if (!inquiryId) {
+      return null;
+    }
+
+    const db = getDb();
+    const inquiryDoc = await db.collection('inquiries').doc(inquiryId).get();
+    return inquiryDoc.exists ? inquiryDoc.data().attribution || null : null;
+  }
+
+  /**
+   * Reprice existing quotes with a rate card, for trying rule changes before publishing
+   * Uses the given quotes, or the most recent ones - nothing is written
+   */
+  async previewRepricing(rateCard, { quoteIds = null, limit = 20 } = {}) {
+    const db = getDb();
+    let quotes;
+
+    if (quoteIds) {
+      const docs = await Promise.all(quoteIds.map(id => db.collection('quotes').doc(id).get()));
+      quotes = docs.filter(doc => doc.exists).map(doc => ({ id: doc.id, ...doc.data() }));
+    } else {
+      const snapshot = await db.collection('quotes')
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+      quotes = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    return quotes
+      .filter(quote => quote.removalDetails && quote.removalDetails.estimatedArea)
+      .map(quote => {
+        const preview = pricingService.priceWithRateCard(quoteWork(quote), rateCard, {
+          postcode: quotePostcode(quote.propertyDetails)
+        });
+
+        return {
+          quoteId: quote.id,
+          quoteNumber: quote.quoteNumber,
+          // Quotes from before rate cards were priced with the built-in version 0
+          rateCardVersion: quote.rateCardVersion ?? 0,
+          totalAmount: quote.totalAmount,
+          preview,
+          difference: Math.round((preview.totalAmount - quote.totalAmount) * 100) / 100
+        };
+      });
+  }
+
+  /**
+   * Create a draft quote pre-populated from an inquiry
+   * The quote is written and the inquiry moved to quoted in one transaction
+   */
+  async convertInquiry(inquiryId, overrides, convertedBy) {
+    const db = getDb();
+    const inquiryRef = db.collection('inquiries').doc(inquiryId);
+    const quoteRef = db.collection('quotes').doc();
+
+    const result = await db.runTransaction(async (transaction) => {
+      const inquiryDoc = await transaction.get(inquiryRef);
+
+      if (!inquiryDoc.exists) {
+        const error = new Error('Inquiry not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const inquiry = { id: inquiryId, ...inquiryDoc.data() };
+
+      if (inquiry.quoteId) {
+        const error = new Error('Inquiry has already been converted to a quote');
+        error.status = 409;
+        error.quoteId = inquiry.quoteId;
+        throw error;
+      }
+
+      const input = mapInquiryToQuote(inquiry, overrides);
+
+      // The quote is created in this transaction, so the quote-exists guard is skipped
+      const transition = await inquiryStatusMachine.prepareTransition(
+        inquiry, 'quoted', { quoteId: quoteRef.id }, convertedBy, { skipGuards: true }
+      );
+
+      const quoteData = await this.buildDraftQuote(input, convertedBy, { transaction });
+      const now = new Date();
+
+      transaction.set(quoteRef, quoteData);
+      transaction.update(inquiryRef, {
+        ...transition,
+        ...(inquiry.firstRespondedAt ? {} : { firstRespondedAt: now }),
+        updatedAt: now,
+        updatedBy: convertedBy.uid
+      });
+
+      return { inquiry, quoteData: { ...quoteData, id: quoteRef.id } };
+    });
+
+    await inquiryStatusMachine.runAfterEnter(result.inquiry, result.inquiry.status, 'quoted', convertedBy);
+
+    safeDebugLog('Inquiry converted to quote', {
+      inquiryId,
+      referenceNumber: result.inquiry.referenceNumber,
+      quoteId: result.quoteData.id,
+      quoteNumber: result.quoteData.quoteNumber,
+      convertedBy: convertedBy.email
+    });
+
+    return result.quoteData;
+  }
+}
+
+// Helper functions
+function mapInquiryToQuote(inquiry, overrides) {
+  const address = overrides.address || joinAddress(inquiry.address, inquiry.postcode);
+  const propertyType = overrides.propertyType || QUOTE_PROPERTY_TYPES[inquiry.propertyType] || null;
+  const foamType = overrides.foamType || (QUOTE_FOAM_TYPES.includes(inquiry.foamType) ? inquiry.foamType : null);
+  const estimatedArea = overrides.estimatedArea || inquiry.estimatedArea || null;
+
+  // Anything the customer didn't tell us has to come from staff
+  const problems = [];
+  if (!address || address.length < 10) {
+    problems.push({ path: 'address', msg: 'The inquiry has no full property address - supply address' });
+  }
+  if (!propertyType) {
+    problems.push({ path: 'propertyType', msg: 'The inquiry property type is unknown - supply propertyType' });
+  }
+  if (!foamType) {
+    problems.push({ path: 'foamType', msg: 'The inquiry foam type is unknown - supply foamType' });
+  }
+  if (!estimatedArea) {
+    problems.push({ path: 'estimatedArea', msg: 'The inquiry has no estimated area - supply estimatedArea' });
+  }
+
+  if (problems.length > 0) {
+    const error = new Error('Validation failed');
+    error.status = 400;
+    error.code = 'validation-failed';
+    error.details = problems;
+    throw error;
+  }
+
+  return {
+    inquiryId: inquiry.id,
+    customerInfo: {
+      name: inquiry.name,
+      email: inquiry.email,
+      phone: inquiry.phone || null
+    },
+    propertyDetails: {
+      address,
+      postcode: inquiry.postcode || null,
+      propertyType,
+      buildingType: inquiry.propertyType || null
+    },
+    removalDetails: {
+      foamType,
+      estimatedArea: Number(estimatedArea),
+      accessDifficulty: overrides.accessDifficulty || 'moderate',
+      urgency: overrides.urgency || mapUrgency(inquiry),
+      foamLocation: inquiry.foamLocation || [],
+      foamAge: inquiry.foamAge || null
+    },
+    customerNotes: overrides.customerNotes || null,
+    internalNotes: overrides.internalNotes || null,
+    attribution: inquiry.attribution || null
+  };
+}
+
+function joinAddress(address, postcode) {
+  if (!address) return postcode || null;
+  if (!postcode || address.toUpperCase().includes(postcode)) return address;
+  return `${address}, ${postcode}`;
+}
+
+function mapUrgency(inquiry) {
+  if (inquiry.situation === 'emergency') return 'emergency';
+  return inquiry.urgency === 'urgent' ? 'urgent' : 'standard';
+}
+
+// Price a quote's work - zoned quotes keep a summary removalDetails block
+// for lists, emails and older readers
+async function priceWork(input) {
+  const work = quoteWork(input);
+  const calculations = await pricingService.priceQuote(work, {
+    postcode: quotePostcode(input.propertyDetails)
+  });
+
+  return {
+    zones: hasZones(input) ? work.zones : null,
+    extras: work.extras,
+    removalDetails: hasZones(input) ? summariseZones(work) : input.removalDetails,
+    ...calculations
+  };
+}
+
+// A quote's work with a revision's changes applied - new zones or a new block replace the old work
+function reviseWork(quote, changes) {
+  const details = changes.removalDetails || quote.removalDetails || {};
+  const urgency = changes.urgency || details.urgency || 'standard';
+
+  return {
+    propertyDetails: quote.propertyDetails,
+    zones: changes.removalDetails ? null : changes.zones || quote.zones,
+    removalDetails: { ...details, urgency },
+    extras: changes.extras !== undefined ? changes.extras : quote.extras,
+    urgency
+  };
+}
+
+// Priced lines of a quote - quotes from before line items get the three fixed lines
+function quoteLines(quote) {
+  if (quote.lineItems) {
+    return quote.lineItems;
+  }
+
+  const calculations = quote.calculations || {};
+  return [
+    {
+      type: 'zone',
+      description: `${quote.removalDetails.foamType} spray foam removal`,
+      quantity: quote.removalDetails.estimatedArea,
+      unit: 'm²',
+      unitPrice: calculations.baseRate,
+      amount: calculations.subtotal
+    },
+    {
+      type: 'disposal',
+      description: 'Waste disposal and site cleanup',
+      quantity: quote.removalDetails.estimatedArea,
+      unit: 'm²',
+      unitPrice: calculations.disposalRate ?? 2,
+      amount: calculations.disposalFee
+    },
+    {
+      type: 'travel',
+      description: 'Travel and logistics',
+      quantity: 1,
+      unit: null,
+      unitPrice: calculations.travelCosts,
+      amount: calculations.travelCosts
+    }
+  ];
+}
+
+// Lines are matched across versions by zone name, or by type and description
+function keyLines(lines) {
+  return new Map(lines.map(line => [`${line.type}:${line.zone || line.description}`, line]));
+}
+
+function pickQuoteInput(input) {
+  return {
+    inquiryId: input.inquiryId || null,
+    customerInfo: pick(input.customerInfo || {}, QUOTE_INPUT_FIELDS.customerInfo),
+    propertyDetails: pick(input.propertyDetails || {}, QUOTE_INPUT_FIELDS.propertyDetails),
+    removalDetails: input.removalDetails ? pick(input.removalDetails, QUOTE_INPUT_FIELDS.removalDetails) : null,
+    zones: input.zones || null,
+    extras: input.extras || [],
+    urgency: input.urgency || null,
+    customerNotes: input.customerNotes || null,
+    internalNotes: input.internalNotes || null
+  };
+}
+
+function pick(object, fields) {
+  return Object.fromEntries(fields.map(field => [field, object[field] ?? null]));
+}
+
+function roundPence(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// The zones and extras a quote prices - a single removalDetails block is one unnamed zone
+function quoteWork(quote) {
+  const details = quote.removalDetails || {};
+  const zones = hasZones(quote) ? quote.zones : [details];
+
+  return {
+    zones: zones.map(zone => ({
+      name: zone.name || null,
+      foamType: zone.foamType,
+      estimatedArea: Number(zone.estimatedArea),
+      accessDifficulty: zone.accessDifficulty || null,
+      ...(zone.unitPrice !== undefined && zone.unitPrice !== null ? { unitPrice: Number(zone.unitPrice) } : {})
+    })),
+    extras: (quote.extras || []).map(extra => ({
+      description: extra.description,
+      quantity: extra.quantity !== undefined && extra.quantity !== null ? Number(extra.quantity) : 1,
+      unit: extra.unit || null,
+      unitPrice: Number(extra.unitPrice)
+    })),
+    urgency: quote.urgency || details.urgency || 'standard'
+  };
+}
+
+function hasZones(quote) {
+  return Array.isArray(quote.zones) && quote.zones.length > 0;
+}
+
+function summariseZones(work) {
+  const foamTypes = [...new Set(work.zones.map(zone => zone.foamType))];
+  const hardest = work.zones
+    .map(zone => ACCESS_DIFFICULTIES.indexOf(zone.accessDifficulty))
+    .reduce((max, index) => Math.max(max, index), -1);
+
+  return {
+    foamType: foamTypes.length === 1 ? foamTypes[0] : 'mixed',
+    estimatedArea: work.zones.reduce((sum, zone) => sum + zone.estimatedArea, 0),
+    accessDifficulty: hardest >= 0 ? ACCESS_DIFFICULTIES[hardest] : null,
+    urgency: work.urgency
+  };
+}
+
+// Regional pricing goes by the property's postcode, or one found in its address
+function quotePostcode(propertyDetails = {}) {
+  return propertyDetails.postcode || normalizePostcode(propertyDetails.address);
+}
+
+function calculateExpiryDate() {
+  const expiryDate = new Date();
+  expiryDate.setDate(expiryDate.getDate() + 30); // 30 days validity
+  return expiryDate;
+}
+
+function getDefaultTerms() {
+  return [
+    'Quote valid for 30 days from date of issue',
+    'Payment terms: 25% deposit required, balance on completion',
+    'All prices include VAT at current rate',
+    'Site survey may be required for large or complex projects',
+    'Additional costs may apply for unexpected complications',
+    'Disposal fees included in quoted price',
+    'Public liability insurance included'
+  ];
+}
+
+// Create singleton instance
+const quoteService = new QuoteService();
+
+module.exports = quoteService;
@@ -0,0 +1,448 @@
+/**
+ * Data Retention Service
+ * Applies the retention policy in settings/retention - batched deletes and field redaction with a purge report
+ */
+
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const SettingsBackedService = require('./settingsBackedService');
+const { toDate } = require('../utils/dates');
+
+// What a rule may point at, and which fields it may filter, age and redact by
+const RETENTION_TARGETS = {
+  inquiries: {
+    query: db => db.collection('inquiries'),
+    ageFields: ['submittedAt', 'updatedAt', 'cancelledAt', 'completedAt'],
+    matchFields: ['status', 'source'],
+    redactableFields: ['ipAddress', 'userAgent', 'spamCheck', 'matchKeys', 'message', 'notes', 'internalNotes'],
+    // Resubmissions keep their own copy of the submission details
+    nestedArrays: ['followUpSubmissions'],
+    subcollections: ['activities']
+  },
+  quotes: {
+    query: db => db.collection('quotes'),
+    ageFields: ['createdAt', 'updatedAt', 'acceptedAt', 'declinedAt'],
+    matchFields: ['status'],
+    // Device details captured when the customer accepted or declined online
+    redactableFields: ['acceptance.ipAddress', 'acceptance.userAgent', 'declineIpAddress'],
+    nestedArrays: [],
+    subcollections: ['revisions', 'approvals']
+  },
+  notifications: {
+    // Notifications live in notifications/{uid}/items
+    query: db => db.collectionGroup('items'),
+    ageFields: ['createdAt', 'readAt'],
+    matchFields: ['read', 'type'],
+    redactableFields: [],
+    nestedArrays: [],
+    subcollections: []
+  }
+};
+
+// Built-in policy - a rules list in settings/retention replaces it
+const DEFAULT_RETENTION_RULES = [
+  {
+    id: 'lost-inquiries',
+    description: 'Delete cancelled and spam inquiries 24 months after they were last touched',
+    target: 'inquiries',
+    action: 'delete',
+    match: { status: ['cancelled', 'spam'] },
+    ageField: 'updatedAt',
+    olderThanDays: 730,
+    enabled: true
+  },
+  {
+    id: 'inquiry-device-data',
+    description: 'Remove IP address and browser details from inquiries after 90 days',
+    target: 'inquiries',
+    action: 'redact',
+    fields: ['ipAddress', 'userAgent'],
+    ageField: 'submittedAt',
+    olderThanDays: 90,
+    enabled: true
+  },
+  {
+    id: 'read-notifications',
+    description: 'Delete read notifications after 30 days',
+    target: 'notifications',
+    action: 'delete',
+    match: { read: true },
+    ageField: 'createdAt',
+    olderThanDays: 30,
+    enabled: true
+  }
+];
+
+const RULE_KEYS = ['id', 'description', 'target', 'action', 'match', 'ageField', 'olderThanDays', 'fields', 'enabled'];
+
+class RetentionService extends SettingsBackedService {
+  constructor() {
+    super({ settingsDoc: 'retention', field: 'rules', label: 'retention' });
+
+    // Configuration
+    this.REPORT_COLLECTION = 'retentionReports';
+    this.PAGE_SIZE = 400; // Stays under the 500 writes allowed in one batch
+    this.DEFAULT_RULES = DEFAULT_RETENTION_RULES;
+    this.TARGETS = RETENTION_TARGETS;
+  }
+
+  /**
+   * Get the effective retention rules
+   */
+  async getRules() {
+    return this.loadSettings();
+  }
+
+  /**
+   * A saved list replaces the defaults entirely
+   */
+  applySettings(rules) {
+    return Array.isArray(rules) ? rules : DEFAULT_RETENTION_RULES;
+  }
+
+  /**
+   * Validate a retention rules list - returns a list of problems
+   */
+  validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      return ['Rules must be a list'];
+    }
+
+    const problems = [];
+    const seenIds = new Set();
+
+    rules.forEach((rule, index) => {
+      const label = `rules[${index}]`;
+
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        problems.push(`${label} must be an object`);
+        return;
+      }
+
+      Object.keys(rule)
+        .filter(key => !RULE_KEYS.includes(key))
+        .forEach(key => problems.push(`${label}: unknown retention rule field ${key}`));
+
+      if (typeof rule.id !== 'string' || !/^[a-z0-9-]{1,50}$/.test(rule.id)) {
+        problems.push(`${label}.id must be lowercase letters, digits and dashes`);
+      } else if (seenIds.has(rule.id)) {
+        problems.push(`${label}.id ${rule.id} is used more than once`);
+      } else {
+        seenIds.add(rule.id);
+      }
+
+      if (rule.description !== undefined && (typeof rule.description !== 'string' || rule.description.length > 200)) {
+        problems.push(`${label}.description must be text of at most 200 characters`);
+      }
+
+      if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+        problems.push(`${label}.enabled must be true or false`);
+      }
+
+      if (!Number.isInteger(rule.olderThanDays) || rule.olderThanDays < 1 || rule.olderThanDays > 3650) {
+        problems.push(`${label}.olderThanDays must be a whole number of days between 1 and 3650`);
+      }
+
+      const target = RETENTION_TARGETS[rule.target];
+      if (!target) {
+        problems.push(`${label}.target must be one of: ${Object.keys(RETENTION_TARGETS).join(', ')}`);
+        return;
+      }
+
+      if (rule.ageField !== undefined && !target.ageFields.includes(rule.ageField)) {
+        problems.push(`${label}.ageField must be one of: ${target.ageFields.join(', ')}`);
+      }
+
+      if (rule.match !== undefined) {
+        if (!rule.match || typeof rule.match !== 'object' || Array.isArray(rule.match)) {
+          problems.push(`${label}.match must be an object of field to value or list of values`);
+        } else {
+          Object.entries(rule.match).forEach(([field, value]) => {
+            if (!target.matchFields.includes(field)) {
+              problems.push(`${label}.match.${field} is not a filterable field - use ${target.matchFields.join(', ')}`);
+            } else if (Array.isArray(value) ? value.length === 0 || value.length > 10 || !value.every(isScalar) : !isScalar(value)) {
+              problems.push(`${label}.match.${field} must be a value or a list of 1 to 10 values`);
+            }
+          });
+        }
+      }
+
+      if (rule.action === 'delete') {
+        if (rule.fields !== undefined) {
+          problems.push(`${label}.fields only applies to redact rules`);
+        }
+      } else if (rule.action === 'redact') {
+        if (!Array.isArray(rule.fields) || rule.fields.length === 0 || !rule.fields.every(field => target.redactableFields.includes(field))) {
+          problems.push(`${label}.fields must list fields to redact from: ${target.redactableFields.join(', ') || 'none'}`);
+        }
+      } else {
+        problems.push(`${label}.action must be delete or redact`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Save the retention rules to settings (admin only - checked by the route)
+   */
+  async updateRules(rules, updatedBy) {
+    await this.saveSettings(rules, updatedBy);
+
+    safeDebugLog('Retention rules updated', {
+      rules: rules.map(rule => rule.id),
+      updatedBy: updatedBy.email
+    });
+
+    return rules;
+  }
+
+  /**
+   * Apply every enabled rule and write a purge report
+   * A failing rule is reported and the rest still run
+   */
+  async runRetention({ dryRun = false, triggeredBy = null } = {}) {
+    const db = getDb();
+    const startedAt = new Date();
+    const rules = (await this.getRules()).filter(rule => rule.enabled !== false);
+    const previousReport = dryRun ? null : await this.getLastReport();
+    const results = [];
+
+    for (const rule of rules) {
+      try {
+        const since = findCheckpoint(rule, previousReport);
+        results.push({
+          ...await this.applyRule(rule, { now: startedAt, dryRun, since }),
+          status: 'completed'
+        });
+      } catch (error) {
+        safeDebugError(`Retention rule ${rule.id} failed`, error);
+        results.push({
+          id: rule.id,
+          target: rule.target,
+          action: rule.action,
+          signature: ruleSignature(rule),
+          status: 'failed',
+          error: error.message
+        });
+      }
+    }
+
+    const report = {
+      startedAt,
+      completedAt: new Date(),
+      dryRun,
+      triggeredBy: triggeredBy ? triggeredBy.uid : 'schedule',
+      triggeredByName: triggeredBy ? triggeredBy.email : 'Scheduled cleanup',
+      status: results.some(result => result.status === 'failed') ? 'completed-with-errors' : 'completed',
+      rules: results,
+      totals: results.reduce((totals, result) => ({
+        matched: totals.matched + (result.matched || 0),
+        deleted: totals.deleted + (result.deleted || 0),
+        redacted: totals.redacted + (result.redacted || 0)
+      }), { matched: 0, deleted: 0, redacted: 0 })
+    };
+
+    const reportRef = await db.collection(this.REPORT_COLLECTION).add(report);
+
+    safeDebugLog('Retention run completed', {
+      reportId: reportRef.id,
+      dryRun,
+      status: report.status,
+      ...report.totals
+    });
+
+    return { id: reportRef.id, ...report };
+  }
+
+  /**
+   * Apply one rule, a page at a time
+   * since limits the scan to records that aged past the cutoff after the last run
+   */
+  async applyRule(rule, { now = new Date(), dryRun = false, since = null } = {}) {
+    const db = getDb();
+    const target = RETENTION_TARGETS[rule.target];
+    const ageField = rule.ageField || target.ageFields[0];
+    const cutoff = new Date(now.getTime() - rule.olderThanDays * 24 * 60 * 60 * 1000);
+
+    let query = target.query(db);
+    Object.entries(rule.match || {}).forEach(([field, value]) => {
+      query = query.where(field, Array.isArray(value) ? 'in' : '==', value);
+    });
+    query = query.where(ageField, '<', cutoff);
+    if (since) {
+      query = query.where(ageField, '>=', since);
+    }
+    query = query.orderBy(ageField).limit(this.PAGE_SIZE);
+
+    const result = {
+      id: rule.id,
+      target: rule.target,
+      action: rule.action,
+      signature: ruleSignature(rule),
+      cutoff,
+      since,
+      matched: 0,
+      deleted: 0,
+      redacted: 0,
+      childrenDeleted: 0
+    };
+    let lastDoc = null;
+
+    while (true) {
+      const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+      const batch = db.batch();
+      let writes = 0;
+
+      for (const doc of snapshot.docs) {
+        result.matched++;
+
+        if (rule.action === 'delete') {
+          for (const subcollection of target.subcollections) {
+            result.childrenDeleted += await this.deleteCollection(doc.ref.collection(subcollection), dryRun);
+          }
+          batch.delete(doc.ref);
+          result.deleted++;
+          writes++;
+          continue;
+        }
+
+        const redaction = buildRedaction(doc.data(), rule.fields, target.nestedArrays);
+        if (redaction) {
+          batch.update(doc.ref, { ...redaction, redactedAt: now });
+          result.redacted++;
+          writes++;
+        }
+      }
+
+      if (writes > 0 && !dryRun) {
+        await batch.commit();
+      }
+
+      if (snapshot.size < this.PAGE_SIZE) {
+        break;
+      }
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    safeDebugLog('Retention rule applied', {
+      id: rule.id,
+      dryRun,
+      matched: result.matched,
+      deleted: result.deleted,
+      redacted: result.redacted
+    });
+
+    return result;
+  }
+
+  /**
+   * Delete every document in a collection in batches - returns how many there were
+   */
+  async deleteCollection(collectionRef, dryRun = false) {
+    if (dryRun) {
+      const countSnapshot = await collectionRef.count().get();
+      return countSnapshot.data().count;
+    }
+
+    const db = getDb();
+    let deleted = 0;
+
+    while (true) {
+      const snapshot = await collectionRef.limit(this.PAGE_SIZE).get();
+      if (snapshot.empty) {
+        return deleted;
+      }
+
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      deleted += snapshot.size;
+    }
+  }
+
+  /**
+   * Most recent real (not dry) run, used for redaction checkpoints
+   */
+  async getLastReport() {
+    const snapshot = await getDb()
+      .collection(this.REPORT_COLLECTION)
+      .where('dryRun', '==', false)
+      .orderBy('startedAt', 'desc')
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+}
+
+// Helper functions
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// Changes to what a rule touches invalidate its checkpoint - a new age limit does not
+function ruleSignature(rule) {
+  return JSON.stringify({
+    target: rule.target,
+    action: rule.action,
+    ageField: rule.ageField || null,
+    fields: [...(rule.fields || [])].sort(),
+    match: rule.match || null
+  });
+}
+
+// Only unfiltered redactions can resume - a status filter can match old records later
+function findCheckpoint(rule, previousReport) {
+  if (!previousReport || rule.action !== 'redact' || rule.match) {
+    return null;
+  }
+
+  const previous = (previousReport.rules || []).find(result =>
+    result.id === rule.id && result.status === 'completed' && result.signature === ruleSignature(rule)
+  );
+
+  if (!previous || !previous.cutoff) {
+    return null;
+  }
+
+  return toDate(previous.cutoff);
+}
+
+function getPath(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function buildRedaction(data, fields, nestedArrays) {
+  const update = {};
+
+  // Dotted fields name a value inside a map and are written as field paths
+  fields.forEach(field => {
+    if (getPath(data, field) !== undefined && getPath(data, field) !== null) {
+      update[field] = null;
+    }
+  });
+
+  nestedArrays.forEach(arrayField => {
+    const entries = data[arrayField];
+    if (!Array.isArray(entries) || !entries.some(entry => entry && fields.some(field => entry[field] != null))) {
+      return;
+    }
+
+    update[arrayField] = entries.map(entry => {
+      const redacted = { ...entry };
+      fields.forEach(field => {
+        if (field in redacted) redacted[field] = null;
+      });
+      return redacted;
+    });
+  });
+
+  return Object.keys(update).length > 0 ? update : null;
+}
+
+// Create singleton instance
+const retentionService = new RetentionService();
+
+module.exports = retentionService;
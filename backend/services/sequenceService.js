@@ -0,0 +1,194 @@
+/**
+ * Sequence Service
+ * Sequential per-year reference numbers for inquiries, quotes and projects (e.g. Q-2026-00042)
+ */
+
+const { safeDebugLog } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const SettingsBackedService = require('./settingsBackedService');
+
+// Built-in formats - settings/numbering overrides these per entity
+// {YYYY} or {YY} is the year, {SEQ:n} the counter padded to n digits
+const DEFAULT_NUMBER_FORMATS = {
+  inquiry: 'FF-{YYYY}-{SEQ:5}',
+  quote: 'Q-{YYYY}-{SEQ:5}',
+  project: 'P-{YYYY}-{SEQ:5}'
+};
+
+// Where each entity's numbers live, for lookups
+const NUMBERED_COLLECTIONS = {
+  inquiry: { collection: 'inquiries', field: 'referenceNumber' },
+  quote: { collection: 'quotes', field: 'quoteNumber' },
+  project: { collection: 'projects', field: 'projectNumber' }
+};
+
+const TOKEN_PATTERN = /\{(YYYY|YY|SEQ:(\d+))\}/g;
+
+class SequenceService extends SettingsBackedService {
+  constructor() {
+    super({ settingsDoc: 'numbering', field: 'formats', label: 'numbering' });
+
+    // Configuration
+    this.COUNTER_COLLECTION = 'counters';
+    this.DEFAULT_FORMATS = DEFAULT_NUMBER_FORMATS;
+    this.ENTITIES = Object.keys(DEFAULT_NUMBER_FORMATS);
+  }
+
+  /**
+   * Get effective number formats
+   */
+  async getFormats() {
+    return this.loadSettings();
+  }
+
+  /**
+   * Formats saved in settings replace the defaults per entity
+   */
+  applySettings(formats) {
+    return {
+      ...DEFAULT_NUMBER_FORMATS,
+      ...formats
+    };
+  }
+
+  /**
+   * Validate number format overrides - returns a list of problems
+   */
+  validateFormats(formats) {
+    if (!formats || typeof formats !== 'object' || Array.isArray(formats)) {
+      return ['Formats must be an object'];
+    }
+
+    const problems = [];
+
+    Object.entries(formats).forEach(([entity, format]) => {
+      if (!this.ENTITIES.includes(entity)) {
+        problems.push(`Unknown numbered entity: ${entity} - use ${this.ENTITIES.join(', ')}`);
+        return;
+      }
+
+      if (typeof format !== 'string' || format.length === 0 || format.length > 40) {
+        problems.push(`${entity} format must be text of at most 40 characters`);
+        return;
+      }
+
+      const tokens = [...format.matchAll(TOKEN_PATTERN)];
+      const literal = format.replace(TOKEN_PATTERN, '');
+      const sequences = tokens.filter(token => token[2]);
+
+      // Numbers appear in URLs, so nothing that needs escaping
+      if (!/^[A-Z0-9-]*$/.test(literal)) {
+        problems.push(`${entity} format may only contain capital letters, digits, "-" and {YYYY}, {YY}, {SEQ:n}`);
+      }
+      if (sequences.length !== 1 || Number(sequences[0][2]) < 3 || Number(sequences[0][2]) > 8) {
+        problems.push(`${entity} format needs exactly one {SEQ:n} with n between 3 and 8`);
+      }
+      // Counters restart each year, so the year keeps numbers unique
+      if (!tokens.some(token => token[1] === 'YYYY' || token[1] === 'YY')) {
+        problems.push(`${entity} format must include the year as {YYYY} or {YY}`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Save number formats to settings (admin only - checked by the route)
+   * Counters are unaffected, so a new format carries on from the current number
+   */
+  async updateFormats(formats, updatedBy) {
+    await this.saveSettings(formats, updatedBy);
+
+    safeDebugLog('Number formats updated', {
+      formats,
+      updatedBy: updatedBy.email
+    });
+
+    return this.getFormats();
+  }
+
+  /**
+   * Allocate the next number for an entity
+   * Pass a transaction to allocate inside a larger write (its reads must not have finished)
+   * Returns { number, numberKey, sequence }
+   */
+  async next(entity, { transaction = null, date = new Date() } = {}) {
+    const formats = await this.getFormats();
+    const year = date.getFullYear();
+    const db = getDb();
+    const counterRef = db.collection(this.COUNTER_COLLECTION).doc(`${entity}-${year}`);
+
+    const allocate = async (tx) => {
+      const counterDoc = await tx.get(counterRef);
+      const sequence = (counterDoc.exists ? counterDoc.data().value : 0) + 1;
+
+      tx.set(counterRef, {
+        entity,
+        year,
+        value: sequence,
+        updatedAt: new Date()
+      });
+
+      return sequence;
+    };
+
+    const sequence = transaction ? await allocate(transaction) : await db.runTransaction(allocate);
+    const number = formatNumber(formats[entity], year, sequence);
+
+    return {
+      number,
+      numberKey: this.normaliseNumber(number),
+      sequence
+    };
+  }
+
+  /**
+   * Canonical form for matching typed numbers - "q-2026-00042" and "Q202600042" match
+   */
+  normaliseNumber(number) {
+    return String(number || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Find a record by its number, old timestamp-style or new sequential
+   * Returns { id, ...data } or null
+   */
+  async findByNumber(entity, number) {
+    const { collection, field } = NUMBERED_COLLECTIONS[entity];
+    const db = getDb();
+
+    // Exact match covers every record, including those numbered before sequences
+    const exact = await db.collection(collection)
+      .where(field, '==', String(number).trim().toUpperCase())
+      .limit(1)
+      .get();
+
+    if (!exact.empty) {
+      return { id: exact.docs[0].id, ...exact.docs[0].data() };
+    }
+
+    // Sequential numbers also match however they were typed
+    const normalised = await db.collection(collection)
+      .where('numberKey', '==', this.normaliseNumber(number))
+      .limit(1)
+      .get();
+
+    return normalised.empty
+      ? null
+      : { id: normalised.docs[0].id, ...normalised.docs[0].data() };
+  }
+}
+
+// Helper functions
+function formatNumber(format, year, sequence) {
+  return format.replace(TOKEN_PATTERN, (token, name, width) => {
+    if (name === 'YYYY') return String(year);
+    if (name === 'YY') return String(year).slice(-2);
+    return String(sequence).padStart(Number(width), '0');
+  });
+}
+
+// Create singleton instance
+const sequenceService = new SequenceService();
+
+module.exports = sequenceService;
@@ -0,0 +1,86 @@
+/**
+ * Settings-Backed Service
+ * Base for services whose rules are built-in defaults plus admin overrides kept in settings/{doc}
+ */
+
+const { safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+
+class SettingsBackedService {
+  /**
+   * settingsDoc is the document under settings, field the key the overrides are saved under
+   * and label names the settings in error logs
+   */
+  constructor({ settingsDoc, field, label }) {
+    this.cache = null;
+    this.cacheTimestamp = 0;
+
+    // Configuration
+    this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+    this.SETTINGS_DOC = settingsDoc;
+    this.SETTINGS_FIELD = field;
+    this.SETTINGS_LABEL = label;
+  }
+
+  /**
+   * Get the effective settings, reloading them once the cache expires
+   * A failed read falls back to the defaults rather than failing every caller
+   */
+  async loadSettings() {
+    if (this.cache && Date.now() - this.cacheTimestamp < this.CACHE_DURATION) {
+      return this.cache;
+    }
+
+    let stored;
+
+    try {
+      const db = getDb();
+      const settingsDoc = await db.collection('settings').doc(this.SETTINGS_DOC).get();
+
+      if (settingsDoc.exists) {
+        stored = settingsDoc.data()[this.SETTINGS_FIELD];
+      }
+    } catch (error) {
+      safeDebugError(`Error loading ${this.SETTINGS_LABEL} settings`, error);
+    }
+
+    this.cache = this.applySettings(stored);
+    this.cacheTimestamp = Date.now();
+
+    return this.cache;
+  }
+
+  /**
+   * Combine stored overrides with the defaults - stored is undefined when nothing is saved
+   * Services override this; the base uses the stored value as it is
+   */
+  applySettings(stored) {
+    return stored;
+  }
+
+  /**
+   * Replace the stored overrides and drop the cache (admin only - checked by the route)
+   */
+  async saveSettings(value, updatedBy) {
+    const db = getDb();
+
+    await db.collection('settings').doc(this.SETTINGS_DOC).set({
+      [this.SETTINGS_FIELD]: value,
+      updatedAt: new Date(),
+      updatedBy: updatedBy.uid,
+      updatedByName: updatedBy.email
+    });
+
+    this.invalidate();
+  }
+
+  /**
+   * Drop the cached settings so the next lookup reloads them
+   */
+  invalidate() {
+    this.cache = null;
+    this.cacheTimestamp = 0;
+  }
+}
+
+module.exports = SettingsBackedService;
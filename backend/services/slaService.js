@@ -0,0 +1,248 @@
+/**
+ * Inquiry SLA Service
+ * Escalates inquiries that miss their follow-up deadline and reports compliance
+ */
+
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { toMillis } = require('../utils/dates');
+
+// Inquiries still waiting for a first response
+const AWAITING_RESPONSE_STATUSES = ['new', 'assigned'];
+
+// Inquiries that don't count towards compliance
+const EXCLUDED_STATUSES = ['spam', 'merged'];
+
+class SlaService {
+  constructor() {
+    // Configuration
+    this.MANAGER_ESCALATION_DELAY = 2 * 60 * 60 * 1000; // 2 hours after the breach
+    this.BATCH_LIMIT = 200;
+    this.BACKFILL_PAGE_SIZE = 200;
+  }
+
+  /**
+   * Find overdue inquiries and escalate them
+   * Assignee first, then managers once MANAGER_ESCALATION_DELAY has passed
+   * Inquiries drop out of the query once managers have been told, so a backlog
+   * of old breaches never crowds out new ones - inquiries saved before the flag
+   * existed need backfillEscalationFlags first, as the query cannot match a missing field
+   */
+  async checkBreaches(now = new Date()) {
+    const db = getDb();
+    const notificationService = require('./notificationService');
+
+    const snapshot = await db.collection('inquiries')
+      .where('slaEscalationComplete', '==', false)
+      .where('status', 'in', AWAITING_RESPONSE_STATUSES)
+      .where('followUpDate', '<=', now)
+      .orderBy('followUpDate', 'asc')
+      .limit(this.BATCH_LIMIT)
+      .get();
+
+    const summary = { checked: snapshot.size, breached: 0, escalated: 0, failed: 0 };
+
+    for (const doc of snapshot.docs) {
+      const inquiry = { id: doc.id, ...doc.data() };
+      const escalation = inquiry.slaEscalation || {};
+
+      try {
+        const updateData = {};
+
+        if (!inquiry.slaBreachedAt) {
+          updateData.slaBreachedAt = now;
+          summary.breached++;
+        }
+
+        const breachedAt = toMillis(inquiry.slaBreachedAt || now);
+        const managersDue = !inquiry.assignedTo ||
+          now.getTime() - breachedAt >= this.MANAGER_ESCALATION_DELAY;
+
+        if (inquiry.assignedTo && !escalation.assigneeNotifiedAt) {
+          await notificationService.notifyInquirySlaBreach(inquiry);
+          updateData['slaEscalation.assigneeNotifiedAt'] = now;
+          updateData['slaEscalation.assigneeNotified'] = inquiry.assignedTo;
+        }
+
+        if (managersDue && !escalation.managersNotifiedAt) {
+          await notificationService.notifyInquirySlaBreach(inquiry, { escalate: true });
+          updateData['slaEscalation.managersNotifiedAt'] = now;
+          summary.escalated++;
+        }
+
+        if (managersDue) {
+          updateData.slaEscalationComplete = true;
+        }
+
+        if (Object.keys(updateData).length > 0) {
+          await doc.ref.update(updateData);
+        }
+      } catch (error) {
+        summary.failed++;
+        safeDebugError('Error escalating inquiry SLA breach', error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Set slaEscalationComplete on inquiries saved before it existed (admin only - checked by the route)
+   * Complete once managers have been told, so past escalations are not repeated
+   */
+  async backfillEscalationFlags(updatedBy) {
+    const db = getDb();
+    const query = db.collection('inquiries').limit(this.BACKFILL_PAGE_SIZE);
+    let lastDoc = null;
+    let checked = 0;
+    let flagged = 0;
+
+    while (true) {
+      const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+      const batch = db.batch();
+      let writes = 0;
+
+      snapshot.docs.forEach(doc => {
+        const inquiry = doc.data();
+        checked++;
+
+        if (typeof inquiry.slaEscalationComplete === 'boolean') {
+          return;
+        }
+
+        const escalation = inquiry.slaEscalation || {};
+        batch.update(doc.ref, { slaEscalationComplete: Boolean(escalation.managersNotifiedAt) });
+        writes++;
+      });
+
+      if (writes > 0) {
+        await batch.commit();
+        flagged += writes;
+      }
+
+      if (snapshot.size < this.BACKFILL_PAGE_SIZE) {
+        break;
+      }
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    safeDebugLog('SLA escalation flags backfilled', {
+      checked,
+      flagged,
+      updatedBy: updatedBy.email
+    });
+
+    return { checked, flagged };
+  }
+
+  /**
+   * Build the SLA compliance report for inquiries submitted in a date range
+   * Breach rates are grouped by urgency and by assigned staff member
+   */
+  async getComplianceReport({ from, to }, now = new Date()) {
+    const db = getDb();
+
+    const snapshot = await db.collection('inquiries')
+      .where('submittedAt', '>=', from)
+      .where('submittedAt', '<=', to)
+      .get();
+
+    const inquiries = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(inquiry => !EXCLUDED_STATUSES.includes(inquiry.status));
+
+    const overall = createBucket();
+    const byUrgency = {};
+    const byStaff = {};
+
+    inquiries.forEach(inquiry => {
+      const outcome = getOutcome(inquiry, now);
+      const urgency = inquiry.urgency || 'medium';
+      const staffId = inquiry.assignedTo || 'unassigned';
+
+      byUrgency[urgency] = byUrgency[urgency] || createBucket();
+      byStaff[staffId] = byStaff[staffId] || createBucket();
+
+      [overall, byUrgency[urgency], byStaff[staffId]].forEach(bucket => {
+        bucket.total++;
+        bucket[outcome]++;
+      });
+    });
+
+    const staffNames = await this.getStaffNames(Object.keys(byStaff).filter(id => id !== 'unassigned'));
+
+    return {
+      period: {
+        from: from.toISOString(),
+        to: to.toISOString()
+      },
+      overall: finaliseBucket(overall),
+      byUrgency: Object.entries(byUrgency).map(([urgency, bucket]) => ({
+        urgency,
+        ...finaliseBucket(bucket)
+      })),
+      byStaff: Object.entries(byStaff).map(([staffId, bucket]) => ({
+        staffId,
+        name: staffId === 'unassigned' ? 'Unassigned' : (staffNames[staffId] || staffId),
+        ...finaliseBucket(bucket)
+      })).sort((a, b) => b.breachRate - a.breachRate)
+    };
+  }
+
+  async getStaffNames(staffIds) {
+    const db = getDb();
+    const names = {};
+
+    await Promise.all(staffIds.map(async (staffId) => {
+      try {
+        const userDoc = await db.collection('users').doc(staffId).get();
+        if (userDoc.exists) {
+          names[staffId] = userDoc.data().name || userDoc.data().email;
+        }
+      } catch (error) {
+        safeDebugError('Error loading staff name for SLA report', error);
+      }
+    }));
+
+    return names;
+  }
+}
+
+// Helper functions
+function getOutcome(inquiry, now) {
+  if (inquiry.slaBreachedAt) {
+    return 'breached';
+  }
+
+  // Still waiting and not yet due - no verdict either way
+  if (AWAITING_RESPONSE_STATUSES.includes(inquiry.status)) {
+    return toMillis(inquiry.followUpDate) > now.getTime() ? 'pending' : 'breached';
+  }
+
+  // Responded between the deadline and the next scheduled check
+  if (inquiry.firstRespondedAt && toMillis(inquiry.firstRespondedAt) > toMillis(inquiry.followUpDate)) {
+    return 'breached';
+  }
+
+  return 'met';
+}
+
+function createBucket() {
+  return { total: 0, met: 0, breached: 0, pending: 0 };
+}
+
+// Rates are over decided inquiries only, so brand-new ones don't flatter the numbers
+function finaliseBucket(bucket) {
+  const decided = bucket.met + bucket.breached;
+  return {
+    ...bucket,
+    breachRate: decided > 0 ? Math.round((bucket.breached / decided) * 1000) / 10 : 0,
+    complianceRate: decided > 0 ? Math.round((bucket.met / decided) * 1000) / 10 : 100
+  };
+}
+
+// Create singleton instance
+const slaService = new SlaService();
+
+module.exports = slaService;
@@ -0,0 +1,265 @@
+/**
+ * Spam Protection Service
+ * Layered checks for public inquiry submissions - suspect ones are quarantined, not rejected
+ */
+
+const crypto = require('crypto');
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { toMillis } = require('../utils/dates');
+
+// Hidden form field that people never see and bots happily fill in
+const HONEYPOT_FIELD = 'website';
+
+// Points per signal - a submission at or above the threshold is spam
+const SPAM_THRESHOLD = 5;
+const SIGNAL_POINTS = {
+  honeypot: 5,
+  'submitted-too-fast': 5,
+  'email-quota-exceeded': 5,
+  'ip-quota-exceeded': 5,
+  'invalid-form-token': 3,
+  'reused-form-token': 5,
+  'expired-form-token': 1,
+  'missing-form-token': 2,
+  'many-links': 3,
+  'contains-link': 1,
+  'disposable-email': 3,
+  'spam-keywords': 3,
+  'link-in-name': 3
+};
+
+// Throwaway inbox providers
+const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com', 'dispostable.com', 'fakeinbox.com', 'getnada.com',
+  'guerrillamail.com', 'maildrop.cc', 'mailinator.com', 'mintemail.com',
+  'sharklasers.com', 'temp-mail.org', 'tempmail.com', 'throwawaymail.com',
+  'trashmail.com', 'yopmail.com'
+];
+
+const SPAM_KEYWORDS = /\b(viagra|cialis|casino|crypto(currency)?|bitcoin|forex|seo services|backlinks?|web design services|loan offer)\b/i;
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/i;
+
+class SpamService {
+  constructor() {
+    // Configuration
+    this.MIN_FILL_SECONDS = 3;
+    this.TOKEN_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+    this.QUOTAS = {
+      email: { limit: 5, windowMs: 24 * 60 * 60 * 1000 }, // 5 per day
+      ip: { limit: 10, windowMs: 60 * 60 * 1000 } // 10 per hour
+    };
+  }
+
+  /**
+   * Issue a signed token recording when the form was rendered
+   */
+  issueFormToken() {
+    const issuedAt = Date.now().toString(36);
+    const nonce = crypto.randomBytes(6).toString('hex');
+    const payload = `${issuedAt}.${nonce}`;
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Check a form token - returns null when fine, otherwise the signal name
+   * A valid token is used up, so replaying it with another submission is caught
+   */
+  async checkFormToken(token) {
+    if (!token || typeof token !== 'string') {
+      return 'missing-form-token';
+    }
+
+    const [issuedAt, nonce, signature] = token.split('.');
+    const expected = this.sign(`${issuedAt}.${nonce}`);
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return 'invalid-form-token';
+    }
+
+    const age = Date.now() - parseInt(issuedAt, 36);
+
+    if (age < this.MIN_FILL_SECONDS * 1000) {
+      return 'submitted-too-fast';
+    }
+
+    if (age > this.TOKEN_MAX_AGE) {
+      return 'expired-form-token';
+    }
+
+    try {
+      const firstUse = await this.useFormToken(issuedAt, nonce);
+      return firstUse ? null : 'reused-form-token';
+    } catch (error) {
+      // A token store outage must not block genuine customers
+      safeDebugError('Form token use check failed', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a token as used in formTokens - false when it already was
+   * Kept until the token would have expired anyway
+   */
+  async useFormToken(issuedAt, nonce) {
+    const db = getDb();
+    const tokenRef = db.collection('formTokens').doc(`${issuedAt}_${nonce}`);
+
+    return db.runTransaction(async (transaction) => {
+      const tokenDoc = await transaction.get(tokenRef);
+
+      if (tokenDoc.exists) {
+        return false;
+      }
+
+      transaction.set(tokenRef, {
+        usedAt: new Date(),
+        expiresAt: new Date(parseInt(issuedAt, 36) + this.TOKEN_MAX_AGE)
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Assess a submission against every layer
+   * payload is the raw body (honeypot and token live there), value the validated inquiry
+   * Returns { isSpam, score, signals }
+   */
+  async assessSubmission(payload, value, context = {}) {
+    const signals = [];
+
+    if (payload[HONEYPOT_FIELD]) {
+      signals.push('honeypot');
+    }
+
+    const tokenSignal = await this.checkFormToken(payload.formToken);
+    if (tokenSignal) {
+      signals.push(tokenSignal);
+    }
+
+    signals.push(...checkContent(value));
+
+    // Quotas count every attempt, including ones already flagged
+    const quotaSignals = await this.consumeQuotas(value.email, context.ipAddress);
+    signals.push(...quotaSignals);
+
+    const score = signals.reduce((total, signal) => total + (SIGNAL_POINTS[signal] || 0), 0);
+    const isSpam = score >= SPAM_THRESHOLD;
+
+    if (isSpam) {
+      safeDebugLog('Submission flagged as spam', {
+        score,
+        signals
+      });
+    }
+
+    return { isSpam, score, signals };
+  }
+
+  /**
+   * Count a submission against the per-email and per-IP quotas
+   * Returns the signals for any quota that is exceeded
+   */
+  async consumeQuotas(email, ipAddress) {
+    const checks = [
+      ['email', email, 'email-quota-exceeded'],
+      ['ip', ipAddress, 'ip-quota-exceeded']
+    ].filter(([, identifier]) => identifier);
+
+    const results = await Promise.all(checks.map(async ([type, identifier, signal]) => {
+      try {
+        const exceeded = await this.incrementQuota(type, identifier);
+        return exceeded ? signal : null;
+      } catch (error) {
+        // A quota outage must not block genuine customers
+        safeDebugError('Submission quota check failed', error);
+        return null;
+      }
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Increment a fixed-window counter in submissionQuotas
+   * Identifiers are hashed so the collection holds no contact details
+   */
+  async incrementQuota(type, identifier) {
+    const { limit, windowMs } = this.QUOTAS[type];
+    const db = getDb();
+    const quotaRef = db.collection('submissionQuotas').doc(`${type}_${hashIdentifier(identifier)}`);
+
+    return db.runTransaction(async (transaction) => {
+      const quotaDoc = await transaction.get(quotaRef);
+      const now = Date.now();
+      const quota = quotaDoc.exists ? quotaDoc.data() : null;
+      const windowStart = quota && quota.windowStart ? toMillis(quota.windowStart) : 0;
+
+      if (!quota || now - windowStart >= windowMs) {
+        transaction.set(quotaRef, {
+          type,
+          count: 1,
+          windowStart: new Date(now),
+          expiresAt: new Date(now + windowMs)
+        });
+        return false;
+      }
+
+      transaction.update(quotaRef, { count: quota.count + 1 });
+      return quota.count + 1 > limit;
+    });
+  }
+
+  /**
+   * Sign a token payload
+   * Every instance must sign with the same value or tokens issued by one are rejected by
+   * the next, so a missing secret fails here rather than falling back to a random one -
+   * checked on use, so the rest of the API still starts without it
+   */
+  sign(payload) {
+    if (!process.env.FORM_TOKEN_SECRET) {
+      throw new Error('FORM_TOKEN_SECRET is not set - the inquiry form cannot issue or check form tokens');
+    }
+
+    return crypto.createHmac('sha256', process.env.FORM_TOKEN_SECRET).update(payload).digest('base64url');
+  }
+}
+
+// Helper functions
+function checkContent(value) {
+  const signals = [];
+  const text = [value.subject, value.message, value.address].filter(Boolean).join(' ');
+  const links = text.match(new RegExp(LINK_PATTERN.source, 'gi')) || [];
+
+  if (links.length > 2) {
+    signals.push('many-links');
+  } else if (links.length > 0) {
+    signals.push('contains-link');
+  }
+
+  if (SPAM_KEYWORDS.test(text)) {
+    signals.push('spam-keywords');
+  }
+
+  if (LINK_PATTERN.test(value.name || '')) {
+    signals.push('link-in-name');
+  }
+
+  const domain = (value.email || '').split('@')[1];
+  if (domain && DISPOSABLE_EMAIL_DOMAINS.includes(domain.toLowerCase())) {
+    signals.push('disposable-email');
+  }
+
+  return signals;
+}
+
+function hashIdentifier(identifier) {
+  return crypto.createHash('sha256').update(String(identifier).trim().toLowerCase()).digest('hex').slice(0, 32);
+}
+
+// Create singleton instance
+const spamService = new SpamService();
+
+module.exports = spamService;
@@ -0,0 +1,228 @@
+/**
+ * Status State Machines
+ * Allowed status transitions, required fields and side effects for inquiries, quotes and projects
+ */
+
+const { safeDebugLog, safeDebugError } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+
+class StatusMachine {
+  /**
+   * transitions: status -> statuses it may move to
+   * requiredFields: status -> input fields that must be supplied to enter it
+   * guards: status -> async (record, input) => list of problems - or throw for a conflict
+   * onEnter: status -> (input, now, changedBy) => extra fields written with the change
+   * afterEnter: status (or '*') -> async (record, from, to, changedBy) side effect after saving
+   */
+  constructor(entity, { transitions, requiredFields = {}, guards = {}, onEnter = {}, afterEnter = {} }) {
+    this.entity = entity;
+    this.transitions = transitions;
+    this.requiredFields = requiredFields;
+    this.guards = guards;
+    this.onEnter = onEnter;
+    this.afterEnter = afterEnter;
+  }
+
+  get statuses() {
+    return Object.keys(this.transitions);
+  }
+
+  /**
+   * Statuses reachable from the given one
+   */
+  getAllowedTransitions(fromStatus) {
+    return this.transitions[fromStatus] || [];
+  }
+
+  canTransition(fromStatus, toStatus) {
+    return this.getAllowedTransitions(fromStatus).includes(toStatus);
+  }
+
+  /**
+   * Validate a status change and build the fields to save with it
+   * Throws status 409 for illegal transitions, validation-failed for missing fields
+   * skipGuards is for callers that create the guarded record in the same transaction
+   */
+  async prepareTransition(record, toStatus, input, changedBy, { skipGuards = false } = {}) {
+    const fromStatus = record.status;
+
+    if (!this.canTransition(fromStatus, toStatus)) {
+      const allowed = this.getAllowedTransitions(fromStatus);
+      const error = new Error(`Cannot change ${this.entity} status from ${fromStatus} to ${toStatus}`);
+      error.status = 409;
+      error.allowedTransitions = allowed;
+      throw error;
+    }
+
+    const problems = (this.requiredFields[toStatus] || [])
+      .filter(field => input[field] === undefined || input[field] === null || input[field] === '')
+      .map(field => ({ path: field, msg: `${field} is required to move to ${toStatus}` }));
+
+    if (problems.length === 0 && !skipGuards && this.guards[toStatus]) {
+      problems.push(...await this.guards[toStatus](record, input));
+    }
+
+    if (problems.length > 0) {
+      const error = new Error('Validation failed');
+      error.status = 400;
+      error.code = 'validation-failed';
+      error.details = problems;
+      throw error;
+    }
+
+    const now = new Date();
+    const enterFields = this.onEnter[toStatus] ? this.onEnter[toStatus](input, now, changedBy) : {};
+
+    return {
+      ...enterFields,
+      status: toStatus,
+      statusHistory: [
+        ...(record.statusHistory || []),
+        {
+          status: toStatus,
+          previousStatus: fromStatus,
+          changedAt: now,
+          changedBy: changedBy.uid,
+          changedByName: changedBy.email
+        }
+      ]
+    };
+  }
+
+  /**
+   * Run side effects once a transition has been saved
+   * Failures are logged - the status change itself has already happened
+   */
+  async runAfterEnter(record, fromStatus, toStatus, changedBy) {
+    const hooks = [this.afterEnter[toStatus], this.afterEnter['*']].filter(Boolean);
+
+    for (const hook of hooks) {
+      try {
+        await hook(record, fromStatus, toStatus, changedBy);
+      } catch (error) {
+        safeDebugError(`Error running ${this.entity} ${toStatus} side effect`, error);
+      }
+    }
+  }
+}
+
+const inquiryStatusMachine = new StatusMachine('inquiry', {
+  transitions: {
+    // Any open inquiry can be merged into another - see inquiryService.mergeInquiries
+    new: ['assigned', 'in-progress', 'quoted', 'cancelled', 'spam', 'merged'],
+    assigned: ['in-progress', 'quoted', 'cancelled', 'merged'],
+    'in-progress': ['quoted', 'scheduled', 'cancelled', 'merged'],
+    quoted: ['in-progress', 'scheduled', 'cancelled', 'merged'],
+    scheduled: ['in-progress', 'completed', 'cancelled', 'merged'],
+    // Released back to new through POST /inquiries/:id/release, which also notifies the owners
+    spam: ['cancelled'],
+    completed: [],
+    cancelled: [],
+    merged: []
+  },
+  requiredFields: {
+    cancelled: ['cancellationReason'],
+    quoted: ['quoteId'],
+    scheduled: ['scheduledDate'],
+    merged: ['mergedInto']
+  },
+  guards: {
+    quoted: async (inquiry, input) => {
+      const quoteDoc = await getDb().collection('quotes').doc(input.quoteId).get();
+
+      if (!quoteDoc.exists) {
+        return [{ path: 'quoteId', msg: 'Quote not found' }];
+      }
+
+      // A quote raised for another inquiry cannot mark this one quoted
+      if (quoteDoc.data().inquiryId !== inquiry.id) {
+        const error = new Error('Quote belongs to a different inquiry');
+        error.status = 409;
+        throw error;
+      }
+
+      return [];
+    }
+  },
+  onEnter: {
+    cancelled: (input, now) => ({ cancellationReason: input.cancellationReason, cancelledAt: now }),
+    quoted: (input) => ({ quoteId: input.quoteId }),
+    scheduled: (input) => ({ scheduledDate: new Date(input.scheduledDate) }),
+    completed: (input, now) => ({ completedAt: now }),
+    merged: (input, now, changedBy) => ({
+      mergedInto: input.mergedInto,
+      mergedAt: now,
+      mergedBy: changedBy.uid,
+      responseRequired: false
+    })
+  },
+  afterEnter: {
+    '*': async (inquiry, fromStatus, toStatus, changedBy) => {
+      const activityService = require('./activityService');
+      await activityService.recordStatusChange(inquiry.id, fromStatus, toStatus, changedBy);
+    },
+    scheduled: async (inquiry) => {
+      const emailService = require('./emailService');
+      await emailService.sendInquiryScheduled(inquiry);
+
+      safeDebugLog('Customer told inquiry work is scheduled', {
+        id: inquiry.id,
+        referenceNumber: inquiry.referenceNumber
+      });
+    }
+  }
+});
+
+const quoteStatusMachine = new StatusMachine('quote', {
+  transitions: {
+    draft: ['pending-approval', 'approved'],
+    'pending-approval': ['approved', 'draft'],
+    approved: ['sent', 'draft'],
+    sent: ['accepted', 'rejected', 'expired'],
+    accepted: ['project-created'],
+    rejected: ['draft'],
+    expired: ['draft'],
+    'project-created': []
+  },
+  requiredFields: {
+    rejected: ['rejectionReason']
+  },
+  onEnter: {
+    approved: (input, now, changedBy) => ({ approvedBy: changedBy.uid, approvedAt: now }),
+    sent: (input, now, changedBy) => ({ sentAt: now, sentBy: changedBy.uid }),
+    rejected: (input, now) => ({ rejectionReason: input.rejectionReason, rejectedAt: now }),
+    expired: (input, now) => ({ expiredAt: now })
+  }
+});
+
+const projectStatusMachine = new StatusMachine('project', {
+  transitions: {
+    scheduled: ['in-progress', 'on-hold', 'cancelled'],
+    'in-progress': ['on-hold', 'completed', 'cancelled'],
+    'on-hold': ['scheduled', 'in-progress', 'cancelled'],
+    completed: [],
+    cancelled: []
+  },
+  requiredFields: {
+    'on-hold': ['holdReason'],
+    cancelled: ['cancellationReason']
+  },
+  onEnter: {
+    'on-hold': (input) => ({ holdReason: input.holdReason }),
+    cancelled: (input, now) => ({ cancellationReason: input.cancellationReason, cancelledAt: now }),
+    completed: (input, now) => ({ completedAt: now, progressPercentage: 100, phase: 'completed' })
+  },
+  afterEnter: {
+    '*': async (project, fromStatus, toStatus, changedBy) => {
+      const notificationService = require('./notificationService');
+      await notificationService.notifyProjectStatusChange(project, fromStatus, toStatus, changedBy.uid);
+    }
+  }
+});
+
+module.exports = {
+  StatusMachine,
+  inquiryStatusMachine,
+  quoteStatusMachine,
+  projectStatusMachine
+};
@@ -0,0 +1,231 @@
+/**
+ * Inquiry Tracking Service
+ * Builds the customer-facing status timeline for a reference number
+ */
+
+const { safeDebugLog } = require('../../shared/utils/errorHandler');
+const { getDb } = require('../../shared/config/firebaseConfig');
+const { normalizePostcode } = require('../schemas/inquirySchema');
+const sequenceService = require('./sequenceService');
+const { toDate } = require('../utils/dates');
+
+// Customer-facing wording for inquiry statuses - internal states map to the nearest public one
+const INQUIRY_STATUS_LABELS = {
+  new: 'Inquiry received',
+  spam: 'Inquiry received',
+  assigned: 'Specialist assigned',
+  'in-progress': 'Specialist reviewing your inquiry',
+  quoted: 'Quote prepared',
+  scheduled: 'Work scheduled',
+  completed: 'Completed',
+  cancelled: 'Closed'
+};
+
+const QUOTE_STATUS_LABELS = {
+  draft: 'Quote being prepared',
+  'pending-approval': 'Quote being prepared',
+  approved: 'Quote being prepared',
+  sent: 'Quote sent',
+  accepted: 'Quote accepted',
+  'project-created': 'Quote accepted',
+  rejected: 'Quote declined',
+  declined: 'Quote declined',
+  expired: 'Quote expired'
+};
+
+const PROJECT_STATUS_LABELS = {
+  scheduled: 'Work scheduled',
+  'in-progress': 'Work in progress',
+  'on-hold': 'Work on hold',
+  completed: 'Work completed',
+  cancelled: 'Work cancelled'
+};
+
+// Statuses the customer never sees in the timeline
+const HIDDEN_HISTORY_STATUSES = ['spam', 'merged'];
+
+// Quote decisions worth showing - sending is taken from sentAt
+const QUOTE_TIMELINE_STATUSES = ['accepted', 'rejected', 'declined', 'expired'];
+
+class TrackingService {
+  /**
+   * Look up an inquiry by reference and verify the submitter
+   * References are sequential and easy to guess, so the email or postcode is the real check
+   * Returns null for unknown references and failed verification alike
+   */
+  async findInquiry(referenceNumber, { email, postcode }) {
+    const db = getDb();
+    let inquiry = await sequenceService.findByNumber('inquiry', referenceNumber);
+
+    if (!inquiry) {
+      return null;
+    }
+
+    if (!matchesSubmitter(inquiry, { email, postcode })) {
+      return null;
+    }
+
+    // Merged references keep working and show the surviving inquiry
+    if (inquiry.status === 'merged' && inquiry.mergedInto) {
+      const primaryDoc = await db.collection('inquiries').doc(inquiry.mergedInto).get();
+      if (primaryDoc.exists) {
+        inquiry = { id: primaryDoc.id, ...primaryDoc.data() };
+      }
+    }
+
+    return inquiry;
+  }
+
+  /**
+   * Build the sanitised tracking view for a verified inquiry
+   */
+  async getTrackingView(inquiry) {
+    const quote = await this.findLinkedQuote(inquiry.id);
+    const project = quote && quote.projectId ? await this.findProject(quote.projectId) : null;
+
+    const timeline = [
+      {
+        type: 'inquiry',
+        label: INQUIRY_STATUS_LABELS.new,
+        date: toIsoString(inquiry.submittedAt)
+      }
+    ];
+
+    (inquiry.statusHistory || [])
+      .filter(entry => !HIDDEN_HISTORY_STATUSES.includes(entry.status) && entry.status !== 'new')
+      .forEach(entry => {
+        timeline.push({
+          type: 'inquiry',
+          label: INQUIRY_STATUS_LABELS[entry.status] || 'Inquiry updated',
+          date: toIsoString(entry.changedAt)
+        });
+      });
+
+    (inquiry.followUpSubmissions || []).forEach(submission => {
+      timeline.push({
+        type: 'inquiry',
+        label: 'Additional details received',
+        date: toIsoString(submission.submittedAt)
+      });
+    });
+
+    if (quote && quote.sentAt) {
+      timeline.push({
+        type: 'quote',
+        label: QUOTE_STATUS_LABELS.sent,
+        date: toIsoString(quote.sentAt)
+      });
+    }
+
+    if (quote) {
+      (quote.statusHistory || [])
+        .filter(entry => QUOTE_TIMELINE_STATUSES.includes(entry.status))
+        .forEach(entry => {
+          timeline.push({
+            type: 'quote',
+            label: QUOTE_STATUS_LABELS[entry.status],
+            date: toIsoString(entry.changedAt)
+          });
+        });
+    }
+
+    if (project) {
+      timeline.push({
+        type: 'project',
+        label: PROJECT_STATUS_LABELS.scheduled,
+        date: toIsoString(project.createdAt)
+      });
+
+      (project.milestones || [])
+        .filter(milestone => milestone.completed)
+        .forEach(milestone => {
+          timeline.push({
+            type: 'milestone',
+            label: milestone.title,
+            date: toIsoString(milestone.completedAt)
+          });
+        });
+    }
+
+    timeline.sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+
+    safeDebugLog('Inquiry tracking viewed', {
+      referenceNumber: inquiry.referenceNumber,
+      hasQuote: Boolean(quote),
+      hasProject: Boolean(project)
+    });
+
+    return {
+      referenceNumber: inquiry.referenceNumber,
+      status: INQUIRY_STATUS_LABELS[inquiry.status] || 'In progress',
+      submittedAt: toIsoString(inquiry.submittedAt),
+      timeline,
+      quote: quote ? {
+        quoteNumber: quote.quoteNumber,
+        status: QUOTE_STATUS_LABELS[quote.status] || 'Quote being prepared',
+        expiresAt: isCustomerVisibleQuote(quote) ? toIsoString(quote.expiresAt) : null
+      } : null,
+      project: project ? {
+        projectNumber: project.projectNumber,
+        status: PROJECT_STATUS_LABELS[project.status] || 'Work scheduled',
+        scheduledDate: toIsoString(project.scheduledDate),
+        progressPercentage: project.progressPercentage || 0,
+        milestones: (project.milestones || [])
+          .slice()
+          .sort((a, b) => (a.order || 0) - (b.order || 0))
+          .map(milestone => ({
+            title: milestone.title,
+            completed: milestone.completed === true,
+            completedAt: toIsoString(milestone.completedAt)
+          }))
+      } : null
+    };
+  }
+
+  /**
+   * Most recent quote raised from the inquiry
+   */
+  async findLinkedQuote(inquiryId) {
+    const db = getDb();
+    const snapshot = await db.collection('quotes')
+      .where('inquiryId', '==', inquiryId)
+      .orderBy('createdAt', 'desc')
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  }
+
+  async findProject(projectId) {
+    const db = getDb();
+    const projectDoc = await db.collection('projects').doc(projectId).get();
+    return projectDoc.exists ? { id: projectDoc.id, ...projectDoc.data() } : null;
+  }
+}
+
+// Helper functions
+function matchesSubmitter(inquiry, { email, postcode }) {
+  const emailMatches = Boolean(email && inquiry.email) &&
+    inquiry.email.trim().toLowerCase() === email.trim().toLowerCase();
+
+  const expectedPostcode = normalizePostcode(inquiry.postcode || inquiry.address);
+  const postcodeMatches = Boolean(postcode && expectedPostcode) &&
+    expectedPostcode === normalizePostcode(postcode);
+
+  return emailMatches || postcodeMatches;
+}
+
+function isCustomerVisibleQuote(quote) {
+  return ['sent', 'accepted', 'project-created', 'expired'].includes(quote.status);
+}
+
+function toIsoString(value) {
+  if (!value) return null;
+  const date = toDate(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Create singleton instance
+const trackingService = new TrackingService();
+
+module.exports = trackingService;
@@ -0,0 +1,53 @@
+/**
+ * Route Spec Helper
+ * Mounts a router behind a signed-in user and sends it one request over HTTP
+ */
+
+// The fakes must be in place before the auth modules load Firebase
+require('./setup');
+const express = require('express');
+const { ROLE_PERMISSIONS } = require('../../../shared/auth/authManager');
+const { attachAuthHelpers } = require('../../middleware/auth');
+
+/**
+ * Send a request to the router - role null sends it anonymously
+ * Resolves to { status, body, headers } with a JSON body parsed
+ */
+async function call(router, { method = 'GET', path = '/', body, role = 'admin', uid = 'staff1' } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = role
+      ? { uid, email: `${uid}@example.com`, role, permissions: ROLE_PERMISSIONS[role] }
+      : null;
+    attachAuthHelpers(req);
+    next();
+  });
+  app.use(router);
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+      status: response.status,
+      body: isJson ? JSON.parse(text) : text,
+      headers: response.headers
+    };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+module.exports = {
+  call
+};
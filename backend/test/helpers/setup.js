@@ -0,0 +1,346 @@
+/**
+ * Spec Setup
+ * An in-memory Firestore, Storage and email service installed in place of the real ones
+ * Require this before any service so they pick up the fakes
+ */
+
+const path = require('path');
+const admin = require('firebase-admin');
+const { clearAllTimers } = require('../../../shared/utils/TimerManager');
+
+process.env.FORM_TOKEN_SECRET = process.env.FORM_TOKEN_SECRET || 'test-form-token-secret';
+
+// path -> { id -> data } for every collection written so far
+let collections = {};
+let autoId = 0;
+
+// Everything the fakes sent out, for assertions
+const sent = {
+  emails: [],
+  files: {}
+};
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setField(data, field, value) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((object, key) => {
+    if (!object[key] || typeof object[key] !== 'object') {
+      object[key] = {};
+    }
+    return object[key];
+  }, data);
+
+  target[last] = value;
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+const OPERATORS = {
+  '==': (value, expected) => value !== undefined && compare(value, expected) === 0,
+  '!=': (value, expected) => compare(value, expected) !== 0,
+  '<': (value, expected) => value != null && compare(value, expected) < 0,
+  '<=': (value, expected) => value != null && compare(value, expected) <= 0,
+  '>': (value, expected) => value != null && compare(value, expected) > 0,
+  '>=': (value, expected) => value != null && compare(value, expected) >= 0,
+  in: (value, expected) => expected.some(option => compare(value, option) === 0),
+  'array-contains': (value, expected) => Array.isArray(value) && value.includes(expected)
+};
+
+function documents(collectionPath) {
+  if (!collections[collectionPath]) {
+    collections[collectionPath] = {};
+  }
+  return collections[collectionPath];
+}
+
+function snapshotOf(collectionPath, id) {
+  const data = documents(collectionPath)[id];
+
+  return {
+    id,
+    exists: data !== undefined,
+    ref: docRef(collectionPath, id),
+    data: () => clone(data)
+  };
+}
+
+function docRef(collectionPath, id) {
+  return {
+    id,
+    path: `${collectionPath}/${id}`,
+    get parent() {
+      const parts = collectionPath.split('/');
+      return {
+        id: parts[parts.length - 1],
+        path: collectionPath,
+        parent: parts.length > 1 ? docRef(parts.slice(0, -2).join('/'), parts[parts.length - 2]) : null
+      };
+    },
+    collection: (name) => collectionRef(`${collectionPath}/${id}/${name}`),
+
+    async get() {
+      return snapshotOf(collectionPath, id);
+    },
+
+    async set(data, options = {}) {
+      const existing = documents(collectionPath)[id];
+      documents(collectionPath)[id] = options.merge && existing
+        ? { ...existing, ...clone(data) }
+        : clone(data);
+    },
+
+    async update(data) {
+      const existing = documents(collectionPath)[id];
+
+      if (!existing) {
+        const error = new Error(`No document to update: ${collectionPath}/${id}`);
+        error.code = 5;
+        throw error;
+      }
+
+      Object.entries(data).forEach(([field, value]) => setField(existing, field, clone(value)));
+    },
+
+    async delete() {
+      delete documents(collectionPath)[id];
+    }
+  };
+}
+
+function query(source, { filters = [], orders = [], limit = null, offset = 0, after = null } = {}) {
+  const next = (changes) => query(source, { filters, orders, limit, offset, after, ...changes });
+
+  const run = async () => {
+    const paths = source.group
+      ? Object.keys(collections).filter(key => key === source.group || key.endsWith(`/${source.group}`))
+      : [source.path];
+
+    let matches = paths.flatMap(collectionPath => Object.keys(documents(collectionPath))
+      .map(id => snapshotOf(collectionPath, id)))
+      .filter(snapshot => filters.every(([field, op, expected]) => OPERATORS[op](getField(snapshot.data(), field), expected)))
+      // As in Firestore, ordering by a field leaves out documents without it
+      .filter(snapshot => orders.every(([field]) => getField(snapshot.data(), field) !== undefined));
+
+    [...orders].reverse().forEach(([field, direction]) => {
+      matches.sort((a, b) => compare(getField(a.data(), field), getField(b.data(), field)) * (direction === 'desc' ? -1 : 1));
+    });
+
+    if (after) {
+      matches = matches.slice(matches.findIndex(snapshot => snapshot.ref.path === after.ref.path) + 1);
+    }
+    if (offset) {
+      matches = matches.slice(offset);
+    }
+    if (limit !== null) {
+      matches = matches.slice(0, limit);
+    }
+
+    return {
+      docs: matches,
+      empty: matches.length === 0,
+      size: matches.length,
+      forEach: (fn) => matches.forEach(fn)
+    };
+  };
+
+  return {
+    where: (field, op, expected) => next({ filters: [...filters, [field, op, expected]] }),
+    orderBy: (field, direction = 'asc') => next({ orders: [...orders, [field, direction]] }),
+    limit: (count) => next({ limit: count }),
+    offset: (count) => next({ offset: count }),
+    startAfter: (snapshot) => next({ after: snapshot }),
+    get: run,
+    count: () => ({
+      get: async () => {
+        const snapshot = await run();
+        return { data: () => ({ count: snapshot.size }) };
+      }
+    })
+  };
+}
+
+function collectionRef(collectionPath) {
+  return {
+    ...query({ path: collectionPath }),
+    id: collectionPath.split('/').pop(),
+    path: collectionPath,
+    doc: (id) => docRef(collectionPath, id || `doc${++autoId}`),
+
+    async add(data) {
+      const ref = docRef(collectionPath, `doc${++autoId}`);
+      await ref.set(data);
+      return ref;
+    }
+  };
+}
+
+// Writes are applied when the batch or transaction completes
+function writeQueue() {
+  const writes = [];
+
+  return {
+    writes,
+    set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+    update: (ref, data) => writes.push(() => ref.update(data)),
+    delete: (ref) => writes.push(() => ref.delete()),
+    create: (ref, data) => writes.push(async () => {
+      if ((await ref.get()).exists) {
+        const error = new Error(`Document already exists: ${ref.path}`);
+        error.code = 6;
+        throw error;
+      }
+      await ref.set(data);
+    }),
+    async apply() {
+      for (const write of writes) {
+        await write();
+      }
+    }
+  };
+}
+
+const db = {
+  collection: collectionRef,
+  collectionGroup: (name) => query({ group: name }),
+
+  batch() {
+    const queue = writeQueue();
+
+    return {
+      set: (...args) => { queue.set(...args); },
+      update: (...args) => { queue.update(...args); },
+      delete: (...args) => { queue.delete(...args); },
+      commit: () => queue.apply()
+    };
+  },
+
+  async runTransaction(fn) {
+    const queue = writeQueue();
+    const transaction = {
+      get: (ref) => ref.get(),
+      set: (...args) => { queue.set(...args); return transaction; },
+      update: (...args) => { queue.update(...args); return transaction; },
+      delete: (...args) => { queue.delete(...args); return transaction; },
+      create: (...args) => { queue.create(...args); return transaction; }
+    };
+
+    const result = await fn(transaction);
+    await queue.apply();
+    return result;
+  }
+};
+
+function storageFile(filePath) {
+  return {
+    name: filePath,
+    async save(buffer, options = {}) {
+      sent.files[filePath] = { buffer, metadata: { contentType: options.contentType, ...options.metadata } };
+    },
+    async download() {
+      if (!sent.files[filePath]) {
+        throw new Error(`No such file: ${filePath}`);
+      }
+      return [sent.files[filePath].buffer];
+    },
+    async getSignedUrl({ expires }) {
+      return [`https://storage.test/${filePath}?expires=${expires}`];
+    },
+    async getMetadata() {
+      return [sent.files[filePath] ? sent.files[filePath].metadata : {}];
+    },
+    async delete() {
+      delete sent.files[filePath];
+    }
+  };
+}
+
+const storage = {
+  bucket: () => ({
+    file: storageFile,
+    async getFiles({ prefix = '' } = {}) {
+      return [Object.keys(sent.files).filter(filePath => filePath.startsWith(prefix)).map(storageFile)];
+    }
+  })
+};
+
+// Every email method resolves and is recorded
+const emailService = new Proxy({}, {
+  get: (target, method) => async (...args) => {
+    sent.emails.push({ method, args });
+    return { success: true, messageId: `test-${sent.emails.length}` };
+  }
+});
+
+function install(modulePath, exports) {
+  const filename = require.resolve(modulePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+install(path.join(__dirname, '../../../shared/config/firebaseConfig'), { getDb: () => db });
+install(path.join(__dirname, '../../services/emailService'), emailService);
+Object.defineProperty(admin, 'storage', { value: () => storage, configurable: true });
+
+// The query cache cleans itself on a timer that would keep mocha running
+after(() => clearAllTimers());
+
+/**
+ * Seed documents - { 'quotes/q1': { ... }, 'settings/pricing': { ... } }
+ */
+function seed(docs) {
+  Object.entries(docs).forEach(([docPath, data]) => {
+    const parts = docPath.split('/');
+    const id = parts.pop();
+    documents(parts.join('/'))[id] = clone(data);
+  });
+}
+
+/**
+ * Read a stored document, or undefined
+ */
+function read(docPath) {
+  const parts = docPath.split('/');
+  const id = parts.pop();
+  return clone(documents(parts.join('/'))[id]);
+}
+
+/**
+ * All documents in a collection as { id: data }
+ */
+function readCollection(collectionPath) {
+  return clone(documents(collectionPath));
+}
+
+/**
+ * Clear stored data and sent messages between specs
+ */
+function reset() {
+  collections = {};
+  autoId = 0;
+  sent.emails.length = 0;
+  Object.keys(sent.files).forEach(filePath => delete sent.files[filePath]);
+}
+
+module.exports = {
+  db,
+  sent,
+  seed,
+  read,
+  readCollection,
+  reset
+};
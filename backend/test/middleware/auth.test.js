@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const { seed, reset } = require('../helpers/setup');
+const { buildRequestUser, attachAuthHelpers } = require('../../middleware/auth');
+const permissionService = require('../../services/permissionService');
+
+describe('auth middleware', () => {
+  beforeEach(() => {
+    reset();
+    permissionService.invalidate();
+  });
+
+  describe('buildRequestUser', () => {
+    it('takes the role from the token claims over the users document', async () => {
+      seed({ 'users/u1': { role: 'technician', status: 'active', name: 'Tom' } });
+
+      const user = await buildRequestUser({ uid: 'u1', email: 'tom@example.com', role: 'manager' });
+
+      expect(user.role).to.equal('manager');
+      expect(user.permissions).to.include('quotes.approve');
+      expect(user.name).to.equal('Tom');
+    });
+
+    it('falls back to the role on the users document', async () => {
+      seed({ 'users/u1': { role: 'technician', status: 'active' } });
+
+      const user = await buildRequestUser({ uid: 'u1', email: 'tom@example.com' });
+
+      expect(user.role).to.equal('technician');
+      expect(user.permissions).to.include('projects.write:own');
+      expect(user.permissions).not.to.include('projects.write');
+    });
+
+    it('treats users with no role anywhere as customers', async () => {
+      const user = await buildRequestUser({ uid: 'new-user', email: 'new@example.com', email_verified: true });
+
+      expect(user.role).to.equal('customer');
+      expect(user.permissions).to.deep.equal(['users.read:own', 'users.write:own', 'inquiries.create']);
+      expect(user.emailVerified).to.equal(true);
+    });
+
+    it('refuses inactive and suspended accounts even with a valid token', async () => {
+      seed({
+        'users/gone': { role: 'admin', status: 'inactive' },
+        'users/paused': { role: 'manager', status: 'suspended' }
+      });
+
+      expect(await buildRequestUser({ uid: 'gone', role: 'admin' })).to.equal(null);
+      expect(await buildRequestUser({ uid: 'paused' })).to.equal(null);
+    });
+
+    it('resolves permissions through the settings overrides', async () => {
+      seed({
+        'users/u1': { role: 'technician', status: 'active' },
+        'settings/permissions': { roles: { technician: ['quotes.read', 'quotes.write'] } }
+      });
+
+      const user = await buildRequestUser({ uid: 'u1' });
+
+      expect(user.permissions).to.deep.equal(['quotes.read', 'quotes.write']);
+    });
+  });
+
+  describe('attachAuthHelpers', () => {
+    it('answers can() and hasRole() from the request user', () => {
+      const req = { user: { role: 'manager', permissions: ['quotes.read'] } };
+      attachAuthHelpers(req);
+
+      expect(req.can('quotes.read')).to.equal(true);
+      expect(req.can('quotes.delete')).to.equal(false);
+      expect(req.hasRole('manager')).to.equal(true);
+      expect(req.hasRole(['admin', 'manager'])).to.equal(true);
+      expect(req.hasRole('admin')).to.equal(false);
+    });
+
+    it('denies everything to anonymous requests', () => {
+      const req = { user: null };
+      attachAuthHelpers(req);
+
+      expect(req.can('inquiries.create')).to.equal(false);
+      expect(req.hasRole('customer')).to.equal(false);
+    });
+  });
+});
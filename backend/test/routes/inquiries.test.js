@@ -0,0 +1,236 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, reset } = require('../helpers/setup');
+const { call } = require('../helpers/app');
+const router = require('../../routes/inquiries');
+const leadScoringService = require('../../services/leadScoringService');
+
+function inquiries(count) {
+  const docs = {};
+  for (let i = 1; i <= count; i++) {
+    docs[`inquiries/i${i}`] = {
+      status: i % 2 ? 'new' : 'assigned',
+      priority: 'medium',
+      score: i * 10,
+      submittedAt: new Date(Date.UTC(2026, 0, i))
+    };
+  }
+  return docs;
+}
+
+describe('inquiry routes', () => {
+  beforeEach(() => reset());
+
+  describe('GET /', () => {
+    it('pages with a cursor, newest first', async () => {
+      seed(inquiries(5));
+
+      const first = await call(router, { path: '/?limit=2' });
+      expect(first.status).to.equal(200);
+      expect(first.body.items.map(item => item.id)).to.deep.equal(['i5', 'i4']);
+      expect(first.body.total).to.equal(5);
+
+      const second = await call(router, { path: `/?limit=2&cursor=${first.body.nextCursor}` });
+      expect(second.body.items.map(item => item.id)).to.deep.equal(['i3', 'i2']);
+    });
+
+    it('pages with an offset and filters by status', async () => {
+      seed(inquiries(5));
+
+      const response = await call(router, { path: '/?status=new&offset=1&sortBy=score&sortOrder=asc' });
+
+      expect(response.body.items.map(item => item.id)).to.deep.equal(['i3', 'i5']);
+      expect(response.body.total).to.equal(3);
+    });
+
+    it('sorts inquiries saved before lead scoring by score once they are backfilled', async () => {
+      seed({ ...inquiries(2), 'inquiries/legacy': { status: 'new', submittedAt: new Date(Date.UTC(2025, 0, 1)) } });
+
+      const before = await call(router, { path: '/?sortBy=score' });
+      expect(before.body.items).to.have.length(2);
+      expect(before.body.total).to.equal(3);
+
+      await leadScoringService.backfillScores({ uid: 'admin1', email: 'admin@example.com' });
+
+      const after = await call(router, { path: '/?sortBy=score' });
+      expect(after.body.items).to.have.length(3);
+    });
+
+    it('refuses an offset with a cursor', async () => {
+      const response = await call(router, { path: '/?offset=10&cursor=aTI' });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details[0]).to.include({ path: 'offset', msg: 'Use either offset or cursor, not both' });
+    });
+
+    it('refuses unknown status and priority filters', async () => {
+      const response = await call(router, { path: '/?status=lost&priority=critical&assignedTo=' });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details.map(detail => detail.path)).to.deep.equal(['status', 'assignedTo', 'priority']);
+    });
+
+    it('refuses a cursor that points at nothing', async () => {
+      const response = await call(router, { path: `/?cursor=${Buffer.from('gone').toString('base64url')}` });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.equal('Invalid pagination cursor');
+    });
+
+    it('needs inquiries.read', async () => {
+      const response = await call(router, { path: '/', role: 'customer' });
+
+      expect(response.status).to.equal(403);
+    });
+  });
+
+  describe('POST /', () => {
+    it('takes the contact form payload and stores the canonical inquiry', async () => {
+      const response = await call(router, {
+        method: 'POST',
+        path: '/',
+        role: null,
+        body: {
+          firstName: 'Bob',
+          lastName: 'Stone',
+          email: 'bob@example.com',
+          phone: '07700 900123',
+          postcode: 'ls1 1aa',
+          'issues[]': 'sale-issue',
+          urgency: 'sale',
+          consent: 'on'
+        }
+      });
+
+      expect(response.status).to.equal(201);
+      expect(response.body.inquiry.referenceNumber).to.be.a('string');
+
+      const stored = Object.values(readCollection('inquiries'));
+      expect(stored).to.have.length(1);
+      expect(stored[0]).to.include({ name: 'Bob Stone', postcode: 'LS1 1AA', urgency: 'urgent', formType: 'contact' });
+    });
+
+    it('answers a bad payload with the problems by field', async () => {
+      const response = await call(router, { method: 'POST', path: '/', role: null, body: { email: 'bob@example.com' } });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details.map(detail => detail.field)).to.include('consent');
+    });
+  });
+
+  describe('activities', () => {
+    beforeEach(() => {
+      seed({
+        'inquiries/act1': { status: 'assigned', assignedTo: 'tech1', referenceNumber: 'FF-2026-00011' },
+        'inquiries/act1/activities/a1': { type: 'note', body: 'First', createdAt: new Date(Date.UTC(2026, 0, 1)) },
+        'inquiries/act1/activities/a2': { type: 'call', body: 'Second', createdAt: new Date(Date.UTC(2026, 0, 2)) },
+        'inquiries/act1/activities/a3': { type: 'note', body: 'Third', createdAt: new Date(Date.UTC(2026, 0, 3)) }
+      });
+    });
+
+    it('lists the timeline newest first, filtered by type', async () => {
+      const response = await call(router, { path: '/act1/activities?type=note' });
+
+      expect(response.status).to.equal(200);
+      expect(response.body.items.map(item => item.body)).to.deep.equal(['Third', 'First']);
+      expect(response.body.total).to.equal(2);
+    });
+
+    it('lets a technician log on their own inquiries only', async () => {
+      const own = await call(router, {
+        method: 'POST', path: '/act1/activities', role: 'technician', uid: 'tech1', body: { type: 'note', body: 'On site Monday' }
+      });
+      const other = await call(router, {
+        method: 'POST', path: '/act1/activities', role: 'technician', uid: 'tech2', body: { type: 'note', body: 'Not mine' }
+      });
+
+      expect(own.status).to.equal(201);
+      expect(own.body.activity).to.include({ type: 'note', body: 'On site Monday', authorId: 'tech1' });
+      expect(other.status).to.equal(403);
+    });
+
+    it('takes only the types staff log by hand', async () => {
+      const response = await call(router, {
+        method: 'POST', path: '/act1/activities', body: { type: 'status_change', body: 'Closed it' }
+      });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details[0].path).to.equal('type');
+    });
+  });
+
+  describe('POST /:id/convert-to-quote', () => {
+    const lead = {
+      status: 'in-progress',
+      referenceNumber: 'FF-2026-00007',
+      name: 'Bob Stone',
+      email: 'bob@example.com',
+      address: '12 Mill Lane, Leeds',
+      postcode: 'LS1 1AA',
+      propertyType: 'detached',
+      foamType: 'open-cell',
+      estimatedArea: 40,
+      attribution: { firstTouch: { utmSource: 'google' } }
+    };
+
+    it('creates a draft quote from the inquiry and marks it quoted', async () => {
+      seed({ 'inquiries/i1': lead });
+
+      const response = await call(router, {
+        method: 'POST',
+        path: '/i1/convert-to-quote',
+        body: { accessDifficulty: 'difficult', internalNotes: 'Loft hatch is small', status: 'accepted' }
+      });
+
+      expect(response.status).to.equal(201);
+      expect(response.body.quote.status).to.equal('draft');
+      expect(response.body.quote.totalAmount).to.be.above(0);
+
+      const quote = read(`quotes/${response.body.quote.id}`);
+      expect(quote).to.include({ inquiryId: 'i1', status: 'draft', internalNotes: 'Loft hatch is small' });
+      expect(quote.propertyDetails).to.include({ address: '12 Mill Lane, Leeds, LS1 1AA', propertyType: 'residential' });
+      expect(quote.removalDetails).to.include({ foamType: 'open-cell', estimatedArea: 40, accessDifficulty: 'difficult' });
+      expect(quote.attribution).to.deep.equal(lead.attribution);
+
+      const inquiry = read('inquiries/i1');
+      expect(inquiry).to.include({ status: 'quoted', quoteId: response.body.quote.id });
+      expect(inquiry.firstRespondedAt).to.be.instanceOf(Date);
+    });
+
+    it('asks staff for anything the customer left out', async () => {
+      seed({ 'inquiries/i1': { ...lead, foamType: 'unknown', estimatedArea: null } });
+
+      const response = await call(router, { method: 'POST', path: '/i1/convert-to-quote' });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details.map(detail => detail.path)).to.deep.equal(['foamType', 'estimatedArea']);
+      expect(readCollection('quotes')).to.deep.equal({});
+    });
+
+    it('converts an inquiry only once', async () => {
+      seed({ 'inquiries/i1': { ...lead, quoteId: 'q1' } });
+
+      const response = await call(router, { method: 'POST', path: '/i1/convert-to-quote' });
+
+      expect(response.status).to.equal(409);
+      expect(response.body.quoteId).to.equal('q1');
+    });
+
+    it('refuses inquiries that cannot be quoted', async () => {
+      seed({ 'inquiries/i1': { ...lead, status: 'cancelled' } });
+
+      const response = await call(router, { method: 'POST', path: '/i1/convert-to-quote' });
+
+      expect(response.status).to.equal(409);
+      expect(response.body.allowedTransitions).to.deep.equal([]);
+      expect(readCollection('quotes')).to.deep.equal({});
+    });
+
+    it('needs quotes.write', async () => {
+      seed({ 'inquiries/i1': lead });
+
+      const response = await call(router, { method: 'POST', path: '/i1/convert-to-quote', role: 'technician' });
+
+      expect(response.status).to.equal(403);
+    });
+  });
+});
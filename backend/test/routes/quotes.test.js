@@ -0,0 +1,126 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, reset } = require('../helpers/setup');
+const { call } = require('../helpers/app');
+const router = require('../../routes/quotes');
+const pricingService = require('../../services/pricingService');
+
+const customer = {
+  customerInfo: { name: 'Cara Hill', email: 'cara@example.com' },
+  propertyDetails: { address: '4 Elm Row, Leeds LS1 1AA', propertyType: 'residential' }
+};
+
+const zones = [
+  { name: 'Loft rafters', foamType: 'open-cell', estimatedArea: 30, accessDifficulty: 'difficult' },
+  { name: 'Garage roof', foamType: 'closed-cell', estimatedArea: 12, accessDifficulty: 'easy' }
+];
+
+const removalDetails = { foamType: 'open-cell', estimatedArea: 40, accessDifficulty: 'moderate' };
+
+describe('quote routes', () => {
+  beforeEach(() => {
+    reset();
+    pricingService.invalidate();
+  });
+
+  describe('POST /', () => {
+    it('prices a quote zone by zone', async () => {
+      const response = await call(router, { method: 'POST', path: '/', body: { ...customer, zones } });
+
+      expect(response.status).to.equal(201);
+
+      const quote = read(`quotes/${response.body.quote.id}`);
+      expect(quote.zones.map(zone => zone.name)).to.deep.equal(['Loft rafters', 'Garage roof']);
+      expect(quote.removalDetails).to.include({ foamType: 'mixed', estimatedArea: 42, accessDifficulty: 'difficult' });
+      expect(quote.totalAmount).to.equal(response.body.quote.totalAmount);
+    });
+
+    it('prices a single removalDetails block as before', async () => {
+      const response = await call(router, { method: 'POST', path: '/', body: { ...customer, removalDetails } });
+
+      expect(response.status).to.equal(201);
+      expect(read(`quotes/${response.body.quote.id}`).zones).to.equal(null);
+    });
+
+    it('refuses zones and removalDetails together', async () => {
+      const response = await call(router, { method: 'POST', path: '/', body: { ...customer, zones, removalDetails } });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details).to.deep.include({
+        type: 'field',
+        value: zones,
+        msg: 'Send zones or removalDetails, not both',
+        path: 'zones',
+        location: 'body'
+      });
+      expect(readCollection('quotes')).to.deep.equal({});
+    });
+
+    it('needs one or the other', async () => {
+      const response = await call(router, { method: 'POST', path: '/', body: customer });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details.map(detail => detail.msg)).to.include('Removal details or zones are required');
+    });
+  });
+
+  describe('revisions', () => {
+    it('revises a sent quote to a new version', async () => {
+      seed({ 'quotes/rev1': { quoteNumber: 'QT260101', status: 'sent', version: 1, totalAmount: 900 } });
+
+      const response = await call(router, {
+        method: 'POST',
+        path: '/rev1/revise',
+        body: { reason: 'Customer asked for a discount', customerNotes: 'Revised price' }
+      });
+
+      expect(response.status).to.equal(200);
+      expect(response.body.message).to.equal('Quote revised to version 2');
+      expect(response.body.quote).to.include({ version: 2, status: 'draft' });
+      expect(read('quotes/rev1/revisions/1').status).to.equal('sent');
+    });
+
+    it('rejects a revision with both zones and removalDetails', async () => {
+      seed({ 'quotes/rev2': { status: 'draft', version: 1 } });
+
+      const response = await call(router, { method: 'POST', path: '/rev2/revise', body: { zones, removalDetails } });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details[0].msg).to.equal('Send zones or removalDetails, not both');
+      expect(read('quotes/rev2').version).to.equal(1);
+    });
+
+    it('passes on 409 for a quote that can no longer be revised', async () => {
+      seed({ 'quotes/rev3': { status: 'project-created', version: 1 } });
+
+      const response = await call(router, { method: 'POST', path: '/rev3/revise', body: {} });
+
+      expect(response.status).to.equal(409);
+      expect(response.body.error).to.equal('A quote that is project-created can no longer be revised');
+    });
+
+    it('lists, shows and compares versions', async () => {
+      seed({
+        'quotes/rev4': { quoteNumber: 'QT260104', status: 'draft', version: 2, totalAmount: 1200, lineItems: [] },
+        'quotes/rev4/revisions/1': { quoteNumber: 'QT260104', status: 'sent', version: 1, totalAmount: 900, lineItems: [] }
+      });
+
+      const list = await call(router, { method: 'GET', path: '/rev4/revisions' });
+      expect(list.body.currentVersion).to.equal(2);
+      expect(list.body.revisions.map(revision => revision.version)).to.deep.equal([1]);
+
+      const version = await call(router, { method: 'GET', path: '/rev4/revisions/1' });
+      expect(version.body.quote.totalAmount).to.equal(900);
+
+      const diff = await call(router, { method: 'GET', path: '/rev4/revisions/1/diff?to=2' });
+      expect(diff.body.diff.totals.totalAmount).to.deep.equal({ from: 900, to: 1200, change: 300 });
+    });
+
+    it('404s for versions and quotes that do not exist', async () => {
+      seed({ 'quotes/rev5': { status: 'draft', version: 1 } });
+
+      expect((await call(router, { method: 'GET', path: '/rev5/revisions/3' })).status).to.equal(404);
+      expect((await call(router, { method: 'GET', path: '/rev5/revisions/1/diff?to=4' })).status).to.equal(404);
+      expect((await call(router, { method: 'GET', path: '/rev6/revisions' })).status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const { seed, reset } = require('../helpers/setup');
+const { call } = require('../helpers/app');
+const router = require('../../routes/track');
+
+const submittedAt = new Date(Date.UTC(2026, 2, 1));
+
+describe('tracking routes', () => {
+  beforeEach(() => {
+    reset();
+    seed({
+      'inquiries/i1': {
+        referenceNumber: 'FF-2026-00123',
+        status: 'assigned',
+        email: 'Jo@Example.com',
+        address: '10 Park Road, Manchester',
+        postcode: 'M16 0RA',
+        submittedAt,
+        statusHistory: [{ status: 'assigned', previousStatus: 'new', changedAt: new Date(Date.UTC(2026, 2, 2)) }]
+      }
+    });
+  });
+
+  describe('GET /:referenceNumber', () => {
+    it('shows the timeline to the submitter\'s email address', async () => {
+      const response = await call(router, { role: null, path: '/ff-2026-00123?email=jo@example.com' });
+
+      expect(response.status).to.equal(200);
+      expect(response.headers.get('cache-control')).to.equal('no-store');
+      expect(response.body.tracking.status).to.equal('Specialist assigned');
+      expect(response.body.tracking.timeline.map(entry => entry.label))
+        .to.deep.equal(['Inquiry received', 'Specialist assigned']);
+    });
+
+    it('accepts the postcode however it is spaced or cased', async () => {
+      const response = await call(router, { role: null, path: '/FF-2026-00123?postcode=m160ra' });
+
+      expect(response.status).to.equal(200);
+      expect(response.body.tracking.referenceNumber).to.equal('FF-2026-00123');
+    });
+
+    it('gives the same 404 for wrong details and unknown references', async () => {
+      const wrongPostcode = await call(router, { role: null, path: '/FF-2026-00123?postcode=M1 1AA' });
+      const unknown = await call(router, { role: null, path: '/FF-2026-99999?email=jo@example.com' });
+
+      expect(wrongPostcode.status).to.equal(404);
+      expect(unknown.status).to.equal(404);
+      expect(wrongPostcode.body).to.deep.equal(unknown.body);
+    });
+
+    it('needs an email address or postcode', async () => {
+      const response = await call(router, { role: null, path: '/FF-2026-00123' });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details.map(detail => detail.msg)).to.include('Email or postcode is required');
+    });
+
+    // Runs last - the limiter counts every lookup made in this file
+    it('rate-limits lookups from one address', async () => {
+      const statuses = [];
+      for (let i = 0; i < 20; i++) {
+        statuses.push((await call(router, { role: null, path: '/FF-2026-00123?postcode=M1 1AA' })).status);
+      }
+
+      expect(statuses).to.include(429);
+      expect(statuses[statuses.length - 1]).to.equal(429);
+    });
+  });
+});
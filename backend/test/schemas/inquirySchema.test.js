@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const { validateInquiry, normalizePostcode, normalizePhone } = require('../../schemas/inquirySchema');
+
+describe('inquiry schema', () => {
+  it('normalises a home page quote form submission', () => {
+    const { value, errors } = validateInquiry({
+      name: 'Ann Lee',
+      email: ' Ann@Example.COM ',
+      phone: '07700 900123',
+      address: '1 High Street, Leeds ls11aa',
+      propertyType: 'detached',
+      urgency: 'mortgage',
+      message: '',
+      consent: 'on'
+    });
+
+    expect(errors).to.equal(null);
+    expect(value).to.include({
+      name: 'Ann Lee',
+      firstName: 'Ann',
+      lastName: 'Lee',
+      email: 'ann@example.com',
+      postcode: 'LS1 1AA',
+      urgency: 'high',
+      situation: 'mortgage',
+      subject: 'Quote Request',
+      formType: 'quote',
+      consent: true
+    });
+    expect(value).not.to.have.property('message');
+  });
+
+  it('normalises a contact form submission with checkbox groups', () => {
+    const { value, errors } = validateInquiry({
+      firstName: 'Bob',
+      lastName: 'Stone',
+      email: 'bob@example.com',
+      postcode: 'sw1a1aa',
+      'foamLocation[]': 'roof',
+      'issues[]': ['mortgage-rejection', 'survey-issue'],
+      foamAge: '1-3years',
+      urgency: 'urgent',
+      consent: true
+    });
+
+    expect(errors).to.equal(null);
+    expect(value.name).to.equal('Bob Stone');
+    expect(value.foamLocation).to.deep.equal(['roof']);
+    expect(value.issues).to.deep.equal(['mortgage-rejection', 'survey-issue']);
+    expect(value).to.include({ postcode: 'SW1A 1AA', urgency: 'urgent', situation: null, formType: 'contact' });
+    expect(value.subject).to.equal('Contact Form Submission');
+  });
+
+  it('reports every problem by field', () => {
+    const { value, errors } = validateInquiry({ email: 'not-an-email', postcode: 'nowhere', urgency: 'whenever' });
+
+    expect(value).to.equal(null);
+    expect(errors.map(error => error.field)).to.have.members(['email', 'postcode', 'urgency', 'consent', '']);
+    expect(errors.find(error => error.field === '').message).to.equal('Name is required');
+    expect(errors.find(error => error.field === 'postcode').message).to.equal('Valid UK postcode is required');
+  });
+
+  it('needs the consent box ticked unless staff import the lead', () => {
+    const payload = { name: 'Cara Hill', email: 'cara@example.com', consent: 'no' };
+
+    expect(validateInquiry(payload).errors.map(error => error.field)).to.include('consent');
+    expect(validateInquiry(payload, { staffImport: true }).value.consent).to.equal(false);
+  });
+
+  it('lets staff import a lead with an email address or a phone number', () => {
+    const byPhone = validateInquiry({ name: 'Cara Hill', email: '', phone: '07700 900123' }, { staffImport: true });
+    expect(byPhone.errors).to.equal(null);
+    expect(byPhone.value.email).to.equal(undefined);
+
+    const neither = validateInquiry({ name: 'Cara Hill' }, { staffImport: true });
+    expect(neither.errors).to.deep.equal([{ field: '', message: 'Email or phone is required' }]);
+
+    expect(validateInquiry({ name: 'Cara Hill', phone: '07700 900123', consent: true }).errors.map(error => error.field))
+      .to.deep.equal(['email']);
+  });
+
+  it('trims marketing tags and never rejects a lead over them', () => {
+    const { value, errors } = validateInquiry({
+      name: 'Cara Hill',
+      email: 'cara@example.com',
+      consent: true,
+      attribution: {
+        firstTouch: { utmSource: 'x'.repeat(150), utmMedium: '', capturedAt: 'yesterday' },
+        lastTouch: null
+      }
+    });
+
+    expect(errors).to.equal(null);
+    expect(value.attribution.firstTouch.utmSource).to.have.length(100);
+    expect(value.attribution.firstTouch.utmMedium).to.equal(undefined);
+    expect(value.attribution.firstTouch.capturedAt).to.equal(null);
+    expect(value.attribution.lastTouch).to.equal(null);
+  });
+
+  it('formats postcodes and phone numbers for matching', () => {
+    expect(normalizePostcode('Flat 2, 10 Park Road, m16 0ra')).to.equal('M16 0RA');
+    expect(normalizePostcode('no postcode here')).to.equal(null);
+    expect(normalizePhone('+44 (0)7700 900123')).to.equal('07700900123');
+    expect(normalizePhone('07700900123')).to.equal('07700900123');
+    expect(normalizePhone('12345')).to.equal(null);
+  });
+});
@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, reset } = require('../helpers/setup');
+const activityService = require('../../services/activityService');
+
+const author = { uid: 'u1', email: 'jane@example.com' };
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('activityService', () => {
+  beforeEach(() => {
+    reset();
+    seed({
+      'inquiries/i1': { referenceNumber: 'FF-2026-00001', priority: 'high' },
+      'users/u1': { email: 'jane@example.com', status: 'active' },
+      'users/u2': { email: 'sam.jones@example.com', status: 'active' },
+      'users/u3': { email: 'alex@example.org', status: 'active' },
+      'users/u4': { email: 'former@example.com', status: 'inactive' }
+    });
+  });
+
+  describe('addActivity', () => {
+    it('logs the entry and bumps the inquiry\'s last activity', async () => {
+      const activity = await activityService.addActivity('i1', {
+        type: 'call', body: 'Left a voicemail', direction: 'outbound', outcome: 'voicemail'
+      }, author);
+
+      expect(read(`inquiries/i1/activities/${activity.id}`)).to.include({
+        type: 'call',
+        direction: 'outbound',
+        outcome: 'voicemail',
+        authorId: 'u1',
+        authorName: 'jane@example.com'
+      });
+      expect(read('inquiries/i1').lastActivityAt).to.deep.equal(activity.createdAt);
+    });
+
+    it('notifies active staff mentioned by handle or full address, never the author', async () => {
+      const activity = await activityService.addActivity('i1', {
+        type: 'note',
+        body: 'Can @sam.jones call back? cc @alex@example.org, @former and @jane. Email me at jane@example.com'
+      }, author);
+
+      expect(activity.mentions).to.have.members(['u2', 'u3']);
+
+      const [notification] = Object.values(readCollection('notifications/u2/items'));
+      expect(notification).to.deep.include({ type: 'inquiry_mention', priority: 'high' });
+      expect(notification.data).to.include({ inquiryId: 'i1', activityId: activity.id, mentionedBy: 'u1' });
+      expect(readCollection('notifications/u4/items')).to.deep.equal({});
+      expect(readCollection('notifications/u1/items')).to.deep.equal({});
+    });
+
+    it('404s for an unknown inquiry', async () => {
+      const error = await rejection(activityService.addActivity('missing', { type: 'note', body: 'Hi' }, author));
+
+      expect(error.status).to.equal(404);
+    });
+  });
+
+  it('records system events against the acting user, or the system', async () => {
+    await activityService.recordStatusChange('i1', 'new', 'assigned', null);
+    await activityService.recordAssignment('i1', { assignedTo: 'u2', previousAssignee: null, method: 'manual' }, author);
+
+    const events = Object.values(readCollection('inquiries/i1/activities'));
+    expect(events.map(event => [event.type, event.body, event.authorId])).to.deep.equal([
+      ['status_change', 'Status changed from new to assigned', 'system'],
+      ['assignment', 'Assigned to u2 (manual)', 'u1']
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const { seed, read, reset } = require('../helpers/setup');
+const assignmentService = require('../../services/assignmentService');
+
+const manager = { uid: 'manager1', email: 'manager@example.com' };
+
+function staff(uid, lastAssigned, extra = {}) {
+  return {
+    [`users/${uid}`]: {
+      uid,
+      role: 'technician',
+      status: 'active',
+      lastInquiryAssignedAt: new Date(Date.UTC(2026, 0, lastAssigned)),
+      ...extra
+    }
+  };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('assignmentService', () => {
+  beforeEach(() => {
+    reset();
+    assignmentService.invalidate();
+  });
+
+  describe('autoAssign', () => {
+    it('gives the inquiry to whoever has waited longest and moves the rotation on', async () => {
+      seed({
+        ...staff('t1', 5),
+        ...staff('t2', 2),
+        'inquiries/i1': { status: 'new', postcode: 'M16 0RA' }
+      });
+
+      const assignment = await assignmentService.autoAssign({ id: 'i1' });
+
+      expect(assignment).to.include({ assignedTo: 't2', status: 'assigned', method: 'round-robin' });
+
+      const inquiry = read('inquiries/i1');
+      expect(inquiry.assignedTo).to.equal('t2');
+      expect(inquiry.assignmentHistory[0]).to.include({ assignedTo: 't2', previousAssignee: null, changedBy: 'system' });
+      expect(inquiry.statusHistory[0]).to.include({ status: 'assigned', previousStatus: 'new' });
+      expect(read('users/t2').lastInquiryAssignedAt.getTime()).to.be.greaterThan(Date.UTC(2026, 0, 5));
+    });
+
+    it('prefers territory staff and skips anyone at their workload cap', async () => {
+      seed({
+        'settings/assignment': { rules: { territories: [{ name: 'Manchester', postcodeAreas: ['M'], staffIds: ['t1', 't3'] }] } },
+        ...staff('t1', 1, { maxOpenInquiries: 1 }),
+        ...staff('t2', 2),
+        ...staff('t3', 3),
+        'inquiries/busy': { status: 'in-progress', assignedTo: 't1' },
+        'inquiries/i1': { status: 'new', postcode: 'M16 0RA' }
+      });
+
+      const assignment = await assignmentService.autoAssign({ id: 'i1' });
+
+      expect(assignment).to.include({ assignedTo: 't3', method: 'territory', territory: 'Manchester' });
+    });
+
+    it('leaves an inquiry someone assigned in the meantime', async () => {
+      seed({
+        ...staff('t1', 1),
+        'inquiries/i1': { status: 'assigned', assignedTo: 'manager1' }
+      });
+
+      expect(await assignmentService.autoAssign({ id: 'i1' })).to.equal(null);
+      expect(read('inquiries/i1').assignedTo).to.equal('manager1');
+      expect(read('users/t1').lastInquiryAssignedAt).to.deep.equal(new Date(Date.UTC(2026, 0, 1)));
+    });
+  });
+
+  describe('assignInquiry', () => {
+    it('reassigns from the current state and keeps the history', async () => {
+      seed({
+        ...staff('t1', 1),
+        'inquiries/i1': {
+          status: 'in-progress',
+          assignedTo: 't2',
+          assignmentHistory: [{ assignedTo: 't2', method: 'round-robin' }]
+        }
+      });
+
+      const assignment = await assignmentService.assignInquiry('i1', 't1', { assignedBy: manager });
+
+      expect(assignment).to.include({ assignedTo: 't1', status: 'in-progress', method: 'manual' });
+
+      const inquiry = read('inquiries/i1');
+      expect(inquiry.assignmentHistory).to.have.length(2);
+      expect(inquiry.assignmentHistory[1]).to.include({ previousAssignee: 't2', changedBy: 'manager1' });
+      expect(inquiry.statusHistory).to.equal(undefined);
+    });
+
+    it('refuses missing, closed and unchanged assignments', async () => {
+      seed({
+        'inquiries/closed': { status: 'spam' },
+        'inquiries/same': { status: 'assigned', assignedTo: 't1' }
+      });
+
+      expect((await rejection(assignmentService.assignInquiry('missing', 't1'))).status).to.equal(404);
+      expect((await rejection(assignmentService.assignInquiry('closed', 't1'))).message)
+        .to.equal('A spam inquiry cannot be assigned');
+      expect((await rejection(assignmentService.assignInquiry('same', 't1'))).status).to.equal(409);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, sent, reset } = require('../helpers/setup');
+const attachmentService = require('../../services/attachmentService');
+
+const HOUR = 60 * 60 * 1000;
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('attachmentService', () => {
+  beforeEach(() => reset());
+
+  describe('issueUploadToken', () => {
+    it('stores only a hash of the token it hands back', async () => {
+      seed({ 'inquiries/i1': { status: 'new' } });
+
+      const upload = await attachmentService.issueUploadToken('i1');
+
+      expect(upload).to.include({ maxFiles: 5, path: '/uploads/inquiries/i1' });
+      const access = read('inquiries/i1').uploadAccess;
+      expect(access.tokenHash).to.be.a('string').and.not.equal(upload.token);
+      expect(access.expiresAt.getTime()).to.be.closeTo(Date.now() + HOUR, 5000);
+    });
+
+    it('never replaces a live token and skips quarantined or closed inquiries', async () => {
+      seed({
+        'inquiries/live': { status: 'new', uploadAccess: { tokenHash: 'kept', expiresAt: new Date(Date.now() + HOUR) } },
+        'inquiries/spam': { status: 'spam' },
+        'inquiries/done': { status: 'completed' }
+      });
+
+      expect(await attachmentService.issueUploadToken('live')).to.equal(null);
+      expect(await attachmentService.issueUploadToken('spam')).to.equal(null);
+      expect(await attachmentService.issueUploadToken('done')).to.equal(null);
+      expect(await attachmentService.issueUploadToken('missing')).to.equal(null);
+      expect(read('inquiries/live').uploadAccess.tokenHash).to.equal('kept');
+    });
+  });
+
+  describe('authorizeUpload', () => {
+    let token;
+
+    beforeEach(async () => {
+      seed({ 'inquiries/i1': { status: 'new', attachmentCount: 3 } });
+      ({ token } = await attachmentService.issueUploadToken('i1'));
+    });
+
+    it('lets the token holder add files up to the limit', async () => {
+      const inquiry = await attachmentService.authorizeUpload('i1', token, 2);
+      expect(inquiry.id).to.equal('i1');
+
+      const error = await rejection(attachmentService.authorizeUpload('i1', token, 3));
+      expect(error.status).to.equal(400);
+      expect(error.remaining).to.equal(2);
+    });
+
+    it('gives wrong tokens, unknown inquiries and expired links the same 403', async () => {
+      const wrong = await rejection(attachmentService.authorizeUpload('i1', 'not-the-token', 1));
+      const unknown = await rejection(attachmentService.authorizeUpload('missing', token, 1));
+
+      seed({ 'inquiries/i1': { ...read('inquiries/i1'), uploadAccess: { ...read('inquiries/i1').uploadAccess, expiresAt: new Date(Date.now() - 1) } } });
+      const expired = await rejection(attachmentService.authorizeUpload('i1', token, 1));
+
+      [wrong, unknown, expired].forEach(error => {
+        expect(error.status).to.equal(403);
+        expect(error.message).to.equal('Upload link is invalid or has expired');
+      });
+    });
+  });
+
+  it('stores files privately, counts them and shows them to staff with short-lived links', async () => {
+    seed({ 'inquiries/i1': { status: 'new', referenceNumber: 'FF-2026-00001', attachmentCount: 1 } });
+
+    const saved = await attachmentService.saveAttachments(
+      { id: 'i1', attachmentCount: 1 },
+      [{ buffer: Buffer.from('jpeg'), mimetype: 'image/jpeg', originalName: '../../loft.jpg' }],
+      { ipAddress: '203.0.113.5' }
+    );
+
+    expect(saved[0]).to.include({ originalName: 'loft.jpg', mimetype: 'image/jpeg', size: 4, uploadedByName: 'Customer', isPublic: false });
+    expect(saved[0].filePath).to.match(/^inquiries\/i1\/\d+_[0-9a-f]{12}\.jpg$/);
+    expect(sent.files[saved[0].filePath]).to.exist;
+    expect(read('inquiries/i1').attachmentCount).to.equal(2);
+
+    const [event] = Object.values(readCollection('inquiries/i1/activities'));
+    expect(event).to.include({ type: 'attachment', body: 'Customer attached 1 file' });
+
+    const [listed] = await attachmentService.listAttachments('i1');
+    expect(listed).to.include({ id: saved[0].id, originalName: 'loft.jpg' });
+    expect(listed.downloadURL).to.match(/^https:\/\/storage\.test\/inquiries\/i1\//);
+    expect(listed).to.not.have.property('ipAddress');
+  });
+});
@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+const { seed, readCollection, reset } = require('../helpers/setup');
+const idempotencyService = require('../../services/idempotencyService');
+
+const KEY = 'a1b2c3d4-e5f6-7890-abcd';
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('idempotencyService', () => {
+  beforeEach(() => reset());
+
+  it('runs requests without a key every time', async () => {
+    let runs = 0;
+    const task = async () => ({ status: 201, body: { run: ++runs } });
+
+    await idempotencyService.run('inquiries', undefined, task);
+    await idempotencyService.run('inquiries', undefined, task);
+
+    expect(runs).to.equal(2);
+  });
+
+  it('replays the stored response for a repeated key', async () => {
+    let runs = 0;
+    const task = async () => ({ status: 201, body: { id: 'i1', at: new Date('2026-01-01') }, resourceId: 'i1', runs: ++runs });
+
+    const first = await idempotencyService.run('inquiries', KEY, task);
+    const second = await idempotencyService.run('inquiries', KEY, task);
+
+    expect(runs).to.equal(1);
+    expect(first.replayed).to.equal(undefined);
+    expect(second).to.deep.equal({
+      status: 201,
+      body: { id: 'i1', at: '2026-01-01T00:00:00.000Z' },
+      resourceId: 'i1',
+      replayed: true
+    });
+  });
+
+  it('keeps scopes apart', async () => {
+    let runs = 0;
+    const task = async () => ({ status: 201, body: { run: ++runs } });
+
+    await idempotencyService.run('inquiries', KEY, task);
+    await idempotencyService.run('uploads', KEY, task);
+
+    expect(runs).to.equal(2);
+  });
+
+  it('rejects malformed keys', async () => {
+    const error = await rejection(idempotencyService.run('inquiries', 'short', async () => ({})));
+
+    expect(error.status).to.equal(400);
+    expect(error.code).to.equal('invalid-idempotency-key');
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    let release;
+    let started;
+    const running = new Promise(resolve => {
+      started = resolve;
+    });
+    const slow = idempotencyService.run('inquiries', KEY, () => new Promise(resolve => {
+      release = () => resolve({ status: 201, body: {} });
+      started();
+    }));
+    await running;
+
+    const error = await rejection(idempotencyService.run('inquiries', KEY, async () => ({ status: 201, body: {} })));
+    expect(error.status).to.equal(409);
+    expect(error.code).to.equal('idempotency-in-progress');
+
+    release();
+    await slow;
+  });
+
+  it('frees the key when the request fails so a corrected retry can run', async () => {
+    await rejection(idempotencyService.run('inquiries', KEY, async () => {
+      throw new Error('Validation failed');
+    }));
+    expect(readCollection('idempotencyKeys')).to.deep.equal({});
+
+    const retried = await idempotencyService.run('inquiries', KEY, async () => ({ status: 201, body: { ok: true } }));
+    expect(retried.body).to.deep.equal({ ok: true });
+  });
+
+  it('takes over a pending key left by a request that crashed', async () => {
+    await idempotencyService.run('inquiries', KEY, async () => ({ status: 201, body: {} }));
+    const [id] = Object.keys(readCollection('idempotencyKeys'));
+    seed({ [`idempotencyKeys/${id}`]: { scope: 'inquiries', status: 'pending', createdAt: new Date(Date.now() - 5 * 60 * 1000) } });
+
+    const result = await idempotencyService.run('inquiries', KEY, async () => ({ status: 201, body: { again: true } }));
+
+    expect(result.replayed).to.equal(undefined);
+    expect(result.body).to.deep.equal({ again: true });
+  });
+});
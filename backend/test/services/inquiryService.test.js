@@ -0,0 +1,227 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, reset } = require('../helpers/setup');
+const inquiryService = require('../../services/inquiryService');
+
+const staff = { uid: 'staff1', email: 'staff@example.com' };
+const DAY = 24 * 60 * 60 * 1000;
+
+function submission(overrides = {}) {
+  return {
+    name: 'Ann Lee',
+    email: 'ann@example.com',
+    phone: '07700 900123',
+    postcode: 'LS1 1AA',
+    urgency: 'medium',
+    consent: true,
+    ...overrides
+  };
+}
+
+function inquiry(referenceNumber, overrides = {}) {
+  return {
+    referenceNumber,
+    name: 'Ann Lee',
+    email: 'ann@example.com',
+    status: 'new',
+    priority: 'medium',
+    submittedAt: new Date(Date.now() - DAY),
+    statusHistory: [],
+    ...overrides
+  };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('inquiryService', () => {
+  beforeEach(() => reset());
+
+  describe('submitInquiry', () => {
+    it('stores the lead score and the priority it implies', async () => {
+      const created = await inquiryService.submitInquiry(submission({ postcode: 'ZE1 0AA' }));
+      const stored = read(`inquiries/${created.id}`);
+
+      expect(stored.score).to.be.a('number');
+      expect(stored.scoreBreakdown.serviceArea.value).to.equal('outOfArea');
+      expect(stored.priority).to.equal('low');
+    });
+
+    it('never leaves an urgent customer below high priority', async () => {
+      const created = await inquiryService.submitInquiry(submission({ postcode: 'ZE1 0AA', urgency: 'sale' }));
+
+      expect(read(`inquiries/${created.id}`).priority).to.equal('high');
+    });
+  });
+
+  describe('attribution', () => {
+    const firstTouch = { utmSource: 'Facebook', utmCampaign: 'spring', landingPage: '/foam-removal' };
+
+    it('keeps both touches and takes the source from the last one', async () => {
+      const created = await inquiryService.submitInquiry(submission({
+        attribution: { firstTouch, lastTouch: { utmSource: ' Newsletter ', utmMedium: 'email' } }
+      }));
+      const stored = read(`inquiries/${created.id}`);
+
+      expect(stored.source).to.equal('newsletter');
+      expect(stored.attribution.firstTouch).to.include(firstTouch);
+      expect(stored.attribution.lastTouch).to.include({ utmMedium: 'email' });
+    });
+
+    it('credits a Google Ads click whatever the UTM tags say', async () => {
+      const created = await inquiryService.submitInquiry(submission({
+        attribution: { lastTouch: { utmSource: 'bing', gclid: 'Cj0KCQ' } }
+      }));
+
+      expect(read(`inquiries/${created.id}`).source).to.equal('google');
+    });
+
+    it('counts leads without tags as website leads', async () => {
+      const created = await inquiryService.submitInquiry(submission());
+
+      const stored = read(`inquiries/${created.id}`);
+      expect(stored.source).to.equal('website');
+      expect(stored.attribution).to.equal(undefined);
+    });
+
+    it('moves the last touch on a resubmission and never the first', async () => {
+      seed({ 'inquiries/i1': inquiry('FF-2026-00001', {
+        matchKeys: { email: 'ann@example.com' },
+        attribution: { firstTouch, lastTouch: firstTouch }
+      }) });
+
+      await inquiryService.submitInquiry(submission({
+        attribution: { firstTouch: { utmSource: 'bing' }, lastTouch: { utmSource: 'bing', utmCampaign: 'retarget' } }
+      }));
+
+      const { attribution } = read('inquiries/i1');
+      expect(attribution.firstTouch).to.deep.equal(firstTouch);
+      expect(attribution.lastTouch).to.include({ utmSource: 'bing', utmCampaign: 'retarget' });
+    });
+  });
+
+  describe('follow-up submissions', () => {
+    it('links a resubmission to the open inquiry instead of creating a lead', async () => {
+      const first = await inquiryService.submitInquiry(submission());
+      const second = await inquiryService.submitInquiry(submission({ email: 'ANN@example.com', issues: ['sale-issue'] }));
+
+      expect(second.isFollowUp).to.equal(true);
+      expect(second.id).to.equal(first.id);
+      expect(Object.keys(readCollection('inquiries'))).to.have.length(1);
+
+      const stored = read(`inquiries/${first.id}`);
+      expect(stored.submissionCount).to.equal(2);
+      expect(stored.followUpSubmissions).to.have.length(1);
+      expect(stored.issues).to.deep.equal(['sale-issue']);
+    });
+
+    it('tells the assignee about a follow-up', async () => {
+      seed({ 'inquiries/i1': inquiry('FF-1', { assignedTo: 'tech1', matchKeys: { email: 'ann@example.com' } }) });
+
+      await inquiryService.submitInquiry(submission());
+
+      expect(Object.keys(readCollection('notifications/tech1/items'))).to.have.length(1);
+    });
+
+    it('tells the managers when nobody is assigned', async () => {
+      seed({
+        'inquiries/i1': inquiry('FF-1', { matchKeys: { email: 'ann@example.com' } }),
+        'users/m1': { uid: 'm1', role: 'manager', status: 'active' },
+        'users/a1': { uid: 'a1', role: 'admin', status: 'active' },
+        'users/t1': { uid: 't1', role: 'technician', status: 'active' }
+      });
+
+      await inquiryService.submitInquiry(submission());
+
+      const notified = ['m1', 'a1', 't1'].filter(uid => Object.keys(readCollection(`notifications/${uid}/items`)).length > 0);
+      expect(notified).to.deep.equal(['m1', 'a1']);
+      expect(Object.values(readCollection('notifications/m1/items'))[0].type).to.equal('inquiry_follow_up');
+    });
+  });
+
+  describe('mergeInquiries', () => {
+    it('folds duplicates into the primary through the state machine', async () => {
+      seed({
+        'inquiries/i1': inquiry('FF-1', { notes: 'Called back' }),
+        'inquiries/i2': inquiry('FF-2', { status: 'assigned', priority: 'urgent', score: 80, notes: 'Wants a survey' })
+      });
+
+      const merged = await inquiryService.mergeInquiries('i1', ['i2'], staff);
+
+      expect(merged.priority).to.equal('urgent');
+      expect(merged.score).to.equal(80);
+      expect(merged.mergedReferences).to.deep.equal(['FF-2']);
+
+      const duplicate = read('inquiries/i2');
+      expect(duplicate).to.include({ status: 'merged', mergedInto: 'i1', mergedBy: 'staff1', responseRequired: false });
+      expect(duplicate.statusHistory[0]).to.include({ status: 'merged', previousStatus: 'assigned', changedBy: 'staff1' });
+      expect(read('inquiries/i1').notes).to.equal('Called back\n\n[Merged from FF-2] Wants a survey');
+    });
+
+    it('moves the duplicates\' timelines and attachments to the primary', async () => {
+      seed({
+        'inquiries/i1': inquiry('FF-1', { attachmentCount: 1 }),
+        'inquiries/i2': inquiry('FF-2', { attachmentCount: 2 }),
+        'inquiries/i2/activities/a1': { type: 'call', body: 'Left a voicemail', createdAt: new Date() },
+        'uploads/u1': { inquiryId: 'i1', filePath: 'inquiries/i1/a.jpg' },
+        'uploads/u2': { inquiryId: 'i2', filePath: 'inquiries/i2/b.jpg' },
+        'uploads/u3': { inquiryId: 'i2', filePath: 'inquiries/i2/c.jpg' }
+      });
+
+      await inquiryService.mergeInquiries('i1', ['i2'], staff);
+
+      const activities = Object.values(readCollection('inquiries/i1/activities'));
+      expect(activities.find(activity => activity.type === 'call')).to.include({
+        body: 'Left a voicemail',
+        mergedFrom: 'FF-2',
+        mergedActivityId: 'a1'
+      });
+      expect(activities.find(activity => activity.type === 'merge').body).to.equal('Merged FF-2 into this inquiry');
+
+      expect(read('uploads/u2')).to.include({ inquiryId: 'i1', mergedFrom: 'FF-2', filePath: 'inquiries/i2/b.jpg' });
+      expect(read('uploads/u3').inquiryId).to.equal('i1');
+      expect(read('inquiries/i1').attachmentCount).to.equal(3);
+    });
+
+    it('refuses to merge into a merged, spam or closed inquiry', async () => {
+      for (const status of ['merged', 'spam', 'completed', 'cancelled']) {
+        reset();
+        seed({ 'inquiries/i1': inquiry('FF-1', { status }), 'inquiries/i2': inquiry('FF-2') });
+
+        const error = await rejection(inquiryService.mergeInquiries('i1', ['i2'], staff));
+
+        expect(error.status).to.equal(409);
+        expect(error.message).to.equal(`Cannot merge into an inquiry that is ${status}`);
+        expect(read('inquiries/i2').status).to.equal('new');
+      }
+    });
+
+    it('changes nothing when one duplicate cannot be merged', async () => {
+      seed({
+        'inquiries/i1': inquiry('FF-1'),
+        'inquiries/i2': inquiry('FF-2'),
+        'inquiries/i3': inquiry('FF-3', { status: 'completed' })
+      });
+
+      const error = await rejection(inquiryService.mergeInquiries('i1', ['i2', 'i3'], staff));
+
+      expect(error.status).to.equal(409);
+      expect(read('inquiries/i2').status).to.equal('new');
+      expect(read('inquiries/i1').mergedReferences).to.equal(undefined);
+    });
+
+    it('reports missing duplicates', async () => {
+      seed({ 'inquiries/i1': inquiry('FF-1') });
+
+      const error = await rejection(inquiryService.mergeInquiries('i1', ['gone'], staff));
+
+      expect(error.status).to.equal(404);
+      expect(error.message).to.equal('Inquiries not found: gone');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const { seed, readCollection, reset } = require('../helpers/setup');
+const { call } = require('../helpers/app');
+const router = require('../../routes/inquiries');
+const inquiryTransferService = require('../../services/inquiryTransferService');
+
+const staff = { uid: 'staff1', email: 'staff@example.com' };
+
+function exportedReferences(csv) {
+  return csv.trim().split('\r\n').slice(1).map(line => line.split(',')[0]);
+}
+
+describe('inquiryTransferService', () => {
+  beforeEach(() => reset());
+
+  describe('export', () => {
+    beforeEach(() => {
+      seed({
+        'inquiries/i1': { referenceNumber: 'FF-2026-00001', status: 'new', submittedAt: new Date(Date.UTC(2026, 0, 1)) },
+        'inquiries/i2': { referenceNumber: 'FF-2026-00002', status: 'spam', submittedAt: new Date(Date.UTC(2026, 0, 2)) },
+        'inquiries/i3': { referenceNumber: 'FF-2026-00003', status: 'merged', submittedAt: new Date(Date.UTC(2026, 0, 3)) },
+        'inquiries/i4': { referenceNumber: 'FF-2026-00004', status: 'quoted', submittedAt: new Date(Date.UTC(2026, 0, 4)) }
+      });
+    });
+
+    it('leaves out spam and merged duplicates', async () => {
+      const response = await call(router, { path: '/export' });
+
+      expect(response.status).to.equal(200);
+      expect(response.headers.get('content-type')).to.match(/^text\/csv/);
+      expect(exportedReferences(response.body)).to.deep.equal(['FF-2026-00004', 'FF-2026-00001']);
+    });
+
+    it('includes them when filtered for by status', async () => {
+      const response = await call(router, { path: '/export?status=spam' });
+
+      expect(exportedReferences(response.body)).to.deep.equal(['FF-2026-00002']);
+    });
+  });
+
+  describe('importCsv', () => {
+    it('imports phone-only leads and reports rows with no way to reach them', async () => {
+      const csv = 'Name,Phone,Email\r\nCara Hill,07700 900123,\r\nDan Moss,,\r\n';
+
+      const report = await inquiryTransferService.importCsv(csv, staff, { source: 'phone' });
+
+      expect(report.summary).to.include({ total: 2, created: 1, invalid: 1 });
+      expect(report.results[1]).to.deep.include({
+        row: 3,
+        status: 'invalid',
+        errors: [{ field: '', message: 'Email or phone is required' }]
+      });
+
+      const [created] = Object.values(readCollection('inquiries'));
+      expect(created).to.include({ name: 'Cara Hill', phone: '07700 900123', source: 'phone', status: 'new' });
+    });
+
+    it('needs an email or phone column', async () => {
+      let error;
+      await inquiryTransferService.importCsv('Name,Postcode\r\nCara Hill,M16 0RA\r\n', staff).catch(caught => { error = caught; });
+
+      expect(error.code).to.equal('validation-failed');
+      expect(error.message).to.equal('The file needs an email or phone column');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { expect } = require('chai');
+const { seed, read, reset } = require('../helpers/setup');
+const leadScoringService = require('../../services/leadScoringService');
+
+const admin = { uid: 'admin1', email: 'admin@example.com' };
+
+describe('leadScoringService', () => {
+  beforeEach(() => {
+    reset();
+    leadScoringService.invalidate();
+  });
+
+  describe('scoreInquiry', () => {
+    it('scores a blocked sale in a covered area as an urgent lead', async () => {
+      const lead = await leadScoringService.scoreInquiry({
+        issues: ['mortgage-rejection', 'sale-issue'],
+        urgency: 'urgent',
+        estimatedArea: 250,
+        propertyType: 'detached',
+        foamAge: 'over10',
+        postcode: 'LS1 1AA',
+        source: 'referral'
+      });
+
+      expect(lead.score).to.equal(100);
+      expect(lead.priority).to.equal('urgent');
+      // Two blocking issues are worth 60 but capped at 35
+      expect(lead.breakdown.issues.points).to.equal(35);
+      expect(lead.breakdown.serviceArea).to.deep.equal({ value: 'inArea', points: 10 });
+    });
+
+    it('scores a bare enquiry as a low priority lead', async () => {
+      const lead = await leadScoringService.scoreInquiry({ postcode: 'ZE1 0AA' });
+
+      // Out of area 2 and the default source 3, out of 110
+      expect(lead.score).to.equal(5);
+      expect(lead.priority).to.equal('low');
+      expect(lead.breakdown.source).to.deep.equal({ value: 'default', points: 3 });
+    });
+
+    it('scores with the saved overrides, merged per factor', async () => {
+      await leadScoringService.updateWeights({ source: { facebook: 10 }, priorityThresholds: { urgent: 10 } }, admin);
+
+      const weights = await leadScoringService.getWeights();
+      expect(weights.source).to.include({ facebook: 10, referral: 10, default: 3 });
+      expect(read('settings/leadScoring').updatedBy).to.equal('admin1');
+
+      const lead = await leadScoringService.scoreInquiry({ source: 'Facebook', urgency: 'high' });
+      expect(lead.breakdown.source.points).to.equal(10);
+      expect(lead.priority).to.equal('urgent');
+    });
+  });
+
+  describe('validateWeights', () => {
+    it('names every unknown factor and out of range value', () => {
+      expect(leadScoringService.validateWeights({
+        charm: 5,
+        issuesCap: 150,
+        urgency: { urgent: -1 },
+        serviceArea: { postcodeAreas: ['LS', 'leeds'] }
+      })).to.deep.equal([
+        'Unknown scoring factor: charm',
+        'issuesCap must be a number between 0 and 100',
+        'urgency.urgent must be a number between 0 and 100',
+        'serviceArea.postcodeAreas must be a list of postcode areas like "LS"'
+      ]);
+      expect(leadScoringService.validateWeights({ source: { google: 9 } })).to.deep.equal([]);
+    });
+  });
+
+  describe('backfillScores', () => {
+    it('scores inquiries saved before lead scoring and leaves scored ones alone', async () => {
+      seed({
+        'inquiries/old': { urgency: 'urgent', issues: ['sale-issue'], priority: 'low' },
+        'inquiries/scored': { urgency: 'low', score: 12 }
+      });
+
+      const result = await leadScoringService.backfillScores(admin);
+
+      expect(result).to.deep.equal({ checked: 2, scored: 1 });
+      expect(read('inquiries/old').score).to.be.above(0);
+      expect(read('inquiries/old').scoreBreakdown).to.be.an('object');
+      expect(read('inquiries/old').priority).to.equal('low');
+      expect(read('inquiries/scored').score).to.equal(12);
+    });
+
+    it('works through every page', async () => {
+      const docs = {};
+      for (let i = 0; i < 5; i++) {
+        docs[`inquiries/i${i}`] = { urgency: 'medium' };
+      }
+      seed(docs);
+      leadScoringService.BACKFILL_PAGE_SIZE = 2;
+
+      try {
+        expect(await leadScoringService.backfillScores(admin)).to.deep.equal({ checked: 5, scored: 5 });
+      } finally {
+        leadScoringService.BACKFILL_PAGE_SIZE = 200;
+      }
+    });
+  });
+});
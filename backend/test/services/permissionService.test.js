@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+const { seed, read, reset } = require('../helpers/setup');
+const permissionService = require('../../services/permissionService');
+const { ROLE_PERMISSIONS } = require('../../../shared/auth/authManager');
+
+const admin = { uid: 'admin1', email: 'admin@example.com' };
+
+describe('permissionService', () => {
+  beforeEach(() => {
+    reset();
+    permissionService.invalidate();
+  });
+
+  it('uses the built-in map when nothing is saved', async () => {
+    expect(await permissionService.getRolePermissions()).to.deep.equal(ROLE_PERMISSIONS);
+  });
+
+  it('replaces a role\'s defaults with its override and keeps the other roles', async () => {
+    seed({ 'settings/permissions': { roles: { manager: ['quotes.read'], surveyor: ['inquiries.read'] } } });
+
+    expect(await permissionService.getPermissionsForRole('manager')).to.deep.equal(['quotes.read']);
+    expect(await permissionService.getPermissionsForRole('admin')).to.deep.equal(ROLE_PERMISSIONS.admin);
+    expect(await permissionService.isKnownRole('surveyor')).to.equal(true);
+    expect(await permissionService.getPermissionsForRole('nobody')).to.deep.equal([]);
+  });
+
+  it('keeps serving the cached map until it is invalidated', async () => {
+    await permissionService.getRolePermissions();
+    seed({ 'settings/permissions': { roles: { manager: [] } } });
+
+    expect(await permissionService.getPermissionsForRole('manager')).to.deep.equal(ROLE_PERMISSIONS.manager);
+
+    permissionService.invalidate();
+    expect(await permissionService.getPermissionsForRole('manager')).to.deep.equal([]);
+  });
+
+  it('saves overrides with who made them and applies them straight away', async () => {
+    await permissionService.getRolePermissions();
+
+    const effective = await permissionService.updateRoles({ technician: ['projects.read'] }, admin);
+
+    expect(effective.technician).to.deep.equal(['projects.read']);
+    expect(read('settings/permissions')).to.include({ updatedBy: 'admin1', updatedByName: 'admin@example.com' });
+    expect(read('settings/permissions').roles).to.deep.equal({ technician: ['projects.read'] });
+  });
+
+  it('rejects malformed role names and permissions', () => {
+    expect(permissionService.validateRoles({ surveyor: ['inquiries.read', 'projects.write:own'] })).to.deep.equal([]);
+    expect(permissionService.validateRoles([])).to.have.length(1);
+    expect(permissionService.validateRoles({
+      'Bad Role': ['inquiries.read'],
+      surveyor: 'inquiries.read',
+      viewer: ['inquiries', 'quotes.read:mine']
+    })).to.deep.equal([
+      'Invalid role name: Bad Role',
+      'Permissions for surveyor must be an array',
+      'Invalid permission for viewer: inquiries',
+      'Invalid permission for viewer: quotes.read:mine'
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const { seed, read, reset } = require('../helpers/setup');
+const pricingService = require('../../services/pricingService');
+
+const admin = { uid: 'admin1', email: 'admin@example.com' };
+
+function line(pricing, type) {
+  return pricing.lineItems.find(item => item.type === type);
+}
+
+describe('pricingService', () => {
+  beforeEach(() => {
+    reset();
+    pricingService.invalidate();
+  });
+
+  describe('priceWithRateCard', () => {
+    const card = pricingService.DEFAULT_RATE_CARD;
+
+    it('prices zones, disposal, travel and VAT from the rate card', () => {
+      const pricing = pricingService.priceWithRateCard({
+        zones: [{ name: 'Loft', foamType: 'open-cell', accessDifficulty: 'moderate', estimatedArea: 40 }]
+      }, card);
+
+      // 25/m² x 1.2 for moderate access
+      expect(line(pricing, 'zone')).to.include({ unitPrice: 30, quantity: 40, amount: 1200 });
+      expect(line(pricing, 'disposal').amount).to.equal(80);
+      expect(line(pricing, 'travel').amount).to.equal(50);
+      expect(pricing.netAmount).to.equal(1330);
+      expect(pricing.vatAmount).to.equal(266);
+      expect(pricing.totalAmount).to.equal(1596);
+      expect(pricing.rateCardVersion).to.equal(0);
+    });
+
+    it('applies urgency, area tiers and regional uplifts to the zone rate', () => {
+      const pricing = pricingService.priceWithRateCard({
+        zones: [{ foamType: 'closed-cell', accessDifficulty: 'easy', estimatedArea: 250 }],
+        urgency: 'urgent'
+      }, {
+        ...card,
+        version: 1,
+        areaTiers: [{ minArea: 200, multiplier: 0.9 }],
+        regionalUplifts: [{ name: 'London', postcodeAreas: ['SW'], multiplier: 1.1 }]
+      }, { postcode: 'SW1A 1AA' });
+
+      // 35 x 1.3 x 0.9 x 1.1, rounded to the penny
+      expect(line(pricing, 'zone').unitPrice).to.equal(45.05);
+      expect(pricing.calculations).to.include({ tierMultiplier: 0.9, region: 'London', regionalMultiplier: 1.1 });
+      expect(line(pricing, 'travel').amount).to.equal(150);
+    });
+
+    it('rounds only the total with the built-in card, as quotes were priced before rate cards', () => {
+      const work = { zones: [{ foamType: 'closed-cell', accessDifficulty: 'moderate', estimatedArea: 1.001 }], urgency: 'urgent' };
+
+      // (1.001 x 35 x 1.2 x 1.3 + 1.001 x 2 + 50) x 1.2 - rounding each line first gives 127.98
+      expect(pricingService.priceWithRateCard(work, card).totalAmount).to.equal(127.99);
+      expect(pricingService.priceWithRateCard(work, { ...card, version: 1 }).totalAmount).to.equal(127.98);
+    });
+
+    it('tops small jobs up to the minimum charge', () => {
+      const pricing = pricingService.priceWithRateCard({
+        zones: [{ foamType: 'open-cell', accessDifficulty: 'easy', estimatedArea: 2 }]
+      }, { ...card, minimumCharge: 500 });
+
+      expect(line(pricing, 'minimum-charge').amount).to.equal(396);
+      expect(pricing.netAmount).to.equal(500);
+    });
+
+    it('keeps an agreed unit price and prices extras by quantity', () => {
+      const pricing = pricingService.priceWithRateCard({
+        zones: [{ foamType: 'mixed', accessDifficulty: 'extreme', estimatedArea: 10, unitPrice: 40 }],
+        extras: [{ description: 'Scaffold', quantity: 2, unitPrice: 150 }]
+      }, card);
+
+      expect(line(pricing, 'zone').amount).to.equal(400);
+      expect(line(pricing, 'extra').amount).to.equal(300);
+      expect(pricing.calculations.extrasTotal).to.equal(300);
+    });
+  });
+
+  describe('rate cards', () => {
+    it('picks the card in force at the quote date', async () => {
+      seed({
+        'settings/pricing': {
+          rateCards: [
+            { ...pricingService.DEFAULT_RATE_CARD, version: 1, effectiveFrom: new Date('2026-01-01'), disposalRate: 3 },
+            { ...pricingService.DEFAULT_RATE_CARD, version: 2, effectiveFrom: new Date('2026-06-01'), disposalRate: 4 }
+          ]
+        }
+      });
+
+      expect((await pricingService.getRateCard(new Date('2025-12-31'))).version).to.equal(0);
+      expect((await pricingService.getRateCard(new Date('2026-03-01'))).version).to.equal(1);
+      expect((await pricingService.getRateCard(new Date('2026-07-01'))).version).to.equal(2);
+      expect(await pricingService.getRateCardVersion(9)).to.equal(null);
+    });
+
+    it('publishes new cards as the next version', async () => {
+      const published = await pricingService.publishRateCard({
+        ...pricingService.DEFAULT_RATE_CARD,
+        version: undefined,
+        label: 'Spring rates',
+        effectiveFrom: '2026-04-01T00:00:00Z'
+      }, admin);
+
+      expect(published.version).to.equal(1);
+      expect(published.publishedBy).to.equal('admin1');
+      expect(read('settings/pricing').rateCards).to.have.length(1);
+      expect((await pricingService.getRateCards()).map(card => card.version)).to.deep.equal([0, 1]);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+const admin = require('firebase-admin');
+const { seed, read, readCollection, sent, reset } = require('../helpers/setup');
+const privacyService = require('../../services/privacyService');
+
+const dpo = { uid: 'admin1', email: 'dpo@example.com' };
+const subject = { email: 'Cara.Hill@Example.com', phone: null };
+const recent = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+const longAgo = new Date(Date.UTC(2015, 0, 1));
+
+async function store(filePath, contentType) {
+  await admin.storage().bucket().file(filePath).save(Buffer.from('file'), { contentType });
+}
+
+describe('privacyService', () => {
+  beforeEach(async () => {
+    reset();
+    seed({
+      'inquiries/i1': {
+        referenceNumber: 'FF-2026-00001',
+        status: 'quoted',
+        name: 'Cara Hill',
+        email: 'cara.hill@example.com',
+        phone: '07700 900123',
+        address: '4 Elm Row, Leeds',
+        matchKeys: { email: 'cara.hill@example.com', phone: '07700900123' }
+      },
+      'inquiries/i1/activities/a1': { type: 'call', body: 'Spoke to Cara' },
+      'inquiries/other': { referenceNumber: 'FF-2026-00002', name: 'Someone Else', email: 'else@example.com' },
+      'quotes/q1': {
+        inquiryId: 'i1',
+        status: 'accepted',
+        acceptedAt: recent,
+        customerInfo: { name: 'Cara Hill', email: 'cara.hill@example.com', phone: '07700 900123' },
+        propertyDetails: { address: '4 Elm Row, Leeds', postcode: 'LS1 1AA' },
+        acceptance: { signedName: 'Cara Hill' }
+      },
+      'quotes/q1/revisions/r1': { customerInfo: { name: 'Cara Hill', email: 'cara.hill@example.com' } },
+      'quotes/q2': {
+        inquiryId: 'i1',
+        status: 'accepted',
+        acceptedAt: longAgo,
+        customerInfo: { name: 'Cara Hill', email: 'cara.hill@example.com' },
+        acceptance: { signedName: 'Cara Hill' }
+      },
+      'notifications/staff1/items/n1': { type: 'inquiry_mention', data: { inquiryId: 'i1' } },
+      'error_logs/e1': { userEmail: 'cara.hill@example.com', message: 'Upload failed' }
+    });
+    await store('inquiries/i1/photo.jpg', 'image/jpeg');
+    await store('quotes/q1/QT260001-v1.pdf', 'application/pdf');
+    await store('quotes/q2/QT150001-v1.pdf', 'application/pdf');
+  });
+
+  it('finds the subject\'s records without changing anything and logs only a hash', async () => {
+    const result = await privacyService.lookup(subject, dpo, 'DSAR-12');
+
+    expect(result.summary).to.include({
+      inquiries: 1, activities: 1, quotes: 2, quoteRevisions: 1, notifications: 1, errorLogs: 1, files: 3
+    });
+    expect(result.records.inquiries).to.deep.equal([{ id: 'i1', referenceNumber: 'FF-2026-00001', status: 'quoted' }]);
+
+    const log = read(`privacyRequests/${result.requestId}`);
+    expect(log).to.include({ type: 'lookup', reference: 'DSAR-12', status: 'completed', requestedBy: 'admin1' });
+    expect(log.identifiers).to.deep.equal(['email']);
+    expect(JSON.stringify(log)).to.not.include('cara');
+    expect(read('inquiries/i1').email).to.equal('cara.hill@example.com');
+  });
+
+  it('erases personal data but keeps what a recent sale must retain', async () => {
+    const { outcome } = await privacyService.erase(subject, dpo, 'DSAR-12');
+
+    expect(outcome).to.include({
+      inquiriesAnonymised: 1,
+      activitiesDeleted: 1,
+      quotesRetained: 1,
+      quotesAnonymised: 1,
+      revisionsAnonymised: 1,
+      notificationsDeleted: 1,
+      errorLogsDeleted: 1,
+      filesDeleted: 2,
+      filesRetained: 1
+    });
+
+    const inquiry = read('inquiries/i1');
+    expect(inquiry).to.include({ name: 'Erased', email: null, phone: null, address: null, matchKeys: null });
+    expect(readCollection('inquiries/i1/activities')).to.deep.equal({});
+    expect(read('inquiries/other').email).to.equal('else@example.com');
+
+    const retained = read('quotes/q1');
+    expect(retained.customerInfo).to.deep.equal({ name: 'Cara Hill', email: null, phone: null });
+    expect(retained.propertyDetails).to.deep.equal({ address: '4 Elm Row, Leeds', postcode: 'LS1 1AA' });
+    expect(retained.acceptance).to.deep.equal({ signedName: 'Cara Hill' });
+
+    const expired = read('quotes/q2');
+    expect(expired.customerInfo.name).to.equal('Erased');
+    expect(expired.acceptance).to.equal(null);
+
+    expect(read('quotes/q1/revisions/r1').customerInfo.email).to.equal(null);
+    expect(readCollection('notifications/staff1/items')).to.deep.equal({});
+    expect(readCollection('error_logs')).to.deep.equal({});
+    expect(Object.keys(sent.files)).to.deep.equal(['quotes/q1/QT260001-v1.pdf']);
+  });
+});
@@ -0,0 +1,195 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, reset, sent } = require('../helpers/setup');
+const quoteAcceptanceService = require('../../services/quoteAcceptanceService');
+const pricingService = require('../../services/pricingService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SIGNATURE = `data:image/png;base64,${Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from('signature strokes')
+]).toString('base64')}`;
+
+function sentQuote(overrides = {}) {
+  const zones = [{ name: 'Loft', foamType: 'open-cell', accessDifficulty: 'easy', estimatedArea: 40 }];
+  const pricing = pricingService.priceWithRateCard({ zones }, pricingService.DEFAULT_RATE_CARD);
+
+  return {
+    ...pricing,
+    zones,
+    removalDetails: { foamType: 'open-cell', accessDifficulty: 'easy', estimatedArea: 40 },
+    quoteNumber: 'QT260001',
+    version: 1,
+    status: 'sent',
+    inquiryId: 'i1',
+    createdBy: 'author',
+    customerInfo: { name: 'Ann Lee', email: 'ann@example.com' },
+    propertyDetails: { address: '1 High Street, Leeds', postcode: 'LS1 1AA' },
+    internalNotes: 'Margin is thin',
+    createdAt: new Date(),
+    sentAt: new Date(),
+    expiresAt: new Date(Date.now() + 30 * DAY),
+    statusHistory: [],
+    ...overrides
+  };
+}
+
+// Seeds a sent quote and issues its link - returns { token, pdfHash }
+async function issue(overrides) {
+  const quote = sentQuote(overrides);
+  seed({ 'quotes/q1': quote });
+  return quoteAcceptanceService.issueLink({ id: 'q1', ...quote });
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('quoteAcceptanceService', () => {
+  beforeEach(() => reset());
+
+  it('stores the PDF it links to and only a hash of the token', async () => {
+    const link = await issue();
+    const access = read('quotes/q1').acceptanceAccess;
+
+    expect(link.url).to.equal(`https://foamfighters.co.uk/accept-quote.html#t=${link.token}`);
+    expect(access.tokenHash).to.have.length(64);
+    expect(access.tokenHash).not.to.equal(link.token);
+    expect(access.pdfPath).to.equal('quotes/q1/QT260001-v1.pdf');
+    expect(access.pdfHash).to.equal(link.pdfHash);
+    expect(sent.files[access.pdfPath].metadata.metadata.sha256).to.equal(link.pdfHash);
+  });
+
+  it('never lets a link outlive the quote', async () => {
+    const expiresAt = new Date(Date.now() + 3 * DAY);
+    const link = await issue({ expiresAt });
+
+    expect(link.expiresAt.getTime()).to.equal(expiresAt.getTime());
+  });
+
+  it('gives unknown, malformed and superseded links the same 403', async () => {
+    const link = await issue();
+
+    const errors = [
+      await rejection(quoteAcceptanceService.findByToken('not-a-token')),
+      await rejection(quoteAcceptanceService.findByToken('x'.repeat(32)))
+    ];
+
+    seed({ 'quotes/q1': { ...read('quotes/q1'), version: 2 } });
+    errors.push(await rejection(quoteAcceptanceService.findByToken(link.token)));
+
+    errors.forEach(error => {
+      expect(error.status).to.equal(403);
+      expect(error.message).to.equal('This quote link is invalid or has expired');
+    });
+  });
+
+  it('shows the customer their quote without staff notes', async () => {
+    const link = await issue();
+    const view = quoteAcceptanceService.getPublicView(await quoteAcceptanceService.findByToken(link.token));
+
+    expect(view).to.include({ quoteNumber: 'QT260001', status: 'sent', canRespond: true, totalAmount: 1356 });
+    expect(view.deposit).to.deep.equal({ percentage: 25, amount: 339 });
+    expect(view).not.to.have.property('internalNotes');
+    expect(view.lineItems[0]).not.to.have.property('baseRate');
+  });
+
+  it('records the signature and the exact document accepted', async () => {
+    const link = await issue();
+
+    const quote = await quoteAcceptanceService.accept(link.token, {
+      name: 'Ann Lee',
+      signature: SIGNATURE,
+      pdfHash: link.pdfHash
+    }, { ipAddress: '203.0.113.7', userAgent: 'Browser' });
+
+    expect(quote.status).to.equal('accepted');
+
+    const stored = read('quotes/q1');
+    expect(stored.status).to.equal('accepted');
+    expect(stored.acceptance).to.include({
+      signedName: 'Ann Lee',
+      signaturePath: 'quotes/q1/signature-v1.png',
+      pdfHash: link.pdfHash,
+      version: 1,
+      ipAddress: '203.0.113.7'
+    });
+    expect(stored.statusHistory[0]).to.include({ status: 'accepted', previousStatus: 'sent', changedByName: 'ann@example.com' });
+    expect(sent.files['quotes/q1/signature-v1.png']).to.exist;
+
+    const activities = Object.values(readCollection('inquiries/i1/activities'));
+    expect(activities.map(activity => activity.type)).to.deep.equal(['quote_response']);
+    expect(Object.keys(readCollection('notifications/author/items'))).to.have.length(1);
+  });
+
+  it('refuses a second response', async () => {
+    const link = await issue();
+    await quoteAcceptanceService.accept(link.token, { name: 'Ann Lee', signature: SIGNATURE, pdfHash: link.pdfHash });
+
+    const error = await rejection(quoteAcceptanceService.decline(link.token, { reason: 'Changed my mind', pdfHash: link.pdfHash }));
+
+    expect(error.status).to.equal(409);
+    expect(error.message).to.equal('This quote has already been accepted');
+    expect(read('quotes/q1').status).to.equal('accepted');
+  });
+
+  it('refuses a page opened before the document changed', async () => {
+    const link = await issue();
+
+    const error = await rejection(quoteAcceptanceService.accept(link.token, {
+      name: 'Ann Lee',
+      signature: SIGNATURE,
+      pdfHash: 'f'.repeat(64)
+    }));
+
+    expect(error.status).to.equal(409);
+    expect(read('quotes/q1').status).to.equal('sent');
+  });
+
+  it('refuses expired quotes', async () => {
+    const link = await issue();
+    seed({ 'quotes/q1': { ...read('quotes/q1'), expiresAt: new Date(Date.now() - DAY) } });
+
+    const error = await rejection(quoteAcceptanceService.accept(link.token, {
+      name: 'Ann Lee',
+      signature: SIGNATURE,
+      pdfHash: link.pdfHash
+    }));
+
+    expect(error.status).to.equal(409);
+    expect(error.message).to.equal('This quote has expired - please contact us for an updated quote');
+  });
+
+  it('only takes a PNG signature', async () => {
+    const link = await issue();
+
+    const error = await rejection(quoteAcceptanceService.accept(link.token, {
+      name: 'Ann Lee',
+      signature: `data:image/png;base64,${Buffer.from('<svg/>').toString('base64')}`,
+      pdfHash: link.pdfHash
+    }));
+
+    expect(error.code).to.equal('validation-failed');
+    expect(error.details).to.deep.equal([{ path: 'signature', msg: 'Signature must be a PNG image' }]);
+  });
+
+  it('declines with the customer\'s reason', async () => {
+    const link = await issue();
+
+    const quote = await quoteAcceptanceService.decline(link.token, {
+      reason: 'Went with another firm',
+      pdfHash: link.pdfHash
+    }, { ipAddress: '203.0.113.7' });
+
+    expect(quote.status).to.equal('rejected');
+    expect(read('quotes/q1')).to.include({
+      rejectionReason: 'Went with another firm',
+      declinedByCustomer: true,
+      declineIpAddress: '203.0.113.7'
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, reset } = require('../helpers/setup');
+const quoteApprovalService = require('../../services/quoteApprovalService');
+const permissionService = require('../../services/permissionService');
+
+const author = { uid: 'author', email: 'author@example.com' };
+const manager = { uid: 'manager', email: 'manager@example.com' };
+const admin = { uid: 'admin', email: 'admin@example.com' };
+
+function draftQuote(totalAmount) {
+  return {
+    quoteNumber: 'QT260001',
+    version: 1,
+    status: 'draft',
+    totalAmount,
+    createdBy: author.uid,
+    createdByName: author.email,
+    customerInfo: { name: 'Ann Lee', email: 'ann@example.com' },
+    statusHistory: []
+  };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('quoteApprovalService', () => {
+  beforeEach(() => {
+    reset();
+    quoteApprovalService.invalidate();
+    permissionService.invalidate();
+    seed({
+      'users/author': { role: 'technician', status: 'active' },
+      'users/manager': { role: 'manager', status: 'active' },
+      'users/admin': { role: 'admin', status: 'active' },
+      'users/former': { role: 'manager', status: 'inactive' }
+    });
+  });
+
+  it('approves quotes under the threshold straight from draft', async () => {
+    seed({ 'quotes/q1': draftQuote(1200) });
+
+    const quote = await quoteApprovalService.approve('q1', {}, author);
+
+    expect(quote.status).to.equal('approved');
+    expect(quote.requiresApproval).to.equal(false);
+    expect(read('quotes/q1')).to.include({ status: 'approved', approvedBy: 'author', approvedVersion: 1 });
+  });
+
+  it('requires quotes over the threshold to be submitted first', async () => {
+    seed({ 'quotes/q1': draftQuote(8000) });
+
+    const error = await rejection(quoteApprovalService.approve('q1', {}, manager));
+
+    expect(error.status).to.equal(409);
+    expect(error.message).to.equal('Quotes over £5000 must be submitted for approval first');
+  });
+
+  it('notifies active approvers other than the author on submit', async () => {
+    seed({ 'quotes/q1': draftQuote(8000) });
+
+    const quote = await quoteApprovalService.submit('q1', { note: 'Big loft job' }, author);
+
+    expect(quote.status).to.equal('pending-approval');
+    expect(quote.requiresApproval).to.equal(true);
+    expect(Object.keys(readCollection('notifications/manager/items'))).to.have.length(1);
+    expect(Object.keys(readCollection('notifications/admin/items'))).to.have.length(1);
+    expect(readCollection('notifications/author/items')).to.deep.equal({});
+    expect(readCollection('notifications/former/items')).to.deep.equal({});
+  });
+
+  it('stops the author approving their own quote', async () => {
+    seed({ 'quotes/q1': { ...draftQuote(8000), createdBy: manager.uid } });
+    await quoteApprovalService.submit('q1', {}, manager);
+
+    const error = await rejection(quoteApprovalService.approve('q1', {}, manager));
+
+    expect(error.status).to.equal(403);
+    expect(error.message).to.equal('You cannot approve a quote you created, revised or submitted');
+  });
+
+  it('approves a submitted quote and logs each step', async () => {
+    seed({ 'quotes/q1': draftQuote(8000) });
+    await quoteApprovalService.submit('q1', {}, author);
+
+    const quote = await quoteApprovalService.approve('q1', { note: 'Checked rates', version: 1 }, manager);
+
+    expect(quote.status).to.equal('approved');
+    expect(quote.approvedByName).to.equal('manager@example.com');
+
+    const log = await quoteApprovalService.listApprovals('q1');
+    expect(log.map(entry => [entry.action, entry.fromStatus, entry.toStatus, entry.by])).to.deep.equal([
+      ['submitted', 'draft', 'pending-approval', 'author'],
+      ['approved', 'pending-approval', 'approved', 'manager']
+    ]);
+
+    const decisions = Object.values(readCollection('notifications/author/items'));
+    expect(decisions).to.have.length(1);
+  });
+
+  it('refuses a decision on a version that has since been revised', async () => {
+    seed({ 'quotes/q1': { ...draftQuote(8000), version: 2 } });
+    await quoteApprovalService.submit('q1', {}, author);
+
+    const error = await rejection(quoteApprovalService.approve('q1', { version: 1 }, manager));
+
+    expect(error.status).to.equal(409);
+    expect(error.currentVersion).to.equal(2);
+  });
+
+  it('sends rejected quotes back to draft with the reason', async () => {
+    seed({ 'quotes/q1': draftQuote(8000), 'quotes/q2': draftQuote(8000) });
+    await quoteApprovalService.submit('q1', {}, author);
+
+    const quote = await quoteApprovalService.reject('q1', { reason: 'Travel band is wrong' }, manager);
+
+    expect(quote.status).to.equal('draft');
+    expect(read('quotes/q1')).to.include({ approvalRejectionReason: 'Travel band is wrong', approvalRejectedBy: 'manager' });
+
+    const error = await rejection(quoteApprovalService.reject('q2', { reason: 'No' }, manager));
+    expect(error.status).to.equal(409);
+  });
+
+  it('uses the threshold saved in settings', async () => {
+    await quoteApprovalService.updateRules({ threshold: 1000 }, admin);
+    seed({ 'quotes/q1': draftQuote(1200) });
+
+    expect(await quoteApprovalService.requiresApproval(1200)).to.equal(true);
+    expect((await rejection(quoteApprovalService.approve('q1', {}, manager))).status).to.equal(409);
+    expect(quoteApprovalService.validateRules({ threshold: -1, limit: 3 })).to.deep.equal([
+      'threshold must be an amount between £0 and £1000000',
+      'Unknown approval rule: limit'
+    ]);
+  });
+});
@@ -0,0 +1,206 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, reset } = require('../helpers/setup');
+const quoteService = require('../../services/quoteService');
+const pricingService = require('../../services/pricingService');
+
+const staff = { uid: 'u1', email: 'staff@example.com' };
+const input = {
+  customerInfo: { name: 'Cara Hill', email: 'cara@example.com' },
+  propertyDetails: { address: '4 Elm Row, Leeds', postcode: 'LS1 1AA', propertyType: 'residential' },
+  removalDetails: { foamType: 'open-cell', estimatedArea: 40, accessDifficulty: 'easy', urgency: 'standard' }
+};
+const access = { tokenHash: 'hash', version: 1, pdfPath: 'quotes/q1/QT260001-v1.pdf', pdfHash: 'pdf' };
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('quoteService', () => {
+  beforeEach(() => {
+    reset();
+    pricingService.invalidate();
+  });
+
+  describe('createQuote', () => {
+    it('takes the attribution from the inquiry, never from the request', async () => {
+      const attribution = { firstTouch: { utmSource: 'google' }, lastTouch: { gclid: 'Cj0KCQ' } };
+      seed({ 'inquiries/i1': { attribution } });
+
+      const quote = await quoteService.createQuote({
+        ...input,
+        inquiryId: 'i1',
+        attribution: { firstTouch: { utmSource: 'forged' } }
+      }, staff);
+
+      expect(read(`quotes/${quote.id}`).attribution).to.deep.equal(attribution);
+    });
+  });
+
+  describe('markSent', () => {
+    it('moves an approved quote to sent with its history and acceptance link', async () => {
+      seed({ 'quotes/q1': { status: 'approved', version: 1, quoteNumber: 'QT260001', statusHistory: [] } });
+
+      await quoteService.markSent('q1', 1, access, staff);
+
+      const quote = read('quotes/q1');
+      expect(quote.status).to.equal('sent');
+      expect(quote.sentBy).to.equal('u1');
+      expect(quote.sentVersion).to.equal(1);
+      expect(quote.emailsSent).to.equal(1);
+      expect(quote.acceptanceAccess).to.deep.equal(access);
+      expect(quote.statusHistory[0]).to.include({ status: 'sent', previousStatus: 'approved', changedBy: 'u1' });
+    });
+
+    it('leaves a quote revised while the email went out unsent', async () => {
+      seed({ 'quotes/q1': { status: 'draft', version: 2, quoteNumber: 'QT260001' } });
+
+      const error = await rejection(quoteService.markSent('q1', 1, access, staff));
+
+      expect(error.status).to.equal(409);
+      expect(error.currentVersion).to.equal(2);
+      expect(read('quotes/q1').acceptanceAccess).to.equal(undefined);
+    });
+
+    it('refuses to send a quote that is no longer approved', async () => {
+      seed({ 'quotes/q1': { status: 'pending-approval', version: 1, quoteNumber: 'QT260001' } });
+
+      const error = await rejection(quoteService.markSent('q1', 1, access, staff));
+
+      expect(error.status).to.equal(409);
+      expect(read('quotes/q1').status).to.equal('pending-approval');
+    });
+  });
+
+  describe('reviseQuote', () => {
+    it('snapshots the current version and restarts it as a repriced draft', async () => {
+      const quote = await quoteService.createQuote(input, staff);
+      seed({ [`quotes/${quote.id}`]: { ...read(`quotes/${quote.id}`), status: 'sent', sentAt: new Date(), acceptanceAccess: access } });
+
+      const revised = await quoteService.reviseQuote(quote.id, {
+        removalDetails: { ...input.removalDetails, estimatedArea: 80 },
+        reason: 'Customer added the garage'
+      }, staff);
+
+      expect(revised.version).to.equal(2);
+      expect(revised.totalAmount).to.be.above(quote.totalAmount);
+
+      const saved = read(`quotes/${quote.id}`);
+      expect(saved).to.include({ status: 'draft', version: 2, sentAt: null, acceptanceAccess: null, revisionReason: 'Customer added the garage' });
+      expect(saved.statusHistory[saved.statusHistory.length - 1]).to.include({
+        status: 'draft',
+        previousStatus: 'sent',
+        reason: 'Revised to version 2'
+      });
+
+      const snapshot = read(`quotes/${quote.id}/revisions/1`);
+      expect(snapshot).to.include({ version: 1, status: 'sent', totalAmount: quote.totalAmount, supersededBy: 'u1' });
+      expect(snapshot.acceptanceAccess).to.deep.equal(access);
+    });
+
+    it('keeps the price when only the notes change', async () => {
+      seed({ 'quotes/q1': { status: 'approved', version: 3, totalAmount: 1200, customerNotes: 'Old' } });
+
+      const revised = await quoteService.reviseQuote('q1', { customerNotes: 'New' }, staff);
+
+      expect(revised).to.include({ version: 4, totalAmount: 1200, customerNotes: 'New', approvedBy: null });
+      expect(Object.keys(readCollection('quotes/q1/revisions'))).to.deep.equal(['3']);
+    });
+
+    it('refuses quotes that have been accepted or turned into a project', async () => {
+      seed({
+        'quotes/q1': { status: 'accepted', version: 1 },
+        'quotes/q2': { status: 'project-created', version: 1 }
+      });
+
+      const accepted = await rejection(quoteService.reviseQuote('q1', {}, staff));
+      const converted = await rejection(quoteService.reviseQuote('q2', {}, staff));
+
+      expect(accepted.status).to.equal(409);
+      expect(accepted.message).to.equal('A quote that is accepted can no longer be revised');
+      expect(converted.status).to.equal(409);
+      expect(readCollection('quotes/q1/revisions')).to.deep.equal({});
+    });
+
+    it('never rewrites a version that was already snapshotted', async () => {
+      seed({
+        'quotes/q1': { status: 'draft', version: 2, totalAmount: 900 },
+        'quotes/q1/revisions/2': { version: 2, totalAmount: 800 }
+      });
+
+      await rejection(quoteService.reviseQuote('q1', { customerNotes: 'Again' }, staff));
+
+      expect(read('quotes/q1/revisions/2').totalAmount).to.equal(800);
+      expect(read('quotes/q1').version).to.equal(2);
+    });
+
+    it('404s for an unknown quote', async () => {
+      const error = await rejection(quoteService.reviseQuote('missing', {}, staff));
+
+      expect(error.status).to.equal(404);
+    });
+  });
+
+  describe('revision history', () => {
+    const line = (description, quantity, amount) => ({ type: 'zone', description, quantity, unit: 'm2', unitPrice: amount / quantity, amount });
+
+    beforeEach(() => seed({
+      'quotes/q1': {
+        quoteNumber: 'QT260001',
+        status: 'draft',
+        version: 2,
+        netAmount: 1000,
+        vatAmount: 200,
+        totalAmount: 1200,
+        customerNotes: 'Garage added',
+        lineItems: [line('Loft', 40, 800), line('Garage', 10, 200)]
+      },
+      'quotes/q1/revisions/1': {
+        quoteNumber: 'QT260001',
+        status: 'sent',
+        version: 1,
+        netAmount: 750,
+        vatAmount: 150,
+        totalAmount: 900,
+        revisionReason: null,
+        supersededByName: 'staff@example.com',
+        lineItems: [line('Loft', 30, 600), line('Porch', 5, 150)]
+      }
+    }));
+
+    it('lists earlier versions', async () => {
+      const revisions = await quoteService.listRevisions('q1');
+
+      expect(revisions).to.have.length(1);
+      expect(revisions[0]).to.include({ version: 1, status: 'sent', totalAmount: 900, supersededByName: 'staff@example.com' });
+    });
+
+    it('returns a version, the quote itself for the current one, and null past it', async () => {
+      expect((await quoteService.getQuoteVersion('q1', 1)).totalAmount).to.equal(900);
+      expect((await quoteService.getQuoteVersion('q1', 2)).totalAmount).to.equal(1200);
+      expect(await quoteService.getQuoteVersion('q1', 3)).to.equal(null);
+      expect(await quoteService.getQuoteVersion('missing', 1)).to.equal(null);
+    });
+
+    it('diffs totals, lines and fields between versions', async () => {
+      const diff = await quoteService.diffVersions('q1', 1);
+
+      expect(diff).to.include({ quoteId: 'q1', quoteNumber: 'QT260001', from: 1, to: 2 });
+      expect(diff.totals.totalAmount).to.deep.equal({ from: 900, to: 1200, change: 300 });
+      expect(diff.lines.added.map(added => added.description)).to.deep.equal(['Garage']);
+      expect(diff.lines.removed.map(removed => removed.description)).to.deep.equal(['Porch']);
+      expect(diff.lines.changed).to.have.length(1);
+      expect(diff.lines.changed[0]).to.include({ description: 'Loft', change: 200 });
+      expect(diff.fields).to.deep.equal([{ field: 'customerNotes', from: null, to: 'Garage added' }]);
+    });
+
+    it('returns null when either version is missing', async () => {
+      expect(await quoteService.diffVersions('q1', 1, 5)).to.equal(null);
+      expect(await quoteService.diffVersions('q1', 0)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, reset } = require('../helpers/setup');
+const retentionService = require('../../services/retentionService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date();
+const daysAgo = days => new Date(now.getTime() - days * DAY);
+const admin = { uid: 'admin1', email: 'admin@example.com' };
+
+describe('retentionService', () => {
+  beforeEach(() => {
+    reset();
+    retentionService.invalidate();
+  });
+
+  describe('validateRules', () => {
+    it('accepts the built-in policy', () => {
+      expect(retentionService.validateRules(retentionService.DEFAULT_RULES)).to.deep.equal([]);
+    });
+
+    it('reports every problem with a rule', () => {
+      const problems = retentionService.validateRules([
+        { id: 'Bad Id', target: 'inquiries', action: 'redact', fields: ['email'], olderThanDays: 0, match: { name: 'x' }, extra: 1 },
+        { id: 'dup', target: 'quotes', action: 'delete', olderThanDays: 30 },
+        { id: 'dup', target: 'projects', action: 'delete', olderThanDays: 30 }
+      ]);
+
+      expect(problems).to.deep.equal([
+        'rules[0]: unknown retention rule field extra',
+        'rules[0].id must be lowercase letters, digits and dashes',
+        'rules[0].olderThanDays must be a whole number of days between 1 and 3650',
+        'rules[0].match.name is not a filterable field - use status, source',
+        'rules[0].fields must list fields to redact from: ipAddress, userAgent, spamCheck, matchKeys, message, notes, internalNotes',
+        'rules[2].id dup is used more than once',
+        'rules[2].target must be one of: inquiries, quotes, notifications'
+      ]);
+    });
+  });
+
+  describe('runRetention', () => {
+    beforeEach(() => {
+      seed({
+        'inquiries/old-spam': { status: 'spam', updatedAt: daysAgo(800), submittedAt: daysAgo(800) },
+        'inquiries/old-spam/activities/a1': { type: 'note' },
+        'inquiries/new-spam': { status: 'spam', updatedAt: daysAgo(10), submittedAt: daysAgo(10) },
+        'inquiries/old-live': {
+          status: 'completed',
+          updatedAt: daysAgo(800),
+          submittedAt: daysAgo(120),
+          ipAddress: '203.0.113.5',
+          userAgent: 'Firefox',
+          followUpSubmissions: [{ ipAddress: '203.0.113.9', message: 'Any update?' }]
+        },
+        'notifications/u1/items/n1': { read: true, createdAt: daysAgo(40) },
+        'notifications/u1/items/n2': { read: false, createdAt: daysAgo(40) }
+      });
+    });
+
+    it('previews a run without changing anything', async () => {
+      const report = await retentionService.runRetention({ dryRun: true, triggeredBy: admin });
+
+      expect(report.totals).to.deep.equal({ matched: 4, deleted: 2, redacted: 1 });
+      expect(report.rules[0].childrenDeleted).to.equal(1);
+      expect(read('inquiries/old-spam')).to.exist;
+      expect(read('inquiries/old-live').ipAddress).to.equal('203.0.113.5');
+      expect(read(`retentionReports/${report.id}`)).to.include({ dryRun: true, triggeredBy: 'admin1' });
+    });
+
+    it('deletes and redacts what the policy says and writes a report', async () => {
+      const report = await retentionService.runRetention();
+
+      expect(report.status).to.equal('completed');
+      expect(report.triggeredBy).to.equal('schedule');
+      expect(Object.keys(readCollection('inquiries'))).to.have.members(['new-spam', 'old-live']);
+      expect(readCollection('inquiries/old-spam/activities')).to.deep.equal({});
+      expect(Object.keys(readCollection('notifications/u1/items'))).to.deep.equal(['n2']);
+
+      const redacted = read('inquiries/old-live');
+      expect(redacted).to.include({ ipAddress: null, userAgent: null, status: 'completed' });
+      expect(redacted.followUpSubmissions).to.deep.equal([{ ipAddress: null, message: 'Any update?' }]);
+    });
+
+    it('reports a failing rule and still runs the rest', async () => {
+      seed({ 'settings/retention': { rules: [
+        { id: 'broken', target: 'inquiries', action: 'delete', ageField: 'updatedAt', olderThanDays: 30, match: { status: [] } },
+        { id: 'read-notifications', target: 'notifications', action: 'delete', match: { read: true }, olderThanDays: 30 }
+      ] } });
+      const original = retentionService.applyRule;
+      retentionService.applyRule = async function(rule, options) {
+        if (rule.id === 'broken') throw new Error('Index missing');
+        return original.call(this, rule, options);
+      };
+
+      try {
+        const report = await retentionService.runRetention();
+
+        expect(report.status).to.equal('completed-with-errors');
+        expect(report.rules.map(rule => [rule.id, rule.status])).to.deep.equal([
+          ['broken', 'failed'],
+          ['read-notifications', 'completed']
+        ]);
+        expect(report.rules[0].error).to.equal('Index missing');
+        expect(report.totals.deleted).to.equal(1);
+      } finally {
+        retentionService.applyRule = original;
+      }
+    });
+  });
+});
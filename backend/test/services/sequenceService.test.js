@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const { db, seed, read, reset } = require('../helpers/setup');
+const sequenceService = require('../../services/sequenceService');
+
+const march = new Date(2026, 2, 1);
+
+describe('sequenceService', () => {
+  beforeEach(() => {
+    reset();
+    sequenceService.invalidate();
+  });
+
+  describe('next', () => {
+    it('counts up per entity and restarts each year', async () => {
+      const first = await sequenceService.next('quote', { date: march });
+      const second = await sequenceService.next('quote', { date: march });
+      const project = await sequenceService.next('project', { date: march });
+      const nextYear = await sequenceService.next('quote', { date: new Date(2027, 0, 1) });
+
+      expect([first.number, second.number, project.number, nextYear.number])
+        .to.deep.equal(['Q-2026-00001', 'Q-2026-00002', 'P-2026-00001', 'Q-2027-00001']);
+      expect(second).to.include({ numberKey: 'Q202600002', sequence: 2 });
+      expect(read('counters/quote-2026')).to.include({ entity: 'quote', year: 2026, value: 2 });
+    });
+
+    it('uses the saved format and carries on from the current counter', async () => {
+      seed({
+        'settings/numbering': { formats: { inquiry: 'ENQ{YY}-{SEQ:4}' } },
+        'counters/inquiry-2026': { value: 41 }
+      });
+
+      expect((await sequenceService.next('inquiry', { date: march })).number).to.equal('ENQ26-0042');
+    });
+
+    it('allocates inside a caller\'s transaction', async () => {
+      const allocated = await db.runTransaction(transaction => sequenceService.next('project', { transaction, date: march }));
+
+      expect(allocated.number).to.equal('P-2026-00001');
+      expect(read('counters/project-2026').value).to.equal(1);
+    });
+  });
+
+  describe('validateFormats', () => {
+    it('accepts the built-in formats', () => {
+      expect(sequenceService.validateFormats(sequenceService.DEFAULT_FORMATS)).to.deep.equal([]);
+    });
+
+    it('needs one counter, the year and URL-safe text', () => {
+      expect(sequenceService.validateFormats({
+        quote: 'q/{SEQ:2}',
+        project: 'P-{SEQ:4}-{SEQ:4}-{YY}',
+        invoice: 'I-{YYYY}-{SEQ:5}'
+      })).to.deep.equal([
+        'quote format may only contain capital letters, digits, "-" and {YYYY}, {YY}, {SEQ:n}',
+        'quote format needs exactly one {SEQ:n} with n between 3 and 8',
+        'quote format must include the year as {YYYY} or {YY}',
+        'project format needs exactly one {SEQ:n} with n between 3 and 8',
+        'Unknown numbered entity: invoice - use inquiry, quote, project'
+      ]);
+    });
+  });
+
+  describe('findByNumber', () => {
+    beforeEach(() => {
+      seed({
+        'quotes/old': { quoteNumber: 'QT1712345678ABC' },
+        'quotes/new': { quoteNumber: 'Q-2026-00042', numberKey: 'Q202600042' }
+      });
+    });
+
+    it('finds pre-sequence and sequential numbers however they are typed', async () => {
+      expect((await sequenceService.findByNumber('quote', ' qt1712345678abc ')).id).to.equal('old');
+      expect((await sequenceService.findByNumber('quote', 'q 2026 00042')).id).to.equal('new');
+      expect(await sequenceService.findByNumber('quote', 'Q-2026-00043')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const { seed, read, readCollection, reset } = require('../helpers/setup');
+const slaService = require('../../services/slaService');
+
+const admin = { uid: 'admin1', email: 'admin@example.com' };
+const HOUR = 60 * 60 * 1000;
+const now = new Date(Date.UTC(2026, 2, 10, 12));
+
+function overdue(extra = {}) {
+  return {
+    referenceNumber: 'FF-2026-00001',
+    name: 'Jo Bloggs',
+    status: 'assigned',
+    assignedTo: 'staff1',
+    followUpDate: new Date(now.getTime() - HOUR),
+    slaEscalationComplete: false,
+    ...extra
+  };
+}
+
+function notificationTypes(userId) {
+  return Object.values(readCollection(`notifications/${userId}/items`)).map(item => item.type);
+}
+
+describe('slaService', () => {
+  beforeEach(() => {
+    reset();
+    seed({ 'users/manager1': { uid: 'manager1', role: 'manager', status: 'active' } });
+  });
+
+  describe('checkBreaches', () => {
+    it('tells the assignee first and managers once the delay has passed', async () => {
+      seed({ 'inquiries/i1': overdue() });
+
+      const first = await slaService.checkBreaches(now);
+
+      expect(first).to.deep.equal({ checked: 1, breached: 1, escalated: 0, failed: 0 });
+      expect(notificationTypes('staff1')).to.deep.equal(['inquiry_sla_breach']);
+      expect(read('inquiries/i1').slaEscalationComplete).to.equal(false);
+
+      const later = await slaService.checkBreaches(new Date(now.getTime() + 2 * HOUR));
+
+      expect(later).to.deep.equal({ checked: 1, breached: 0, escalated: 1, failed: 0 });
+      expect(notificationTypes('manager1')).to.deep.equal(['inquiry_sla_escalation']);
+      expect(notificationTypes('staff1')).to.have.length(1);
+      expect(read('inquiries/i1').slaEscalationComplete).to.equal(true);
+    });
+
+    it('escalates unassigned inquiries to managers straight away', async () => {
+      seed({ 'inquiries/i1': overdue({ status: 'new', assignedTo: null }) });
+
+      const summary = await slaService.checkBreaches(now);
+
+      expect(summary.escalated).to.equal(1);
+      expect(notificationTypes('manager1')).to.deep.equal(['inquiry_sla_escalation']);
+      expect(read('inquiries/i1').slaEscalationComplete).to.equal(true);
+    });
+
+    it('leaves inquiries that are not yet due or already answered', async () => {
+      seed({
+        'inquiries/i1': overdue({ followUpDate: new Date(now.getTime() + HOUR) }),
+        'inquiries/i2': overdue({ status: 'in-progress' })
+      });
+
+      expect((await slaService.checkBreaches(now)).checked).to.equal(0);
+    });
+  });
+
+  describe('backfillEscalationFlags', () => {
+    it('lets legacy inquiries be escalated without repeating past escalations', async () => {
+      const legacy = overdue();
+      delete legacy.slaEscalationComplete;
+      const escalated = { ...legacy, slaEscalation: { managersNotifiedAt: new Date(now.getTime() - HOUR) } };
+      seed({ 'inquiries/i1': legacy, 'inquiries/i2': escalated, 'inquiries/i3': overdue() });
+
+      expect((await slaService.checkBreaches(now)).checked).to.equal(1);
+
+      const result = await slaService.backfillEscalationFlags(admin);
+
+      expect(result).to.deep.equal({ checked: 3, flagged: 2 });
+      expect(read('inquiries/i1').slaEscalationComplete).to.equal(false);
+      expect(read('inquiries/i2').slaEscalationComplete).to.equal(true);
+      expect((await slaService.checkBreaches(now)).checked).to.equal(2);
+    });
+  });
+});
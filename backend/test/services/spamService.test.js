@@ -0,0 +1,84 @@
+const { expect } = require('chai');
+const { readCollection, reset } = require('../helpers/setup');
+const spamService = require('../../services/spamService');
+
+const inquiry = { name: 'Jo Bloggs', email: 'jo@example.com', subject: 'Loft insulation', message: 'Please quote for my loft' };
+
+// A token issued long enough ago to pass the fill-time check
+function agedToken(ageMs = 60 * 1000) {
+  const realNow = Date.now;
+  Date.now = () => realNow() - ageMs;
+  try {
+    return spamService.issueFormToken();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+describe('spamService', () => {
+  beforeEach(() => reset());
+
+  describe('form tokens', () => {
+    it('accepts a token once and flags it when replayed', async () => {
+      const token = agedToken();
+
+      expect(await spamService.checkFormToken(token)).to.equal(null);
+      expect(await spamService.checkFormToken(token)).to.equal('reused-form-token');
+      expect(Object.keys(readCollection('formTokens'))).to.have.length(1);
+    });
+
+    it('flags missing, tampered, rushed and expired tokens without using them up', async () => {
+      const token = agedToken();
+
+      expect(await spamService.checkFormToken(undefined)).to.equal('missing-form-token');
+      expect(await spamService.checkFormToken(`${token.slice(0, -2)}xx`)).to.equal('invalid-form-token');
+      expect(await spamService.checkFormToken(agedToken(0))).to.equal('submitted-too-fast');
+      expect(await spamService.checkFormToken(agedToken(25 * 60 * 60 * 1000))).to.equal('expired-form-token');
+      expect(readCollection('formTokens')).to.deep.equal({});
+    });
+
+    it('only needs the secret when a token is issued or checked', async () => {
+      const secret = process.env.FORM_TOKEN_SECRET;
+      delete process.env.FORM_TOKEN_SECRET;
+
+      try {
+        expect(() => spamService.issueFormToken()).to.throw('FORM_TOKEN_SECRET is not set');
+
+        let error;
+        await spamService.checkFormToken('abc.def.ghi').catch(caught => { error = caught; });
+        expect(error.message).to.match(/FORM_TOKEN_SECRET is not set/);
+      } finally {
+        process.env.FORM_TOKEN_SECRET = secret;
+      }
+    });
+  });
+
+  describe('assessSubmission', () => {
+    it('passes a genuine submission', async () => {
+      const result = await spamService.assessSubmission({ formToken: agedToken() }, inquiry, { ipAddress: '203.0.113.5' });
+
+      expect(result).to.deep.equal({ isSpam: false, score: 0, signals: [] });
+    });
+
+    it('quarantines a replayed form', async () => {
+      const token = agedToken();
+      await spamService.assessSubmission({ formToken: token }, inquiry);
+
+      const result = await spamService.assessSubmission({ formToken: token }, inquiry);
+
+      expect(result.isSpam).to.equal(true);
+      expect(result.signals).to.deep.equal(['reused-form-token']);
+    });
+
+    it('adds up the content signals', async () => {
+      const result = await spamService.assessSubmission(
+        { formToken: agedToken(), website: 'http://bot.example' },
+        { ...inquiry, email: 'x@mailinator.com', message: 'Cheap casino backlinks at www.spam.example' }
+      );
+
+      expect(result.isSpam).to.equal(true);
+      expect(result.signals).to.have.members(['honeypot', 'contains-link', 'spam-keywords', 'disposable-email']);
+      expect(result.score).to.equal(12);
+    });
+  });
+});
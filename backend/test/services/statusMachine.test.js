@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+const { seed, reset } = require('../helpers/setup');
+const { inquiryStatusMachine, quoteStatusMachine, projectStatusMachine } = require('../../services/statusMachine');
+
+const staff = { uid: 'u1', email: 'staff@example.com' };
+
+// Resolves to the thrown error, or fails when nothing is thrown
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('status machines', () => {
+  beforeEach(() => reset());
+
+  it('lists the statuses each status may move to', () => {
+    expect(quoteStatusMachine.getAllowedTransitions('sent')).to.deep.equal(['accepted', 'rejected', 'expired']);
+    expect(quoteStatusMachine.canTransition('draft', 'sent')).to.equal(false);
+    expect(projectStatusMachine.getAllowedTransitions('completed')).to.deep.equal([]);
+    expect(inquiryStatusMachine.getAllowedTransitions('unknown')).to.deep.equal([]);
+  });
+
+  it('builds the status, history entry and entry fields for a legal move', async () => {
+    const update = await quoteStatusMachine.prepareTransition(
+      { status: 'draft', statusHistory: [{ status: 'draft' }] }, 'approved', {}, staff
+    );
+
+    expect(update.status).to.equal('approved');
+    expect(update.approvedBy).to.equal('u1');
+    expect(update.approvedAt).to.be.instanceOf(Date);
+    expect(update.statusHistory).to.have.length(2);
+    expect(update.statusHistory[1]).to.include({
+      status: 'approved',
+      previousStatus: 'draft',
+      changedBy: 'u1',
+      changedByName: 'staff@example.com'
+    });
+  });
+
+  it('refuses illegal moves with 409 and the allowed statuses', async () => {
+    const error = await rejection(quoteStatusMachine.prepareTransition({ status: 'draft' }, 'accepted', {}, staff));
+
+    expect(error.status).to.equal(409);
+    expect(error.message).to.equal('Cannot change quote status from draft to accepted');
+    expect(error.allowedTransitions).to.deep.equal(['pending-approval', 'approved']);
+  });
+
+  it('requires the fields a status needs', async () => {
+    const error = await rejection(projectStatusMachine.prepareTransition({ status: 'in-progress' }, 'on-hold', {}, staff));
+
+    expect(error.code).to.equal('validation-failed');
+    expect(error.details).to.deep.equal([{ path: 'holdReason', msg: 'holdReason is required to move to on-hold' }]);
+
+    const update = await projectStatusMachine.prepareTransition({ status: 'in-progress' }, 'on-hold', { holdReason: 'Waiting on access' }, staff);
+    expect(update.holdReason).to.equal('Waiting on access');
+  });
+
+  it('runs guards unless the caller skips them', async () => {
+    const inquiry = { id: 'i1', status: 'in-progress' };
+
+    const error = await rejection(inquiryStatusMachine.prepareTransition(inquiry, 'quoted', { quoteId: 'missing' }, staff));
+    expect(error.details).to.deep.equal([{ path: 'quoteId', msg: 'Quote not found' }]);
+
+    const skipped = await inquiryStatusMachine.prepareTransition(inquiry, 'quoted', { quoteId: 'missing' }, staff, { skipGuards: true });
+    expect(skipped.quoteId).to.equal('missing');
+
+    seed({ 'quotes/q1': { status: 'draft', inquiryId: 'i1' } });
+    const guarded = await inquiryStatusMachine.prepareTransition(inquiry, 'quoted', { quoteId: 'q1' }, staff);
+    expect(guarded.status).to.equal('quoted');
+  });
+
+  it('refuses to mark an inquiry quoted with another inquiry\'s quote', async () => {
+    seed({ 'quotes/q2': { status: 'draft', inquiryId: 'other' } });
+
+    const error = await rejection(inquiryStatusMachine.prepareTransition({ id: 'i1', status: 'new' }, 'quoted', { quoteId: 'q2' }, staff));
+
+    expect(error.status).to.equal(409);
+    expect(error.message).to.equal('Quote belongs to a different inquiry');
+  });
+
+  it('logs side-effect failures instead of undoing the change', async () => {
+    const calls = [];
+    const machine = Object.create(quoteStatusMachine, {
+      afterEnter: {
+        value: {
+          '*': async () => calls.push('any'),
+          sent: async () => {
+            calls.push('sent');
+            throw new Error('email down');
+          }
+        }
+      }
+    });
+
+    await machine.runAfterEnter({ id: 'q1' }, 'approved', 'sent', staff);
+
+    expect(calls).to.deep.equal(['sent', 'any']);
+  });
+});
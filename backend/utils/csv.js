@@ -0,0 +1,90 @@
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 parsing and formatting for imports and exports
+ */
+
+// Leading characters spreadsheet apps treat as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Handles quoted fields, escaped quotes and newlines inside quotes
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Excel adds a byte order mark to UTF-8 exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Format one CSV line (with trailing CRLF)
+ * Values that would run as spreadsheet formulas are prefixed with a quote
+ */
+function toCsvRow(values) {
+  return values.map(formatCell).join(',') + '\r\n';
+}
+
+// Helper functions
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  parseCsv,
+  toCsvRow
+};
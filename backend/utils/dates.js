@@ -0,0 +1,27 @@
+/**
+ * Date Helpers
+ * Read stored dates whether they are Firestore Timestamps, Dates, strings or numbers
+ */
+
+/**
+ * Milliseconds since the epoch - 0 when there is no value
+ */
+function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return new Date(value).getTime();
+}
+
+/**
+ * A Date - null when there is no value
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  return new Date(value);
+}
+
+module.exports = {
+  toMillis,
+  toDate
+};
@@ -0,0 +1,81 @@
+/**
+ * Pagination Helpers
+ * Shared query validation and parsing for list endpoints
+ * All list endpoints respond with { items, nextCursor, total }
+ */
+
+const { query } = require('express-validator');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Validation rules for list query parameters
+ */
+function paginationValidation(allowedSortFields) {
+  return [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a positive number')
+      // A cursor already says where the page starts
+      .custom((value, { req }) => !req.query.cursor)
+      .withMessage('Use either offset or cursor, not both'),
+
+    query('cursor')
+      .optional()
+      .isBase64({ urlSafe: true })
+      .withMessage('Invalid pagination cursor'),
+
+    query('sortBy')
+      .optional()
+      .isIn(allowedSortFields)
+      .withMessage(`Sort field must be one of: ${allowedSortFields.join(', ')}`),
+
+    query('sortOrder')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Sort order must be asc or desc')
+  ];
+}
+
+/**
+ * Build getPage() parameters from the request query and route filters
+ */
+function buildPageParams(reqQuery, whereConditions, defaults) {
+  const {
+    limit = String(DEFAULT_PAGE_SIZE),
+    offset = '0',
+    cursor,
+    sortBy = defaults.sortBy,
+    sortOrder = defaults.sortOrder
+  } = reqQuery;
+
+  const pageParams = {
+    orderBy: [[sortBy, sortOrder]],
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  };
+
+  if (cursor) {
+    pageParams.cursor = cursor;
+  }
+
+  if (whereConditions.length > 0) {
+    pageParams.where = whereConditions;
+  }
+
+  return pageParams;
+}
+
+module.exports = {
+  paginationValidation,
+  buildPageParams,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,342 @@
+/**
+ * Quote Acceptance
+ * Shows a sent quote from its emailed link and takes the customer's signed acceptance or decline
+ */
+
+const FALLBACK_API_URL = 'https://api-6swwnulcrq-nw.a.run.app';
+
+document.addEventListener('DOMContentLoaded', function() {
+    const resultContainer = document.getElementById('quoteResult');
+    const responseSection = document.getElementById('quoteResponse');
+    const messageContainer = document.getElementById('responseMessage');
+    const acceptForm = document.getElementById('acceptForm');
+    const declineForm = document.getElementById('declineForm');
+    if (!resultContainer || !responseSection || !acceptForm || !declineForm) return;
+
+    // The token is in the fragment (#t=...) so it never reaches server logs
+    const token = new URLSearchParams(window.location.hash.slice(1)).get('t');
+    const signaturePad = createSignaturePad(document.getElementById('signaturePad'));
+    let currentQuote = null;
+
+    document.getElementById('clearSignature').addEventListener('click', function() {
+        signaturePad.clear();
+    });
+
+    if (!token) {
+        showMessage(resultContainer, 'This link is incomplete. Please use the link from your quote email, or call us on 0333 577 0132.', 'warning');
+        return;
+    }
+
+    loadQuote();
+
+    acceptForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const name = acceptForm.signedName.value.trim();
+        if (name.length < 2) {
+            showMessage(messageContainer, 'Please type your full name.', 'warning');
+            return;
+        }
+        if (signaturePad.isEmpty()) {
+            showMessage(messageContainer, 'Please sign in the signature box.', 'warning');
+            return;
+        }
+        if (!acceptForm.agreeToTerms.checked) {
+            showMessage(messageContainer, 'Please confirm you accept the terms and conditions.', 'warning');
+            return;
+        }
+
+        await respond('accept', acceptForm, {
+            name,
+            signature: signaturePad.toDataURL(),
+            agreeToTerms: true,
+            pdfHash: currentQuote.pdfHash
+        });
+    });
+
+    declineForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const reason = declineForm.declineReason.value.trim();
+        if (reason.length < 2) {
+            showMessage(messageContainer, 'Please tell us why you are declining.', 'warning');
+            return;
+        }
+
+        await respond('decline', declineForm, {
+            reason,
+            pdfHash: currentQuote.pdfHash
+        });
+    });
+
+    async function loadQuote() {
+        try {
+            const response = await fetch(apiUrl(`/quote-acceptance/${encodeURIComponent(token)}`));
+            const data = await response.json();
+
+            if (!response.ok) {
+                showMessage(resultContainer, response.status === 403
+                    ? 'This quote link is invalid or has expired. If your quote has been updated, please use the link in the most recent email, or call us on 0333 577 0132.'
+                    : 'We couldn\'t load your quote right now. Please try again later.', 'warning');
+                return;
+            }
+
+            showQuote(data.quote);
+
+        } catch (error) {
+            console.error('Error loading quote', error);
+            showMessage(resultContainer, 'We couldn\'t load your quote right now. Please try again or call us on 0333 577 0132.', 'danger');
+        }
+    }
+
+    async function respond(action, form, payload) {
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        messageContainer.innerHTML = '';
+
+        try {
+            const response = await fetch(apiUrl(`/quote-acceptance/${encodeURIComponent(token)}/${action}`), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                const detail = data.details && data.details.length > 0 ? data.details[0].msg : data.error;
+                showMessage(messageContainer, detail || 'Something went wrong. Please try again.', 'warning');
+                return;
+            }
+
+            showQuote(data.quote);
+            showMessage(messageContainer, data.message, 'success');
+
+        } catch (error) {
+            console.error(`Error sending quote ${action}`, error);
+            showMessage(messageContainer, 'We couldn\'t send your response right now. Please try again or call us on 0333 577 0132.', 'danger');
+
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    function showQuote(quote) {
+        currentQuote = quote;
+        renderQuote(quote);
+        responseSection.classList.toggle('d-none', !quote.canRespond);
+
+        if (quote.canRespond) {
+            // The canvas has no size while hidden, so it is sized once shown
+            signaturePad.resize();
+        }
+    }
+
+    function renderQuote(quote) {
+        const card = document.createElement('div');
+        card.className = 'card shadow-sm border-0 mb-4';
+        card.innerHTML = `
+            <div class="card-header bg-primary-custom text-white d-flex justify-content-between align-items-center">
+                <h5 class="card-title mb-0"></h5>
+                <a class="btn btn-sm btn-light quote-pdf" target="_blank" rel="noopener">
+                    <i class="fas fa-file-pdf me-1"></i>View PDF
+                </a>
+            </div>
+            <div class="card-body p-4">
+                <div class="quote-status mb-3"></div>
+                <div class="row g-3 mb-4 quote-summary"></div>
+                <div class="table-responsive mb-3">
+                    <table class="table align-middle">
+                        <thead>
+                            <tr>
+                                <th>Description</th>
+                                <th class="text-end">Quantity</th>
+                                <th class="text-end">Rate</th>
+                                <th class="text-end">Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody class="quote-lines"></tbody>
+                        <tfoot class="quote-totals"></tfoot>
+                    </table>
+                </div>
+                <div class="p-3 bg-light rounded mb-4 quote-deposit"></div>
+                <h6 class="fw-bold mb-2">Terms and conditions</h6>
+                <ul class="small mb-0 quote-terms"></ul>
+            </div>
+        `;
+
+        card.querySelector('.card-title').textContent = `Quote ${quote.quoteNumber}`;
+        card.querySelector('.quote-pdf').href = apiUrl(`/quote-acceptance/${encodeURIComponent(token)}/pdf`);
+
+        const status = card.querySelector('.quote-status');
+        if (quote.status === 'accepted' && quote.acceptance) {
+            status.appendChild(alertBox(`Accepted by ${quote.acceptance.signedName} on ${formatDate(quote.acceptance.acceptedAt)}.`, 'success'));
+        } else if (quote.status === 'rejected') {
+            status.appendChild(alertBox('You have declined this quote. Call us on 0333 577 0132 if you would like an updated one.', 'secondary'));
+        } else if (quote.status === 'expired') {
+            status.appendChild(alertBox('This quote has expired. Please call us on 0333 577 0132 for an updated quote.', 'warning'));
+        }
+
+        const summary = card.querySelector('.quote-summary');
+        summary.appendChild(summaryItem('Prepared for', quote.customerName));
+        summary.appendChild(summaryItem('Property', quote.propertyAddress));
+        summary.appendChild(summaryItem('Issued', formatDate(quote.issuedAt)));
+        summary.appendChild(summaryItem('Valid until', formatDate(quote.expiresAt)));
+
+        const lines = card.querySelector('.quote-lines');
+        quote.lineItems.forEach(line => {
+            lines.appendChild(tableRow([
+                line.description,
+                line.unit ? `${line.quantity} ${line.unit}` : String(line.quantity),
+                formatMoney(line.unitPrice),
+                formatMoney(line.amount)
+            ]));
+        });
+
+        const totals = card.querySelector('.quote-totals');
+        totals.appendChild(tableRow(['', '', 'Subtotal', formatMoney(quote.netAmount)]));
+        totals.appendChild(tableRow(['', '', `VAT (${Math.round(quote.vatRate * 100)}%)`, formatMoney(quote.vatAmount)]));
+        const totalRow = tableRow(['', '', 'Total', formatMoney(quote.totalAmount)]);
+        totalRow.className = 'fw-bold';
+        totals.appendChild(totalRow);
+
+        const deposit = card.querySelector('.quote-deposit');
+        deposit.textContent = `Deposit due on acceptance: ${formatMoney(quote.deposit.amount)} (${quote.deposit.percentage}% of the total), balance on completion.`;
+
+        const terms = card.querySelector('.quote-terms');
+        quote.terms.forEach(term => {
+            const item = document.createElement('li');
+            item.textContent = term;
+            terms.appendChild(item);
+        });
+
+        if (quote.customerNotes) {
+            const notes = document.createElement('p');
+            notes.className = 'mt-3 mb-0';
+            notes.textContent = quote.customerNotes;
+            card.querySelector('.card-body').appendChild(notes);
+        }
+
+        resultContainer.innerHTML = '';
+        resultContainer.appendChild(card);
+    }
+
+    function summaryItem(title, value) {
+        const col = document.createElement('div');
+        col.className = 'col-md-6';
+
+        const heading = document.createElement('div');
+        heading.className = 'text-muted small';
+        heading.textContent = title;
+
+        const text = document.createElement('div');
+        text.className = 'fw-bold';
+        text.textContent = value || '';
+
+        col.appendChild(heading);
+        col.appendChild(text);
+        return col;
+    }
+
+    function tableRow(cells) {
+        const row = document.createElement('tr');
+        cells.forEach((value, index) => {
+            const cell = document.createElement('td');
+            if (index > 0) cell.className = 'text-end';
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        return row;
+    }
+
+    function alertBox(message, type) {
+        const alert = document.createElement('div');
+        alert.className = `alert alert-${type} mb-0`;
+        alert.textContent = message;
+        return alert;
+    }
+
+    function showMessage(container, message, type) {
+        container.innerHTML = '';
+        container.appendChild(alertBox(message, type));
+    }
+
+    function apiUrl(endpoint) {
+        return window.FirebaseConfig && window.FirebaseConfig.getApiUrl
+            ? window.FirebaseConfig.getApiUrl(endpoint)
+            : `${FALLBACK_API_URL}${endpoint}`;
+    }
+
+    function formatMoney(value) {
+        if (value === null || value === undefined) return '';
+        return `£${Number(value).toFixed(2)}`;
+    }
+
+    function formatDate(value) {
+        if (!value) return '';
+        return new Date(value).toLocaleDateString('en-GB', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+});
+
+// Mouse, pen and touch signature drawing on a canvas
+function createSignaturePad(canvas) {
+    const context = canvas.getContext('2d');
+    let drawing = false;
+    let hasInk = false;
+
+    function resize() {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = canvas.offsetWidth * ratio;
+        canvas.height = canvas.offsetHeight * ratio;
+        context.scale(ratio, ratio);
+        context.lineWidth = 2;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.strokeStyle = '#1a365d';
+        hasInk = false;
+    }
+
+    function point(e) {
+        const rect = canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    canvas.addEventListener('pointerdown', function(e) {
+        drawing = true;
+        canvas.setPointerCapture(e.pointerId);
+        const { x, y } = point(e);
+        context.beginPath();
+        context.moveTo(x, y);
+    });
+
+    canvas.addEventListener('pointermove', function(e) {
+        if (!drawing) return;
+        const { x, y } = point(e);
+        context.lineTo(x, y);
+        context.stroke();
+        hasInk = true;
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+        canvas.addEventListener(type, function() {
+            drawing = false;
+        });
+    });
+
+    return {
+        resize,
+        clear() {
+            context.clearRect(0, 0, canvas.width, canvas.height);
+            hasInk = false;
+        },
+        isEmpty() {
+            return !hasInk;
+        },
+        toDataURL() {
+            return canvas.toDataURL('image/png');
+        }
+    };
+}
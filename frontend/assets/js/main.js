@@ -85,6 +85,14 @@ function showToast(message, type = 'info') {
     }, 5000);
 }
 
+// First-party attribution storage (matches the Google Ads conversion window)
+const ATTRIBUTION_STORAGE_KEY = 'ff_attribution';
+const ATTRIBUTION_WINDOW_DAYS = 90;
+
+// Inquiry submission retries (cold starts can take several seconds)
+const SUBMIT_MAX_ATTEMPTS = 3;
+const SUBMIT_RETRY_DELAY_MS = 2000;
+
 // Main application class
 class FoamFightersApp {
     constructor() {
@@ -106,6 +114,9 @@ class FoamFightersApp {
         try {
             safeDebugLog('Initializing Foam Fighters website');
 
+            // Record how the visitor arrived before anything else runs
+            this.captureAttribution();
+
             // Initialize performance optimizations first
             await this.initializeLazyLoading();
 
@@ -214,6 +225,9 @@ class FoamFightersApp {
             const quoteForm = document.getElementById('quoteForm');
             if (!quoteForm) return;
 
+            // Fill-time token for spam protection
+            this.requestFormToken(quoteForm);
+
             // Form validation and submission
             const submitId = safeAddEventListener(quoteForm, 'submit', async (e) => {
                 e.preventDefault();
@@ -257,6 +271,9 @@ class FoamFightersApp {
             const contactForm = document.getElementById('contactForm');
             if (!contactForm) return;
 
+            // Fill-time token for spam protection
+            this.requestFormToken(contactForm);
+
             // Form validation and submission
             const submitId = safeAddEventListener(contactForm, 'submit', async (e) => {
                 e.preventDefault();
@@ -328,33 +345,27 @@ class FoamFightersApp {
                 subject: formData.get('subject'),
                 message: formData.get('message'),
                 preferredContact: formData.get('preferredContact'),
-                consent: formData.get('consent') === 'on'
+                consent: formData.get('consent') === 'on',
+
+                // Marketing attribution
+                attribution: this.getAttribution(),
+
+                // Spam protection
+                website: formData.get('website'),
+                formToken: form.dataset.formToken
             };
 
             // Submit to API
-            // Try window.FirebaseConfig first, fallback to direct API call
-            let result;
-            if (window.FirebaseConfig && window.FirebaseConfig.apiCall) {
-                result = await window.FirebaseConfig.apiCall('/inquiries', {
-                    method: 'POST',
-                    body: JSON.stringify(inquiryData)
-                });
-            } else {
-                // Fallback direct API call
-                const apiUrl = 'https://api-6swwnulcrq-nw.a.run.app/inquiries';
-                const response = await fetch(apiUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(inquiryData)
-                });
-                result = await response.json();
-            }
+            const result = await this.submitInquiry(inquiryData, this.getIdempotencyKey(form));
+
+            // Photos go up separately once the inquiry exists
+            await this.uploadAttachments(form, result);
 
             // Success - result will contain the response data
             showSuccess('Your quote request has been submitted successfully! We\'ll contact you within 24-48 hours.');
             form.reset();
+            delete form.dataset.idempotencyKey;
+            this.requestFormToken(form);
             
             // Track conversion
             this.trackConversion('quote_request', {
@@ -434,33 +445,27 @@ class FoamFightersApp {
                 consent: formData.get('consent') === 'on',
                 
                 // Add urgency mapping for backend
-                urgencyLevel: this.mapContactUrgencyToLevel(formData.get('urgency'))
+                urgencyLevel: this.mapContactUrgencyToLevel(formData.get('urgency')),
+
+                // Marketing attribution
+                attribution: this.getAttribution(),
+
+                // Spam protection
+                website: formData.get('website'),
+                formToken: form.dataset.formToken
             };
 
             // Submit to API
-            // Try window.FirebaseConfig first, fallback to direct API call
-            let result;
-            if (window.FirebaseConfig && window.FirebaseConfig.apiCall) {
-                result = await window.FirebaseConfig.apiCall('/inquiries', {
-                    method: 'POST',
-                    body: JSON.stringify(contactData)
-                });
-            } else {
-                // Fallback direct API call
-                const apiUrl = 'https://api-6swwnulcrq-nw.a.run.app/inquiries';
-                const response = await fetch(apiUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(contactData)
-                });
-                result = await response.json();
-            }
+            const result = await this.submitInquiry(contactData, this.getIdempotencyKey(form));
+
+            // Photos go up separately once the inquiry exists
+            await this.uploadAttachments(form, result);
 
             // Success
             showSuccess('Thank you for your contact! We\'ll be in touch within 24 hours to discuss your spray foam situation.');
             form.reset();
+            delete form.dataset.idempotencyKey;
+            this.requestFormToken(form);
             
             // Track conversion
             this.trackConversion('contact_form', {
@@ -496,6 +501,202 @@ class FoamFightersApp {
         }
     }
 
+    /**
+     * Submit an inquiry payload to the API
+     * Uses window.FirebaseConfig for the URL when present, otherwise the direct API
+     * Failed network attempts are retried with the same Idempotency-Key, so a
+     * request that did reach the server returns the original inquiry, not a duplicate
+     */
+    async submitInquiry(payload, idempotencyKey) {
+        const apiUrl = window.FirebaseConfig && window.FirebaseConfig.getApiUrl
+            ? window.FirebaseConfig.getApiUrl('/inquiries')
+            : 'https://api-6swwnulcrq-nw.a.run.app/inquiries';
+
+        for (let attempt = 1; ; attempt++) {
+            let response;
+
+            try {
+                response = await fetch(apiUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Idempotency-Key': idempotencyKey
+                    },
+                    body: JSON.stringify(payload)
+                });
+            } catch (networkError) {
+                if (attempt >= SUBMIT_MAX_ATTEMPTS) throw networkError;
+
+                safeDebugLog('Inquiry submission failed, retrying', { attempt });
+                await new Promise(resolve => safeSetTimeout(resolve, SUBMIT_RETRY_DELAY_MS * attempt, 'submit-retry'));
+                continue;
+            }
+
+            // 409 means the first attempt is still running; 502-504 a cold start or gateway timeout
+            const retryable = response.status === 409 || [502, 503, 504].includes(response.status);
+            if (retryable && attempt < SUBMIT_MAX_ATTEMPTS) {
+                safeDebugLog('Inquiry submission not finished, retrying', { attempt, status: response.status });
+                await new Promise(resolve => safeSetTimeout(resolve, SUBMIT_RETRY_DELAY_MS * attempt, 'submit-retry'));
+                continue;
+            }
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || `API call failed: ${response.status}`);
+            }
+
+            return data;
+        }
+    }
+
+    /**
+     * Idempotency key for the form's current submission
+     * Kept until the submission succeeds, so every retry and re-click reuses it
+     */
+    getIdempotencyKey(form) {
+        if (!form.dataset.idempotencyKey) {
+            form.dataset.idempotencyKey = window.crypto && window.crypto.randomUUID
+                ? window.crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+        }
+
+        return form.dataset.idempotencyKey;
+    }
+
+    /**
+     * Upload any photos or reports chosen on the form to the new inquiry
+     * The inquiry is already saved, so a failed upload only warns the customer
+     */
+    async uploadAttachments(form, result) {
+        const input = form.querySelector('input[type="file"][name="attachments"]');
+        const files = input ? Array.from(input.files) : [];
+
+        if (files.length === 0 || !result.upload || !result.upload.token) return;
+
+        try {
+            const data = new FormData();
+            files.slice(0, result.upload.maxFiles).forEach(file => data.append('files', file));
+
+            const url = window.FirebaseConfig && window.FirebaseConfig.getApiUrl
+                ? window.FirebaseConfig.getApiUrl(result.upload.path)
+                : 'https://api-6swwnulcrq-nw.a.run.app' + result.upload.path;
+
+            // No Content-Type header - the browser sets the multipart boundary
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'X-Upload-Token': result.upload.token
+                },
+                body: data
+            });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `Upload failed: ${response.status}`);
+            }
+
+            safeDebugLog('Attachments uploaded', { count: Math.min(files.length, result.upload.maxFiles) });
+
+        } catch (error) {
+            safeDebugError('Error uploading attachments', error);
+            showWarning('Your request was received, but your photos could not be uploaded. You can email them to us quoting your reference number.');
+        }
+    }
+
+    /**
+     * Fetch a fill-time token for a form
+     * Submissions without one are still accepted, just scored as more suspect
+     */
+    async requestFormToken(form) {
+        try {
+            let result;
+            if (window.FirebaseConfig && window.FirebaseConfig.apiCall) {
+                result = await window.FirebaseConfig.apiCall('/inquiries/form-token', {
+                    method: 'GET'
+                });
+            } else {
+                const response = await fetch('https://api-6swwnulcrq-nw.a.run.app/inquiries/form-token');
+                result = await response.json();
+            }
+
+            form.dataset.formToken = result.formToken || '';
+
+        } catch (error) {
+            safeDebugError('Error fetching form token', error);
+        }
+    }
+
+    /**
+     * Record the campaign, click ID and referrer this visit arrived with
+     * First touch is kept for the attribution window, last touch moves on
+     * every visit that carries campaign data or comes from another site
+     */
+    captureAttribution() {
+        try {
+            const params = new URLSearchParams(window.location.search);
+            const touch = {
+                utmSource: params.get('utm_source'),
+                utmMedium: params.get('utm_medium'),
+                utmCampaign: params.get('utm_campaign'),
+                utmTerm: params.get('utm_term'),
+                utmContent: params.get('utm_content'),
+                gclid: params.get('gclid'),
+                referrer: null,
+                landingPage: window.location.origin + window.location.pathname,
+                capturedAt: new Date().toISOString()
+            };
+
+            // Internal navigation is not a new touch
+            if (document.referrer) {
+                const referrer = new URL(document.referrer);
+                if (referrer.hostname !== window.location.hostname) {
+                    touch.referrer = referrer.origin + referrer.pathname;
+                }
+            }
+
+            const stored = this.getAttribution() || {};
+            const isNewTouch = Boolean(touch.utmSource || touch.utmCampaign || touch.gclid || touch.referrer);
+
+            // The very first page view counts as a (direct) touch
+            if (!stored.firstTouch) {
+                stored.firstTouch = touch;
+                stored.lastTouch = touch;
+            } else if (isNewTouch) {
+                stored.lastTouch = touch;
+            } else {
+                return;
+            }
+
+            localStorage.setItem(ATTRIBUTION_STORAGE_KEY, JSON.stringify(stored));
+            safeDebugLog('Attribution captured', { source: touch.utmSource, campaign: touch.utmCampaign });
+
+        } catch (error) {
+            // Storage can be blocked (private browsing) - forms still submit without it
+            safeDebugError('Error capturing attribution', error);
+        }
+    }
+
+    /**
+     * Stored first/last touch attribution, or null when none or expired
+     */
+    getAttribution() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(ATTRIBUTION_STORAGE_KEY));
+            if (!stored || !stored.firstTouch) return null;
+
+            const age = Date.now() - new Date(stored.firstTouch.capturedAt).getTime();
+            if (!(age < ATTRIBUTION_WINDOW_DAYS * 24 * 60 * 60 * 1000)) {
+                localStorage.removeItem(ATTRIBUTION_STORAGE_KEY);
+                return null;
+            }
+
+            return stored;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Map contact form urgency to API urgency level
      */
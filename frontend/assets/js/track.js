@@ -0,0 +1,190 @@
+/**
+ * Inquiry Tracker
+ * Looks up inquiry progress by reference number plus email or postcode
+ */
+
+const FALLBACK_API_URL = 'https://api-6swwnulcrq-nw.a.run.app';
+
+document.addEventListener('DOMContentLoaded', function() {
+    const trackForm = document.getElementById('trackForm');
+    const resultContainer = document.getElementById('trackResult');
+    if (!trackForm || !resultContainer) return;
+
+    // Pre-fill the reference from the confirmation email link
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('ref')) {
+        trackForm.referenceNumber.value = params.get('ref');
+    }
+
+    trackForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const referenceNumber = trackForm.referenceNumber.value.trim().toUpperCase();
+        const verification = trackForm.verification.value.trim();
+
+        if (!referenceNumber || !verification) {
+            showMessage('Please enter your reference number and your email address or postcode.', 'warning');
+            return;
+        }
+
+        // Anything with an @ is treated as the email address, otherwise as a postcode
+        const query = new URLSearchParams();
+        query.set(verification.includes('@') ? 'email' : 'postcode', verification);
+
+        const submitButton = trackForm.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        resultContainer.innerHTML = '';
+
+        try {
+            const endpoint = `/track/${encodeURIComponent(referenceNumber)}?${query.toString()}`;
+            const url = window.FirebaseConfig && window.FirebaseConfig.getApiUrl
+                ? window.FirebaseConfig.getApiUrl(endpoint)
+                : `${FALLBACK_API_URL}${endpoint}`;
+
+            const response = await fetch(url);
+            const data = await response.json();
+
+            if (response.status === 404) {
+                showMessage('We couldn\'t find an inquiry matching those details. Please check your reference number and the email address or postcode you used.', 'warning');
+                return;
+            }
+
+            if (response.status === 429) {
+                showMessage('Too many lookups from this connection. Please wait a few minutes and try again.', 'warning');
+                return;
+            }
+
+            if (!response.ok) {
+                showMessage('Please check your reference number and try again.', 'warning');
+                return;
+            }
+
+            renderTracking(data.tracking);
+
+        } catch (error) {
+            console.error('Error tracking inquiry', error);
+            showMessage('We couldn\'t load your inquiry status right now. Please try again or call us on 0333 577 0132.', 'danger');
+
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    function showMessage(message, type) {
+        resultContainer.innerHTML = '';
+        const alert = document.createElement('div');
+        alert.className = `alert alert-${type}`;
+        alert.textContent = message;
+        resultContainer.appendChild(alert);
+    }
+
+    function renderTracking(tracking) {
+        const card = document.createElement('div');
+        card.className = 'card shadow-sm border-0';
+        card.innerHTML = `
+            <div class="card-header bg-primary-custom text-white">
+                <h5 class="card-title mb-0"></h5>
+            </div>
+            <div class="card-body p-4">
+                <p class="lead mb-4"><strong>Current status:</strong> <span class="track-status"></span></p>
+                <div class="track-summary row g-3 mb-4"></div>
+                <h6 class="fw-bold mb-3">Timeline</h6>
+                <ul class="track-timeline list-unstyled mb-0"></ul>
+            </div>
+        `;
+
+        card.querySelector('.card-title').textContent = `Reference ${tracking.referenceNumber}`;
+        card.querySelector('.track-status').textContent = tracking.status;
+
+        const summary = card.querySelector('.track-summary');
+        if (tracking.quote) {
+            summary.appendChild(summaryItem('Quote', `${tracking.quote.quoteNumber} - ${tracking.quote.status}`,
+                tracking.quote.expiresAt ? `Valid until ${formatDate(tracking.quote.expiresAt)}` : ''));
+        }
+        if (tracking.project) {
+            summary.appendChild(summaryItem('Project', `${tracking.project.projectNumber} - ${tracking.project.status}`,
+                `${tracking.project.progressPercentage}% complete`));
+        }
+
+        const timeline = card.querySelector('.track-timeline');
+        tracking.timeline.forEach(event => {
+            const item = document.createElement('li');
+            item.className = 'track-event';
+
+            const label = document.createElement('strong');
+            label.textContent = event.label;
+
+            const date = document.createElement('div');
+            date.className = 'text-muted small';
+            date.textContent = formatDate(event.date);
+
+            item.appendChild(label);
+            item.appendChild(date);
+            timeline.appendChild(item);
+        });
+
+        if (tracking.project && tracking.project.milestones.length > 0) {
+            const heading = document.createElement('h6');
+            heading.className = 'fw-bold mt-4 mb-3';
+            heading.textContent = 'Work milestones';
+
+            const list = document.createElement('ul');
+            list.className = 'list-unstyled mb-0';
+            tracking.project.milestones.forEach(milestone => {
+                const item = document.createElement('li');
+                item.className = 'mb-1';
+                const icon = document.createElement('i');
+                icon.className = milestone.completed
+                    ? 'fas fa-check-circle text-success me-2'
+                    : 'far fa-circle text-muted me-2';
+                item.appendChild(icon);
+                item.appendChild(document.createTextNode(milestone.title));
+                list.appendChild(item);
+            });
+
+            card.querySelector('.card-body').appendChild(heading);
+            card.querySelector('.card-body').appendChild(list);
+        }
+
+        resultContainer.innerHTML = '';
+        resultContainer.appendChild(card);
+    }
+
+    function summaryItem(title, value, detail) {
+        const col = document.createElement('div');
+        col.className = 'col-md-6';
+
+        const box = document.createElement('div');
+        box.className = 'p-3 bg-light rounded';
+
+        const heading = document.createElement('div');
+        heading.className = 'text-muted small';
+        heading.textContent = title;
+
+        const text = document.createElement('div');
+        text.className = 'fw-bold';
+        text.textContent = value;
+
+        box.appendChild(heading);
+        box.appendChild(text);
+
+        if (detail) {
+            const extra = document.createElement('div');
+            extra.className = 'small';
+            extra.textContent = detail;
+            box.appendChild(extra);
+        }
+
+        col.appendChild(box);
+        return col;
+    }
+
+    function formatDate(value) {
+        if (!value) return '';
+        return new Date(value).toLocaleDateString('en-GB', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+});
@@ -24,6 +24,8 @@ export default defineConfig({
         'removal-process': './removal-process.html',
         'spf-guide': './spf-guide.html',
         'why-spf-problem': './why-spf-problem.html',
+        track: './track.html',
+        'accept-quote': './accept-quote.html',
         'blog-mortgage-guide': './blog/mortgage-refused-spray-foam-guide.html',
         'blog-cost-guide': './blog/spray-foam-removal-cost-uk.html',
         'blog-selling-guide': './blog/can-you-sell-house-spray-foam.html',
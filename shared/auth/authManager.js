@@ -54,28 +54,43 @@ const USER_ROLES = {
   CUSTOMER: 'customer'
 };
 
+/**
+ * Default permissions per role
+ * The backend merges admin overrides from settings/permissions over this map.
+ * A ":own" suffix grants the permission only on records the user owns
+ * (e.g. projects assigned to a technician).
+ */
 const ROLE_PERMISSIONS = {
   [USER_ROLES.ADMIN]: [
-    'users.read', 'users.write', 'users.delete',
-    'quotes.read', 'quotes.write', 'quotes.delete',
+    'users.read', 'users.write', 'users.delete', 'users.manage',
+    'quotes.read', 'quotes.write', 'quotes.delete', 'quotes.approve',
     'projects.read', 'projects.write', 'projects.delete',
     'inquiries.read', 'inquiries.write', 'inquiries.delete',
-    'reports.read', 'settings.write'
+    'uploads.read', 'uploads.write', 'uploads.delete',
+    'email.send', 'email.preview', 'email.manage',
+    'reports.read', 'settings.read', 'settings.write',
+    'privacy.manage'
   ],
   [USER_ROLES.MANAGER]: [
     'users.read', 'users.write',
-    'quotes.read', 'quotes.write',
+    'quotes.read', 'quotes.write', 'quotes.approve',
     'projects.read', 'projects.write',
     'inquiries.read', 'inquiries.write',
-    'reports.read'
+    'uploads.read', 'uploads.write', 'uploads.delete',
+    'email.send', 'email.preview',
+    'reports.read', 'settings.read'
   ],
   [USER_ROLES.TECHNICIAN]: [
-    'projects.read', 'projects.write',
+    'users.read:own', 'users.write:own',
+    'projects.read:own', 'projects.write:own',
     'quotes.read',
-    'inquiries.read'
+    'inquiries.read', 'inquiries.write:own',
+    'uploads.read', 'uploads.write',
+    'email.preview'
   ],
   [USER_ROLES.CUSTOMER]: [
-    'inquiries.write'
+    'users.read:own', 'users.write:own',
+    'inquiries.create'
   ]
 };
 
@@ -6,6 +6,29 @@
 const { getDb } = require('../config/firebaseConfig');
 const { safeSetTimeout, safeClearTimeout } = require('./TimerManager');
 
+/**
+ * Encode/decode opaque pagination cursors (document IDs)
+ * Uses Buffer on the server and btoa/atob in the browser
+ */
+function encodeCursor(docId) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(docId, 'utf8').toString('base64url');
+  }
+  return btoa(docId).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(String(cursor), 'base64url').toString('utf8');
+  }
+  return atob(String(cursor).replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+function isDocumentId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= 1500 &&
+    !value.includes('/') && value !== '.' && value !== '..';
+}
+
 class BatchQueryService {
   constructor() {
     this.cache = new Map();
@@ -120,33 +143,7 @@ class BatchQueryService {
     }
 
     try {
-      const db = getDb();
-      let query = db.collection(collection);
-      
-      // Apply query parameters
-      if (queryParams.where) {
-        queryParams.where.forEach(([field, operator, value]) => {
-          query = query.where(field, operator, value);
-        });
-      }
-      
-      if (queryParams.orderBy) {
-        queryParams.orderBy.forEach(([field, direction = 'asc']) => {
-          query = query.orderBy(field, direction);
-        });
-      }
-      
-      if (queryParams.limit) {
-        query = query.limit(queryParams.limit);
-      }
-      
-      if (queryParams.startAfter) {
-        query = query.startAfter(queryParams.startAfter);
-      }
-      
-      if (queryParams.endBefore) {
-        query = query.endBefore(queryParams.endBefore);
-      }
+      const query = await this.buildQuery(collection, queryParams);
       
       const snapshot = await query.get();
       const result = snapshot.docs.map(doc => ({
@@ -166,6 +163,113 @@ class BatchQueryService {
     }
   }
 
+  /**
+   * Build a Firestore query from query parameters
+   * Supports where, orderBy, limit, offset, startAfter/endBefore values
+   * and an opaque pagination cursor
+   */
+  async buildQuery(collection, queryParams = {}) {
+    const db = getDb();
+    let query = db.collection(collection);
+    
+    // Apply query parameters
+    if (queryParams.where) {
+      queryParams.where.forEach(([field, operator, value]) => {
+        query = query.where(field, operator, value);
+      });
+    }
+    
+    if (queryParams.orderBy) {
+      queryParams.orderBy.forEach(([field, direction = 'asc']) => {
+        query = query.orderBy(field, direction);
+      });
+    }
+    
+    if (queryParams.cursor) {
+      // Cursors point at the last document of the previous page
+      // A forged cursor holding a path would otherwise make doc() throw or look elsewhere
+      const cursorId = decodeCursor(queryParams.cursor);
+      const cursorDoc = isDocumentId(cursorId)
+        ? await db.collection(collection).doc(cursorId).get()
+        : null;
+      if (!cursorDoc || !cursorDoc.exists) {
+        const error = new Error('Invalid pagination cursor');
+        error.code = 'invalid-cursor';
+        throw error;
+      }
+      query = query.startAfter(cursorDoc);
+    }
+    
+    if (queryParams.startAfter) {
+      query = query.startAfter(queryParams.startAfter);
+    }
+    
+    if (queryParams.endBefore) {
+      query = query.endBefore(queryParams.endBefore);
+    }
+    
+    if (queryParams.offset) {
+      query = query.offset(queryParams.offset);
+    }
+    
+    if (queryParams.limit) {
+      query = query.limit(queryParams.limit);
+    }
+    
+    return query;
+  }
+
+  /**
+   * Count matching documents with an aggregate query (no documents are read)
+   */
+  async countCollection(collection, queryParams = {}, useCache = true) {
+    const countParams = { where: queryParams.where };
+    const cacheKey = this.generateCacheKey(`${collection}#count`, countParams);
+    
+    if (useCache) {
+      const cachedCount = this.getFromCache(cacheKey);
+      if (cachedCount !== null) {
+        return cachedCount;
+      }
+    }
+
+    try {
+      const query = await this.buildQuery(collection, countParams);
+      const snapshot = await query.count().get();
+      const total = snapshot.data().count;
+      
+      if (useCache) {
+        this.setCache(cacheKey, total);
+      }
+      
+      return total;
+    } catch (error) {
+      console.error(`Error counting collection ${collection}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch one page of a collection
+   * Returns { items, nextCursor, total } - pass nextCursor back as `cursor`
+   */
+  async getPage(collection, queryParams = {}, useCache = true) {
+    const limit = queryParams.limit || 50;
+    
+    // Read one extra document to know whether another page exists
+    const [docs, total] = await Promise.all([
+      this.getCollection(collection, { ...queryParams, limit: limit + 1 }, useCache),
+      this.countCollection(collection, queryParams, useCache)
+    ]);
+    
+    const items = docs.slice(0, limit);
+    const nextCursor = docs.length > limit
+      ? encodeCursor(items[items.length - 1].id)
+      : null;
+    
+    return { items, nextCursor, total };
+  }
+
   /**
    * Execute multiple document queries in a batch
    */
@@ -413,6 +517,14 @@ function batchGetDocuments(requests, useCache = true) {
   return batchQueryService.batchGetDocuments(requests, useCache);
 }
 
+function countCollection(collection, queryParams = {}, useCache = true) {
+  return batchQueryService.countCollection(collection, queryParams, useCache);
+}
+
+function getPage(collection, queryParams = {}, useCache = true) {
+  return batchQueryService.getPage(collection, queryParams, useCache);
+}
+
 function smartQuery(collection, queryParams = {}, useCache = true, useBatching = true) {
   return batchQueryService.smartQuery(collection, queryParams, useCache, useBatching);
 }
@@ -434,6 +546,8 @@ module.exports = {
   batchQueryService,
   getDocument,
   getCollection,
+  countCollection,
+  getPage,
   batchGetDocuments,
   smartQuery,
   clearQueryCache,